@@ -0,0 +1,165 @@
+/*
+  auth.js
+  -------
+  Optional operator login. Without auth.json (next to the port file) the
+  server behaves as before and every client is an admin. With it, clients
+  log in with a PIN (POST /auth/login) and get a session token, or present
+  a configured API token directly, and every HTTP route and WebSocket
+  message checks the caller's role.
+
+  Roles (each includes the ones before it)
+  - viewer:   read-only; sees routing, names, presets, history.
+  - operator: toggles channels, blocks and outputs, bulk apply, undo/redo,
+              presets.
+  - admin:    A/B matrices, server port, console addresses, emulator, raw
+              OSC, snapshot import.
+
+  auth.json
+  {
+    "credentials": [
+      { "name": "FOH", "pin": "4711", "role": "admin" },
+      { "name": "Stage iPad", "pin": "1234", "role": "operator" },
+      { "name": "Wall display", "token": "9c1d…", "role": "viewer" }
+    ],
+    "anonymousRole": null,   // role without login; null = login required
+    "localRole": "admin",    // role for requests from this machine (the
+                             // desktop app); null = login required there too
+    "sessionHours": 12,
+    "oscRole": null          // role for OSC control senders (osc-control.js),
+                             // which cannot log in; null = OSC control refused
+  }
+
+  loadAuthConfig() throws on an invalid file: falling back to "no auth"
+  would silently open the server, so server.js refuses to start instead.
+*/
+const fs = require('fs');
+const crypto = require('crypto');
+
+const ROLES = ['viewer', 'operator', 'admin'];
+const DEFAULT_SESSION_HOURS = 12;
+// Failed logins per client address before it has to wait
+const MAX_FAILED_LOGINS = 5;
+const LOGIN_LOCKOUT_MS = 30000;
+
+function authError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// True when `role` may do what `required` allows
+function roleAllows(role, required) {
+  const have = ROLES.indexOf(role);
+  return have !== -1 && have >= ROLES.indexOf(required);
+}
+
+function isRole(role) {
+  return ROLES.includes(role);
+}
+
+// Parsed auth.json, or null when the file does not exist (auth disabled)
+function loadAuthConfig(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return null;
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    throw new Error(`auth: ${filePath} is not valid JSON: ${e.message}`);
+  }
+  const fail = message => { throw new Error(`auth: ${filePath}: ${message}`); };
+  if (!parsed || !Array.isArray(parsed.credentials) || parsed.credentials.length === 0) fail('credentials must be a non-empty array');
+  const seen = new Set();
+  const credentials = parsed.credentials.map((c, i) => {
+    if (!c || typeof c !== 'object') fail(`credentials[${i}] must be an object`);
+    if (!isRole(c.role)) fail(`credentials[${i}].role must be one of ${ROLES.join(', ')}`);
+    const secrets = ['pin', 'token'].filter(k => c[k] != null);
+    if (secrets.length !== 1) fail(`credentials[${i}] needs exactly one of pin or token`);
+    const secret = String(c[secrets[0]]);
+    if (secrets[0] === 'pin' && !/^\d{4,12}$/.test(secret)) fail(`credentials[${i}].pin must be 4-12 digits`);
+    if (secrets[0] === 'token' && secret.length < 16) fail(`credentials[${i}].token must be at least 16 characters`);
+    if (seen.has(secret)) fail(`credentials[${i}] reuses another credential's ${secrets[0]}`);
+    seen.add(secret);
+    return { name: String(c.name || `${c.role} ${i + 1}`), role: c.role, kind: secrets[0], secret };
+  });
+  ['anonymousRole', 'localRole', 'oscRole'].forEach(key => {
+    if (parsed[key] != null && !isRole(parsed[key])) fail(`${key} must be null or one of ${ROLES.join(', ')}`);
+  });
+  const sessionHours = parsed.sessionHours == null ? DEFAULT_SESSION_HOURS : Number(parsed.sessionHours);
+  if (!(sessionHours > 0)) fail('sessionHours must be a positive number');
+  return {
+    credentials,
+    anonymousRole: parsed.anonymousRole || null,
+    localRole: parsed.localRole === undefined ? 'admin' : (parsed.localRole || null),
+    oscRole: parsed.oscRole || null,
+    sessionHours
+  };
+}
+
+// Compare secrets without leaking their length or content through timing
+function sameSecret(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+function isLoopback(address) {
+  return address === '127.0.0.1' || address === '::1' || address === 'localhost';
+}
+
+function createAuth(config) {
+  const enabled = !!config;
+  const sessions = new Map();
+  const failures = new Map();
+
+  // Forget addresses whose last wrong PIN, and any lockout, is
+  // LOGIN_LOCKOUT_MS behind us, so the map does not grow for ever
+  function pruneFailures(now) {
+    failures.forEach((fail, address) => {
+      if (fail.until <= now && fail.last + LOGIN_LOCKOUT_MS <= now) failures.delete(address);
+    });
+  }
+
+  // { token, name, role, expires } for a PIN, or throws with .status
+  function login(pin, address) {
+    if (!enabled) throw authError('authentication is not enabled', 400);
+    const now = Date.now();
+    pruneFailures(now);
+    const fail = failures.get(address);
+    if (fail && fail.until > now) throw authError('too many failed logins; try again in a few seconds', 429);
+    const cred = config.credentials.find(c => c.kind === 'pin' && sameSecret(c.secret, pin == null ? '' : pin));
+    if (!cred) {
+      // Counting starts again once a lockout has passed
+      const count = (fail && !fail.until ? fail.count : 0) + 1;
+      failures.set(address, { count, last: now, until: count >= MAX_FAILED_LOGINS ? now + LOGIN_LOCKOUT_MS : 0 });
+      throw authError('wrong PIN', 401);
+    }
+    failures.delete(address);
+    const session = { token: crypto.randomBytes(24).toString('hex'), name: cred.name, role: cred.role, expires: Date.now() + config.sessionHours * 3600000 };
+    sessions.set(session.token, session);
+    return session;
+  }
+
+  function logout(token) {
+    return sessions.delete(token);
+  }
+
+  // { role, name } for a request's token and address, or null when the
+  // caller has to log in first
+  function identify(token, address) {
+    if (!enabled) return { role: 'admin', name: null };
+    if (token) {
+      const session = sessions.get(token);
+      if (session && session.expires > Date.now()) return { role: session.role, name: session.name };
+      if (session) sessions.delete(token);
+      const cred = config.credentials.find(c => c.kind === 'token' && sameSecret(c.secret, token));
+      if (cred) return { role: cred.role, name: cred.name };
+    }
+    if (config.localRole && isLoopback(address)) return { role: config.localRole, name: null };
+    if (config.anonymousRole) return { role: config.anonymousRole, name: null };
+    return null;
+  }
+
+  return { enabled, login, logout, identify };
+}
+
+module.exports = { ROLES, roleAllows, loadAuthConfig, createAuth };
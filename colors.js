@@ -0,0 +1,56 @@
+/*
+  colors.js
+  ---------
+  The X32 channel colour palette: the value of /ch/NN/config/color (0-15).
+  server.js serves it as /api/colors and validates colour writes with it;
+  the UI takes every swatch, label and card colour from it.
+
+  Values
+    0-7   OFF, RD, GN, YE, BL, MG, CY, WH  (coloured scribble strip)
+    8-15  the same colours inverted        (coloured text on black)
+*/
+
+const BASE_COLORS = [
+  { id: 'OFF', label: 'Off', color: '#4a5568' },
+  { id: 'RD', label: 'Red', color: '#e53e3e' },
+  { id: 'GN', label: 'Green', color: '#38a169' },
+  { id: 'YE', label: 'Yellow', color: '#ecc94b' },
+  { id: 'BL', label: 'Blue', color: '#3182ce' },
+  { id: 'MG', label: 'Magenta', color: '#d53f8c' },
+  { id: 'CY', label: 'Cyan', color: '#00b5d8' },
+  { id: 'WH', label: 'White', color: '#f7fafc' }
+];
+
+// { value, id, label, color, inverted } for 0-15
+const X32_COLORS = BASE_COLORS.map((c, i) => Object.assign({ value: i, inverted: false }, c))
+  .concat(BASE_COLORS.map((c, i) => ({ value: i + 8, id: c.id + 'i', label: c.label + ' inverted', color: c.color, inverted: true })));
+
+function colorError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Palette entry for a value, or null
+function describeColor(value) {
+  const n = Number(value);
+  if (value == null || value === '' || typeof value === 'boolean' || !Number.isInteger(n)) return null;
+  return X32_COLORS[n] || null;
+}
+
+// 0-15, '12', 'BLi' or 'blue inverted' -> 0-15; throws (status 400) otherwise
+function colorValue(ref) {
+  const byValue = describeColor(ref);
+  if (byValue) return byValue.value;
+  const key = String(ref == null ? '' : ref).trim().toLowerCase();
+  const entry = X32_COLORS.find(c => c.id.toLowerCase() === key || c.label.toLowerCase() === key);
+  if (!entry) throw colorError('unknown color: ' + ref + ' (0-15 or ' + X32_COLORS.map(c => c.id).join(', ') + ')');
+  return entry.value;
+}
+
+// Palette as served by /api/colors
+function colorCatalogue() {
+  return { colors: X32_COLORS.map(c => Object.assign({}, c)) };
+}
+
+module.exports = { X32_COLORS, describeColor, colorValue, colorCatalogue };
@@ -0,0 +1,173 @@
+/*
+  config.js
+  ---------
+  The server's own settings in one JSON file, dubswitch.json next to the
+  port file (DUBSWITCH_PORT_FILE picks that folder, so it cannot be set in
+  here). Every key is optional; missing keys fall back to the environment
+  variable listed below and then to the default. For httpPort the older
+  server.port file still counts, between the config file and PORT.
+
+  dubswitch.json
+  {
+    "httpPort": 3000,            // PORT; web UI, REST API, WebSocket  restart
+    "x32Port": 10023,            // OSC port of the consoles           restart
+    "localOscPort": 9001,        // UDP port we talk to consoles from  restart
+    "oscControlPort": 9002,      // DUBSWITCH_OSC_CONTROL_PORT;
+                                 // null = OSC control off             restart
+    "routingTimeoutMs": 2000,    // routing reads give up (200-30000)  live
+    "pingIntervalMs": 5000,      // DUBSWITCH_PING_MS; keep-alive
+                                 // /xinfo + /xremote (100-9000)       live
+    "discoveryWaitMs": 2000,     // Autodetect / sweep replies
+                                 // (500-10000)                        live
+    "discoveryAddresses": []     // DUBSWITCH_DISCOVERY_ADDRESSES;
+                                 // extra /xinfo targets, 'host[:port]' live
+  }
+
+  createConfigStore() throws on an invalid file or environment variable,
+  listing every problem, and server.js refuses to start: running on
+  half-applied settings would be harder to notice than an error. Errors
+  thrown by update() carry an HTTP-style `status` (400) and leave the file
+  untouched.
+*/
+const fs = require('fs');
+const { parseDiscoveryAddresses } = require('./discovery');
+
+// apply: 'live' takes effect when saved, 'restart' on the next start
+const CONFIG_SCHEMA = [
+  { key: 'httpPort', label: 'HTTP port', type: 'port', default: 3000, env: 'PORT', apply: 'restart', description: 'Web UI, REST API and WebSocket.' },
+  { key: 'x32Port', label: 'X32 OSC port', type: 'port', default: 10023, apply: 'restart', description: 'Port the consoles listen on: the default for new consoles, discovery and sweeps.' },
+  { key: 'localOscPort', label: 'Local OSC port', type: 'port', default: 9001, apply: 'restart', description: 'UDP port dubswitch talks to the consoles from.' },
+  { key: 'oscControlPort', label: 'OSC control port', type: 'port', nullable: true, default: 9002, env: 'DUBSWITCH_OSC_CONTROL_PORT', apply: 'restart', description: 'UDP port for /dubswitch commands from show control; empty turns OSC control off.' },
+  { key: 'routingTimeoutMs', label: 'Routing read timeout', type: 'integer', min: 200, max: 30000, unit: 'ms', default: 2000, apply: 'live', description: 'How long a routing read waits for the console before reporting what has arrived.' },
+  { key: 'pingIntervalMs', label: 'Keep-alive interval', type: 'integer', min: 100, max: 9000, unit: 'ms', default: 5000, env: 'DUBSWITCH_PING_MS', apply: 'live', description: 'Console ping and /xremote renewal; must stay below the 10 s /xremote lifetime.' },
+  { key: 'discoveryWaitMs', label: 'Discovery wait', type: 'integer', min: 500, max: 10000, unit: 'ms', default: 2000, apply: 'live', description: 'How long Autodetect and sweeps wait for replies.' },
+  { key: 'discoveryAddresses', label: 'Discovery addresses', type: 'addresses', default: [], env: 'DUBSWITCH_DISCOVERY_ADDRESSES', apply: 'live', description: 'Consoles behind a router or on networks that drop broadcasts: host[:port], ...' }
+];
+const FIELDS = new Map(CONFIG_SCHEMA.map(f => [f.key, f]));
+
+function configError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Normalised value of one setting; throws a plain message for bad values.
+// fromEnv: the raw value is an environment variable string.
+function settingValue(field, raw, x32Port, fromEnv) {
+  if (field.type === 'addresses') {
+    const list = Array.isArray(raw) ? raw : (typeof raw === 'string' ? raw.split(',') : null);
+    if (!list || list.some(a => typeof a !== 'string')) throw new Error(`${field.key} must be a list of 'host[:port]' strings`);
+    const entries = list.map(a => a.trim()).filter(Boolean);
+    try { parseDiscoveryAddresses(entries.join(','), x32Port); } catch (e) { throw new Error(`${field.key}: ${e.message}`); }
+    return entries;
+  }
+  if (field.nullable && (raw === null || (fromEnv && /^(0|off)$/i.test(String(raw).trim())) || String(raw).trim() === '')) return null;
+  const n = fromEnv ? Number(String(raw).trim()) : raw;
+  if (field.type === 'port') {
+    if (!Number.isInteger(n) || n < 1 || n > 65535) throw new Error(`${field.key} must be a port number (1-65535)${field.nullable ? ' or null' : ''}`);
+    return n;
+  }
+  if (!Number.isInteger(n) || n < field.min || n > field.max) throw new Error(`${field.key} must be a whole number from ${field.min} to ${field.max}${field.unit ? ' ' + field.unit : ''}`);
+  return n;
+}
+
+// Problems with a complete set of values that no single setting shows
+function crossCheck(values) {
+  const problems = [];
+  if (values.oscControlPort != null && values.oscControlPort === values.localOscPort) problems.push('oscControlPort must differ from localOscPort (' + values.localOscPort + ')');
+  return problems;
+}
+
+// filePath: dubswitch.json; env: process.env; legacy: { key: { value, source } }
+// for older places a setting was kept (server.port), checked before env
+function createConfigStore(filePath, env = process.env, legacy = {}) {
+  let stored = {};
+  const problems = [];
+  try {
+    if (fs.existsSync(filePath)) {
+      const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8') || '{}');
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('not a JSON object');
+      stored = parsed;
+    }
+  } catch (e) {
+    throw new Error(`config: ${filePath} is not valid JSON: ${e.message}`);
+  }
+  const fileX32Port = Number.isInteger(stored.x32Port) ? stored.x32Port : FIELDS.get('x32Port').default;
+  const fromFile = {};
+  Object.keys(stored).forEach(key => {
+    if (key === 'version') return;
+    const field = FIELDS.get(key);
+    if (!field) { problems.push(`unknown setting "${key}" (known: ${CONFIG_SCHEMA.map(f => f.key).join(', ')})`); return; }
+    try { fromFile[key] = settingValue(field, stored[key], fileX32Port, false); } catch (e) { problems.push(e.message); }
+  });
+  // Environment and legacy values only count where the file is silent
+  const fallback = {};
+  CONFIG_SCHEMA.forEach(field => {
+    if (legacy[field.key] && legacy[field.key].value != null) { fallback[field.key] = legacy[field.key]; return; }
+    const raw = field.env ? env[field.env] : undefined;
+    if (raw === undefined || raw === '') return;
+    try { fallback[field.key] = { value: settingValue(field, raw, fileX32Port, true), source: field.env }; } catch (e) { problems.push(`${e.message} (environment variable ${field.env}=${raw})`); }
+  });
+
+  function resolve(file) {
+    const values = {};
+    const sources = {};
+    CONFIG_SCHEMA.forEach(field => {
+      if (Object.prototype.hasOwnProperty.call(file, field.key)) { values[field.key] = file[field.key]; sources[field.key] = 'file'; }
+      else if (fallback[field.key]) { values[field.key] = fallback[field.key].value; sources[field.key] = fallback[field.key].source; }
+      else { values[field.key] = field.default; sources[field.key] = 'default'; }
+    });
+    return { values, sources };
+  }
+
+  let file = fromFile;
+  let current = resolve(file);
+  problems.push(...crossCheck(current.values));
+  if (problems.length) throw new Error(`config: ${filePath}:\n  - ${problems.join('\n  - ')}`);
+
+  function save() {
+    const tmp = filePath + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(Object.assign({ version: 1 }, file), null, 2), 'utf8');
+    fs.renameSync(tmp, filePath);
+  }
+
+  const copy = value => Array.isArray(value) ? value.slice() : value;
+
+  // Values in effect ({ key: value })
+  function get() {
+    const values = {};
+    CONFIG_SCHEMA.forEach(f => { values[f.key] = copy(current.values[f.key]); });
+    return values;
+  }
+
+  // Schema plus current value and where it came from (file, server.port,
+  // an environment variable or default)
+  function describe() {
+    return CONFIG_SCHEMA.map(f => Object.assign({}, f, { default: copy(f.default), value: copy(current.values[f.key]), source: current.sources[f.key] }));
+  }
+
+  // changes: { key: value }; writes them to the file. Returns the keys whose
+  // value in effect changed.
+  function update(changes) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) throw configError('settings object required');
+    const errors = [];
+    const next = Object.assign({}, file);
+    const x32Port = Object.prototype.hasOwnProperty.call(changes, 'x32Port') && Number.isInteger(changes.x32Port) ? changes.x32Port : current.values.x32Port;
+    Object.keys(changes).forEach(key => {
+      const field = FIELDS.get(key);
+      if (!field) { errors.push(`unknown setting "${key}"`); return; }
+      try { next[key] = settingValue(field, changes[key], x32Port, false); } catch (e) { errors.push(e.message); }
+    });
+    if (!errors.length) errors.push(...crossCheck(resolve(next).values));
+    if (errors.length) throw configError(errors.join('; '));
+    const before = current.values;
+    file = next;
+    current = resolve(file);
+    save();
+    return CONFIG_SCHEMA.map(f => f.key).filter(key => JSON.stringify(before[key]) !== JSON.stringify(current.values[key]));
+  }
+
+  return { filePath, get, describe, update };
+}
+
+module.exports = { CONFIG_SCHEMA, createConfigStore };
@@ -0,0 +1,114 @@
+/*
+  discovery.js
+  ------------
+  Finding X32 consoles on the networks this machine is connected to. A
+  laptop with Wi-Fi and a wired show network has two, so server.js sends
+  /xinfo to the broadcast address of every external IPv4 interface, plus
+  the addresses listed in DUBSWITCH_DISCOVERY_ADDRESSES (consoles behind a
+  router or on networks that drop broadcasts), and turns the replies into
+  console entries. Where broadcasts do not get through at all, a sweep
+  sends unicast /xinfo to every host of a CIDR range (parseCidr) instead.
+
+  /xinfo reply: s:host s:name s:model s:firmware
+  Entry: { ip, port, name, model, firmware, interface }
+    interface: name of the local interface whose subnet holds ip, or null
+
+  Sweep ranges: 'a.b.c.d/prefix', at most SWEEP_MAX_HOSTS hosts (a /20).
+  Network and broadcast addresses are skipped except in /31 and /32.
+*/
+const os = require('os');
+
+function discoveryError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+const SWEEP_MAX_HOSTS = 4096;
+
+const octets = ip => String(ip).split('.').map(n => parseInt(n, 10));
+const toInt = ip => octets(ip).reduce((n, oct) => n * 256 + oct, 0);
+const toIp = n => [24, 16, 8, 0].map(shift => Math.floor(n / 2 ** shift) % 256).join('.');
+
+// Prefix length of a netmask ('255.255.255.0' -> 24)
+function prefixLength(netmask) {
+  return octets(netmask).reduce((bits, oct) => bits + oct.toString(2).replace(/0/g, '').length, 0);
+}
+
+// Directed broadcast address of address/netmask ('192.168.1.20', '255.255.255.0' -> '192.168.1.255')
+function broadcastAddress(address, netmask) {
+  const mask = octets(netmask);
+  return octets(address).map((oct, i) => (oct & mask[i]) | (~mask[i] & 0xff)).join('.');
+}
+
+function inSubnet(ip, address, netmask) {
+  const mask = octets(netmask);
+  const a = octets(ip);
+  const b = octets(address);
+  return a.length === 4 && a.every((oct, i) => (oct & mask[i]) === (b[i] & mask[i]));
+}
+
+// Network of address/netmask in CIDR notation ('192.168.1.20', '255.255.255.0' -> '192.168.1.0/24')
+function networkCidr(address, netmask) {
+  const mask = octets(netmask);
+  return octets(address).map((oct, i) => oct & mask[i]).join('.') + '/' + prefixLength(netmask);
+}
+
+// [{ interface, address, netmask, broadcast, cidr }] for every external IPv4 interface
+function interfaceBroadcasts(ifaces = os.networkInterfaces()) {
+  const list = [];
+  Object.keys(ifaces).forEach(name => {
+    (ifaces[name] || []).forEach(iface => {
+      if ((iface.family === 'IPv4' || iface.family === 4) && !iface.internal) {
+        list.push({ interface: name, address: iface.address, netmask: iface.netmask, broadcast: broadcastAddress(iface.address, iface.netmask), cidr: networkCidr(iface.address, iface.netmask) });
+      }
+    });
+  });
+  return list;
+}
+
+// Name of the interface (internal ones included) whose subnet holds ip
+function interfaceFor(ip, ifaces = os.networkInterfaces()) {
+  for (const name of Object.keys(ifaces)) {
+    for (const iface of ifaces[name] || []) {
+      if ((iface.family === 'IPv4' || iface.family === 4) && inSubnet(ip, iface.address, iface.netmask)) return name;
+    }
+  }
+  return null;
+}
+
+// 'host[:port], ...' -> [{ host, port }]; throws (status 400) for bad entries
+function parseDiscoveryAddresses(raw, defaultPort) {
+  if (raw == null || String(raw).trim() === '') return [];
+  return String(raw).split(',').map(s => s.trim()).filter(Boolean).map(item => {
+    const m = item.match(/^(\d{1,3}(?:\.\d{1,3}){3})(?::(\d{1,5}))?$/);
+    const port = m && m[2] ? Number(m[2]) : defaultPort;
+    if (!m || octets(m[1]).some(n => n > 255) || port < 1 || port > 65535) throw discoveryError('not an IPv4 address[:port]: ' + item);
+    return { host: m[1], port };
+  });
+}
+
+// 'a.b.c.d/prefix' -> { cidr, hosts: ['a.b.c.1', ...] } with the network
+// address normalised; throws (status 400) for bad or oversized ranges
+function parseCidr(raw) {
+  const m = String(raw == null ? '' : raw).trim().match(/^(\d{1,3}(?:\.\d{1,3}){3})\/(\d{1,2})$/);
+  if (!m || octets(m[1]).some(n => n > 255) || Number(m[2]) > 32) throw discoveryError('not a CIDR range (a.b.c.d/prefix): ' + raw);
+  const prefix = Number(m[2]);
+  const size = 2 ** (32 - prefix);
+  const network = toInt(m[1]) - (toInt(m[1]) % size);
+  // /31 and /32 have no network or broadcast address to skip
+  const first = prefix >= 31 ? network : network + 1;
+  const last = prefix >= 31 ? network + size - 1 : network + size - 2;
+  if (last - first + 1 > SWEEP_MAX_HOSTS) throw discoveryError(`range too large: ${last - first + 1} hosts (at most ${SWEEP_MAX_HOSTS}, a /20)`);
+  const hosts = [];
+  for (let n = first; n <= last; n++) hosts.push(toIp(n));
+  return { cidr: toIp(network) + '/' + prefix, hosts };
+}
+
+// Console entry for an /xinfo reply (metadata args) from `from` ({ address, port })
+function parseXinfo(msg, from, ifaces) {
+  const arg = i => { const a = (msg.args || [])[i]; const v = (a && typeof a === 'object' && 'value' in a) ? a.value : a; return v == null || v === '' ? null : String(v); };
+  return { ip: from.address, port: from.port, name: arg(1), model: arg(2), firmware: arg(3), interface: interfaceFor(from.address, ifaces) };
+}
+
+module.exports = { broadcastAddress, networkCidr, interfaceBroadcasts, interfaceFor, parseDiscoveryAddresses, parseCidr, parseXinfo, SWEEP_MAX_HOSTS };
@@ -0,0 +1,125 @@
+/*
+  groups.js
+  ---------
+  File-backed store for named channel groups ("Drums", "Vocals", "Band 2")
+  that are switched to A or B as one unit. One store per console; server.js
+  turns a group switch into a bulk apply of its member channels.
+
+  Group shape
+  - { id, name, channels: ['01', '02', ...], created, updated }
+  - channels are sorted two-digit input channel numbers (1-32); a channel
+    may belong to several groups.
+
+  Channel lists are accepted as arrays ([1, '05']) or strings ('1-8,12').
+  Errors thrown by the store carry an HTTP-style `status` (400/404/409) like
+  presets.js.
+*/
+const fs = require('fs');
+
+const CHANNELS = 32;
+
+function groupError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// '1'..'32' or '01'..'32' -> 'NN'
+function channelKey(value) {
+  const ch = Number(String(value).trim());
+  if (String(value).trim() === '' || !Number.isInteger(ch) || ch < 1 || ch > CHANNELS) throw groupError(400, `channel must be 1-${CHANNELS}: ${value}`);
+  return String(ch).padStart(2, '0');
+}
+
+// [1, '05', ...] or '1-8,12' -> sorted unique ['01', ..., '08', '12']
+function parseChannels(value) {
+  const parts = Array.isArray(value) ? value : String(value == null ? '' : value).split(',');
+  const channels = new Set();
+  parts.forEach(part => {
+    const m = String(part).trim().match(/^(\d+)\s*-\s*(\d+)$/);
+    if (!m) { channels.add(channelKey(part)); return; }
+    const first = Number(channelKey(m[1]));
+    const last = Number(channelKey(m[2]));
+    for (let ch = Math.min(first, last); ch <= Math.max(first, last); ch++) channels.add(String(ch).padStart(2, '0'));
+  });
+  if (channels.size === 0) throw groupError(400, 'no channels given');
+  return Array.from(channels).sort();
+}
+
+function slugify(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'group';
+}
+
+function createGroupStore(filePath) {
+  let groups = [];
+  try {
+    if (fs.existsSync(filePath)) {
+      const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8') || '{}') || {};
+      groups = Array.isArray(parsed.groups) ? parsed.groups : [];
+    }
+  } catch (e) { console.warn('Failed to read groups file', filePath, e && e.message); groups = []; }
+
+  function save() {
+    const tmp = filePath + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify({ version: 1, groups }, null, 2), 'utf8');
+    fs.renameSync(tmp, filePath);
+  }
+
+  function list() { return groups.slice(); }
+
+  // Look a group up by id or (case-insensitive) name
+  function find(ref) {
+    if (ref == null) return null;
+    const key = String(ref).trim().toLowerCase();
+    return groups.find(g => g.id === key) || groups.find(g => g.name.toLowerCase() === key) || null;
+  }
+
+  function get(ref) {
+    const group = find(ref);
+    if (!group) throw groupError(404, 'unknown group: ' + ref);
+    return group;
+  }
+
+  function checkName(name, exceptId) {
+    const clean = String(name || '').trim();
+    if (!clean) throw groupError(400, 'group name required');
+    if (groups.some(g => g.id !== exceptId && g.name.toLowerCase() === clean.toLowerCase())) throw groupError(409, 'a group named "' + clean + '" already exists');
+    return clean;
+  }
+
+  function create(name, channels) {
+    const clean = checkName(name);
+    const members = parseChannels(channels);
+    const base = slugify(clean);
+    let id = base; let n = 2;
+    while (groups.some(g => g.id === id)) id = `${base}-${n++}`;
+    const now = new Date().toISOString();
+    const group = { id, name: clean, channels: members, created: now, updated: now };
+    groups.push(group);
+    save();
+    return group;
+  }
+
+  // changes: { name?, channels? }
+  function update(ref, changes) {
+    const group = get(ref);
+    const next = Object.assign({}, group);
+    if (changes.name != null) next.name = checkName(changes.name, group.id);
+    if (changes.channels != null) next.channels = parseChannels(changes.channels);
+    next.updated = new Date().toISOString();
+    groups[groups.indexOf(group)] = next;
+    save();
+    return next;
+  }
+
+  function remove(ref) {
+    const group = get(ref);
+    groups = groups.filter(g => g !== group);
+    save();
+    return group;
+  }
+
+  return { filePath, list, find, get, create, update, remove };
+}
+
+module.exports = { createGroupStore, parseChannels, channelKey };
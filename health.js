@@ -0,0 +1,85 @@
+/*
+  health.js
+  ---------
+  Connection health of one console, fed by the keep-alive /xinfo ping in
+  server.js: pingSent() for every ping, replied() for every /xinfo reply.
+  A ping still unanswered when the next one goes out counts as missed.
+
+  States
+    unknown   no address yet, or no ping answered since the address was set
+    online    the last ping was answered within SLOW_RTT_MS
+    degraded  a reply took longer than SLOW_RTT_MS, or DEGRADED_AFTER
+              pings in a row went unanswered
+    offline   OFFLINE_AFTER pings in a row went unanswered
+
+  pingSent() and replied() return the transition ({ from, to }) when the
+  state changes, otherwise null; server.js broadcasts transitions and starts
+  rediscovery when a console goes offline.
+*/
+const SLOW_RTT_MS = 500;
+const DEGRADED_AFTER = 1;
+const OFFLINE_AFTER = 3;
+
+function createHealth({ slowRttMs = SLOW_RTT_MS, degradedAfter = DEGRADED_AFTER, offlineAfter = OFFLINE_AFTER } = {}) {
+  let state = 'unknown';
+  let since = Date.now();
+  let rttMs = null;
+  let missed = 0;
+  let missedTotal = 0;
+  let pings = 0;
+  let lastReply = null;
+  // Send time of the ping awaiting its reply
+  let outstanding = null;
+
+  function settle() {
+    let next;
+    if (missed >= offlineAfter) next = 'offline';
+    else if (missed >= degradedAfter) next = 'degraded';
+    else if (lastReply == null) next = 'unknown';
+    else next = rttMs != null && rttMs > slowRttMs ? 'degraded' : 'online';
+    if (next === state) return null;
+    const transition = { from: state, to: next };
+    state = next;
+    since = Date.now();
+    return transition;
+  }
+
+  function pingSent() {
+    if (outstanding != null) { missed++; missedTotal++; }
+    outstanding = Date.now();
+    pings++;
+    return settle();
+  }
+
+  // Replies to /xinfo sent outside the keep-alive (client connects) prove the
+  // console is there but carry no round-trip time
+  function replied() {
+    const now = Date.now();
+    if (outstanding != null) { rttMs = now - outstanding; outstanding = null; }
+    missed = 0;
+    lastReply = now;
+    return settle();
+  }
+
+  // Forget everything (address changed or cleared)
+  function reset() {
+    rttMs = null; missed = 0; lastReply = null; outstanding = null;
+    return settle();
+  }
+
+  function snapshot() {
+    return {
+      state,
+      since: new Date(since).toISOString(),
+      rttMs,
+      missed,
+      missedTotal,
+      pings,
+      lastReply: lastReply == null ? null : new Date(lastReply).toISOString()
+    };
+  }
+
+  return { pingSent, replied, reset, snapshot, state: () => state };
+}
+
+module.exports = { createHealth, SLOW_RTT_MS, DEGRADED_AFTER, OFFLINE_AFTER };
@@ -0,0 +1,51 @@
+/*
+  history.js
+  ----------
+  Undo/redo history of routing changes for one console, shared by every
+  client watching it. server.js records an entry after each confirmed
+  change (channel toggle, block toggle, bulk apply, preset recall) and
+  replays an entry's `from` values to undo it or its `to` values to redo it.
+
+  Entry shape
+  - { id, time, kind: 'channel'|'output'|'block'|'bulk'|'preset', label,
+      client, changes: [{ address, from, to }] }
+  - entries before `position` are applied; the ones after it were undone
+    and can be redone until a new change is recorded.
+*/
+const DEFAULT_LIMIT = 100;
+
+function createHistory(opts = {}) {
+  const limit = Number(opts.limit) || DEFAULT_LIMIT;
+  let entries = [];
+  let position = 0;
+  let nextId = 1;
+
+  // Returns the new entry, or null when nothing actually changed
+  function record({ kind, label, client, changes }) {
+    const real = (changes || []).filter(c => c.from != null && c.to != null && Number(c.from) !== Number(c.to));
+    if (real.length === 0) return null;
+    const entry = { id: nextId++, time: new Date().toISOString(), kind, label, client: client || null, changes: real };
+    entries = entries.slice(0, position);
+    entries.push(entry);
+    if (entries.length > limit) entries = entries.slice(entries.length - limit);
+    position = entries.length;
+    return entry;
+  }
+
+  function nextUndo() { return position > 0 ? entries[position - 1] : null; }
+  function nextRedo() { return position < entries.length ? entries[position] : null; }
+  function undone() { if (position > 0) position--; }
+  function redone() { if (position < entries.length) position++; }
+
+  function list() {
+    return {
+      entries: entries.map((e, i) => Object.assign({}, e, { undone: i >= position })),
+      canUndo: position > 0,
+      canRedo: position < entries.length
+    };
+  }
+
+  return { record, nextUndo, nextRedo, undone, redone, list };
+}
+
+module.exports = { createHistory };
@@ -0,0 +1,78 @@
+/*
+  journal.js
+  ----------
+  Append-only audit journal of routing changes for one console: who changed
+  what, when, from which value to which, and through which handler. Unlike
+  history.js it is written to disk and never rewritten, so it survives
+  restarts and can be read after a show.
+
+  File format: JSON Lines (journal.jsonl for 'main', journal-<id>.jsonl for
+  other consoles), one entry per line:
+    { "time": "2026-05-01T20:15:03.120Z", "console": "main",
+      "client": "192.168.1.50", "source": "clp",
+      "address": "/config/userrout/in/05", "channels": ["05"],
+      "from": 5, "to": 133, "status": "confirmed" }
+  - source: the handler that applied the change ('clp', 'toggle_inputs_block',
+      'toggle_inputs', 'set-channel-matrix', 'api' for the REST API, 'osc'
+      for OSC control, 'lock' for channel locks, 'drift' for a drifted
+      channel's source adopted into the A/B matrix).
+  - channels: the input channels the change affects ([] for other addresses).
+  - status: 'confirmed' / 'failed' for verified writes, 'sent' for writes
+      that are not read back, 'saved' for matrix edits and locks.
+*/
+const fs = require('fs');
+
+const CSV_COLUMNS = ['time', 'console', 'client', 'source', 'address', 'channels', 'from', 'to', 'status'];
+
+function createJournal(filePath) {
+  // Adds one entry; failures are logged, never thrown into the caller's flow
+  function append(entry) {
+    const line = Object.assign({ time: new Date().toISOString() }, entry);
+    try {
+      fs.appendFileSync(filePath, JSON.stringify(line) + '\n', 'utf8');
+    } catch (e) {
+      console.warn('[JOURNAL] Failed to append to', filePath, e && e.message);
+    }
+    return line;
+  }
+
+  function readAll() {
+    if (!fs.existsSync(filePath)) return [];
+    const entries = [];
+    fs.readFileSync(filePath, 'utf8').split('\n').forEach(line => {
+      if (!line.trim()) return;
+      // A line cut short by a crash is skipped rather than failing the query
+      try { entries.push(JSON.parse(line)); } catch (e) {}
+    });
+    return entries;
+  }
+
+  // Entries in file order; from/to are Date bounds (inclusive), channel 'NN'
+  function query({ from, to, channel, limit } = {}) {
+    let entries = readAll().filter(e => {
+      const t = Date.parse(e.time);
+      if (from && t < from.getTime()) return false;
+      if (to && t > to.getTime()) return false;
+      if (channel && !(e.channels || []).includes(channel)) return false;
+      return true;
+    });
+    if (limit && entries.length > limit) entries = entries.slice(entries.length - limit);
+    return entries;
+  }
+
+  return { append, query };
+}
+
+function csvField(value) {
+  if (value === undefined || value === null) return '';
+  const text = Array.isArray(value) ? value.join(' ') : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+  return /[",\n\r]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+function toCsv(entries) {
+  const rows = [CSV_COLUMNS.join(',')];
+  entries.forEach(e => rows.push(CSV_COLUMNS.map(col => csvField(e[col])).join(',')));
+  return rows.join('\r\n') + '\r\n';
+}
+
+module.exports = { createJournal, toCsv };
@@ -0,0 +1,47 @@
+/*
+  locks.js
+  --------
+  File-backed per-channel locks for one console. A locked channel's user
+  patch is not switched by the UI, the REST API or OSC control until it is
+  unlocked; bulk operations (apply A/B, groups, preset recall) leave it out
+  and report it as skipped. server.js enforces the lock, this module only
+  stores it.
+
+  File format (locks.json for 'main', locks-<id>.json for other consoles)
+    { "version": 1, "locked": { "05": { "by": "192.168.1.50", "time": "..." } } }
+*/
+const fs = require('fs');
+
+function createLockStore(filePath) {
+  let locked = {};
+  try {
+    if (fs.existsSync(filePath)) {
+      const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8') || '{}') || {};
+      locked = (parsed.locked && typeof parsed.locked === 'object') ? parsed.locked : {};
+    }
+  } catch (e) { console.warn('Failed to read locks file', filePath, e && e.message); locked = {}; }
+
+  function save() {
+    const tmp = filePath + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify({ version: 1, locked }, null, 2), 'utf8');
+    fs.renameSync(tmp, filePath);
+  }
+
+  // { 'NN': { by, time } } for every locked channel
+  function list() { return Object.assign({}, locked); }
+
+  function isLocked(nn) { return Object.prototype.hasOwnProperty.call(locked, nn); }
+
+  // Returns true when the lock state actually changed
+  function set(nn, lock, by) {
+    if (!!lock === isLocked(nn)) return false;
+    if (lock) locked[nn] = { by: by || null, time: new Date().toISOString() };
+    else delete locked[nn];
+    save();
+    return true;
+  }
+
+  return { filePath, list, isLocked, set };
+}
+
+module.exports = { createLockStore };
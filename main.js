@@ -21,8 +21,18 @@ try {
   PERSIST_FILE = require('path').join(app.getPath('userData'), 'server.port');
 } catch (e) { /* fallback below */ }
 
-// Read persisted port from userData if present; otherwise fall back to env or default
+// Read persisted port from userData if present (httpPort in dubswitch.json,
+// then server.port, as server.js does); otherwise fall back to env or default
 function readPersistedPort(defaultPort) {
+  try {
+    const fs = require('fs'); const path = require('path');
+    const dir = app.getPath('userData');
+    const configFile = path.join(dir, 'dubswitch.json');
+    if (fs.existsSync(configFile)) {
+      const n = Number((JSON.parse(fs.readFileSync(configFile, 'utf8') || '{}') || {}).httpPort);
+      if (Number.isInteger(n) && n > 0 && n <= 65535) return n;
+    }
+  } catch (_) {}
   try {
     const fs = require('fs'); const path = require('path');
     const dir = app.getPath('userData');
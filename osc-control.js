@@ -0,0 +1,175 @@
+/*
+  osc-control.js
+  --------------
+  The /dubswitch/... OSC namespace that lighting desks, show control and
+  OSC surfaces (TouchOSC, Companion) use to drive dubswitch itself. It is
+  received on its own UDP port, not on LOCAL_OSC_PORT where the consoles
+  reply. This module parses the addresses and builds the reply and feedback
+  messages; server.js runs the commands and sends the packets.
+
+  Commands (prefix /dubswitch, or /dubswitch/console/<id> for a console
+  other than 'main')
+    /ch/NN/ab [i|s]         1 or 'B' -> side B, 0 or 'A' -> side A,
+                            'toggle' toggles; no argument asks for the state
+    /ch/NN/toggle [i]       toggles; 0 is ignored (button release)
+    /ch/NN/lock [i]         1 locks the channel, 0 unlocks it; no argument
+                            asks for the state
+    /preset/recall s        recall a preset by name or id
+    /block/N/userins [i]    input block N (1-4): 1 -> UserIns, 0 -> LocalIns;
+                            no argument asks for the state
+    /block/N/localins [i]   the same with the meaning reversed
+    /state                  feedback for every channel and block
+    /subscribe [i]          1 (default) subscribes to feedback, 0 stops it
+
+  Replies and feedback go to the sender's address and port
+    /dubswitch/reply s:address i:ok s:message   after every command
+    /dubswitch/ch/NN/ab i        1 = B, 0 = A, -1 = neither / unknown
+    /dubswitch/ch/NN/source s    label of the patched source ('Card 5')
+    /dubswitch/ch/NN/name s
+    /dubswitch/ch/NN/lock i      1 = locked, 0 = unlocked
+    /dubswitch/block/N/userins i 1 = UserIns, 0 = LocalIns, -1 = other
+  Feedback carries the prefix the command used. A sender that sent any
+  valid command is subscribed for SUBSCRIPTION_TTL_MS and gets feedback for
+  changes made anywhere (other clients, the desk itself).
+*/
+const CONTROL_PREFIX = '/dubswitch';
+const SUBSCRIPTION_TTL_MS = 10 * 60 * 1000;
+
+function controlError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function argValue(arg) {
+  return (arg && typeof arg === 'object' && 'value' in arg) ? arg.value : arg;
+}
+
+// Surfaces send 1/0 as ints, floats (1.0) or 'true'/'false' strings
+function switchValue(arg) {
+  const v = argValue(arg);
+  if (typeof v === 'boolean') return v ? 1 : 0;
+  if (typeof v === 'string' && /^(true|on)$/i.test(v)) return 1;
+  if (typeof v === 'string' && /^(false|off)$/i.test(v)) return 0;
+  const n = Number(v);
+  if (!Number.isFinite(n)) throw controlError('expected 1 or 0, got ' + JSON.stringify(v));
+  return n >= 0.5 ? 1 : 0;
+}
+
+// Command for an incoming message, or null for messages outside the
+// namespace and ignored button releases. Throws (status 400) for malformed
+// commands inside the namespace.
+// Shape: { command, consoleId, prefix, write, channel?, block?, side?, mode?, locked?, preset?, subscribe? }
+function parseControlMessage(address, args) {
+  const addr = String(address || '');
+  if (addr !== CONTROL_PREFIX && !addr.startsWith(CONTROL_PREFIX + '/')) return null;
+  const list = Array.isArray(args) ? args : [];
+  let rest = addr.slice(CONTROL_PREFIX.length);
+  let consoleId = null;
+  let prefix = CONTROL_PREFIX;
+  const target = rest.match(/^\/console\/([^/]+)(\/.*)?$/);
+  if (target) {
+    consoleId = target[1];
+    prefix = `${CONTROL_PREFIX}/console/${consoleId}`;
+    rest = target[2] || '';
+  }
+  const cmd = { consoleId, prefix, write: false };
+  let m;
+
+  if ((m = rest.match(/^\/ch\/(\d{1,2})\/(ab|toggle)$/))) {
+    const ch = Number(m[1]);
+    if (ch < 1 || ch > 32) throw controlError('channel must be 1-32: ' + m[1]);
+    cmd.channel = String(ch).padStart(2, '0');
+    if (m[2] === 'toggle') {
+      if (list.length && switchValue(list[0]) === 0) return null;
+      return Object.assign(cmd, { command: 'channel', side: 'toggle', write: true });
+    }
+    if (!list.length) return Object.assign(cmd, { command: 'channel_state' });
+    const raw = argValue(list[0]);
+    const named = typeof raw === 'string' ? ['A', 'B', 'toggle'].find(s => s.toLowerCase() === raw.toLowerCase()) : null;
+    const side = named || (switchValue(list[0]) ? 'B' : 'A');
+    return Object.assign(cmd, { command: 'channel', side, write: true });
+  }
+
+  if ((m = rest.match(/^\/ch\/(\d{1,2})\/lock$/))) {
+    const ch = Number(m[1]);
+    if (ch < 1 || ch > 32) throw controlError('channel must be 1-32: ' + m[1]);
+    cmd.channel = String(ch).padStart(2, '0');
+    if (!list.length) return Object.assign(cmd, { command: 'channel_state' });
+    return Object.assign(cmd, { command: 'lock', locked: switchValue(list[0]) === 1, write: true });
+  }
+
+  if ((m = rest.match(/^\/block\/(\d)\/(userins|localins)$/))) {
+    const n = Number(m[1]);
+    if (n < 1 || n > 4) throw controlError('block must be 1-4: ' + m[1]);
+    cmd.block = n;
+    if (!list.length) return Object.assign(cmd, { command: 'block_state' });
+    const on = switchValue(list[0]) === 1;
+    const mode = (m[2] === 'userins') === on ? 'userin' : 'localin';
+    return Object.assign(cmd, { command: 'block', mode, write: true });
+  }
+
+  if (rest === '/preset/recall') {
+    const ref = list.length ? argValue(list[0]) : null;
+    if (ref == null || String(ref).trim() === '') throw controlError('preset name or id required');
+    return Object.assign(cmd, { command: 'preset', preset: String(ref).trim(), write: true });
+  }
+
+  if (rest === '/state') return Object.assign(cmd, { command: 'state' });
+
+  if (rest === '/subscribe') {
+    return Object.assign(cmd, { command: 'subscribe', subscribe: list.length ? switchValue(list[0]) === 1 : true });
+  }
+
+  throw controlError('unknown command: ' + addr);
+}
+
+function replyMessage(address, ok, message) {
+  return { address: CONTROL_PREFIX + '/reply', args: [{ type: 's', value: String(address) }, { type: 'i', value: ok ? 1 : 0 }, { type: 's', value: message || '' }] };
+}
+
+// state: { side: 'A'|'B'|null, source: { label }|null, name, locked } (server.js channelState)
+function channelFeedback(prefix, state) {
+  const base = `${prefix}/ch/${state.channel}`;
+  const msgs = [
+    { address: base + '/ab', args: [{ type: 'i', value: state.side === 'B' ? 1 : (state.side === 'A' ? 0 : -1) }] },
+    { address: base + '/source', args: [{ type: 's', value: state.source ? state.source.label : '' }] },
+    { address: base + '/lock', args: [{ type: 'i', value: state.locked ? 1 : 0 }] }
+  ];
+  if (state.name != null) msgs.push({ address: base + '/name', args: [{ type: 's', value: String(state.name) }] });
+  return msgs;
+}
+
+// n: block number 1-4; mode: 'userin'|'localin'|null
+function blockFeedback(prefix, n, mode) {
+  return { address: `${prefix}/block/${n}/userins`, args: [{ type: 'i', value: mode === 'userin' ? 1 : (mode === 'localin' ? 0 : -1) }] };
+}
+
+// Feedback targets per console, keyed by sender address; entries expire
+// ttlMs after the sender's last command
+function createSubscriptions(ttlMs = SUBSCRIPTION_TTL_MS) {
+  const entries = new Map();
+  const key = (consoleId, host, port) => `${consoleId}|${host}:${port}`;
+
+  function touch(consoleId, host, port, prefix) {
+    entries.set(key(consoleId, host, port), { consoleId, host, port, prefix, expires: Date.now() + ttlMs });
+  }
+
+  function remove(consoleId, host, port) {
+    return entries.delete(key(consoleId, host, port));
+  }
+
+  function forConsole(consoleId) {
+    const now = Date.now();
+    const live = [];
+    entries.forEach((entry, k) => {
+      if (entry.expires <= now) entries.delete(k);
+      else if (entry.consoleId === consoleId) live.push(entry);
+    });
+    return live;
+  }
+
+  return { touch, remove, forConsole };
+}
+
+module.exports = { CONTROL_PREFIX, SUBSCRIPTION_TTL_MS, parseControlMessage, replyMessage, channelFeedback, blockFeedback, createSubscriptions };
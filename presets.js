@@ -0,0 +1,127 @@
+/*
+  presets.js
+  ----------
+  File-backed store for named routing presets ("Virtual soundcheck",
+  "Full band recording", ...). One store per console; server.js owns the
+  OSC side (capturing values from and recalling them to the desk).
+
+  Preset shape
+  - { id, name, userrout: { '01': 129, ..., '32': 160 }, routing: [20, 21, 1, 3],
+      created, updated }
+  - userrout holds the /config/userrout/in/NN value for all 32 channels and
+    routing the four /config/routing/IN block values (same order as the
+    server's routingBlocks).
+
+  Errors thrown by the store carry an HTTP-style `status` (400/404/409) so
+  HTTP and WebSocket callers can report them the same way.
+*/
+const fs = require('fs');
+const { isInputSource } = require('./sources');
+
+const CHANNELS = 32;
+const BLOCKS = 4;
+
+function presetError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Validate and normalise captured or client-supplied values
+function normalizeValues(userrout, routing) {
+  const outUserrout = {};
+  for (let ch = 1; ch <= CHANNELS; ch++) {
+    const nn = String(ch).padStart(2, '0');
+    const raw = userrout && (userrout[nn] != null ? userrout[nn] : userrout[ch]);
+    const val = Number(raw);
+    if (raw == null || !isInputSource(val)) throw presetError(400, `invalid userrout value for channel ${nn}: ${raw}`);
+    outUserrout[nn] = val;
+  }
+  if (!Array.isArray(routing) || routing.length !== BLOCKS) throw presetError(400, `routing must list ${BLOCKS} block values`);
+  const outRouting = routing.map((raw, i) => {
+    const val = Number(raw);
+    if (raw == null || !Number.isInteger(val) || val < 0 || val > 23) throw presetError(400, `invalid routing value for block ${i + 1}: ${raw}`);
+    return val;
+  });
+  return { userrout: outUserrout, routing: outRouting };
+}
+
+function slugify(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'preset';
+}
+
+function createPresetStore(filePath) {
+  let presets = [];
+  try {
+    if (fs.existsSync(filePath)) {
+      const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8') || '{}') || {};
+      presets = Array.isArray(parsed.presets) ? parsed.presets : [];
+    }
+  } catch (e) { console.warn('Failed to read presets file', filePath, e && e.message); presets = []; }
+
+  function save() {
+    const tmp = filePath + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify({ version: 1, presets }, null, 2), 'utf8');
+    fs.renameSync(tmp, filePath);
+  }
+
+  function list() { return presets.slice(); }
+
+  // Look a preset up by id or (case-insensitive) name
+  function find(ref) {
+    if (ref == null) return null;
+    const key = String(ref).trim().toLowerCase();
+    return presets.find(p => p.id === key) || presets.find(p => p.name.toLowerCase() === key) || null;
+  }
+
+  function get(ref) {
+    const preset = find(ref);
+    if (!preset) throw presetError(404, 'unknown preset: ' + ref);
+    return preset;
+  }
+
+  function checkName(name, exceptId) {
+    const clean = String(name || '').trim();
+    if (!clean) throw presetError(400, 'preset name required');
+    if (presets.some(p => p.id !== exceptId && p.name.toLowerCase() === clean.toLowerCase())) throw presetError(409, 'a preset named "' + clean + '" already exists');
+    return clean;
+  }
+
+  function create(name, values) {
+    const clean = checkName(name);
+    const { userrout, routing } = normalizeValues(values.userrout, values.routing);
+    const base = slugify(clean);
+    let id = base; let n = 2;
+    while (presets.some(p => p.id === id)) id = `${base}-${n++}`;
+    const now = new Date().toISOString();
+    const preset = { id, name: clean, userrout, routing, created: now, updated: now };
+    presets.push(preset);
+    save();
+    return preset;
+  }
+
+  // changes: { name?, userrout?, routing? } — values are replaced together
+  function update(ref, changes) {
+    const preset = get(ref);
+    const next = Object.assign({}, preset);
+    if (changes.name != null) next.name = checkName(changes.name, preset.id);
+    if (changes.userrout != null || changes.routing != null) {
+      Object.assign(next, normalizeValues(changes.userrout || preset.userrout, changes.routing || preset.routing));
+    }
+    next.updated = new Date().toISOString();
+    presets[presets.indexOf(preset)] = next;
+    save();
+    return next;
+  }
+
+  function remove(ref) {
+    const preset = get(ref);
+    presets = presets.filter(p => p !== preset);
+    save();
+    return preset;
+  }
+
+  return { filePath, list, find, get, create, update, remove };
+}
+
+module.exports = { createPresetStore, normalizeValues };
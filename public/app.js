@@ -28,7 +28,7 @@
       keys 1..32 -> { aAction, bAction, param }
 
   WebSocket message contract (subset used by this client)
-  - From server: {type: 'ping'|'routing'|'clp'|'channel_names'|'matrix'|...}
+  - From server: {type: 'ping'|'routing'|'clp'|'channel_names'|'channel_colors'|'matrix'|...}
   - To server:   {type: 'clp'|'load_routing'|'set_x32_ip'|'get_matrix'|'set_matrix'|...}
 
   Important functions (documented inline below)
@@ -92,6 +92,33 @@ function safeSendWs(data) {
   }
 }
 
+// Write a single value the server reads back from the console. The address
+// stays 'pending' (cards look unconfirmed) until the server's 'write_result'
+// reports it confirmed, or 'failed' if the console never took it.
+window.writeStatus = window.writeStatus || {};
+function sendVerifiedWrite(address, value) {
+  window.writeStatus[address] = 'pending';
+  safeSendWs(JSON.stringify({ type: 'clp', address, args: [value] }));
+}
+
+// A 'failed' address keeps the value it was meant to get ({ value, block })
+// until an update shows the console holds it after all
+window.writeWanted = window.writeWanted || {};
+function settleFailedWrite(address, value) {
+  const wanted = window.writeWanted[address];
+  if (!wanted || Number(value) !== Number(wanted.value)) return;
+  delete window.writeWanted[address];
+  if (window.writeStatus[address] === 'failed') delete window.writeStatus[address];
+}
+
+// CSS class for a card whose patch or name write is not confirmed yet
+function writeStateClass(addresses) {
+  const states = addresses.map(a => window.writeStatus[a]);
+  if (states.includes('failed')) return ' write-failed';
+  if (states.includes('pending')) return ' unconfirmed';
+  return '';
+}
+
 // --- Safe defaults / shims for missing globals (prevent page errors) ---
 // Gate the larger compatibility shims behind a dev-only flag so production
 // builds are not polluted. The small, essential stubs used by inline HTML
@@ -128,6 +155,106 @@ function apiUrl(path) {
   return path;
 }
 
+// Operator login: when the server has auth.json, a PIN buys a session token
+// (POST /auth/login). The token is kept per browser, sent as a Bearer header
+// with every request to the server and as ?token= on the WebSocket URL.
+function authToken() {
+  try { return localStorage.getItem('dubswitch_auth_token') || ''; } catch (e) { return ''; }
+}
+
+function setAuthToken(token) {
+  try { if (token) localStorage.setItem('dubswitch_auth_token', token); else localStorage.removeItem('dubswitch_auth_token'); } catch (e) {}
+}
+
+(function addAuthToFetch(){
+  if (!window.fetch || window.fetch._dubswitchAuth) return;
+  const nativeFetch = window.fetch.bind(window);
+  const authFetch = function(input, init) {
+    const token = authToken();
+    if (!token) return nativeFetch(input, init);
+    const opts = Object.assign({}, init || {});
+    const headers = new Headers(opts.headers || (input && input.headers) || undefined);
+    if (!headers.has('Authorization')) headers.set('Authorization', 'Bearer ' + token);
+    opts.headers = headers;
+    return nativeFetch(input, opts);
+  };
+  authFetch._dubswitchAuth = true;
+  window.fetch = authFetch;
+})();
+
+// Role the server gave this client ('viewer' | 'operator' | 'admin')
+window.authInfo = window.authInfo || { enabled: false, role: null, name: null };
+function applyAuthInfo(info) {
+  window.authInfo = Object.assign({ enabled: false, role: null, name: null }, info || {});
+  try {
+    document.body.classList.remove('role-viewer', 'role-operator', 'role-admin');
+    if (window.authInfo.role) document.body.classList.add('role-' + window.authInfo.role);
+  } catch (e) {}
+  const badge = document.getElementById('auth-indicator');
+  if (badge) {
+    badge.style.display = window.authInfo.enabled ? '' : 'none';
+    badge.textContent = window.authInfo.role ? (window.authInfo.name || 'This device') + ' · ' + window.authInfo.role : 'Log in';
+    badge.title = window.authInfo.role ? 'Click to log out or switch user' : 'Log in with your PIN';
+  }
+}
+
+function showLoginDialog(message) {
+  const msg = document.getElementById('loginMessage');
+  if (msg) msg.textContent = message || '';
+  const pin = document.getElementById('loginPin');
+  if (pin) pin.value = '';
+  try { if (window.jQuery) window.jQuery('#loginModal').modal('show'); } catch (e) {}
+  setTimeout(() => { try { if (pin) pin.focus(); } catch (e) {} }, 300);
+}
+
+async function submitLogin() {
+  const pin = (document.getElementById('loginPin') || {}).value || '';
+  const msg = document.getElementById('loginMessage');
+  try {
+    const res = await fetch(apiUrl('/auth/login'), { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ pin }) });
+    const json = await res.json().catch(()=>null);
+    if (!res.ok || !json || !json.ok) throw new Error((json && json.error) || ('HTTP ' + res.status));
+    setAuthToken(json.token);
+    applyAuthInfo({ enabled: true, role: json.role, name: json.name });
+    try { if (window.jQuery) window.jQuery('#loginModal').modal('hide'); } catch (e) {}
+    showToast('Logged in as ' + json.name + ' (' + json.role + ')');
+    reconnectWs();
+  } catch (e) {
+    if (msg) msg.textContent = 'Login failed: ' + (e && e.message ? e.message : 'unknown error');
+  }
+}
+
+async function logout() {
+  try { await fetch(apiUrl('/auth/logout'), { method: 'POST' }); } catch (e) {}
+  setAuthToken('');
+  await checkAuthStatus();
+  reconnectWs();
+}
+
+// Ask the server whether a login is needed before the UI starts talking
+async function checkAuthStatus() {
+  try {
+    const res = await fetch(apiUrl('/auth/status'), { cache: 'no-store' });
+    const json = await res.json().catch(()=>null);
+    if (!json) return;
+    applyAuthInfo(json);
+    if (json.enabled && !json.role) showLoginDialog(authToken() ? 'Your session has expired.' : '');
+  } catch (e) { dbg('auth status failed', e && e.message); }
+}
+
+// Console selection: one server can drive several consoles (e.g. FOH and
+// monitors). The chosen console id is remembered per browser and sent with
+// console-scoped requests (?console=<id>) and on the WebSocket URL.
+window.currentConsoleId = window.currentConsoleId || (function(){
+  try { return localStorage.getItem('dubswitch_console') || 'main'; } catch (e) { return 'main'; }
+})();
+window.consoles = window.consoles || [];
+
+function consoleApiUrl(path) {
+  const u = apiUrl(path);
+  return u + (u.indexOf('?') === -1 ? '?' : '&') + 'console=' + encodeURIComponent(window.currentConsoleId || 'main');
+}
+
 // NOTE: When the user changes the port, the server persists the choice and
 // exits. The UI now shows a blocking dialog and quits the app; the user must
 // relaunch to apply the new port. No automatic restart is attempted.
@@ -249,8 +376,11 @@ function showConfirmExitModal(message, onExit) {
 function setConnectedStatus(x32Ip) {
   try {
     const ip = x32Ip || window.lastX32Ip || '—';
-    const el = document.getElementById('x32-ip-indicator') || window.x32IpIndicator || null;
-    if (el) el.textContent = 'X32: ' + ip;
+    try {
+      const cur = (window.consoles || []).find(c => c.id === window.currentConsoleId);
+      if (cur && x32Ip) cur.ip = x32Ip;
+      renderConsoleSwitcher();
+    } catch (e) {}
     const statusElLocal = document.getElementById('status') || window.statusEl || null;
     // Prefer the last detected non-loopback IP combined with the configured/known port
     let port = '3000';
@@ -293,6 +423,14 @@ window._blockTogglePending = window._blockTogglePending || [false,false,false,fa
 window.channelNames = window.channelNames || {};
 window.channelNamePending = window.channelNamePending || {};
 window.channelColors = window.channelColors || {};
+// User output slots 1..48 (/config/userrout/out/NN) and their A/B matrix
+window.userOutPatches = window.userOutPatches || {};
+window._persistedOutputMatrix = window._persistedOutputMatrix || {};
+// Routing sections (AES50 A/B, card, outputs, P16, aux, inputs) from the
+// server's routing-blocks descriptors, and the last value of each block
+window.routingSections = window.routingSections || [];
+window.routingOptionSets = window.routingOptionSets || {};
+window.sectionRouting = window.sectionRouting || {};
 window.colorMap = window.colorMap || { null: 'transparent' };
 
 // Create legacy bare identifiers many older functions expect (blocks, routingState, etc.)
@@ -358,7 +496,7 @@ var colorMap = window.colorMap || { null: 'transparent' };
                   if (window.electronAPI && window.electronAPI.getServerStatus) {
                     status = await window.electronAPI.getServerStatus();
                   } else {
-                    const r = await fetch(apiUrl('/status'));
+                    const r = await fetch(consoleApiUrl('/status'));
                     if (r.ok) {
                       const js = await r.json().catch(()=>null);
                       status.running = true;
@@ -442,120 +580,135 @@ var colorMap = window.colorMap || { null: 'transparent' };
               updateServerStatusUI();
               setInterval(updateServerStatusUI, 5000);
             } catch (e) {}
+// Bulk apply: the server writes all channels as one transaction and rolls
+// back if any channel is not confirmed; 'bulk_result' reports per channel.
+// side: 'a' or 'b' column of the A/B matrix.
+function matrixValuesForSide(side) {
+  const values = {};
+  for (let ch = 1; ch <= 32; ch++) {
+    const nn = String(ch).padStart(2, '0');
+    let val = null;
+    // Prefer server-persisted numeric value
+    const persisted = (window._persistedMatrix && window._persistedMatrix[nn]) ? window._persistedMatrix[nn] : null;
+    if (persisted && persisted[side] != null && !Number.isNaN(Number(persisted[side]))) {
+      val = Number(persisted[side]);
+    } else {
+      // Fallback: compute from current channelMatrix mapping
+      const mapping = channelMatrix[ch] || { aAction: 'LocalIns', bAction: 'DAW', param: null };
+      val = computeValueForAction(ch, side === 'a' ? mapping.aAction : mapping.bAction, mapping.param);
+    }
+    if (Number.isFinite(val)) values[nn] = val;
+  }
+  return values;
+}
+
+function sendBulkApply(values, label) {
+  if (window._bulkBusy) { showToast('A bulk change is still running'); return; }
+  if (!Object.keys(values).length) { showToast('Nothing to apply'); return; }
+  window._bulkBusy = true;
+  Object.keys(values).forEach(nn => { window.writeStatus[`/config/userrout/in/${nn}`] = 'pending'; });
+  if (typeof renderUserPatches === 'function') renderUserPatches();
+  safeSendWs(JSON.stringify({ type: 'bulk_apply', values, label }));
+}
+
+// Locked channels ('channel_locks' from the server): { 'NN': { by, time } }.
+// The server refuses writes to them and bulk operations skip them.
+function isLocked(nn) {
+  return !!(window.channelLocks && window.channelLocks[nn]);
+}
+
+// ' (locked, skipped: 05, 07)' for results that left channels out
+function skippedNote(skipped) {
+  return (skipped && skipped.length) ? ` (locked, skipped: ${skipped.join(', ')})` : '';
+}
+
+// Handle the server's 'bulk_result' for a bulk_apply sent by this client
+function handleBulkResult(data) {
+  window._bulkBusy = false;
+  const channels = data.channels || {};
+  Object.keys(window.writeStatus).forEach(addr => {
+    const m = addr.match(/^\/config\/userrout\/in\/(\d{2})$/);
+    if (!m || window.writeStatus[addr] !== 'pending') return;
+    const entry = channels[m[1]];
+    if (entry && entry.status === 'failed') window.writeStatus[addr] = 'failed';
+    else delete window.writeStatus[addr];
+  });
+  if (typeof renderUserPatches === 'function') renderUserPatches();
+  const what = data.label || 'Bulk change';
+  if (data.error) { showToast(`${what} failed: ${data.error}`, 5000); return; }
+  const failed = Object.keys(channels).filter(nn => channels[nn].status === 'failed');
+  if (!data.ok) {
+    const restored = data.rolledBack ? 'all channels restored' : 'rollback incomplete — check the console';
+    showToast(`${what} failed on ch ${failed.join(', ')}; ${restored}`, 6000);
+    return;
+  }
+  const changed = Object.keys(channels).filter(nn => channels[nn].status === 'confirmed');
+  if (!changed.length) { showToast(`${what}: nothing changed${skippedNote(data.skipped)}`, data.skipped && data.skipped.length ? 5000 : 1800); return; }
+  const message = `${what}: ${changed.length} channel${changed.length === 1 ? '' : 's'} switched${skippedNote(data.skipped)}`;
+  if (!data.historyId) { showToast(message, 5000); return; }
+  // Undo goes through the shared history so every client sees it
+  showToast(message, 5000, 'Undo', () => sendHistoryStep('undo', data.historyId));
+}
+
+// Ask the server to undo/redo; `id` guards against stepping past a change
+// another client made in the meantime.
+function sendHistoryStep(direction, id) {
+  window._historyBusy = true;
+  try { renderHistoryPanel(); } catch (e) {}
+  safeSendWs(JSON.stringify({ type: 'history_' + direction, id }));
+}
+
+// History tab: newest first, undone entries greyed out
+function renderHistoryPanel() {
+  const box = document.getElementById('history-list');
+  const hist = window.routingHistory || { entries: [], canUndo: false, canRedo: false };
+  const entries = hist.entries || [];
+  const busy = !!window._historyBusy;
+  const nextUndo = entries.filter(e => !e.undone).pop();
+  const nextRedo = entries.find(e => e.undone);
+  const undoBtn = document.getElementById('historyUndoBtn');
+  const redoBtn = document.getElementById('historyRedoBtn');
+  if (undoBtn) {
+    undoBtn.disabled = busy || !hist.canUndo || !nextUndo;
+    undoBtn.title = nextUndo ? 'Undo: ' + nextUndo.label : '';
+    undoBtn.onclick = () => { if (nextUndo) sendHistoryStep('undo', nextUndo.id); };
+  }
+  if (redoBtn) {
+    redoBtn.disabled = busy || !hist.canRedo || !nextRedo;
+    redoBtn.title = nextRedo ? 'Redo: ' + nextRedo.label : '';
+    redoBtn.onclick = () => { if (nextRedo) sendHistoryStep('redo', nextRedo.id); };
+  }
+  if (!box) return;
+  box.innerHTML = '';
+  if (!entries.length) {
+    box.innerHTML = '<div class="small-muted">No changes recorded for this console yet.</div>';
+    return;
+  }
+  entries.slice().reverse().forEach(e => {
+    const row = document.createElement('div');
+    row.style.cssText = 'display:flex;align-items:baseline;gap:8px;padding:5px 0;border-bottom:1px solid rgba(255,255,255,0.06)' + (e.undone ? ';opacity:0.45' : '');
+    const time = document.createElement('span'); time.className = 'small-muted'; time.style.whiteSpace = 'nowrap';
+    time.textContent = new Date(e.time).toLocaleTimeString();
+    const label = document.createElement('span'); label.style.flex = '1';
+    label.textContent = e.label + (e.undone ? ' (undone)' : '');
+    label.title = (e.changes || []).length + ' value(s) changed';
+    const who = document.createElement('span'); who.className = 'small-muted';
+    who.textContent = e.client || '';
+    row.appendChild(time); row.appendChild(label); row.appendChild(who);
+    box.appendChild(row);
+  });
+}
+
 // Apply A mapping to all channels
 function setAllUserPatchesLocal() {
-  try {
-    // Snapshot previous values for undo
-    const snapshot = {};
-    const updates = [];
-    for (let ch = 1; ch <= 32; ch++) {
-      const nn = String(ch).padStart(2, '0');
-      const prev = window.userPatches && window.userPatches[ch];
-      snapshot[nn] = (prev != null && Number.isFinite(Number(prev))) ? Number(prev) : null;
-    }
-    for (let ch = 1; ch <= 32; ch++) {
-      const nn = String(ch).padStart(2, '0');
-      let aVal = null;
-      // Prefer server-persisted numeric A value
-      const persisted = (window._persistedMatrix && window._persistedMatrix[nn]) ? window._persistedMatrix[nn] : null;
-      if (persisted && persisted.a != null && !Number.isNaN(Number(persisted.a))) {
-        aVal = Number(persisted.a);
-      } else {
-        // Fallback: compute from current channelMatrix mapping
-        const mapping = channelMatrix[ch] || { aAction: 'LocalIns', param: null };
-        aVal = computeValueForAction(ch, mapping.aAction, mapping.param);
-      }
-      if (Number.isFinite(aVal)) {
-        window.userPatches[ch] = aVal;
-        updates.push({ nn, val: aVal });
-      }
-    }
-    // Push undo snapshot
-    try { pushMatrixUndo(snapshot); } catch (e) {}
-    // Send CLP updates
-    for (const u of updates) {
-      safeSendWs(JSON.stringify({ type: 'clp', address: `/config/userrout/in/${u.nn}`, args: [u.val] }));
-    }
-    if (typeof renderUserPatches === 'function') renderUserPatches();
-    showToast('Applied A mapping to all channels', 5000, 'Undo', () => {
-      try {
-        const prev = popMatrixUndo();
-        if (!prev) { showToast('Nothing to undo'); return; }
-        const undos = [];
-        for (let ch = 1; ch <= 32; ch++) {
-          const nn = String(ch).padStart(2, '0');
-          const v = prev[nn];
-          if (v != null && Number.isFinite(Number(v))) {
-            window.userPatches[ch] = Number(v);
-            undos.push({ nn, val: Number(v) });
-          }
-        }
-        for (const u of undos) {
-          safeSendWs(JSON.stringify({ type: 'clp', address: `/config/userrout/in/${u.nn}`, args: [u.val] }));
-        }
-        if (typeof renderUserPatches === 'function') renderUserPatches();
-        showToast('Undo applied');
-      } catch (e) { console.error('Undo failed', e); showToast('Undo failed'); }
-    });
-  } catch (e) { console.error('setAllUserPatchesLocal failed', e); showToast('Failed to apply A to all'); }
+  try { sendBulkApply(matrixValuesForSide('a'), 'Apply A'); }
+  catch (e) { console.error('setAllUserPatchesLocal failed', e); showToast('Failed to apply A to all'); }
 }
 
 // Apply B mapping to all channels
 function setAllUserPatchesCard() {
-  try {
-    // Snapshot previous values for undo
-    const snapshot = {};
-    const updates = [];
-    for (let ch = 1; ch <= 32; ch++) {
-      const nn = String(ch).padStart(2, '0');
-      const prev = window.userPatches && window.userPatches[ch];
-      snapshot[nn] = (prev != null && Number.isFinite(Number(prev))) ? Number(prev) : null;
-    }
-    for (let ch = 1; ch <= 32; ch++) {
-      const nn = String(ch).padStart(2, '0');
-      let bVal = null;
-      // Prefer server-persisted numeric B value
-      const persisted = (window._persistedMatrix && window._persistedMatrix[nn]) ? window._persistedMatrix[nn] : null;
-      if (persisted && persisted.b != null && !Number.isNaN(Number(persisted.b))) {
-        bVal = Number(persisted.b);
-      } else {
-        // Fallback: compute from current channelMatrix mapping
-        const mapping = channelMatrix[ch] || { bAction: 'DAW', param: null };
-        bVal = computeValueForAction(ch, mapping.bAction, mapping.param);
-      }
-      if (Number.isFinite(bVal)) {
-        window.userPatches[ch] = bVal;
-        updates.push({ nn, val: bVal });
-      }
-    }
-    // Push undo snapshot
-    try { pushMatrixUndo(snapshot); } catch (e) {}
-    // Send CLP updates
-    for (const u of updates) {
-      safeSendWs(JSON.stringify({ type: 'clp', address: `/config/userrout/in/${u.nn}`, args: [u.val] }));
-    }
-    if (typeof renderUserPatches === 'function') renderUserPatches();
-    showToast('Applied B mapping to all channels', 5000, 'Undo', () => {
-      try {
-        const prev = popMatrixUndo();
-        if (!prev) { showToast('Nothing to undo'); return; }
-        const undos = [];
-        for (let ch = 1; ch <= 32; ch++) {
-          const nn = String(ch).padStart(2, '0');
-          const v = prev[nn];
-          if (v != null && Number.isFinite(Number(v))) {
-            window.userPatches[ch] = Number(v);
-            undos.push({ nn, val: Number(v) });
-          }
-        }
-        for (const u of undos) {
-          safeSendWs(JSON.stringify({ type: 'clp', address: `/config/userrout/in/${u.nn}`, args: [u.val] }));
-        }
-        if (typeof renderUserPatches === 'function') renderUserPatches();
-        showToast('Undo applied');
-      } catch (e) { console.error('Undo failed', e); showToast('Undo failed'); }
-    });
-  } catch (e) { console.error('setAllUserPatchesCard failed', e); showToast('Failed to apply B to all'); }
+  try { sendBulkApply(matrixValuesForSide('b'), 'Apply B'); }
+  catch (e) { console.error('setAllUserPatchesCard failed', e); showToast('Failed to apply B to all'); }
 }
 
 // Dev-only larger shims: populate sensible defaults for local dev/testing
@@ -597,8 +750,8 @@ function computeValueForAction(ch, action, param) {
     const n = Number(ch);
     if (!action) return null;
     const a = String(action).toLowerCase();
-    if (a === 'localins' || a === 'local') return n; // direct channel
-    if (a === 'daw' || a === 'card') return 128 + n; // DAW mapping (example)
+    if (a === 'localins' || a === 'local') return sourceCode('local', n);
+    if (a === 'daw' || a === 'card') return sourceCode('card', n);
     if (a === 'userins') {
       const blockIdx = Math.floor((n - 1) / 8);
       const blk = (window.blocks && window.blocks[blockIdx]) || null;
@@ -615,17 +768,188 @@ function computeValueForAction(ch, action, param) {
 }
 // --- end additional stubs ---
 
+// Source code catalogue served by /api/sources (sources.js on the server):
+// { groups: [{ id, label, first, count, color, outputOnly }],
+//   sources: [{ value, group, index, label, color, outputOnly }, ...] }
+// Every source label, select list and colour in the UI comes from it.
+window.sourceCatalogue = window.sourceCatalogue || null;
+
+function sourceInfo(raw) {
+  const n = Number(raw);
+  if (raw == null || raw === '' || !Number.isInteger(n) || !window.sourceCatalogue) return null;
+  return window.sourceCatalogue.sources[n] || null;
+}
+
+// Code for the n-th source of a catalogue group (sourceCode('card', 5) === 133)
+function sourceCode(groupId, index) {
+  const groups = (window.sourceCatalogue && window.sourceCatalogue.groups) || [];
+  const g = groups.find(x => x.id === groupId);
+  const n = Number(index);
+  if (!g || !Number.isInteger(n) || n < 1 || n > g.count) return null;
+  return g.first + n - 1;
+}
+
 // Human-friendly source label for numeric values used across the UI
 function prettySourceLabel(raw) {
+  const src = sourceInfo(raw);
+  if (src) return src.label;
+  return (raw == null || raw === '') ? '—' : String(raw);
+}
+
+function sourceColor(raw) {
+  const src = sourceInfo(raw);
+  return src ? src.color : '#adff2f';
+}
+
+// <option> list of catalogue sources; outputs: include output-only codes
+function sourceOptions(selected, outputs) {
+  const hasSel = selected != null && selected !== '';
+  let opts = `<option value=""${hasSel ? '' : ' selected'}>—</option>`;
+  const sources = (window.sourceCatalogue && window.sourceCatalogue.sources) || [];
+  sources.forEach(src => {
+    if (!src || (src.outputOnly && !outputs)) return;
+    opts += `<option value="${src.value}"${hasSel && Number(selected) === src.value ? ' selected' : ''}>${src.label}</option>`;
+  });
+  if (hasSel && !sourceInfo(selected)) opts += `<option value="${selected}" selected>${String(selected)}</option>`;
+  return opts;
+}
+
+// X32 channel colour palette served by /api/colors (colors.js on the
+// server): [{ value, id, label, color, inverted }] for 0-15. colorMap
+// (value -> CSS colour) is filled from it for older renderers.
+window.colorPalette = window.colorPalette || null;
+
+function colorInfo(raw) {
+  const n = Number(raw);
+  if (raw == null || raw === '' || !Number.isInteger(n) || !window.colorPalette) return null;
+  return window.colorPalette[n] || null;
+}
+
+async function loadColorPalette() {
+  try {
+    const resp = await fetch('/api/colors');
+    if (!resp || !resp.ok) return;
+    const j = await resp.json().catch(()=>null);
+    if (!j || !Array.isArray(j.colors)) return;
+    window.colorPalette = j.colors;
+    window.colorMap = { null: 'transparent' };
+    j.colors.forEach(c => { window.colorMap[c.value] = c.color; });
+  } catch (e) { return; }
+  try { renderUserPatches(); } catch (e) {}
+}
+
+// Read-back value of a failed write, labelled like the card would show it
+function prettyWriteValue(result) {
+  if (/\/config\/color$/.test(result.address)) { const c = colorInfo(result.actual); return c ? c.label : String(result.actual); }
+  return /^\/config\/userrout\//.test(result.address) ? prettySourceLabel(result.actual) : String(result.actual);
+}
+
+async function loadSourceCatalogue() {
+  try {
+    const resp = await fetch('/api/sources');
+    if (!resp || !resp.ok) return;
+    const j = await resp.json().catch(()=>null);
+    if (!j || !Array.isArray(j.sources)) return;
+    window.sourceCatalogue = j;
+  } catch (e) { return; }
+  try { renderUserPatches(); } catch (e) {}
+  try { renderUserOutputs(); } catch (e) {}
+  try { renderStaticMatrixTable(); } catch (e) {}
+  try { renderOutputMatrixTable(); } catch (e) {}
+  try { renderPresetsList(); } catch (e) {}
+}
+
+// Output card grid, like renderUserPatches() for inputs. A click switches
+// the slot between its A and B source; slots without both values in the
+// output matrix are shown dimmed and only explain where to set them.
+function renderUserOutputs() {
+  const container = document.getElementById('useroutput-container');
+  if (!container) return;
+  const outs = window.userOutPatches || {};
+  const matrix = window._persistedOutputMatrix || {};
+  let html = '';
+  for (let slot = 1; slot <= 48; slot++) {
+    const nn = String(slot).padStart(2, '0');
+    const row = matrix[nn] || {};
+    const cur = outs[slot];
+    const mapped = row.a != null && row.b != null;
+    const side = !mapped || cur == null ? '' : (Number(cur) === Number(row.a) ? 'A' : (Number(cur) === Number(row.b) ? 'B' : '?'));
+    html += `
+      <div id="out-card-${nn}" class="channel-card card output-card${mapped ? '' : ' unmapped'}${writeStateClass([`/config/userrout/out/${nn}`])}">
+        <div id="out-led-${nn}" class="led-top"></div>
+        <div class="channel-top"><div class="up-num">Out ${nn}</div><div class="small-muted" id="out-side-${nn}">${side}</div></div>
+        <div id="out-btn-${nn}" class="channel-btn card-body">
+          <div class="up-type" style="font-size:0.85em;color:${sourceColor(cur)}">${cur == null ? 'Loading…' : prettySourceLabel(cur)}</div>
+        </div>
+      </div>`;
+  }
+  container.innerHTML = html;
+  for (let slot = 1; slot <= 48; slot++) {
+    const nn = String(slot).padStart(2, '0');
+    const row = matrix[nn] || {};
+    const led = document.getElementById(`out-led-${nn}`);
+    const sideText = (document.getElementById(`out-side-${nn}`) || {}).textContent;
+    if (led) led.style.background = sideText === 'A' ? '#39e639' : (sideText === 'B' ? '#0074D9' : '#333');
+    const btn = document.getElementById(`out-btn-${nn}`);
+    if (!btn) continue;
+    btn.onclick = () => {
+      if (row.a == null || row.b == null) { showToast(`Set A and B for output ${nn} in Settings → Matrix`); return; }
+      const cur = window.userOutPatches[slot];
+      const target = (cur != null && Number(cur) === Number(row.a)) ? Number(row.b) : Number(row.a);
+      window.userOutPatches[slot] = target;
+      sendVerifiedWrite(`/config/userrout/out/${nn}`, target);
+      renderUserOutputs();
+    };
+  }
+}
+
+// Settings -> Matrix: A/B selects for the 48 output slots. Any change posts
+// the full output matrix; the server broadcasts 'output_matrix_update'.
+function renderOutputMatrixTable() {
+  const container = document.getElementById('output-matrix-table-container');
+  if (!container) return;
+  const matrix = window._persistedOutputMatrix || {};
+  let html = `<div class="table-responsive matrix-table-wrap"><table class="table table-sm"><thead><tr><th>Out</th><th>A</th><th>B</th></tr></thead><tbody>`;
+  for (let slot = 1; slot <= 48; slot++) {
+    const nn = String(slot).padStart(2, '0');
+    const row = matrix[nn] || {};
+    html += `<tr><td class="matrix-ch-number">${nn}</td>`;
+    html += `<td><select class="form-control form-control-sm output-matrix-a" data-slot="${nn}">${sourceOptions(row.a, true)}</select></td>`;
+    html += `<td><select class="form-control form-control-sm output-matrix-b" data-slot="${nn}">${sourceOptions(row.b, true)}</select></td></tr>`;
+  }
+  html += `</tbody></table></div>`;
+  container.innerHTML = html;
+  let debounce = null;
+  container.querySelectorAll('select').forEach(sel => {
+    sel.addEventListener('change', () => {
+      clearTimeout(debounce);
+      debounce = setTimeout(async () => {
+        const body = {};
+        for (let slot = 1; slot <= 48; slot++) {
+          const nn = String(slot).padStart(2, '0');
+          const a = container.querySelector(`.output-matrix-a[data-slot="${nn}"]`);
+          const b = container.querySelector(`.output-matrix-b[data-slot="${nn}"]`);
+          body[nn] = { a: a && a.value !== '' ? Number(a.value) : null, b: b && b.value !== '' ? Number(b.value) : null };
+        }
+        try {
+          const r = await fetch(consoleApiUrl('/set-output-matrix'), { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+          const j = await r.json().catch(()=>null);
+          if (!r.ok || !j || !j.ok) throw new Error((j && j.error) || ('HTTP ' + r.status));
+          window._persistedOutputMatrix = j.matrix || body;
+          renderUserOutputs();
+        } catch (e) { showToast('Failed to save output matrix: ' + (e && e.message ? e.message : 'network error')); }
+      }, 300);
+    });
+  });
+}
+
+async function loadOutputMatrix() {
   try {
-    const n = Number(raw);
-    if (!Number.isFinite(n)) return String(raw || 'Other');
-    if (n >= 129 && n <= 160) return `DAW(${String(n - 128)})`;
-    if (n >= 81 && n <= 128) return `AES50B(${String(n - 80)})`;
-    if (n >= 33 && n <= 80) return `AES50A(${String(n - 32)})`;
-    if (n >= 1 && n <= 32) return `Local(${String(n)})`;
-    return String(n);
-  } catch (e) { return String(raw); }
+    const resp = await fetch(consoleApiUrl('/get-output-matrix'));
+    if (resp && resp.ok) { const j = await resp.json().catch(()=>null); if (j && j.matrix) window._persistedOutputMatrix = j.matrix; }
+  } catch (e) {}
+  try { renderOutputMatrixTable(); } catch (e) {}
+  try { renderUserOutputs(); } catch (e) {}
 }
 
 // Refresh user patches UI — small wrapper used by some code paths.
@@ -651,6 +975,10 @@ function createWs(url) {
       window.ws.close();
     }
   } catch (e) { /* ignore */ }
+  // Watch the selected console (the server falls back to 'main')
+  if (url.indexOf('console=') === -1) url = url.replace(/\/$/, '') + '/?console=' + encodeURIComponent(window.currentConsoleId || 'main');
+  window._wsBaseUrl = url;
+  if (authToken()) url += '&token=' + encodeURIComponent(authToken());
   dbg('WS creating with URL:', url);
   window.ws = new WebSocket(url);
   window.ws.onopen = () => {
@@ -678,9 +1006,17 @@ function createWs(url) {
       }
     } catch (e) { console.warn('initial WS queries failed', e); }
   };
-  window.ws.onclose = () => {
-    dbg('WS closed. readyState=', window.ws && window.ws.readyState);
+  window.ws.onclose = (ev) => {
+    dbg('WS closed. code=', ev && ev.code, 'readyState=', window.ws && window.ws.readyState);
     x32Connected = false;
+    // A bulk_result can't arrive on a closed socket
+    window._bulkBusy = false;
+    window._historyBusy = false;
+    if (ev && ev.code === 4401) {
+      statusEl.textContent = 'Status: Login required';
+      showLoginDialog();
+      return;
+    }
     showConnectDialog();
     statusEl.textContent = 'Status: Disconnected';
   };
@@ -697,6 +1033,12 @@ function createWs(url) {
   };
 }
 
+// Reconnect with the current login token (after logging in or out)
+function reconnectWs() {
+  if (!window._wsBaseUrl) return;
+  createWs(window._wsBaseUrl.replace(/[?&]console=[^&]*/, '').replace(/\/$/, ''));
+}
+
 // Fallback boot: if this script was injected after DOMContentLoaded fired,
 // our DOMContentLoaded handlers won't run. In that case, proactively compute
 // the WS URL and start the connection now. Also do nothing if a WS is already open/connecting.
@@ -729,16 +1071,6 @@ function renderStaticMatrixTable() {
   // If the app has enumerate results, offer them as options in the selects
   const enumMap = (window.enumerateResults && window.enumerateResults.userPatches) ? window.enumerateResults.userPatches : null;
   function makeOptions(baseOptions, selectedVal) {
-    // Helper to render numeric values as friendly labels
-    function prettyValLabel(raw) {
-      const n = Number(raw);
-      if (!Number.isFinite(n)) return String(raw);
-      if (n >= 129 && n <= 160) return `DAW(${String(n - 128)})`;
-      if (n >= 81 && n <= 128) return `AES50B(${String(n - 80)})`;
-      if (n >= 33 && n <= 80) return `AES50A(${String(n - 32)})`;
-      if (n >= 1 && n <= 32) return `Local(${String(n)})`;
-      return String(n);
-    }
     // Build ordered map of value -> display label to avoid duplicate entries
     const entries = [];
     const seen = new Set();
@@ -756,13 +1088,9 @@ function renderStaticMatrixTable() {
       if (lc === 'daw' || lc === 'localins' || lc === 'local' || lc === 'userins') continue;
       pushEntry(o, String(o));
     }
-  // numeric LocalIns, AES50A, AES50B, then DAW
-  for (let ch = 1; ch <= 32; ch++) pushEntry(String(ch), `Local(${String(ch)})`);
-  // AES50A: 33..80 -> AES50A(1..48)
-  for (let ch = 1; ch <= 48; ch++) pushEntry(String(32 + ch), `AES50A(${String(ch)})`);
-  // AES50B: 81..128 -> AES50B(1..48)
-  for (let ch = 1; ch <= 48; ch++) pushEntry(String(80 + ch), `AES50B(${String(ch)})`);
-  for (let ch = 1; ch <= 32; ch++) pushEntry(String(128 + ch), `DAW(${String(ch)})`);
+    // every input source from the catalogue, in code order
+    const sources = (window.sourceCatalogue && window.sourceCatalogue.sources) || [];
+    sources.forEach(src => { if (src && !src.outputOnly) pushEntry(String(src.value), src.label); });
     // enumerated entries: prefer their label, but show pretty mapping too
     if (enumMap) {
       const keys = Object.keys(enumMap).sort((a,b)=>Number(a)-Number(b));
@@ -770,7 +1098,7 @@ function renderStaticMatrixTable() {
         const entry = enumMap[ch] || {};
         const val = (entry.value != null) ? String(entry.value) : '';
         const lbl = entry.label ? String(entry.label) : `Ch ${ch}`;
-        const pretty = (val && !isNaN(Number(val))) ? prettyValLabel(val) : `${lbl} (${val})`;
+        const pretty = (val && !isNaN(Number(val))) ? prettySourceLabel(val) : `${lbl} (${val})`;
         let displayLabel = `${lbl} — ${pretty}`;
         try {
           const l = (lbl || '').toString().trim().toLowerCase();
@@ -798,7 +1126,7 @@ function renderStaticMatrixTable() {
     // If selectedVal wasn't found in entries, prepend a fallback option
     try {
       if (selectedVal != null && !seen.has(String(selectedVal))) {
-        const pretty = (!isNaN(Number(selectedVal))) ? prettyValLabel(selectedVal) : String(selectedVal);
+        const pretty = (!isNaN(Number(selectedVal))) ? prettySourceLabel(selectedVal) : String(selectedVal);
         opts = `<option value="${String(selectedVal)}" selected>${pretty}</option>` + opts;
       }
     } catch (e) {}
@@ -813,10 +1141,7 @@ function renderStaticMatrixTable() {
     <div class="small-muted">Quick set for column B:</div>
     <select id="matrix-b-bulk-select" class="form-control form-control-sm" style="width:160px">
       <option value="">-- Select --</option>
-      <option value="local">Local</option>
-      <option value="daw">DAW</option>
-      <option value="aes50a">AES50A</option>
-      <option value="aes50b">AES50B</option>
+      ${((window.sourceCatalogue && window.sourceCatalogue.groups) || []).filter(g => !g.outputOnly && g.count >= 32).map(g => `<option value="${g.id}">${g.label}</option>`).join('')}
     </select>
     <button id="matrix-b-bulk-apply" class="btn btn-sm btn-primary">Apply to all B</button>
   </div>`;
@@ -840,14 +1165,10 @@ function renderStaticMatrixTable() {
   if (bPersist != null) {
     enumValB = bPersist;
   } else if (enumVal != null && !isNaN(Number(enumVal))) {
-    const aval = Number(enumVal);
-    if (aval >= 129 && aval <= 160) {
-      // A is DAW -> B should be LocalIns (1..32)
-      enumValB = String(aval - 128);
-    } else if (aval >= 1 && aval <= 32) {
-      // A is LocalIns -> B should be DAW (129..160)
-      enumValB = String(128 + aval);
-    }
+    const src = sourceInfo(enumVal);
+    // A is Card -> B is the Local input with the same number, and vice versa
+    const other = src && src.group === 'card' ? sourceCode('local', src.index) : (src && src.group === 'local' ? sourceCode('card', src.index) : null);
+    if (other != null) enumValB = String(other);
   }
   html += `<td><select class="form-control form-control-sm matrix-select-a" data-ch="${nn}">` + makeOptions(['LocalIns','DAW','UserIns'], enumVal) + `</select></td>`;
   html += `<td><select class="form-control form-control-sm matrix-select-b" data-ch="${nn}">` + makeOptions(['DAW','LocalIns','UserIns'], enumValB) + `</select></td>`;
@@ -881,7 +1202,7 @@ function renderStaticMatrixTable() {
         awaitingMatrixBroadcast = true;
         const payload = JSON.stringify(body);
         console.debug('[UI] Sending matrix payload', body);
-  fetch(apiUrl('/set-channel-matrix'), { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: payload })
+  fetch(consoleApiUrl('/set-channel-matrix'), { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: payload })
           .then(async (r) => {
             if (!r.ok) {
               // try to read response body for a helpful message
@@ -923,11 +1244,9 @@ function renderStaticMatrixTable() {
             const bEl = document.querySelector(`.matrix-select-b[data-ch="${ch}"]`);
             // Only auto-set B when server doesn't already have a stored value for B
             if (bEl && (!persistedRow || persistedRow.b == null)) {
-              if (!isNaN(Number(aVal))) {
-                const n = Number(aVal);
-                let newB = null;
-                if (n >= 129 && n <= 160) newB = String(n - 128);
-                else if (n >= 1 && n <= 32) newB = String(128 + n);
+              const src = sourceInfo(aVal);
+              if (src) {
+                const newB = src.group === 'card' ? sourceCode('local', src.index) : (src.group === 'local' ? sourceCode('card', src.index) : null);
                 if (newB != null) {
                   // set value if different
                   if (bEl.value !== String(newB)) bEl.value = String(newB);
@@ -952,7 +1271,8 @@ function renderStaticMatrixTable() {
           const val = bulkSelect.value;
           if (!val) { showToast('Select a source to apply'); return; }
           // Confirm with the user
-          const human = (val === 'local') ? 'Local' : (val === 'daw' ? 'DAW' : (val === 'aes50a' ? 'AES50A' : 'AES50B'));
+          const group = ((window.sourceCatalogue && window.sourceCatalogue.groups) || []).find(g => g.id === val);
+          const human = group ? group.label : val;
           // Use Bootstrap modal for confirmation
           try {
             const modalText = document.getElementById('bulkApplyConfirmText');
@@ -983,11 +1303,8 @@ function renderStaticMatrixTable() {
                     const nn = String(ch).padStart(2, '0');
                     const bEl = document.querySelector(`.matrix-select-b[data-ch="${nn}"]`);
                     if (!bEl) continue;
-                    let setVal = '';
-                    if (val === 'local') setVal = String(ch);
-                    else if (val === 'daw') setVal = String(128 + ch);
-                    else if (val === 'aes50a') setVal = String(32 + ch);
-                    else if (val === 'aes50b') setVal = String(80 + ch);
+                    const code = sourceCode(val, ch);
+                    const setVal = code != null ? String(code) : '';
                     if (bEl.value !== setVal) {
                       bEl.value = setVal;
                       bEl.dispatchEvent(new Event('change', { bubbles: true }));
@@ -1032,16 +1349,19 @@ function renderStaticMatrixTable() {
 // Ensure Matrix table renders even if this script loads after DOMContentLoaded
 (function ensureMatrixRenderedEarly(){
   async function bootMatrixOnce(){
+    loadSourceCatalogue();
+    loadColorPalette();
+    loadOutputMatrix();
     try {
       // Load persisted matrix once so B defaults are restored
       try {
-        const resp = await fetch(apiUrl('/get-matrix'));
+        const resp = await fetch(consoleApiUrl('/get-matrix'));
         if (resp && resp.ok) { const j = await resp.json().catch(()=>null); if (j && j.matrix) window._persistedMatrix = j.matrix; }
       } catch (e) {}
       // Preload enumerate results so A column can preselect known sources
       try {
         if (!window.enumerateResults) {
-          const r = await fetch(apiUrl('/enumerate-sources'));
+          const r = await fetch(consoleApiUrl('/enumerate-sources'));
           if (r && r.ok) { const j = await r.json().catch(()=>null); if (j) window.enumerateResults = j; }
         }
       } catch (e) {}
@@ -1061,7 +1381,7 @@ window.addEventListener('DOMContentLoaded', async ()=>{
   try {
     // Try to load server-persisted matrix so column B values are restored after restart
     try {
-      const resp = await fetch(apiUrl('/get-matrix'));
+      const resp = await fetch(consoleApiUrl('/get-matrix'));
       if (resp && resp.ok) {
         const j = await resp.json();
         if (j && j.matrix) window._persistedMatrix = j.matrix;
@@ -1075,7 +1395,7 @@ window.addEventListener('DOMContentLoaded', async ()=>{
 window.addEventListener('DOMContentLoaded', async ()=>{
   try {
     if (!window.enumerateResults) {
-  const resp = await fetch(apiUrl('/enumerate-sources'));
+  const resp = await fetch(consoleApiUrl('/enumerate-sources'));
       if (resp && resp.ok) {
         const json = await resp.json();
         if (json) {
@@ -1098,8 +1418,8 @@ async function fetchDiagnostics() {
     if (outMatrix) outMatrix.textContent = 'Loading...';
     // Fetch both in parallel
     const [sRes, mRes] = await Promise.allSettled([
-      fetch(apiUrl('/status')),
-      fetch(apiUrl('/troubleshoot/matrix-file'))
+      fetch(consoleApiUrl('/status')),
+      fetch(consoleApiUrl('/troubleshoot/matrix-file'))
     ]);
     if (sRes.status === 'fulfilled') {
       try {
@@ -1169,7 +1489,7 @@ async function pollStatusForHeader() {
     let resp;
     let j = null;
     try {
-      resp = await fetch(apiUrl('/status'));
+      resp = await fetch(consoleApiUrl('/status'));
       if (resp && resp.ok) j = await resp.json().catch(()=>null);
       dbg('/status primary origin OK:', !!(resp && resp.ok));
     } catch (e) {
@@ -1223,9 +1543,12 @@ async function pollStatusForHeader() {
         return;
       }
     }
-    // Update X32 indicator
-    const ipEl = document.getElementById('x32-ip-indicator');
-    if (ipEl) ipEl.textContent = 'X32: ' + (j && j.x32Ip ? j.x32Ip : '—');
+    // Update X32 indicator / console switcher
+    window.emulatorActive = !!(j && j.emulator);
+    if (j && Array.isArray(j.consoles)) window.consoles = j.consoles;
+    try { renderConsoleSwitcher(); } catch (e) {}
+    // Reflect emulator mode in Settings -> IP
+    try { const emuToggle = document.getElementById('emulatorToggle'); if (emuToggle && !emuToggle.disabled) emuToggle.checked = window.emulatorActive; } catch (e) {}
     // Update local server address shown in header (Local: ip:port)
     const statusEl = document.getElementById('status');
     try {
@@ -1347,9 +1670,9 @@ window.addEventListener('DOMContentLoaded', ()=>{
       // reliable timing; otherwise use click as a fallback.
       try {
         if (window.jQuery && window.jQuery(routingTab).on) {
-          window.jQuery(routingTab).on('shown.bs.tab', function(){ try { renderRoutingTable(); } catch (e) {} });
+          window.jQuery(routingTab).on('shown.bs.tab', function(){ try { renderRoutingTable(); renderRoutingSections(); } catch (e) {} });
         } else {
-          routingTab.addEventListener('click', ()=>{ try { renderRoutingTable(); } catch (e) {} });
+          routingTab.addEventListener('click', ()=>{ try { renderRoutingTable(); renderRoutingSections(); } catch (e) {} });
         }
       } catch (e) {}
     }
@@ -1378,20 +1701,223 @@ window.addEventListener('DOMContentLoaded', ()=>{
         autodBtn.onclick = async () => {
           try {
             autodBtn.disabled = true;
-            const res = await fetch(apiUrl('/autodiscover-x32'));
+            const box = document.getElementById('discovered-consoles');
+            if (box) box.innerHTML = '<div class="small-muted">Searching on every network…</div>';
+            const res = await fetch(consoleApiUrl('/autodiscover-x32'));
             const json = await res.json();
-            if (json && json.ip) {
-              const ipEl = document.getElementById('x32IpInput'); if (ipEl) ipEl.value = json.ip;
-              // Notify server of chosen IP
-              safeSendWs(JSON.stringify({ type: 'set_x32_ip', ip: json.ip }));
-              showToast('X32 discovered: ' + json.ip);
-            } else {
-              showToast('No X32 discovered');
-            }
+            window.discoveredConsoles = (json && json.consoles) || [];
+            renderDiscoveredConsoles();
+            fillSweepRange(json && json.interfaces);
+            const count = window.discoveredConsoles.length;
+            showToast(count ? `Found ${count} console${count === 1 ? '' : 's'} — pick one below` : 'No X32 discovered — try a sweep');
           } catch (e) { console.error('autodiscover failed', e); showToast('Autodiscover failed'); }
           finally { try { autodBtn.disabled = false; } catch (e){} }
         };
       }
+      // Unicast sweep: progress and results arrive as 'sweep_progress'
+      const sweepBtn = document.getElementById('sweepBtn');
+      if (sweepBtn) {
+        sweepBtn.onclick = async () => {
+          const cidr = (document.getElementById('sweepCidrInput') || {}).value;
+          const rate = Number((document.getElementById('sweepRateInput') || {}).value) || undefined;
+          try {
+            const res = await fetch(apiUrl('/autodiscover-x32/sweep'), { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ cidr, rate }) });
+            const json = await res.json();
+            if (!json.ok) { showToast('Sweep failed: ' + (json.error || res.status)); return; }
+            renderSweep(json.sweep);
+          } catch (e) { console.error('sweep failed', e); showToast('Sweep failed'); }
+        };
+      }
+      const sweepCancelBtn = document.getElementById('sweepCancelBtn');
+      if (sweepCancelBtn) {
+        sweepCancelBtn.onclick = async () => {
+          try {
+            const res = await fetch(apiUrl('/autodiscover-x32/sweep'), { method: 'DELETE' });
+            const json = await res.json();
+            if (json.ok) renderSweep(json.sweep);
+          } catch (e) { console.error('sweep cancel failed', e); }
+        };
+      }
+      // Suggest the first network as the sweep range (admins only)
+      fetch(apiUrl('/autodiscover-x32/sweep')).then(r => r.ok ? r.json() : null).then(json => {
+        if (!json) return;
+        fillSweepRange(json.interfaces);
+        if (json.sweep && json.sweep.state === 'running') renderSweep(json.sweep);
+      }).catch(() => {});
+      // Built-in emulator switch: the server starts/stops the simulated
+      // console and points itself at it (or back to discovery).
+      const emuToggle = document.getElementById('emulatorToggle');
+      if (emuToggle) {
+        emuToggle.onchange = async () => {
+          const enabled = !!emuToggle.checked;
+          try {
+            emuToggle.disabled = true;
+            const res = await fetch(consoleApiUrl('/emulator'), { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ enabled }) });
+            const json = await res.json().catch(()=>null);
+            if (!res.ok || !json || !json.ok) throw new Error((json && json.error) || ('HTTP ' + res.status));
+            window.emulatorActive = !!json.enabled;
+            const ipEl = document.getElementById('x32IpInput'); if (ipEl && json.x32Ip) ipEl.value = json.x32Ip;
+            if (json.enabled) { window.userPatchesPending = true; renderUserPatches(); }
+            showToast(json.enabled ? 'X32 emulator started' : 'X32 emulator stopped — searching for console');
+            try { pollStatusForHeader(); } catch (e) {}
+          } catch (e) {
+            console.error('emulator switch failed', e);
+            emuToggle.checked = !enabled;
+            showToast('Emulator switch failed: ' + (e && e.message ? e.message : 'unknown error'));
+          } finally { emuToggle.disabled = false; }
+        };
+      }
+      // Console switcher in the header: the server answers with
+      // 'console_selected' and the full state of the chosen console.
+      const consoleSelect = document.getElementById('x32-ip-indicator');
+      if (consoleSelect && consoleSelect.tagName === 'SELECT') {
+        consoleSelect.onchange = () => {
+          const id = consoleSelect.value;
+          if (!id || id === window.currentConsoleId) return;
+          safeSendWs(JSON.stringify({ type: 'select_console', console: id }));
+        };
+      }
+      const addConsoleBtn = document.getElementById('addConsoleBtn');
+      if (addConsoleBtn) {
+        addConsoleBtn.onclick = async () => {
+          const labelEl = document.getElementById('newConsoleLabel');
+          const ipEl = document.getElementById('newConsoleIp');
+          const label = (labelEl && labelEl.value || '').trim();
+          const ip = (ipEl && ipEl.value || '').trim();
+          if (!label || !ip) { showToast('Enter a name and an IP address'); return; }
+          try {
+            addConsoleBtn.disabled = true;
+            const res = await fetch(apiUrl('/consoles'), { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ label, ip }) });
+            const json = await res.json().catch(()=>null);
+            if (!res.ok || !json || !json.ok) throw new Error((json && json.error) || ('HTTP ' + res.status));
+            labelEl.value = ''; ipEl.value = '';
+            showToast('Console added: ' + json.console.label);
+          } catch (e) {
+            showToast('Add console failed: ' + (e && e.message ? e.message : 'unknown error'));
+          } finally { addConsoleBtn.disabled = false; }
+        };
+      }
+      try { renderConsoleList(); } catch (e) {}
+      const savePresetBtn = document.getElementById('savePresetBtn');
+      if (savePresetBtn) {
+        savePresetBtn.onclick = () => {
+          const nameEl = document.getElementById('newPresetName');
+          const name = (nameEl && nameEl.value || '').trim();
+          if (!name) { showToast('Enter a preset name first'); return; }
+          window._presetBusy = true;
+          try { renderPresetsList(); } catch (e) {}
+          safeSendWs(JSON.stringify({ type: 'create_preset', name }));
+          nameEl.value = '';
+        };
+      }
+      try { renderPresetsList(); } catch (e) {}
+      const createGroupBtn = document.getElementById('createGroupBtn');
+      if (createGroupBtn) {
+        createGroupBtn.onclick = () => {
+          const nameEl = document.getElementById('newGroupName');
+          const channelsEl = document.getElementById('newGroupChannels');
+          const name = (nameEl && nameEl.value || '').trim();
+          const channels = (channelsEl && channelsEl.value || '').trim();
+          if (!name || !channels) { showToast('Enter a group name and its channels first'); return; }
+          window._groupBusy = true;
+          try { renderGroupsList(); } catch (e) {}
+          safeSendWs(JSON.stringify({ type: 'create_group', name, channels }));
+          nameEl.value = ''; channelsEl.value = '';
+        };
+      }
+      try { renderGroupsList(); } catch (e) {}
+      const saveSafeSwitchBtn = document.getElementById('saveSafeSwitchBtn');
+      if (saveSafeSwitchBtn) {
+        saveSafeSwitchBtn.onclick = () => {
+          const value = id => (document.getElementById(id) || {}).value || '';
+          window._safeSwitchSaving = true;
+          safeSendWs(JSON.stringify({
+            type: 'set_safe_switch',
+            enabled: !!(document.getElementById('safeSwitchEnabled') || {}).checked,
+            settleMs: Number(value('safeSwitchSettle')),
+            always: value('safeSwitchAlways').trim(),
+            never: value('safeSwitchNever').trim()
+          }));
+        };
+      }
+      try { renderHistoryPanel(); } catch (e) {}
+      // Operator login (only shown when the server has auth enabled)
+      const loginBtn = document.getElementById('loginSubmitBtn');
+      if (loginBtn) loginBtn.onclick = () => submitLogin();
+      const loginPin = document.getElementById('loginPin');
+      if (loginPin) loginPin.onkeydown = (ev) => { if (ev.key === 'Enter') { ev.preventDefault(); submitLogin(); } };
+      const authIndicator = document.getElementById('auth-indicator');
+      if (authIndicator) {
+        authIndicator.onclick = () => {
+          if (!window.authInfo.role || !authToken()) { showLoginDialog(); return; }
+          if (confirm('Log out ' + (window.authInfo.name || '') + '?')) logout();
+        };
+      }
+      checkAuthStatus();
+      // Audit journal: download /journal.csv with the optional filters
+      const exportJournalBtn = document.getElementById('exportJournalBtn');
+      if (exportJournalBtn) {
+        exportJournalBtn.onclick = async () => {
+          try {
+            exportJournalBtn.disabled = true;
+            const params = [];
+            const value = id => { const el = document.getElementById(id); return el && el.value ? el.value : ''; };
+            if (value('journalChannel')) params.push('channel=' + encodeURIComponent(value('journalChannel')));
+            if (value('journalFrom')) params.push('from=' + encodeURIComponent(new Date(value('journalFrom')).toISOString()));
+            if (value('journalTo')) params.push('to=' + encodeURIComponent(new Date(value('journalTo')).toISOString()));
+            const res = await fetch(consoleApiUrl('/journal.csv' + (params.length ? '?' + params.join('&') : '')));
+            if (!res.ok) { const json = await res.json().catch(()=>null); throw new Error((json && json.error) || ('HTTP ' + res.status)); }
+            const url = URL.createObjectURL(await res.blob());
+            const a = document.createElement('a');
+            a.href = url; a.download = 'dubswitch-journal-' + (window.currentConsoleId || 'main') + '.csv';
+            document.body.appendChild(a); a.click(); a.remove();
+            URL.revokeObjectURL(url);
+          } catch (e) { showToast('Journal export failed: ' + (e && e.message ? e.message : 'unknown error'), 4000); }
+          finally { exportJournalBtn.disabled = false; }
+        };
+      }
+      // Console snapshot: export downloads the server's JSON file as-is;
+      // import posts a file back and reports values the console did not take.
+      const exportSnapshotBtn = document.getElementById('exportSnapshotBtn');
+      if (exportSnapshotBtn) {
+        exportSnapshotBtn.onclick = async () => {
+          try {
+            exportSnapshotBtn.disabled = true;
+            const res = await fetch(consoleApiUrl('/snapshot'));
+            const json = await res.json().catch(()=>null);
+            if (!res.ok || !json || json.ok === false) throw new Error((json && json.error) || ('HTTP ' + res.status));
+            const blob = new Blob([JSON.stringify(json, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url; a.download = 'dubswitch-snapshot-' + (window.currentConsoleId || 'main') + '-' + json.created.replace(/[:.]/g, '-') + '.json';
+            document.body.appendChild(a); a.click(); a.remove();
+            URL.revokeObjectURL(url);
+            showToast('Snapshot exported');
+          } catch (e) { showToast('Snapshot export failed: ' + (e && e.message ? e.message : 'unknown error'), 4000); }
+          finally { exportSnapshotBtn.disabled = false; }
+        };
+      }
+      const importSnapshotBtn = document.getElementById('importSnapshotBtn');
+      const importSnapshotFile = document.getElementById('importSnapshotFile');
+      if (importSnapshotBtn && importSnapshotFile) {
+        importSnapshotBtn.onclick = () => { importSnapshotFile.value = ''; importSnapshotFile.click(); };
+        importSnapshotFile.onchange = async () => {
+          const file = importSnapshotFile.files && importSnapshotFile.files[0];
+          if (!file) return;
+          try {
+            const snap = JSON.parse(await file.text());
+            const when = snap && snap.created ? new Date(snap.created).toLocaleString() : 'unknown date';
+            if (!confirm('Restore snapshot from ' + when + '? This rewrites the user patch, routing, channel names and colors on the console.')) return;
+            importSnapshotBtn.disabled = true;
+            const res = await fetch(consoleApiUrl('/snapshot'), { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(snap) });
+            const json = await res.json().catch(()=>null);
+            if (!json || (!res.ok && !json.mismatches)) throw new Error((json && json.error) || ('HTTP ' + res.status));
+            if (json.mismatches && json.mismatches.length) showToast('Snapshot restored, but ' + json.mismatches.length + ' value(s) did not read back: ' + json.mismatches.slice(0, 3).join(', ') + skippedNote(json.skipped), 6000);
+            else showToast('Snapshot restored' + skippedNote(json.skipped), json.skipped && json.skipped.length ? 5000 : 1800);
+          } catch (e) { showToast('Snapshot import failed: ' + (e && e.message ? e.message : 'unknown error'), 4000); }
+          finally { importSnapshotBtn.disabled = false; }
+        };
+      }
       const saveBtn = document.getElementById('saveIpBtn');
       if (saveBtn) {
         saveBtn.onclick = () => {
@@ -1471,7 +1997,7 @@ window.addEventListener('DOMContentLoaded', ()=>{
         enumBtn.onclick = async () => {
           try {
             enumBtn.disabled = true; enumBtn.textContent = 'Enumerating…';
-            const resp = await fetch(apiUrl('/enumerate-sources'));
+            const resp = await fetch(consoleApiUrl('/enumerate-sources'));
             const json = await resp.json();
             // Keep a global copy so other UI pieces (matrix) can reuse results
             window.enumerateResults = json || {};
@@ -1531,6 +2057,8 @@ function handleWsMessage(ev) {
     if (data && data.type === 'matrix_update') {
         if (data.matrix) window._persistedMatrix = data.matrix;
         try { renderStaticMatrixTable(); } catch (e) {}
+        // A new A/B pair changes which channels count as drifted
+        try { renderUserPatches(); } catch (e) {}
         try {
           const savedEl = document.getElementById('matrix-saved-indicator');
           if (awaitingMatrixBroadcast && savedEl) {
@@ -1553,6 +2081,22 @@ function handleWsMessage(ev) {
         hideConnectDialog();
         setConnectedStatus(window.lastX32Ip);
         break;
+      case 'console_health': {
+        const prev = window.consoleHealth && window.consoleHealth.state;
+        window.consoleHealth = data;
+        // An offline desk is not connected, whatever earlier pings said
+        if (data.state === 'offline') {
+          x32Connected = false;
+          if (prev && prev !== 'offline') showToast('Console offline — searching for it on the network…', 6000);
+        } else if (data.state === 'online' || data.state === 'degraded') {
+          x32Connected = true;
+          if (prev === 'offline') showToast('Console back online');
+        }
+        try { document.body.classList.toggle('console-offline', data.state === 'offline'); } catch (e) {}
+        try { renderConsoleSwitcher(); } catch (e) {}
+        try { checkUserIns(); } catch (e) {}
+        break;
+      }
       case 'routing':
         if (Array.isArray(data.values)) {
           dbg('[WS] routing values:', data.values);
@@ -1576,8 +2120,11 @@ function handleWsMessage(ev) {
           } catch (e) {}
           try { renderRoutingTable(); } catch (e) {}
           try { checkUserIns(); } catch (e) {}
-          x32Connected = true;
-          hideConnectDialog();
+          // A routing read that timed out is broadcast too; it proves nothing
+          if (!consoleOffline()) {
+            x32Connected = true;
+            hideConnectDialog();
+          }
         }
         break;
       case 'blocks':
@@ -1598,17 +2145,195 @@ function handleWsMessage(ev) {
           try { renderUserPatches(); } catch (e) {}
         }
         break;
+      case 'config':
+        try { renderConfigForm(data); } catch (e) {}
+        break;
+      case 'sweep_progress':
+        try { renderSweep(data.sweep); } catch (e) {}
+        break;
+      case 'discovery_candidate':
+        // Another desk answered while this console's own one is offline;
+        // it is only listed, the user decides whether to use it
+        if (data.found && data.console === window.currentConsoleId) {
+          window.discoveredConsoles = (window.discoveredConsoles || []).filter(c => c.ip !== data.found.ip || c.port !== data.found.port).concat([data.found]);
+          try { renderDiscoveredConsoles(); } catch (e) {}
+          showToast(`${data.found.name || 'An X32'} answered at ${data.found.ip} — pick it in Settings → IP to use it`, 5000);
+        }
+        break;
+      case 'consoles':
+        if (Array.isArray(data.consoles)) {
+          window.consoles = data.consoles;
+          try { renderConsoleSwitcher(); } catch (e) {}
+          try { renderConsoleList(); } catch (e) {}
+        }
+        break;
+      case 'bulk_result':
+        handleBulkResult(data);
+        break;
+      case 'write_result':
+        if (data.address) {
+          delete window.writeWanted[data.address];
+          if (data.status === 'confirmed') delete window.writeStatus[data.address];
+          else if (data.status === 'locked') {
+            // Refused by the server: show what the channel still holds
+            delete window.writeStatus[data.address];
+            if (data.channel && data.actual != null) window.userPatches[Number(data.channel)] = Number(data.actual);
+            showToast(data.channel ? `Ch ${data.channel} is locked` : `Block ${data.block}: ${data.error || 'locked'}`, 3000);
+          } else {
+            window.writeStatus[data.address] = 'failed';
+            if (data.value != null) window.writeWanted[data.address] = { value: data.value, block: data.block };
+            const what = data.channel ? `Ch ${data.channel}` : (data.output ? `Out ${data.output}` : (data.block ? `Block ${data.block}` : data.address));
+            if (data.error) showToast(`${what}: ${data.error}`, 5000);
+            else showToast(`${what}: console did not confirm the change (reads ${data.actual == null ? 'nothing' : prettyWriteValue(data)})`, 5000);
+          }
+          try { renderUserPatches(); } catch (e) {}
+          try { renderUserOutputs(); } catch (e) {}
+        }
+        break;
+      case 'routing_sections':
+        if (Array.isArray(data.sections)) {
+          window.routingSections = data.sections;
+          window.routingOptionSets = data.optionSets || {};
+          try { renderRoutingSections(); } catch (e) {}
+        }
+        break;
+      case 'section_routing':
+        if (data.values) {
+          Object.keys(data.values).forEach(id => {
+            window.sectionRouting[id] = Number(data.values[id]);
+            Object.keys(window.writeWanted).forEach(address => { if (window.writeWanted[address].block === id) settleFailedWrite(address, data.values[id]); });
+          });
+          try { renderRoutingSections(); } catch (e) {}
+        }
+        break;
+      case 'routing_block_result':
+        if (!data.ok) showToast('Routing change failed: ' + (data.error || 'unknown error'), 4000);
+        break;
+      case 'user_outputs':
+        if (data.values) {
+          Object.keys(data.values).forEach(k => { window.userOutPatches[Number(k)] = Number(data.values[k]); });
+          try { renderUserOutputs(); } catch (e) {}
+        }
+        break;
+      case 'output_matrix_update':
+        if (data.matrix) {
+          window._persistedOutputMatrix = data.matrix;
+          try { renderUserOutputs(); } catch (e) {}
+          // Only rebuild the selects if the user isn't editing one right now
+          try { if (!(document.activeElement && document.activeElement.closest && document.activeElement.closest('#output-matrix-table-container'))) renderOutputMatrixTable(); } catch (e) {}
+        }
+        break;
+      case 'presets':
+        if (Array.isArray(data.presets)) {
+          window.presets = data.presets;
+          try { renderPresetsList(); } catch (e) {}
+        }
+        break;
+      case 'preset_result': {
+        const verbs = { create_preset: 'saved', update_preset: 'updated', delete_preset: 'deleted', recall_preset: 'recalled' };
+        const name = (data.preset && data.preset.name) || '';
+        if (data.ok && data.failed && data.failed.length) showToast('Preset ' + (verbs[data.action] || 'done') + (name ? ': ' + name : '') + skippedNote(data.skipped) + ', console did not confirm ' + data.failed.length + ' value(s)', 5000);
+        else if (data.ok) showToast('Preset ' + (verbs[data.action] || 'done') + (name ? ': ' + name : '') + skippedNote(data.skipped), data.skipped && data.skipped.length ? 5000 : 1800);
+        else showToast('Preset ' + String(data.action || 'action').replace('_preset', '') + ' failed: ' + (data.error || 'unknown error'), 4000);
+        window._presetBusy = false;
+        try { renderPresetsList(); } catch (e) {}
+        break;
+      }
+      case 'channel_locks':
+        window.channelLocks = data.locked || {};
+        try { renderUserPatches(); } catch (e) {}
+        break;
+      case 'drift_result': {
+        const verbs = { A: 'switched to A', B: 'switched to B', 'adopt-a': 'source kept as A', 'adopt-b': 'source kept as B' };
+        delete window.writeStatus[`/config/userrout/in/${data.channel}`];
+        if (data.ok) showToast(`Ch ${data.channel}: ${verbs[data.action] || 'resolved'}`);
+        else showToast(`Ch ${data.channel} not resolved: ${data.error || 'unknown error'}`, 4000);
+        try { renderUserPatches(); } catch (e) {}
+        break;
+      }
+      case 'color_result': {
+        const count = Object.keys(data.channels || {}).length;
+        const color = colorInfo(data.color);
+        if (data.ok) showToast(`${color ? color.label : 'Colour'} set for ${count} channel${count === 1 ? '' : 's'}`);
+        else showToast('Colour change failed: ' + (data.error || 'console did not confirm ' + Object.keys(data.channels || {}).filter(nn => data.channels[nn].status === 'failed').join(', ')), 4000);
+        break;
+      }
+      case 'safe_switch':
+        window.safeSwitch = { enabled: !!data.enabled, settleMs: data.settleMs, always: data.always || [], never: data.never || [] };
+        if (window._safeSwitchSaving) showToast('Safe switch saved');
+        window._safeSwitchSaving = false;
+        try { renderSafeSwitch(); } catch (e) {}
+        break;
+      case 'safe_switch_error':
+        window._safeSwitchSaving = false;
+        showToast('Safe switch not saved: ' + (data.error || 'unknown error'), 4000);
+        try { renderSafeSwitch(); } catch (e) {}
+        break;
+      case 'groups':
+        if (Array.isArray(data.groups)) {
+          window.channelGroups = data.groups;
+          try { renderGroupBar(); renderGroupsList(); } catch (e) {}
+        }
+        break;
+      case 'group_result': {
+        const verbs = { create_group: 'added', update_group: 'updated', delete_group: 'deleted' };
+        const name = (data.group && data.group.name) || '';
+        if (data.ok) showToast('Group ' + (verbs[data.action] || 'done') + (name ? ': ' + name : ''));
+        else showToast('Group ' + String(data.action || 'action').replace('_group', '') + ' failed: ' + (data.error || 'unknown error'), 4000);
+        window._groupBusy = false;
+        try { renderGroupsList(); } catch (e) {}
+        break;
+      }
+      case 'history':
+        window.routingHistory = { entries: data.entries || [], canUndo: !!data.canUndo, canRedo: !!data.canRedo };
+        try { renderHistoryPanel(); } catch (e) {}
+        break;
+      case 'history_result': {
+        window._historyBusy = false;
+        const verb = data.action === 'redo' ? 'Redone' : 'Undone';
+        if (data.ok) showToast(verb + ': ' + ((data.entry && data.entry.label) || 'change'));
+        else showToast((data.action === 'redo' ? 'Redo' : 'Undo') + ' failed: ' + (data.error || 'unknown error'), 5000);
+        try { renderHistoryPanel(); } catch (e) {}
+        break;
+      }
+      case 'auth':
+        applyAuthInfo(data);
+        break;
+      case 'forbidden':
+        showToast('Not allowed: ' + String(data.action || 'action').replace(/_/g, ' ') + ' needs the ' + data.required + ' role (you are ' + data.role + ')', 4000);
+        // Whatever was marked pending will not get a result
+        window._bulkBusy = false; window._historyBusy = false; window._presetBusy = false; window._groupBusy = false;
+        try { renderPresetsList(); renderHistoryPanel(); renderGroupsList(); renderUserPatches(); } catch (e) {}
+        break;
+        if (data.error) showToast('Console switch failed: ' + data.error);
+        if (data.console) applyConsoleSelection(data.console);
+        break;
+      case 'channel_colors':
+        if (data.colors) {
+          // Server keys colors by 'NN'; cards look them up by channel number
+          window.channelColors = window.channelColors || {};
+          Object.keys(data.colors).forEach(k => { window.channelColors[Number(k)] = Number(data.colors[k]); });
+          try { renderUserPatches(); } catch (e) {}
+        }
+        break;
       case 'clp':
         // Example CLP forwarding: update userPatches or channelNames when replies arrive
         if (data.address && typeof data.address === 'string') {
           try { appendClpLog('IN', data.address, data.args || []); } catch (e) {}
-          if (/^\/config\/userrout\/in\//.test(data.address)) {
+          if (/^\/config\/userrout\/out\/(\d{2})$/.test(data.address) && data.args && data.args.length) {
+            const slot = Number(data.address.match(/out\/(\d{2})$/)[1]);
+            const rawArg = data.args[0];
+            window.userOutPatches[slot] = Number((rawArg && typeof rawArg === 'object' && 'value' in rawArg) ? rawArg.value : rawArg);
+            settleFailedWrite(data.address, window.userOutPatches[slot]);
+            try { renderUserOutputs(); } catch (e) {}
+          } else if (/^\/config\/userrout\/in\//.test(data.address)) {
             const m = data.address.match(/in\/(\d{2})$/);
             if (m && data.args && data.args.length) {
               const ch = Number(m[1]);
               const rawArg = data.args[0];
               const val = (rawArg && typeof rawArg === 'object' && 'value' in rawArg) ? rawArg.value : rawArg;
               window.userPatches = window.userPatches || {}; window.userPatches[ch] = Number(val);
+              settleFailedWrite(data.address, val);
               dbg('[UI] userpatch ch', ch, '=>', window.userPatches[ch]);
               try { window.userPatchesPending = false; renderUserPatches(); checkUserIns(); } catch (e) {}
             }
@@ -1630,6 +2355,609 @@ function handleWsMessage(ev) {
   } catch (e) { console.error('handleWsMessage failed', e); }
 }
 
+// Header console switcher (#x32-ip-indicator). With a single console it
+// reads like the old "X32: ip" indicator; with several it prefixes labels.
+function renderConsoleSwitcher() {
+  const el = document.getElementById('x32-ip-indicator');
+  if (!el) return;
+  const list = (window.consoles && window.consoles.length) ? window.consoles
+    : [{ id: window.currentConsoleId || 'main', label: 'Main', ip: window.lastX32Ip || null, emulator: !!window.emulatorActive }];
+  const text = c => (list.length > 1 ? c.label + ' — ' : '') + 'X32: ' + (c.ip || '—') + (c.emulator ? ' (emulator)' : '') + (c.health === 'degraded' || c.health === 'offline' ? ' · ' + c.health : '');
+  // Colour and tooltip follow the watched console's health ('console_health')
+  const health = window.consoleHealth;
+  el.dataset.health = (health && health.state) || 'unknown';
+  el.title = 'Switch console' + (health && health.state !== 'unknown' ? ` — ${health.state}${health.rttMs != null ? ', ping ' + health.rttMs + ' ms' : ''}${health.missed ? ', ' + health.missed + ' missed' : ''}` : '');
+  if (el.tagName !== 'SELECT') {
+    const cur = list.find(c => c.id === window.currentConsoleId) || list[0];
+    el.textContent = text(cur);
+    return;
+  }
+  el.innerHTML = '';
+  list.forEach(c => {
+    const opt = document.createElement('option');
+    opt.value = c.id; opt.textContent = text(c);
+    el.appendChild(opt);
+  });
+  el.value = window.currentConsoleId;
+  el.disabled = list.length < 2;
+}
+
+// Whether the watched console stopped answering its keep-alive ping
+function consoleOffline() {
+  return !!(window.consoleHealth && window.consoleHealth.state === 'offline');
+}
+
+// Called when the server confirms which console this client watches. Clears
+// the per-console caches so cards never show the previous desk's state.
+function applyConsoleSelection(id) {
+  const changed = id !== window.currentConsoleId;
+  window.currentConsoleId = id;
+  try { localStorage.setItem('dubswitch_console', id); } catch (e) {}
+  try { renderConsoleSwitcher(); } catch (e) {}
+  try { renderConsoleList(); } catch (e) {}
+  if (!changed) return;
+  window.userPatches = {};
+  window.channelNames = {};
+  window.channelNamePending = {};
+  window.channelColors = {};
+  window.routingState = [null, null, null, null];
+  window._blockTogglePending = [false, false, false, false];
+  window._persistedMatrix = {};
+  window.userOutPatches = {};
+  window._persistedOutputMatrix = {};
+  window.sectionRouting = {};
+  window.writeStatus = {};
+  window._bulkBusy = false;
+  window.presets = [];
+  window.channelGroups = [];
+  window._groupBusy = false;
+  window.channelLocks = {};
+  window.safeSwitch = null;
+  window.consoleHealth = null;
+  window.routingHistory = null;
+  window._historyBusy = false;
+  window.enumerateResults = null;
+  window.userPatchesPending = true;
+  syncGlobals();
+  try { renderUserPatches(); } catch (e) {}
+  try { renderRoutingTable(); } catch (e) {}
+  try { renderRoutingSections(); } catch (e) {}
+  (async () => {
+    try {
+      const resp = await fetch(consoleApiUrl('/get-matrix'));
+      if (resp && resp.ok) { const j = await resp.json().catch(()=>null); if (j && j.matrix) window._persistedMatrix = j.matrix; }
+    } catch (e) {}
+    try { renderStaticMatrixTable(); } catch (e) {}
+    try { renderUserPatches(); } catch (e) {}
+    try { pollStatusForHeader(); } catch (e) {}
+    loadOutputMatrix();
+  })();
+}
+
+// Settings -> Presets: one row per stored preset with recall/update/rename/delete.
+// Actions go over the WebSocket; the server answers with 'preset_result'
+// and broadcasts the new 'presets' list to every client of the console.
+function presetSummary(p) {
+  const counts = {};
+  Object.keys(p.userrout || {}).forEach(nn => {
+    const src = sourceInfo(p.userrout[nn]);
+    const group = src ? ((window.sourceCatalogue.groups.find(g => g.id === src.group) || {}).label || src.group) : 'Other';
+    counts[group] = (counts[group] || 0) + 1;
+  });
+  return Object.keys(counts).filter(k => counts[k]).map(k => counts[k] + ' ' + k).join(' · ');
+}
+
+function renderPresetsList() {
+  const box = document.getElementById('presets-list');
+  if (!box) return;
+  const list = window.presets || [];
+  const busy = !!window._presetBusy;
+  box.innerHTML = '';
+  if (!list.length) {
+    box.innerHTML = '<div class="small-muted">No presets saved for this console yet.</div>';
+    return;
+  }
+  const send = (msg) => { window._presetBusy = true; renderPresetsList(); safeSendWs(JSON.stringify(msg)); };
+  list.forEach(p => {
+    const row = document.createElement('div');
+    row.style.cssText = 'display:flex;align-items:center;gap:8px;padding:6px 0;border-bottom:1px solid rgba(255,255,255,0.06)';
+    const info = document.createElement('div');
+    info.style.flex = '1';
+    const title = document.createElement('div'); title.style.fontWeight = '600'; title.textContent = p.name;
+    const meta = document.createElement('div'); meta.className = 'small-muted';
+    meta.textContent = presetSummary(p) + ' — updated ' + (p.updated ? new Date(p.updated).toLocaleString() : '—');
+    info.appendChild(title); info.appendChild(meta);
+    row.appendChild(info);
+    const button = (text, cls, onClick) => {
+      const b = document.createElement('button');
+      b.type = 'button'; b.className = 'btn btn-sm ' + cls; b.textContent = text; b.disabled = busy;
+      b.onclick = onClick; row.appendChild(b);
+    };
+    button('Recall', 'btn-success', () => {
+      if (!confirm('Recall "' + p.name + '"? This rewrites the user patch and input routing on the console.')) return;
+      send({ type: 'recall_preset', id: p.id });
+    });
+    button('Update', 'btn-outline-light', () => {
+      if (!confirm('Replace "' + p.name + '" with the routing currently on the console?')) return;
+      send({ type: 'update_preset', id: p.id, capture: true });
+    });
+    button('Rename', 'btn-outline-light', () => {
+      const name = prompt('Rename preset:', p.name);
+      if (!name || name.trim() === p.name) return;
+      send({ type: 'update_preset', id: p.id, name: name.trim() });
+    });
+    button('Delete', 'btn-outline-danger', () => {
+      if (!confirm('Delete preset "' + p.name + '"?')) return;
+      send({ type: 'delete_preset', id: p.id });
+    });
+    box.appendChild(row);
+  });
+}
+
+// Channel groups ('groups' from the server): { id, name, channels: ['01', ...] }.
+// The group bar above the grid shows each group's state and switches it as
+// one bulk transaction on the server ('group_ab' -> 'bulk_result').
+
+// A and B codes of a channel: the persisted matrix, else the channelMatrix mapping
+function channelABValues(ch) {
+  const nn = String(ch).padStart(2, '0');
+  const mapping = channelMatrix[ch] || { aAction: 'LocalIns', bAction: 'DAW', param: null };
+  const row = (window._persistedMatrix && window._persistedMatrix[nn]) || {};
+  const code = v => (v == null || v === '' || !Number.isFinite(Number(v))) ? null : Number(v);
+  let a = code(row.a);
+  let b = code(row.b);
+  if (a == null) a = computeValueForAction(ch, mapping.aAction, mapping.param);
+  if (b == null) b = computeValueForAction(ch, mapping.bAction, mapping.param);
+  return { a, b };
+}
+
+// 'A', 'B', or null when the channel is on neither (or not read yet)
+function channelSide(ch) {
+  const val = window.userPatches && window.userPatches[Number(ch)];
+  if (val == null) return null;
+  const ab = channelABValues(Number(ch));
+  return Number(val) === ab.a ? 'A' : (Number(val) === ab.b ? 'B' : null);
+}
+
+// Drift: the channel's patch is neither its A nor its B source (changed on
+// the desk or by another tool). A click could only guess a side, so the
+// card asks instead (openDriftMenu).
+function channelDrifted(ch) {
+  const val = window.userPatches && window.userPatches[Number(ch)];
+  return val != null && !window.userPatchesPending && channelSide(ch) == null;
+}
+
+// 'A' / 'B' when every member is on that side, otherwise 'mixed'
+function groupState(group) {
+  const sides = (group.channels || []).map(channelSide);
+  if (sides.length && sides.every(s => s === 'A')) return 'A';
+  if (sides.length && sides.every(s => s === 'B')) return 'B';
+  return 'mixed';
+}
+
+function sendGroupSwitch(group) {
+  if (window._bulkBusy) { showToast('A bulk change is still running'); return; }
+  window._bulkBusy = true;
+  group.channels.forEach(nn => { window.writeStatus[`/config/userrout/in/${nn}`] = 'pending'; });
+  if (typeof renderUserPatches === 'function') renderUserPatches();
+  safeSendWs(JSON.stringify({ type: 'group_ab', id: group.id, side: 'toggle' }));
+}
+
+function renderGroupBar() {
+  const bar = document.getElementById('group-bar');
+  if (!bar) return;
+  const groups = window.channelGroups || [];
+  bar.innerHTML = '';
+  bar.style.display = groups.length ? 'flex' : 'none';
+  groups.forEach(g => {
+    const state = groupState(g);
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.className = 'btn btn-sm group-btn ' + (state === 'A' ? 'btn-danger' : (state === 'B' ? 'btn-success' : 'btn-outline-warning'));
+    b.disabled = !!window._bulkBusy;
+    b.title = `${g.name} (ch ${g.channels.join(', ')}): ${state === 'mixed' ? 'mixed' : 'all on ' + state} — click to switch to ${state === 'A' ? 'B' : 'A'}`;
+    const name = document.createElement('span'); name.textContent = g.name;
+    const badge = document.createElement('span'); badge.className = 'group-state'; badge.textContent = state === 'mixed' ? 'A/B' : state;
+    b.appendChild(name); b.appendChild(badge);
+    b.onclick = () => sendGroupSwitch(g);
+    bar.appendChild(b);
+  });
+}
+
+// Drift bar above the grid: the drifted channels and snapping them all back
+// to A or B as one bulk change
+function renderDriftBar() {
+  const bar = document.getElementById('drift-bar');
+  if (!bar) return;
+  const drifted = [];
+  for (let ch = 1; ch <= 32; ch++) if (channelDrifted(ch)) drifted.push(String(ch).padStart(2, '0'));
+  bar.innerHTML = '';
+  bar.style.display = drifted.length ? 'flex' : 'none';
+  if (!drifted.length) return;
+  const text = document.createElement('span');
+  text.className = 'drift-text';
+  text.textContent = `${drifted.length} channel${drifted.length === 1 ? '' : 's'} on neither A nor B: ${drifted.join(', ')}`;
+  bar.appendChild(text);
+  ['A', 'B'].forEach(side => {
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.className = 'btn btn-sm btn-outline-warning';
+    b.disabled = !!window._bulkBusy;
+    b.textContent = 'Snap all to ' + side;
+    b.onclick = () => {
+      const values = {};
+      drifted.forEach(nn => { const ab = channelABValues(Number(nn)); const v = side === 'A' ? ab.a : ab.b; if (Number.isFinite(v)) values[nn] = v; });
+      sendBulkApply(values, 'Snap drifted channels to ' + side);
+    };
+    bar.appendChild(b);
+  });
+}
+
+// Drift menu for a drifted channel: switch it to A or B, or keep the current
+// source by storing it as the channel's A or B (admin only, like the matrix)
+function openDriftMenu(anchor, ch) {
+  closePopover();
+  const nn = String(ch).padStart(2, '0');
+  const ab = channelABValues(ch);
+  const current = window.userPatches[ch];
+  const box = document.createElement('div');
+  box.id = 'drift-menu';
+  box.className = 'popover-menu';
+  box.setAttribute('role', 'dialog');
+  box.setAttribute('aria-label', `Ch ${nn} is on neither A nor B`);
+  const title = document.createElement('div');
+  title.className = 'small-muted';
+  title.textContent = `Ch ${nn} is on ${prettySourceLabel(current)} — A is ${prettySourceLabel(ab.a)}, B is ${prettySourceLabel(ab.b)}`;
+  box.appendChild(title);
+  const canAdopt = !window.authInfo.enabled || window.authInfo.role === 'admin';
+  [
+    { action: 'A', label: 'Switch to A (' + prettySourceLabel(ab.a) + ')' },
+    { action: 'B', label: 'Switch to B (' + prettySourceLabel(ab.b) + ')' },
+    { action: 'adopt-a', label: 'Keep it, make it A', admin: true },
+    { action: 'adopt-b', label: 'Keep it, make it B', admin: true }
+  ].forEach(item => {
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.className = 'btn btn-sm ' + (item.admin ? 'btn-outline-light' : 'btn-outline-warning');
+    b.textContent = item.label;
+    if (item.admin && !canAdopt) { b.disabled = true; b.title = 'Changing the A/B matrix needs the admin role'; }
+    b.onclick = () => {
+      if (!item.admin) window.writeStatus[`/config/userrout/in/${nn}`] = 'pending';
+      safeSendWs(JSON.stringify({ type: 'resolve_drift', channel: ch, action: item.action }));
+      closePopover();
+      renderUserPatches();
+    };
+    box.appendChild(b);
+  });
+  showPopover(anchor, box);
+  (box.querySelector('button:not([disabled])') || box).focus();
+}
+
+// Fill the safe-switch form in the Routing tab from the server's settings
+function renderSafeSwitch() {
+  const settings = window.safeSwitch;
+  if (!settings) return;
+  const set = (id, prop, value) => { const el = document.getElementById(id); if (el) el[prop] = value; };
+  set('safeSwitchEnabled', 'checked', !!settings.enabled);
+  set('safeSwitchSettle', 'value', settings.settleMs);
+  set('safeSwitchAlways', 'value', settings.always.map(Number).join(','));
+  set('safeSwitchNever', 'value', settings.never.map(Number).join(','));
+}
+
+// Colour picker popover below `anchor`: the 16 palette entries (normal and
+// inverted). opts: { channels: '1-8,12', title } for channels, which can be
+// edited to colour a selection, or { group, title } for a group.
+function openColorPicker(anchor, opts) {
+  closePopover();
+  const palette = window.colorPalette || [];
+  if (!palette.length) { showToast('Colour palette not loaded yet'); return; }
+  const box = document.createElement('div');
+  box.id = 'color-picker';
+  box.className = 'popover-menu';
+  box.setAttribute('role', 'dialog');
+  box.setAttribute('aria-label', opts.title);
+  const title = document.createElement('div'); title.className = 'small-muted'; title.textContent = opts.title;
+  box.appendChild(title);
+  let channelsEl = null;
+  if (!opts.group) {
+    channelsEl = document.createElement('input');
+    channelsEl.type = 'text'; channelsEl.className = 'form-control form-control-sm'; channelsEl.value = opts.channels;
+    channelsEl.title = 'Channels to colour, e.g. 1-8,12'; channelsEl.setAttribute('aria-label', 'Channels to colour');
+    box.appendChild(channelsEl);
+  }
+  const grid = document.createElement('div'); grid.className = 'color-grid';
+  palette.forEach(c => {
+    const b = document.createElement('button');
+    b.type = 'button'; b.className = 'color-choice'; b.title = c.label; b.setAttribute('aria-label', c.label);
+    b.innerHTML = `<span class="color-swatch${c.inverted ? ' inverted' : ''}" style="--swatch:${c.color}"></span>`;
+    b.onclick = () => {
+      const msg = { type: 'set_channel_colors', color: c.value };
+      if (opts.group) msg.group = opts.group;
+      else msg.channels = (channelsEl.value || '').trim();
+      if (!opts.group && !msg.channels) { showToast('Enter the channels to colour'); return; }
+      safeSendWs(JSON.stringify(msg));
+      closePopover();
+    };
+    grid.appendChild(b);
+  });
+  box.appendChild(grid);
+  showPopover(anchor, box);
+  (box.querySelector('.color-choice') || box).focus();
+}
+
+// Popovers (colour picker, drift menu): one at a time, placed below their
+// anchor and closed by a click outside or Escape
+function showPopover(anchor, box) {
+  document.body.appendChild(box);
+  const r = anchor.getBoundingClientRect();
+  box.style.left = Math.max(8, Math.min(window.scrollX + r.left, window.scrollX + document.documentElement.clientWidth - box.offsetWidth - 8)) + 'px';
+  box.style.top = (window.scrollY + r.bottom + 4) + 'px';
+  setTimeout(() => { document.addEventListener('mousedown', closePopoverOutside); document.addEventListener('keydown', closePopoverOnEscape); }, 0);
+}
+
+function closePopover() {
+  document.querySelectorAll('.popover-menu').forEach(box => box.remove());
+  document.removeEventListener('mousedown', closePopoverOutside);
+  document.removeEventListener('keydown', closePopoverOnEscape);
+}
+
+function closePopoverOutside(e) {
+  const box = document.querySelector('.popover-menu');
+  if (box && !box.contains(e.target)) closePopover();
+}
+
+function closePopoverOnEscape(e) {
+  if (e.key === 'Escape') closePopover();
+}
+
+// Settings -> Groups: one row per group with channels/colour/rename/delete
+function renderGroupsList() {
+  const box = document.getElementById('groups-list');
+  if (!box) return;
+  const list = window.channelGroups || [];
+  const busy = !!window._groupBusy;
+  box.innerHTML = '';
+  if (!list.length) {
+    box.innerHTML = '<div class="small-muted">No groups defined for this console yet.</div>';
+    return;
+  }
+  const send = (msg) => { window._groupBusy = true; renderGroupsList(); safeSendWs(JSON.stringify(msg)); };
+  list.forEach(g => {
+    const row = document.createElement('div');
+    row.style.cssText = 'display:flex;align-items:center;gap:8px;padding:6px 0;border-bottom:1px solid rgba(255,255,255,0.06)';
+    const info = document.createElement('div');
+    info.style.flex = '1';
+    const title = document.createElement('div'); title.style.fontWeight = '600'; title.textContent = g.name;
+    const meta = document.createElement('div'); meta.className = 'small-muted';
+    meta.textContent = g.channels.length + ' channel' + (g.channels.length === 1 ? '' : 's') + ': ' + g.channels.map(nn => (window.channelNames && window.channelNames[nn]) || nn).join(', ');
+    info.appendChild(title); info.appendChild(meta);
+    row.appendChild(info);
+    const button = (text, cls, onClick) => {
+      const b = document.createElement('button');
+      b.type = 'button'; b.className = 'btn btn-sm ' + cls; b.textContent = text; b.disabled = busy;
+      b.onclick = onClick; row.appendChild(b);
+    };
+    button('Channels', 'btn-outline-light', () => {
+      const channels = prompt('Channels of "' + g.name + '" (e.g. 1-8,12):', g.channels.map(Number).join(','));
+      if (!channels || !channels.trim()) return;
+      send({ type: 'update_group', id: g.id, channels: channels.trim() });
+    });
+    button('Colour', 'btn-outline-light', (e) => openColorPicker(e.currentTarget, { group: g.id, title: `Colour for ${g.name}` }));
+    button('Rename', 'btn-outline-light', () => {
+      const name = prompt('Rename group:', g.name);
+      if (!name || name.trim() === g.name) return;
+      send({ type: 'update_group', id: g.id, name: name.trim() });
+    });
+    button('Delete', 'btn-outline-danger', () => {
+      if (!confirm('Delete group "' + g.name + '"? Its channels are not changed.')) return;
+      send({ type: 'delete_group', id: g.id });
+    });
+    box.appendChild(row);
+  });
+}
+
+// Settings -> IP: registered consoles with a remove button for added ones
+// Settings -> IP: consoles found by Autodetect (/autodiscover-x32). 'Use'
+// points the selected console at one; desks already used by another
+// console are shown but cannot be picked.
+function renderDiscoveredConsoles() {
+  const box = document.getElementById('discovered-consoles');
+  if (!box) return;
+  const list = window.discoveredConsoles || [];
+  box.innerHTML = '';
+  if (!list.length) {
+    box.innerHTML = '<div class="small-muted">No console answered. Check the network, or type the address above.</div>';
+    return;
+  }
+  const labelOf = id => { const c = (window.consoles || []).find(x => x.id === id); return c ? c.label : id; };
+  list.forEach(found => {
+    const row = document.createElement('div');
+    row.className = 'discovered-console';
+    const text = document.createElement('span');
+    text.style.flex = '1';
+    const details = [found.model, found.firmware ? 'v' + found.firmware : null, found.interface].filter(Boolean).join(', ');
+    text.textContent = `${found.name || 'X32'} — ${found.ip}${found.port !== 10023 ? ':' + found.port : ''}${details ? ' (' + details + ')' : ''}`;
+    row.appendChild(text);
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'btn btn-sm btn-outline-light';
+    if (found.console === window.currentConsoleId) {
+      btn.textContent = 'In use'; btn.disabled = true;
+    } else if (found.console) {
+      btn.textContent = labelOf(found.console); btn.disabled = true; btn.title = 'Already used by console ' + labelOf(found.console);
+    } else {
+      btn.textContent = 'Use';
+      btn.onclick = () => {
+        const ipEl = document.getElementById('x32IpInput'); if (ipEl) ipEl.value = found.ip;
+        safeSendWs(JSON.stringify({ type: 'set_x32_ip', ip: found.ip, port: found.port, source: 'discovery' }));
+        found.console = window.currentConsoleId;
+        list.forEach(other => { if (other !== found && other.console === window.currentConsoleId) other.console = null; });
+        renderDiscoveredConsoles();
+        showToast('Using ' + (found.name || found.ip));
+      };
+    }
+    row.appendChild(btn);
+    box.appendChild(row);
+  });
+}
+
+// Settings -> IP: prefill the sweep range with the first network found
+function fillSweepRange(interfaces) {
+  const input = document.getElementById('sweepCidrInput');
+  const first = (interfaces || []).find(i => i.cidr);
+  if (input && !input.value && first) input.value = first.cidr;
+}
+
+// Settings -> IP: sweep progress bar and results ('sweep_progress'). The
+// desks found so far replace the Autodetect list.
+function renderSweep(sweep) {
+  if (!sweep) return;
+  const running = sweep.state === 'running';
+  const box = document.getElementById('sweep-status');
+  const bar = document.getElementById('sweep-progress-bar');
+  const text = document.getElementById('sweep-progress-text');
+  const startBtn = document.getElementById('sweepBtn');
+  const cancelBtn = document.getElementById('sweepCancelBtn');
+  const pct = sweep.total ? Math.round(sweep.sent * 100 / sweep.total) : 100;
+  const found = (sweep.consoles || []).length;
+  if (box) box.style.display = '';
+  if (bar) { bar.style.width = pct + '%'; bar.setAttribute('aria-valuenow', String(pct)); }
+  if (text) {
+    const state = running ? 'Sweeping' : (sweep.state === 'cancelled' ? 'Cancelled' : 'Swept');
+    text.textContent = `${state} ${sweep.cidr}: ${sweep.sent}/${sweep.total} addresses, ${found} console${found === 1 ? '' : 's'} found`;
+  }
+  if (startBtn) startBtn.disabled = running;
+  if (cancelBtn) cancelBtn.style.display = running ? '' : 'none';
+  if (found || !running) {
+    window.discoveredConsoles = sweep.consoles || [];
+    renderDiscoveredConsoles();
+  }
+  if (!running && window.lastSweepShown !== sweep.id) {
+    window.lastSweepShown = sweep.id;
+    if (sweep.state === 'done') showToast(found ? `Sweep found ${found} console${found === 1 ? '' : 's'} — pick one below` : 'Sweep found no X32');
+  }
+}
+
+// Where a console's current address came from (describeConsole's ipSource)
+const IP_SOURCE_LABELS = { saved: 'saved from the last session', discovery: 'found by discovery', manual: 'entered manually', emulator: 'built-in emulator' };
+
+function renderConsoleList() {
+  const cur = (window.consoles || []).find(c => c.id === window.currentConsoleId);
+  const sourceEl = document.getElementById('x32IpSource');
+  if (sourceEl) sourceEl.textContent = cur && cur.ip ? `Current address: ${cur.ip} — ${IP_SOURCE_LABELS[cur.ipSource] || 'source unknown'}` : 'No address yet — searching by discovery';
+  const box = document.getElementById('console-list');
+  if (!box) return;
+  box.innerHTML = '';
+  (window.consoles || []).forEach(c => {
+    const row = document.createElement('div');
+    row.style.cssText = 'display:flex;align-items:center;gap:8px;margin-bottom:4px';
+    const label = document.createElement('span');
+    label.style.flex = '1';
+    label.textContent = c.label + ' — ' + (c.ip || 'not found yet') + (c.port && c.port !== 10023 ? ':' + c.port : '') + (c.ip && c.ipSource ? ', ' + c.ipSource : '') + (c.id === window.currentConsoleId ? ' (selected)' : '');
+    row.appendChild(label);
+    if (c.id !== 'main') {
+      const btn = document.createElement('button');
+      btn.type = 'button'; btn.className = 'btn btn-sm btn-outline-danger'; btn.textContent = 'Remove';
+      btn.onclick = async () => {
+        if (!confirm('Remove console "' + c.label + '"? Its matrix file is kept on disk.')) return;
+        try {
+          const res = await fetch(apiUrl('/consoles/' + encodeURIComponent(c.id)), { method: 'DELETE' });
+          const json = await res.json().catch(()=>null);
+          if (!res.ok || !json || !json.ok) throw new Error((json && json.error) || ('HTTP ' + res.status));
+          window.consoles = json.consoles || window.consoles;
+          renderConsoleList(); renderConsoleSwitcher();
+          showToast('Console removed');
+        } catch (e) { showToast('Remove failed: ' + (e && e.message ? e.message : 'unknown error')); }
+      };
+      row.appendChild(btn);
+    }
+    box.appendChild(row);
+  });
+}
+
+// Settings -> Config: one row per setting of the config.js schema (GET
+// /config), with where its value comes from and whether it applies live.
+// Only changed rows are sent on Save.
+function renderConfigForm(config) {
+  const form = document.getElementById('config-form');
+  if (!form || !config) return;
+  window.serverConfig = config;
+  const fileEl = document.getElementById('config-file');
+  if (fileEl) fileEl.textContent = config.file || '';
+  const restartEl = document.getElementById('config-restart');
+  if (restartEl) {
+    const pending = (config.settings || []).filter(s => s.pending).map(s => s.label);
+    restartEl.style.display = pending.length ? '' : 'none';
+    restartEl.textContent = pending.length ? 'Saved, applies after a restart: ' + pending.join(', ') : '';
+  }
+  const sourceText = s => s.source === 'file' ? '' : (s.source === 'default' ? 'default' : 'from ' + s.source);
+  form.innerHTML = '';
+  (config.settings || []).forEach(setting => {
+    const row = document.createElement('div');
+    row.className = 'config-setting' + (setting.pending ? ' pending' : '');
+    const label = document.createElement('label');
+    label.htmlFor = 'config-' + setting.key;
+    label.textContent = setting.label + (setting.unit ? ' (' + setting.unit + ')' : '');
+    const badge = document.createElement('span');
+    badge.className = 'config-apply';
+    badge.textContent = setting.apply === 'live' ? 'live' : (setting.pending ? 'restart pending' : 'restart');
+    label.appendChild(badge);
+    row.appendChild(label);
+    const input = document.createElement('input');
+    input.className = 'form-control form-control-sm';
+    input.id = 'config-' + setting.key;
+    input.dataset.key = setting.key;
+    if (setting.type === 'addresses') {
+      input.type = 'text';
+      input.placeholder = 'e.g. 10.0.5.20, 10.0.6.20:10023';
+      input.value = (setting.value || []).join(', ');
+    } else {
+      input.type = 'number';
+      input.min = setting.type === 'port' ? 1 : setting.min;
+      input.max = setting.type === 'port' ? 65535 : setting.max;
+      input.value = setting.value == null ? '' : String(setting.value);
+      if (setting.nullable) input.placeholder = 'off';
+    }
+    input.dataset.orig = input.value;
+    row.appendChild(input);
+    const help = document.createElement('small');
+    help.className = 'form-text text-muted';
+    const source = sourceText(setting);
+    help.textContent = setting.description + (source ? ' Currently ' + source + '.' : '');
+    row.appendChild(help);
+    form.appendChild(row);
+  });
+}
+
+async function loadConfigForm() {
+  try {
+    const res = await fetch(apiUrl('/config'));
+    const json = await res.json();
+    if (!json.ok) { showToast('Config: ' + (json.error || res.status)); return; }
+    renderConfigForm(json);
+  } catch (e) { console.error('load config failed', e); }
+}
+
+async function saveConfigForm() {
+  const changes = {};
+  ((window.serverConfig && window.serverConfig.settings) || []).forEach(setting => {
+    const input = document.getElementById('config-' + setting.key);
+    if (!input || input.value === input.dataset.orig) return;
+    const raw = input.value.trim();
+    if (setting.type === 'addresses') changes[setting.key] = raw ? raw.split(',').map(a => a.trim()).filter(Boolean) : [];
+    else changes[setting.key] = raw === '' && setting.nullable ? null : Number(raw);
+  });
+  if (!Object.keys(changes).length) { showToast('Nothing changed'); return; }
+  try {
+    const res = await fetch(apiUrl('/config'), { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(changes) });
+    const json = await res.json();
+    if (!json.ok) { showToast('Not saved: ' + (json.error || res.status), 5000); return; }
+    renderConfigForm(json);
+    const restart = (json.settings || []).filter(s => s.pending && Object.prototype.hasOwnProperty.call(changes, s.key));
+    showToast(restart.length ? 'Saved — restart to apply ' + restart.map(s => s.label).join(', ') : 'Saved and applied', restart.length ? 4000 : 1800);
+  } catch (e) { console.error('save config failed', e); showToast('Config save failed'); }
+}
+
 function checkUserIns() {
   syncGlobals();
   // If we don't have an explicit connection but we already received
@@ -1639,7 +2967,7 @@ function checkUserIns() {
   // where buttons appear disabled after reload but work after a manual
   // refresh.
   if (!x32Connected) {
-    if (window.userPatches && Object.keys(window.userPatches).length > 0) {
+    if (window.userPatches && Object.keys(window.userPatches).length > 0 && !consoleOffline()) {
       x32Connected = true; hideConnectDialog();
     } else {
       showConnectDialog();
@@ -1809,6 +3137,39 @@ function renderRoutingTable(){
   checkUserIns();
 }
 
+// Settings -> Routing: one select per block for every routing section.
+// Values come from 'section_routing'; a change is sent as set_routing_block.
+function renderRoutingSections() {
+  const container = document.getElementById('routing-sections-container');
+  if (!container) return;
+  // Don't rebuild while the user has a select open
+  if (document.activeElement && container.contains(document.activeElement)) return;
+  const sections = window.routingSections || [];
+  if (!sections.length) { container.innerHTML = '<div class="small-muted">Waiting for the server…</div>'; return; }
+  let html = '';
+  sections.forEach(section => {
+    html += `<div class="routing-section"><div class="routing-section-label">${section.label || section.id}</div><div class="routing-section-blocks">`;
+    section.blocks.forEach(block => {
+      const cur = window.sectionRouting[block.id];
+      const options = window.routingOptionSets[block.options] || [];
+      let opts = cur == null ? '<option value="" selected>…</option>' : '';
+      options.forEach(o => { opts += `<option value="${o.value}"${Number(cur) === o.value ? ' selected' : ''}>${o.label}</option>`; });
+      html += `<label>${block.label}<select class="form-control form-control-sm routing-block-select" data-block="${block.id}">${opts}</select></label>`;
+    });
+    html += `</div></div>`;
+  });
+  container.innerHTML = html;
+  container.querySelectorAll('.routing-block-select').forEach(sel => {
+    sel.addEventListener('change', () => {
+      if (sel.value === '') return;
+      const blockId = sel.getAttribute('data-block');
+      window.sectionRouting[blockId] = Number(sel.value);
+      safeSendWs(JSON.stringify({ type: 'set_routing_block', block: blockId, value: Number(sel.value) }));
+      sel.blur();
+    });
+  });
+}
+
 // Toggle all inputs between LocalIns and UserIns (bound to #toggle-inputs)
 function toggleAllInputs() {
   try {
@@ -1961,36 +3322,51 @@ function renderUserPatches(){
     try {
       patchTypeText = prettySourceLabel(uVal != null ? uVal : '');
     } catch (e) { patchTypeText = (uVal != null) ? String(uVal) : 'Unknown'; }
+    // The console's own channel colour: a strip on the card's left edge,
+    // dashed for the inverted palette entries
+    const color = colorInfo((window.channelColors || {})[ch]);
+    const drifted = channelDrifted(ch);
+    const colorStyle = color && color.value !== 0 ? ` style="border-left:4px ${color.inverted ? 'dashed' : 'solid'} ${color.color}"` : '';
     html+=`
-      <div id="card-${nn}" class="channel-card card">
+      <div id="card-${nn}" class="channel-card card${writeStateClass([`/config/userrout/in/${nn}`, `/ch/${nn}/config/name`])}${isLocked(nn) ? ' locked' : ''}${drifted ? ' drift' : ''}"${colorStyle}>
         <div id="led-${nn}" class="led-top"></div>
         <div class="channel-top">
           <div class="up-num">${nn}</div>
+          ${drifted ? '<span class="drift-badge" title="On neither its A nor its B source — click the card to resolve">A/B?</span>' : ''}
+          <div style="display:flex;gap:4px">
+          <button id="color-icon-${nn}" class="btn-icon-only color-icon" aria-label="Colour of channel ${nn}: ${color ? color.label : 'unknown'}" title="Colour: ${color ? color.label : 'unknown'} — click to change">
+            <span class="color-swatch${color && color.inverted ? ' inverted' : ''}" style="--swatch:${color ? color.color : 'transparent'}"></span>
+          </button>
+          <button id="lock-icon-${nn}" class="btn-icon-only lock-icon" aria-label="${isLocked(nn) ? 'Unlock' : 'Lock'} channel ${nn}" aria-pressed="${isLocked(nn)}" title="${isLocked(nn) ? 'Locked — click to unlock' : 'Lock ' + nn + ' against switching'}">
+            <svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="5" y="11" width="14" height="10" rx="2"></rect><path d="${isLocked(nn) ? 'M8 11V7a4 4 0 018 0v4' : 'M8 11V7a4 4 0 017.5-2'}"></path></svg>
+          </button>
           <button id="rename-icon-${nn}" class="btn-icon-only" aria-label="Rename channel ${nn}" title="Rename ${nn}">
             <svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 20h9"></path><path d="M16.5 3.5a2.1 2.1 0 113 3L7 19l-4 1 1-4 12.5-12.5z"></path></svg>
           </button>
+          </div>
         </div>
         <div id="btn-${nn}" class="channel-btn card-body">
           <div class="channel-title" id="chname-${nn}">${name}</div>
-          <div class="up-type" style="font-size:0.8em;color:#adff2f;margin-top:6px">${patchTypeText}</div>
+          <div class="up-type" style="font-size:0.8em;color:${sourceColor(uVal)};margin-top:6px">${patchTypeText}</div>
           <span class="led" id="inner-led-${nn}"></span>
         </div>
       </div>`;
   }
   userpatchContainer.innerHTML=html;
+  // Group states and the drift bar follow the channels
+  try { renderGroupBar(); renderDriftBar(); } catch (e) {}
 
   for(let ch=1;ch<=32;ch++){
     const nn=String(ch).padStart(2,"0");
     const btn = document.getElementById(`btn-${nn}`);
     const card= document.getElementById(`card-${nn}`);
-  const cVal=(window.channelColors&&window.channelColors[ch]);
     const uVal=userPatches[ch]||ch;
     if(uVal>=1&&uVal<=32){
       btn.style.backgroundColor = "#222"; // dark grey for Local
     } else if(uVal>=129&&uVal<=160){
       btn.style.backgroundColor = "#0074D9"; // blue for Card
     } else {
-      btn.style.backgroundColor = cVal!=null? colorMap[cVal] : "transparent";
+      btn.style.backgroundColor = "#333"; // other sources; the console colour is the card's edge
     }
     const topLed = document.getElementById(`led-${nn}`);
     const innerLed = document.getElementById(`inner-led-${nn}`);
@@ -2003,6 +3379,18 @@ function renderUserPatches(){
     } else {
       topLed.style.background="#333"; innerLed.style.background="#333";
     }
+    document.getElementById(`color-icon-${nn}`).onclick = (e) => {
+      e.stopPropagation();
+      openColorPicker(e.currentTarget, { channels: String(ch), title: `Colour for ch ${nn}` });
+    };
+    const lockEl = document.getElementById(`lock-icon-${nn}`);
+    lockEl.onclick = (e) => {
+      e.stopPropagation();
+      const locked = isLocked(nn);
+      // Unlocking is the deliberate step, so it asks first
+      if (locked && !confirm(`Unlock channel ${nn}? It can then be switched again.`)) return;
+      safeSendWs(JSON.stringify({ type: 'set_channel_lock', channel: ch, locked: !locked }));
+    };
     const nameEl = document.getElementById(`chname-${nn}`);
     const iconEl = document.getElementById(`rename-icon-${nn}`);
     iconEl.onclick = (e) => {
@@ -2020,22 +3408,15 @@ function renderUserPatches(){
         }
         channelNamePending[chKey] = true;
         renderUserPatches();
-        safeSendWs(JSON.stringify({
-          type: "clp",
-          address: `/ch/${nn}/config/name`,
-          args: [safeName]
-        }));
-        setTimeout(() => {
-          safeSendWs(JSON.stringify({
-            type: "clp",
-            address: `/ch/${nn}/config/name`,
-            args: []
-          }));
-        }, 500);
+        // The server reads the name back; its reply clears the pending state
+        sendVerifiedWrite(`/ch/${nn}/config/name`, safeName);
       }
     };
     btn.onclick = (e) => {
       if (pending) return; // disable interaction while reads are pending
+      if (isLocked(nn)) { showToast(`Ch ${nn} is locked — unlock it first`); return; }
+      // On neither side: ask rather than guess which way to toggle
+      if (channelDrifted(ch)) { openDriftMenu(btn, ch); return; }
       // Prefer server-persisted per-channel numeric mappings (window._persistedMatrix)
       // If not present or non-numeric, fall back to the in-memory channelMatrix
       let aVal = null, bVal = null;
@@ -2064,17 +3445,13 @@ function renderUserPatches(){
       } else {
         // fallback to old behavior using routingState to guess Local vs Card
         const rsVal = (routingState[Math.floor((ch-1)/8)] != null) ? Number(routingState[Math.floor((ch-1)/8)]) : null;
-        const isLocal = (rsVal >= 1 && rsVal <= 32) || false;
-        targetVal = isLocal ? 128 + ch : ch;
+        const isLocal = (sourceInfo(rsVal) || {}).group === 'local';
+        targetVal = isLocal ? sourceCode('card', ch) : sourceCode('local', ch);
       }
       if (targetVal == null) return;
   console.debug(`Channel ${ch} click -> A=${mapping.aAction}(${aVal}), B=${mapping.bAction}(${bVal}), current=${currentVal}, sending=${targetVal}`);
       userPatches[ch]=targetVal;
-      safeSendWs(JSON.stringify({
-        type:"clp",
-        address:`/config/userrout/in/${nn}`,
-        args:[targetVal]
-      }));
+      sendVerifiedWrite(`/config/userrout/in/${nn}`, targetVal);
       renderUserPatches();
     };
   }
@@ -2338,7 +3715,7 @@ window.addEventListener('DOMContentLoaded', ()=>{
           dbg && dbg('Matrix tab activated: ensuring table render');
           // Try to refresh persisted data once when the tab is opened
           try {
-            const resp = await fetch(apiUrl('/get-matrix'));
+            const resp = await fetch(consoleApiUrl('/get-matrix'));
             if (resp && resp.ok) { const j = await resp.json().catch(()=>null); if (j && j.matrix) window._persistedMatrix = j.matrix; }
           } catch (e) {}
           try { renderStaticMatrixTable(); } catch (e) {}
@@ -2355,6 +3732,18 @@ window.addEventListener('DOMContentLoaded', ()=>{
     // DOM already parsed, wire now
     wireAll();
   }
+  // Settings -> Config: load the settings whenever the tab is opened
+  try {
+    const configTab = document.getElementById('tab-config-link');
+    if (configTab && !configTab.dataset.wired) {
+      configTab.dataset.wired = '1';
+      configTab.addEventListener('click', () => { loadConfigForm(); }, { passive: true });
+      const saveBtn = document.getElementById('configSaveBtn');
+      if (saveBtn) saveBtn.onclick = () => { saveConfigForm(); };
+      const reloadBtn = document.getElementById('configReloadBtn');
+      if (reloadBtn) reloadBtn.onclick = () => { loadConfigForm(); };
+    }
+  } catch (e) {}
   // Also wire when the Server tab is activated (Bootstrap or plain click)
   try {
     const serverTab = document.getElementById('tab-server-link');
@@ -0,0 +1,126 @@
+/*
+  routing-blocks.js
+  -----------------
+  Data-driven descriptors for the X32 routing sections (Setup -> Routing on
+  the desk): input blocks, AES50 A/B, card, XLR outputs 1-16, P16 and aux
+  outputs. server.js reads and writes the blocks; the Routing tab renders a
+  select per block from the same data.
+
+  Descriptor shape
+  - section: { id: 'AES50A', label: 'AES50 A', blocks: [block, ...] }
+  - block:   { id: 'AES50A/1-8', label: '1-8', osc: '/config/routing/AES50A/1-8',
+               options: 'out8', userin?: 20, localin?: 0 }
+  - options names an entry in optionSets: an array of { value, label } with
+    the codes the desk accepts for that address.
+  - The four /config/routing/IN blocks carry `userin` and `localin` codes;
+    they drive the LocalIns/UserIns toggles, presets and snapshots.
+
+  Overrides
+  - routing-blocks.json next to the port file may supply `sections` (replaces
+    the defaults) and/or `optionSets` (merged over the defaults). An invalid
+    file is reported and the defaults are used.
+*/
+const fs = require('fs');
+
+// Build a list of { value, label } from [prefix, firstChannel, count, step?] groups
+// of `size` channels each, numbered from 0 in the order given.
+function groupOptions(size, groups) {
+  const options = [];
+  groups.forEach(([prefix, first, count, step]) => {
+    for (let i = 0; i < count; i++) {
+      const start = first + i * (step || size);
+      options.push({ value: options.length, label: `${prefix} ${start}-${start + size - 1}` });
+    }
+  });
+  return options;
+}
+
+// Output routing codes: 24 source groups, the aux pair (24/25) and the user
+// outputs (26-31). Blocks of 4 (XLR Out, Aux Out) address every other group
+// of four, so 1-4 / 9-12 and 5-8 / 13-16 use lists offset by four channels.
+function outputOptions(size, first, auxLabels) {
+  return groupOptions(size, [['AN', first, 4, 8], ['A', first, 6, 8], ['B', first, 6, 8], ['Card', first, 4, 8], ['Out', first, 2, 8], ['P16', first, 2, 8]])
+    .concat(auxLabels.map((label, i) => ({ value: 24 + i, label })))
+    .concat(groupOptions(size, [['UserOut', first, 6, 8]]).map((opt, i) => ({ value: 26 + i, label: opt.label })));
+}
+
+const DEFAULT_OPTION_SETS = {
+  // /config/routing/IN/1-8 .. 25-32
+  in8: groupOptions(8, [['AN', 1, 4], ['A', 1, 6], ['B', 1, 6], ['Card', 1, 4], ['UserIn', 1, 4]]),
+  // /config/routing/AES50A|AES50B|CARD|P16/* (blocks of 8 outputs)
+  out8: outputOptions(8, 1, ['Aux 1-6/Mon', 'AuxIn 1-6/TB']),
+  // /config/routing/OUT/1-4, 9-12 and AUX/1-4
+  out4a: outputOptions(4, 1, ['Aux 1-4', 'AuxIn 1-4']),
+  // /config/routing/OUT/5-8, 13-16 and AUX/5-6
+  out4b: outputOptions(4, 5, ['Aux 5-6/Mon', 'AuxIn 5-6/TB'])
+};
+
+function blocksFor(section, labels, options) {
+  return labels.map(label => ({ id: `${section}/${label}`, label, osc: `/config/routing/${section}/${label}`, options }));
+}
+
+const DEFAULT_SECTIONS = [
+  { id: 'IN', label: 'Inputs', blocks: ['1-8', '9-16', '17-24', '25-32'].map((label, i) => ({
+    id: `IN/${label}`, label, osc: `/config/routing/IN/${label}`, options: 'in8', userin: 20 + i, localin: i
+  })) },
+  { id: 'AES50A', label: 'AES50 A', blocks: blocksFor('AES50A', ['1-8', '9-16', '17-24', '25-32', '33-40', '41-48'], 'out8') },
+  { id: 'AES50B', label: 'AES50 B', blocks: blocksFor('AES50B', ['1-8', '9-16', '17-24', '25-32', '33-40', '41-48'], 'out8') },
+  { id: 'CARD', label: 'Card', blocks: blocksFor('CARD', ['1-8', '9-16', '17-24', '25-32'], 'out8') },
+  { id: 'OUT', label: 'Out 1-16', blocks: [
+    ...blocksFor('OUT', ['1-4'], 'out4a'), ...blocksFor('OUT', ['5-8'], 'out4b'),
+    ...blocksFor('OUT', ['9-12'], 'out4a'), ...blocksFor('OUT', ['13-16'], 'out4b')
+  ] },
+  { id: 'P16', label: 'P16', blocks: blocksFor('P16', ['1-8', '9-16'], 'out8') },
+  { id: 'AUX', label: 'Aux Out', blocks: [...blocksFor('AUX', ['1-4'], 'out4a'), ...blocksFor('AUX', ['5-6'], 'out4b')] }
+];
+
+function configError(message) {
+  return new Error('routing-blocks: ' + message);
+}
+
+// Check a { sections, optionSets } pair and derive the lookup tables
+function buildRoutingConfig(sections, optionSets) {
+  if (!Array.isArray(sections) || sections.length === 0) throw configError('sections must be a non-empty array');
+  const blocks = [];
+  const seen = new Set();
+  sections.forEach(section => {
+    if (!section || typeof section.id !== 'string' || !section.id) throw configError('every section needs an id');
+    if (!Array.isArray(section.blocks) || section.blocks.length === 0) throw configError(`section ${section.id} has no blocks`);
+    section.blocks.forEach(block => {
+      if (!block || typeof block.id !== 'string' || seen.has(block.id)) throw configError(`missing or duplicate block id in section ${section.id}`);
+      if (typeof block.osc !== 'string' || !block.osc.startsWith('/config/routing/')) throw configError(`block ${block.id} needs a /config/routing/ address`);
+      if (!Array.isArray(optionSets[block.options])) throw configError(`block ${block.id} uses unknown option set "${block.options}"`);
+      seen.add(block.id);
+      blocks.push(Object.assign({ section: section.id, label: block.id }, block));
+    });
+  });
+  const inputBlocks = blocks.filter(b => Number.isInteger(b.userin) && Number.isInteger(b.localin));
+  if (inputBlocks.length !== 4) throw configError(`expected 4 input blocks with userin/localin codes, found ${inputBlocks.length}`);
+  return { sections, optionSets, blocks, inputBlocks };
+}
+
+function defaultRoutingConfig() {
+  return buildRoutingConfig(DEFAULT_SECTIONS, DEFAULT_OPTION_SETS);
+}
+
+function loadRoutingConfig(filePath) {
+  try {
+    if (!filePath || !fs.existsSync(filePath)) return defaultRoutingConfig();
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8') || '{}') || {};
+    const optionSets = Object.assign({}, DEFAULT_OPTION_SETS, parsed.optionSets || {});
+    const config = buildRoutingConfig(parsed.sections || DEFAULT_SECTIONS, optionSets);
+    console.log('[ROUTING] Loaded routing block descriptors from', filePath);
+    return config;
+  } catch (e) {
+    console.warn('Failed to load', filePath, '- using default routing blocks:', e && e.message);
+    return defaultRoutingConfig();
+  }
+}
+
+// Is `value` one of the codes the block accepts?
+function isValidBlockValue(config, block, value) {
+  const options = config.optionSets[block.options] || [];
+  return Number.isInteger(value) && options.some(o => o.value === value);
+}
+
+module.exports = { DEFAULT_SECTIONS, DEFAULT_OPTION_SETS, loadRoutingConfig, defaultRoutingConfig, isValidBlockValue };
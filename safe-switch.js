@@ -0,0 +1,91 @@
+/*
+  safe-switch.js
+  --------------
+  File-backed safe-switch settings for one console. With safe switch on,
+  server.js mutes a channel (/ch/NN/mix/on 0) before changing its source,
+  waits settleMs after the change and then restores the mute state the
+  channel had, so a live channel does not pop through the PA. This module
+  only stores which channels it applies to.
+
+  Settings shape
+  - { enabled, settleMs, always: ['NN', ...], never: ['NN', ...] }
+  - enabled is the global default; channels in `always` / `never` override
+    it. A channel may not be in both lists.
+
+  File format (safe-switch.json for 'main', safe-switch-<id>.json for other
+  consoles): the settings object plus "version": 1. Errors thrown by the
+  store carry an HTTP-style `status` (400) like groups.js.
+*/
+const fs = require('fs');
+const { parseChannels } = require('./groups');
+
+const DEFAULT_SETTLE_MS = 150;
+const MAX_SETTLE_MS = 2000;
+
+function settingsError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Channel list that may be empty ([] / '' / null -> [])
+function channelList(value) {
+  if (value == null || (Array.isArray(value) && value.length === 0) || String(value).trim() === '') return [];
+  return parseChannels(value);
+}
+
+function createSafeSwitchStore(filePath) {
+  let settings = { enabled: false, settleMs: DEFAULT_SETTLE_MS, always: [], never: [] };
+  try {
+    if (fs.existsSync(filePath)) {
+      const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8') || '{}') || {};
+      settings = {
+        enabled: parsed.enabled === true,
+        settleMs: Number.isInteger(parsed.settleMs) ? parsed.settleMs : DEFAULT_SETTLE_MS,
+        always: Array.isArray(parsed.always) ? parsed.always : [],
+        never: Array.isArray(parsed.never) ? parsed.never : []
+      };
+    }
+  } catch (e) { console.warn('Failed to read safe-switch file', filePath, e && e.message); }
+
+  function save() {
+    const tmp = filePath + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(Object.assign({ version: 1 }, settings), null, 2), 'utf8');
+    fs.renameSync(tmp, filePath);
+  }
+
+  function get() {
+    return { enabled: settings.enabled, settleMs: settings.settleMs, always: settings.always.slice(), never: settings.never.slice() };
+  }
+
+  // changes: { enabled?, settleMs?, always?, never? }; channel lists as in groups.js
+  function update(changes) {
+    const next = get();
+    if (changes.enabled != null) {
+      if (typeof changes.enabled !== 'boolean') throw settingsError('enabled must be true or false');
+      next.enabled = changes.enabled;
+    }
+    if (changes.settleMs != null) {
+      const ms = Number(changes.settleMs);
+      if (!Number.isInteger(ms) || ms < 0 || ms > MAX_SETTLE_MS) throw settingsError(`settleMs must be 0-${MAX_SETTLE_MS}`);
+      next.settleMs = ms;
+    }
+    if (changes.always !== undefined) next.always = channelList(changes.always);
+    if (changes.never !== undefined) next.never = channelList(changes.never);
+    const both = next.always.filter(nn => next.never.includes(nn));
+    if (both.length) throw settingsError('channel ' + both.join(', ') + ' is in both always and never');
+    settings = next;
+    save();
+    return get();
+  }
+
+  // Whether a source change on channel 'NN' is muted
+  function appliesTo(nn) {
+    if (settings.never.includes(nn)) return false;
+    return settings.always.includes(nn) || settings.enabled;
+  }
+
+  return { filePath, get, update, appliesTo };
+}
+
+module.exports = { createSafeSwitchStore, DEFAULT_SETTLE_MS, MAX_SETTLE_MS };
@@ -0,0 +1,111 @@
+/*
+  scripts/address-test.js
+  -----------------------
+  Headless test: persisted console addresses. Points the main console at an
+  emulated desk with a manual set_x32_ip, restarts the server on the same
+  data folder and checks that it reconnects to the saved address without
+  discovery and that the address source is reported (manual, discovery,
+  saved). A last restart with the saved address gone stale checks that
+  discovery takes the saved desk back by its stored name, not another desk
+  that answers too.
+
+  Usage:
+    node scripts/address-test.js [port]
+
+  Example:
+    node scripts/address-test.js 4310
+*/
+const fs = require('fs');
+const path = require('path');
+const { waitForMessage, connect, waitForServer, makeDataDir, removeDataDir, startServer, stopServer, startEmulator } = require('./test-helpers');
+
+const EMULATOR_PORT = 10161;
+const OTHER_PORT = 10162;
+// Nothing listens here: the saved address after the desk "moved"
+const STALE_PORT = 10163;
+
+async function run(port) {
+  console.log('Starting address test on port', port);
+  const dataDir = makeDataDir('address');
+  const emu = await startEmulator(EMULATOR_PORT, { name: 'Address' });
+  const other = await startEmulator(OTHER_PORT, { name: 'Other' });
+  const base = `http://127.0.0.1:${port}`;
+  const main = async () => (await (await fetch(base + '/consoles')).json()).consoles.find(c => c.id === 'main');
+  const savedMain = () => JSON.parse(fs.readFileSync(path.join(dataDir, 'consoles.json'), 'utf8')).find(c => c.id === 'main');
+
+  let child = startServer(port, dataDir, { DUBSWITCH_PING_MS: '300' });
+  let ws = null;
+  try {
+    await waitForServer(port);
+
+    // 1. Manual address for the main console: used and saved
+    const res = await fetch(base + '/consoles/main', { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ port: EMULATOR_PORT }) });
+    if (!res.ok) throw new Error('could not set the main console port');
+    ws = await connect(`ws://127.0.0.1:${port}/`);
+    const listed = waitForMessage(ws, d => d.type === 'consoles' && d.consoles.some(c => c.id === 'main' && c.ip === '127.0.0.1'));
+    ws.send(JSON.stringify({ type: 'set_x32_ip', ip: '127.0.0.1' }));
+    const entry = (await listed).consoles.find(c => c.id === 'main');
+    if (entry.ipSource !== 'manual') throw new Error('manual address reported as ' + entry.ipSource);
+    const saved = savedMain();
+    if (saved.ip !== '127.0.0.1' || saved.port !== EMULATOR_PORT) throw new Error('address not saved: ' + JSON.stringify(saved));
+    console.log('Manual address saved:', saved.ip + ':' + saved.port);
+
+    // 2. An address picked from discovery is reported as such
+    const rediscovered = waitForMessage(ws, d => d.type === 'consoles' && d.consoles.some(c => c.id === 'main' && c.ipSource === 'discovery'));
+    ws.send(JSON.stringify({ type: 'set_x32_ip', ip: '127.0.0.1', source: 'discovery' }));
+    await rediscovered;
+    ws.close(); ws = null;
+
+    // 3. Restart: the saved address is used straight away
+    await stopServer(child);
+    child = startServer(port, dataDir, { DUBSWITCH_PING_MS: '300' });
+    await waitForServer(port);
+    const restarted = await main();
+    if (restarted.ip !== '127.0.0.1' || restarted.ipSource !== 'saved' || restarted.port !== EMULATOR_PORT) throw new Error('saved address not used: ' + JSON.stringify(restarted));
+    let health = null;
+    for (let i = 0; i < 20 && !health; i++) {
+      const status = await (await fetch(base + '/status')).json();
+      if (status.health.state === 'online') health = status.health;
+      else await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    if (!health) throw new Error('saved address did not answer');
+    console.log('Restarted on the saved address, console online');
+
+    // 4. Restart on a stale saved address: the desk stored with it is
+    //    found again by discovery, the other desk is only a candidate
+    await stopServer(child);
+    const file = path.join(dataDir, 'consoles.json');
+    const list = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const stale = list.find(c => c.id === 'main');
+    if (stale.name !== 'Address') throw new Error('desk not saved with the address: ' + JSON.stringify(stale));
+    stale.port = STALE_PORT;
+    fs.writeFileSync(file, JSON.stringify(list, null, 2));
+    child = startServer(port, dataDir, { DUBSWITCH_PING_MS: '300', DUBSWITCH_DISCOVERY_ADDRESSES: `127.0.0.1:${OTHER_PORT}, 127.0.0.1:${EMULATOR_PORT}` });
+    await waitForServer(port);
+    let moved = null;
+    for (let i = 0; i < 50 && !moved; i++) {
+      const current = await main();
+      if (current.port !== STALE_PORT && current.health === 'online') moved = current;
+      else await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    if (!moved) throw new Error('stale saved address not replaced: ' + JSON.stringify(await main()));
+    if (moved.port !== EMULATOR_PORT) throw new Error('adopted the wrong desk on port ' + moved.port);
+    console.log('Stale saved address: found the saved desk again on port', moved.port);
+
+    console.log('Test passed');
+    process.exitCode = 0;
+  } catch (e) {
+    console.error('Test failed:', e && e.message);
+    process.exitCode = 2;
+  } finally {
+    try { if (ws) ws.close(); } catch (e) {}
+    child.kill();
+    emu.stop();
+    other.stop();
+    removeDataDir(dataDir);
+  }
+}
+
+if (require.main === module) {
+  run(Number(process.argv[2]) || 4310);
+}
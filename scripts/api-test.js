@@ -0,0 +1,106 @@
+/*
+  scripts/api-test.js
+  -------------------
+  Headless test: REST API v1. Against an emulated console it reads channel
+  state, switches a channel to B and toggles it back, renames a channel,
+  toggles a group, switches routing blocks and recalls a preset by name,
+  checking each response reports the verified state. A frozen channel must
+  answer 504.
+
+  Usage:
+    node scripts/api-test.js [port]
+
+  Example:
+    node scripts/api-test.js 4230
+*/
+const { waitForServer, makeDataDir, removeDataDir, startServer, startEmulator } = require('./test-helpers');
+
+async function run(port) {
+  console.log('Starting REST API test on port', port);
+  const dataDir = makeDataDir('api');
+  const emu = await startEmulator(10081, { name: 'Api' });
+  const child = startServer(port, dataDir);
+  const base = `http://127.0.0.1:${port}`;
+  const api = async (method, route, body) => {
+    const r = await fetch(base + '/api/v1' + route + (route.includes('?') ? '&' : '?') + 'console=api', { method, headers: { 'Content-Type': 'application/json' }, body: body ? JSON.stringify(body) : undefined });
+    return { status: r.status, json: await r.json() };
+  };
+
+  try {
+    await waitForServer(port);
+    const r = await fetch(base + '/consoles', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ label: 'Api', ip: '127.0.0.1', port: 10081 }) });
+    if (!r.ok) throw new Error('could not register console: ' + r.status);
+
+    // 1. Channel state
+    const index = await (await fetch(base + '/api/v1')).json();
+    if (index.version !== 1 || !index.consoles.includes('api')) throw new Error('bad API index: ' + JSON.stringify(index));
+    const all = await api('GET', '/channels');
+    const ch5 = all.json.channels && all.json.channels.find(c => c.channel === '05');
+    if (all.status !== 200 || all.json.channels.length !== 32 || ch5.value !== 5 || ch5.side !== 'A' || ch5.b !== 133) throw new Error('bad channel state: ' + JSON.stringify(all.json).slice(0, 300));
+    console.log('Read 32 channels; ch05 is', ch5.source.label, 'side', ch5.side);
+
+    // 2. Set to B, then toggle back to A
+    let res = await api('POST', '/channels/5/ab', { side: 'B' });
+    if (!res.json.ok || res.json.channel.side !== 'B' || res.json.channel.value !== 133 || emu.get('/config/userrout/in/05') !== 133) throw new Error('set B failed: ' + JSON.stringify(res.json));
+    res = await api('POST', '/channels/05/ab');
+    if (!res.json.ok || res.json.channel.side !== 'A' || emu.get('/config/userrout/in/05') !== 5) throw new Error('toggle failed: ' + JSON.stringify(res.json));
+    console.log('ch05 set to B and toggled back to A');
+
+    // 3. Names
+    res = await api('PUT', '/channels/3/name', { name: 'Snare' });
+    if (!res.json.ok || res.json.channel.name !== 'Snare' || emu.get('/ch/03/config/name') !== 'Snare') throw new Error('rename failed: ' + JSON.stringify(res.json));
+    res = await api('PUT', '/channels/3/name', { name: 'Much too long name' });
+    if (res.status !== 400) throw new Error('long name not rejected: ' + res.status);
+    console.log('ch03 renamed; overlong name rejected');
+
+    // 4. Group toggle: all on A -> B
+    res = await api('POST', '/groups/ab', { channels: '1-4', side: 'toggle' });
+    if (!res.json.ok || res.json.side !== 'B' || res.json.state.length !== 4 || res.json.state.some(c => c.side !== 'B') || emu.get('/config/userrout/in/04') !== 132) throw new Error('group toggle failed: ' + JSON.stringify(res.json).slice(0, 300));
+    console.log('Group 1-4 toggled to B in one transaction');
+
+    // 5. Blocks
+    const blocks = await api('GET', '/blocks');
+    const in1 = blocks.json.blocks.find(b => b.id === 'IN/1-8');
+    if (!in1 || in1.mode !== 'localin') throw new Error('bad block state: ' + JSON.stringify(in1));
+    res = await api('PUT', '/blocks/IN/1-8', { mode: 'toggle' });
+    if (!res.json.ok || res.json.block.mode !== 'userin' || emu.get('/config/routing/IN/1-8') !== 20) throw new Error('block toggle failed: ' + JSON.stringify(res.json));
+    res = await api('PUT', '/blocks/AES50A/1-8', { value: 3 });
+    if (!res.json.ok || res.json.block.value !== 3 || emu.get('/config/routing/AES50A/1-8') !== 3) throw new Error('block set failed: ' + JSON.stringify(res.json));
+    console.log('IN/1-8 toggled to UserIn; AES50A/1-8 set to', res.json.block.label);
+
+    // 6. Preset recall by name
+    const created = await fetch(base + '/presets?console=api', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name: 'Soundcheck' }) });
+    if (!created.ok) throw new Error('could not create preset: ' + created.status);
+    await api('POST', '/groups/ab', { channels: [1, 2, 3, 4], side: 'A' });
+    res = await api('POST', '/presets/soundcheck/recall');
+    if (!res.json.ok || res.json.preset.name !== 'Soundcheck' || res.json.state.userrout['01'] !== 129 || emu.get('/config/userrout/in/01') !== 129) throw new Error('preset recall failed: ' + JSON.stringify(res.json).slice(0, 300));
+    console.log('Recalled preset', res.json.preset.name);
+
+    // 7. Unconfirmed writes and bad input
+    emu.freeze('/config/userrout/in/07');
+    res = await api('POST', '/channels/7/ab', { side: 'B' });
+    if (res.status !== 504 || res.json.ok || res.json.channel.value !== 7) throw new Error('frozen channel not reported: ' + res.status + ' ' + JSON.stringify(res.json));
+    emu.unfreeze('/config/userrout/in/07');
+    if ((await api('POST', '/channels/33/ab', { side: 'A' })).status !== 400) throw new Error('channel 33 accepted');
+    if ((await api('POST', '/channels/1/ab', { side: 'C' })).status !== 400) throw new Error('side C accepted');
+    console.log('Frozen channel answered 504; bad input 400');
+
+    // 8. API writes are journaled
+    const journal = await (await fetch(base + '/journal?console=api')).json();
+    if (!journal.entries.some(e => e.source === 'api' && e.address === '/config/userrout/in/05')) throw new Error('API write not journaled');
+
+    console.log('Test passed');
+    process.exitCode = 0;
+  } catch (e) {
+    console.error('Test failed:', e && e.message);
+    process.exitCode = 2;
+  } finally {
+    child.kill();
+    emu.stop();
+    removeDataDir(dataDir);
+  }
+}
+
+if (require.main === module) {
+  run(Number(process.argv[2]) || 4230);
+}
@@ -0,0 +1,153 @@
+/*
+  scripts/auth-test.js
+  --------------------
+  Headless test: optional login and roles. Starts the server with an
+  auth.json (admin and operator PINs, a viewer API token) and checks that
+  HTTP routes and WebSocket messages are refused without a login or with a
+  role that is too low, that logout ends a session, that repeated wrong PINs
+  are throttled and that an invalid auth.json stops the server.
+
+  Usage:
+    node scripts/auth-test.js [port]
+
+  Example:
+    node scripts/auth-test.js 4220
+*/
+const fs = require('fs');
+const path = require('path');
+const WebSocket = require('ws');
+const { waitForMessage, waitForServer, makeDataDir, removeDataDir, startServer } = require('./test-helpers');
+
+const VIEWER_TOKEN = 'viewer-token-0123456789';
+
+// Resolves with the close code once the server hangs up
+function waitForClose(ws, timeoutMs = 4000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('socket not closed')), timeoutMs);
+    ws.once('close', code => { clearTimeout(timer); resolve(code); });
+  });
+}
+
+async function run(port) {
+  console.log('Starting auth test on port', port);
+  const dataDir = makeDataDir('auth');
+  fs.writeFileSync(path.join(dataDir, 'auth.json'), JSON.stringify({
+    credentials: [
+      { name: 'FOH', pin: '4711', role: 'admin' },
+      { name: 'Stage', pin: '1234', role: 'operator' },
+      { name: 'Display', token: VIEWER_TOKEN, role: 'viewer' }
+    ],
+    // The test runs on this machine, so don't trust loopback
+    localRole: null
+  }));
+  const child = startServer(port, dataDir, { DUBSWITCH_EMULATOR: '1' }, { echo: text => !/\[AUTH\]/.test(text) });
+  const base = `http://127.0.0.1:${port}`;
+  const sockets = [];
+  // The 'auth' message arrives together with the handshake, so listen for
+  // it before the socket reports open
+  const open = token => new Promise((resolve, reject) => {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}/?console=main${token ? '&token=' + token : ''}`);
+    sockets.push(ws);
+    ws.hello = waitForMessage(ws, d => d.type === 'auth' || d.type === 'auth_required');
+    ws.hello.catch(() => {});
+    ws.once('open', () => resolve(ws));
+    ws.once('error', reject);
+  });
+  const call = (method, route, token, body) => fetch(base + route, {
+    method,
+    headers: Object.assign({ 'Content-Type': 'application/json' }, token ? { Authorization: 'Bearer ' + token } : {}),
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const login = async pin => (await call('POST', '/auth/login', null, { pin })).json();
+
+  try {
+    await waitForServer(port);
+
+    // 1. Nothing but /version and /auth/* without a login
+    const anon = await fetch(base + '/status');
+    const status = await (await fetch(base + '/auth/status')).json();
+    if (anon.status !== 401 || !status.enabled || status.role !== null) throw new Error('anonymous access not refused: ' + anon.status + ' ' + JSON.stringify(status));
+    const anonWs = await open(null);
+    const refused = await Promise.all([anonWs.hello, waitForClose(anonWs)]);
+    if (refused[0].type !== 'auth_required' || refused[1] !== 4401) throw new Error('anonymous socket closed with ' + refused[1]);
+    console.log('Anonymous HTTP and WebSocket refused');
+
+    // 2. Operator: may switch channels, may not touch admin routes or raw OSC
+    if ((await call('POST', '/auth/login', null, { pin: '0000' })).status !== 401) throw new Error('wrong PIN accepted');
+    const op = await login('1234');
+    if (!op.ok || op.role !== 'operator' || !op.token) throw new Error('operator login failed: ' + JSON.stringify(op));
+    if ((await call('GET', '/status', op.token)).status !== 200) throw new Error('operator cannot read /status');
+    if ((await call('POST', '/set-port', op.token, { port: 4999 })).status !== 403) throw new Error('operator may change the port');
+    if ((await call('POST', '/set-channel-matrix', op.token, { '01': { a: 1, b: 129 } })).status !== 403) throw new Error('operator may edit the matrix');
+    const opWs = await open(op.token);
+    const hello = await opWs.hello;
+    if (hello.role !== 'operator' || hello.name !== 'Stage') throw new Error('bad auth message: ' + JSON.stringify(hello));
+    await waitForMessage(opWs, d => d.type === 'clp' && d.address === '/config/userrout/in/05');
+    const written = waitForMessage(opWs, d => d.type === 'write_result' && d.address === '/config/userrout/in/05');
+    opWs.send(JSON.stringify({ type: 'clp', address: '/config/userrout/in/05', args: [133] }));
+    if ((await written).status !== 'confirmed') throw new Error('operator toggle not applied');
+    const denied = waitForMessage(opWs, d => d.type === 'forbidden');
+    opWs.send(JSON.stringify({ type: 'clp', address: '/ch/01/mix/on', args: [0] }));
+    const raw = await denied;
+    if (raw.action !== 'clp' || raw.required !== 'admin') throw new Error('raw OSC not refused: ' + JSON.stringify(raw));
+    const deniedIp = waitForMessage(opWs, d => d.type === 'forbidden');
+    opWs.send(JSON.stringify({ type: 'set_x32_ip', ip: '10.0.0.1' }));
+    if ((await deniedIp).action !== 'set_x32_ip') throw new Error('set_x32_ip not refused');
+    console.log('Operator toggled ch05; admin routes and messages refused');
+
+    // 3. Viewer (API token): read-only
+    if ((await call('GET', '/presets', VIEWER_TOKEN)).status !== 200) throw new Error('viewer cannot read presets');
+    if ((await call('POST', '/presets', VIEWER_TOKEN, { name: 'x' })).status !== 403) throw new Error('viewer may create presets');
+    const viewWs = await open(VIEWER_TOKEN);
+    if ((await viewWs.hello).role !== 'viewer') throw new Error('viewer socket has the wrong role');
+    const viewDenied = waitForMessage(viewWs, d => d.type === 'forbidden');
+    viewWs.send(JSON.stringify({ type: 'toggle_inputs_block', block: 0, target: 20 }));
+    if ((await viewDenied).required !== 'operator') throw new Error('viewer block toggle not refused');
+    console.log('Viewer token can read but not switch');
+
+    // 4. Admin gets past the role check (400 comes from the route itself)
+    const admin = await login('4711');
+    if ((await call('POST', '/consoles', admin.token, {})).status !== 400) throw new Error('admin refused on /consoles');
+    console.log('Admin allowed on /consoles');
+
+    // 5. Logout ends the session, also for an open socket
+    await call('POST', '/auth/logout', op.token);
+    if ((await call('GET', '/status', op.token)).status !== 401) throw new Error('session still valid after logout');
+    const kicked = waitForClose(opWs);
+    opWs.send(JSON.stringify({ type: 'get_history' }));
+    if (await kicked !== 4401) throw new Error('logged-out socket not closed');
+    console.log('Logout ends HTTP and WebSocket access');
+
+    // 6. Repeated wrong PINs are throttled
+    let last = null;
+    for (let i = 0; i < 6; i++) last = (await call('POST', '/auth/login', null, { pin: '9999' })).status;
+    if (last !== 429) throw new Error('wrong PINs not throttled: ' + last);
+    console.log('Wrong PINs throttled with 429');
+
+    // 7. An invalid auth.json stops the server instead of running open
+    const badDir = makeDataDir('auth-bad');
+    fs.writeFileSync(path.join(badDir, 'auth.json'), JSON.stringify({ credentials: [{ pin: '12', role: 'boss' }] }));
+    const bad = startServer(port + 1, badDir, {}, { echo: false });
+    const code = await new Promise(resolve => {
+      const timer = setTimeout(() => { bad.kill(); resolve('still running'); }, 5000);
+      bad.on('exit', c => { clearTimeout(timer); resolve(c); });
+    });
+    removeDataDir(badDir);
+    if (code !== 1 || !/role must be one of/.test(bad.output)) throw new Error('invalid auth.json not rejected: ' + code + ' ' + bad.output);
+    console.log('Invalid auth.json rejected:', bad.output.trim().split('\n')[0]);
+
+    console.log('Test passed');
+    process.exitCode = 0;
+  } catch (e) {
+    console.error('Test failed:', e && e.message);
+    process.exitCode = 2;
+  } finally {
+    sockets.forEach(ws => { try { ws.close(); } catch (e) {} });
+    child.kill();
+    removeDataDir(dataDir);
+  }
+}
+
+if (require.main === module) {
+  run(Number(process.argv[2]) || 4220);
+}
@@ -0,0 +1,79 @@
+/*
+  scripts/bulk-apply-test.js
+  --------------------------
+  Headless test: transactional bulk apply. Switches all 32 channels in one
+  bulk_apply, then repeats with one channel frozen on the emulator and checks
+  that every channel is rolled back and reported in a single bulk_result.
+
+  Usage:
+    node scripts/bulk-apply-test.js [port]
+
+  Example:
+    node scripts/bulk-apply-test.js 4180
+*/
+const { waitForMessage, connect, waitForServer, makeDataDir, removeDataDir, startServer, startEmulator } = require('./test-helpers');
+
+function cardValues() {
+  const values = {};
+  for (let ch = 1; ch <= 32; ch++) values[String(ch).padStart(2, '0')] = 128 + ch;
+  return values;
+}
+
+async function run(port) {
+  console.log('Starting bulk apply test on port', port);
+  const dataDir = makeDataDir('bulk');
+  const emu = await startEmulator(10051, { name: 'Bulk' });
+  const child = startServer(port, dataDir);
+
+  let ws = null;
+  try {
+    await waitForServer(port);
+    const base = `http://127.0.0.1:${port}`;
+    const r = await fetch(base + '/consoles', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ label: 'Bulk', ip: '127.0.0.1', port: 10051 }) });
+    if (!r.ok) throw new Error('could not register console: ' + r.status);
+    ws = await connect(`ws://127.0.0.1:${port}/?console=bulk`);
+    await waitForMessage(ws, d => d.type === 'clp' && d.address === '/config/userrout/in/05');
+
+    // 1. Failing transaction: ch17 ignores writes, so everything is rolled back
+    emu.freeze('/config/userrout/in/17');
+    const rolled = waitForMessage(ws, d => d.type === 'bulk_result', 8000);
+    ws.send(JSON.stringify({ type: 'bulk_apply', values: cardValues(), label: 'Apply B' }));
+    const res1 = await rolled;
+    if (res1.ok || !res1.rolledBack || res1.channels['17'].status !== 'failed' || res1.channels['05'].status !== 'rolled_back') throw new Error('no rollback: ' + JSON.stringify(res1).slice(0, 300));
+    for (let ch = 1; ch <= 32; ch++) {
+      if (emu.get(`/config/userrout/in/${String(ch).padStart(2, '0')}`) !== ch) throw new Error('channel ' + ch + ' left switched');
+    }
+    console.log('ch17 failed; all 32 channels rolled back to Local');
+
+    // 2. Successful transaction
+    emu.unfreeze('/config/userrout/in/17');
+    const applied = waitForMessage(ws, d => d.type === 'bulk_result', 8000);
+    ws.send(JSON.stringify({ type: 'bulk_apply', values: cardValues(), label: 'Apply B' }));
+    const res2 = await applied;
+    const confirmed = Object.keys(res2.channels).filter(nn => res2.channels[nn].status === 'confirmed');
+    if (!res2.ok || confirmed.length !== 32 || res2.channels['17'].from !== 17 || emu.get('/config/userrout/in/17') !== 145) throw new Error('bulk apply failed: ' + JSON.stringify(res2).slice(0, 300));
+    console.log('All 32 channels switched to Card in one bulk_result');
+
+    // 3. Invalid values are refused before anything is written
+    const refused = waitForMessage(ws, d => d.type === 'bulk_result');
+    ws.send(JSON.stringify({ type: 'bulk_apply', values: { '01': 500 } }));
+    const res3 = await refused;
+    if (res3.ok || !/invalid/.test(res3.error || '') || emu.get('/config/userrout/in/01') !== 129) throw new Error('invalid value not refused: ' + JSON.stringify(res3));
+    console.log('Invalid value refused:', res3.error);
+
+    console.log('Test passed');
+    process.exitCode = 0;
+  } catch (e) {
+    console.error('Test failed:', e && e.message);
+    process.exitCode = 2;
+  } finally {
+    try { if (ws) ws.close(); } catch (e) {}
+    child.kill();
+    emu.stop();
+    removeDataDir(dataDir);
+  }
+}
+
+if (require.main === module) {
+  run(Number(process.argv[2]) || 4180);
+}
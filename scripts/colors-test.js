@@ -0,0 +1,99 @@
+/*
+  scripts/colors-test.js
+  ----------------------
+  Headless test: channel colours. Checks the palette served by /api/colors,
+  a verified colour write through the WebSocket, bulk colouring of a channel
+  list and of a group, the REST colour routes, refused values outside the
+  palette, and that colour writes are journaled but kept out of the undo
+  history.
+
+  Usage:
+    node scripts/colors-test.js [port]
+
+  Example:
+    node scripts/colors-test.js 4280
+*/
+const WebSocket = require('ws');
+const { waitForMessage, connect, waitForServer, makeDataDir, removeDataDir, startServer, startEmulator } = require('./test-helpers');
+
+async function run(port) {
+  console.log('Starting colors test on port', port);
+  const dataDir = makeDataDir('colors');
+  const emu = await startEmulator(10131, { name: 'Colors' });
+  const child = startServer(port, dataDir);
+  const base = `http://127.0.0.1:${port}`;
+  const http = async (method, route, body) => {
+    const r = await fetch(base + route + (route.includes('?') ? '&' : '?') + 'console=colors', { method, headers: { 'Content-Type': 'application/json' }, body: body ? JSON.stringify(body) : undefined });
+    return { status: r.status, json: await r.json() };
+  };
+  const color = ch => emu.get(`/ch/${String(ch).padStart(2, '0')}/config/color`);
+
+  let ws = null;
+  try {
+    await waitForServer(port);
+    const r = await fetch(base + '/consoles', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ label: 'Colors', ip: '127.0.0.1', port: 10131 }) });
+    if (!r.ok) throw new Error('could not register console: ' + r.status);
+    ws = await connect(`ws://127.0.0.1:${port}/?console=colors`);
+    await waitForMessage(ws, d => d.type === 'clp' && d.address === '/ch/04/config/color');
+
+    // 1. Palette
+    const palette = (await (await fetch(base + '/api/colors')).json()).colors;
+    if (palette.length !== 16 || palette[12].id !== 'BLi' || !palette[12].inverted || palette[4].color !== palette[12].color) throw new Error('bad palette: ' + JSON.stringify(palette[12]));
+    console.log('Palette has 16 colours, 8-15 inverted');
+
+    // 2. Single verified write through the WebSocket
+    let broadcastColors = waitForMessage(ws, d => d.type === 'channel_colors' && d.colors['03'] === 9);
+    let result = waitForMessage(ws, d => d.type === 'write_result' && d.address === '/ch/03/config/color');
+    ws.send(JSON.stringify({ type: 'clp', address: '/ch/03/config/color', args: [9] }));
+    let write = await result;
+    if (write.status !== 'confirmed' || write.channel !== '03' || color(3) !== 9) throw new Error('colour write failed: ' + JSON.stringify(write));
+    await broadcastColors;
+    result = waitForMessage(ws, d => d.type === 'write_result' && d.address === '/ch/03/config/color');
+    ws.send(JSON.stringify({ type: 'clp', address: '/ch/03/config/color', args: [20] }));
+    write = await result;
+    if (write.status !== 'failed' || color(3) !== 9) throw new Error('colour 20 accepted: ' + JSON.stringify(write));
+    console.log('ch03 set to Red inverted; 20 refused');
+
+    // 3. Bulk: a channel list and a group
+    result = waitForMessage(ws, d => d.type === 'color_result');
+    ws.send(JSON.stringify({ type: 'set_channel_colors', channels: '1-4', color: 'GN' }));
+    let bulk = await result;
+    if (!bulk.ok || bulk.color !== 2 || Object.keys(bulk.channels).length !== 4 || [1, 2, 3, 4].some(ch => color(ch) !== 2)) throw new Error('bulk colour failed: ' + JSON.stringify(bulk));
+    if ((await http('POST', '/groups', { name: 'Vox', channels: '20-22' })).status !== 200) throw new Error('could not create group');
+    result = waitForMessage(ws, d => d.type === 'color_result');
+    ws.send(JSON.stringify({ type: 'set_channel_colors', group: 'vox', color: 'Magenta inverted' }));
+    bulk = await result;
+    if (!bulk.ok || [20, 21, 22].some(ch => color(ch) !== 13) || color(23) !== 0) throw new Error('group colour failed: ' + JSON.stringify(bulk));
+    console.log('Coloured ch01-04 green and group Vox magenta inverted');
+
+    // 4. REST API
+    let res = await http('PUT', '/api/v1/channels/5/color', { color: 'YE' });
+    if (!res.json.ok || res.json.channel.color.id !== 'YE' || color(5) !== 3) throw new Error('REST colour failed: ' + JSON.stringify(res.json));
+    res = await http('POST', '/api/v1/groups/color', { channels: [10, 11], color: 12 });
+    if (!res.json.ok || res.json.state.some(c => c.color.value !== 12)) throw new Error('REST bulk colour failed: ' + JSON.stringify(res.json));
+    if ((await http('PUT', '/api/v1/channels/5/color', { color: 'purple' })).status !== 400) throw new Error('unknown colour accepted');
+    console.log('Coloured through /api/v1/channels/:ch/color and /api/v1/groups/color');
+
+    // 5. Journaled, not in the undo history
+    const journal = await (await fetch(base + '/journal?console=colors')).json();
+    if (!journal.entries.some(e => e.source === 'api' && e.address === '/ch/05/config/color' && e.to === 3)) throw new Error('colour not journaled');
+    const history = await (async () => { const h = waitForMessage(ws, d => d.type === 'history'); ws.send(JSON.stringify({ type: 'get_history' })); return h; })();
+    if (history.entries.length !== 0) throw new Error('colour recorded in history');
+    console.log('Colour writes journaled, history untouched');
+
+    console.log('Test passed');
+    process.exitCode = 0;
+  } catch (e) {
+    console.error('Test failed:', e && e.message);
+    process.exitCode = 2;
+  } finally {
+    try { if (ws) ws.close(); } catch (e) {}
+    child.kill();
+    emu.stop();
+    removeDataDir(dataDir);
+  }
+}
+
+if (require.main === module) {
+  run(Number(process.argv[2]) || 4280);
+}
@@ -0,0 +1,110 @@
+/*
+  scripts/config-test.js
+  ----------------------
+  Headless test: dubswitch.json. Checks that an invalid file stops the
+  server with every problem listed, that the file's httpPort beats PORT and
+  environment variables fill in what the file leaves out, that GET /config
+  reports values, sources and restart state, that bad changes are refused
+  without touching the file, that port changes are saved but flagged as
+  needing a restart and that a new keep-alive interval applies live.
+
+  Usage:
+    node scripts/config-test.js [port]
+
+  Example:
+    node scripts/config-test.js 4340
+*/
+const fs = require('fs');
+const path = require('path');
+const { waitForMessage, connect, waitForServer, makeDataDir, removeDataDir, startServer, startEmulator } = require('./test-helpers');
+
+const EMULATOR_PORT = 10191;
+const CONTROL_PORT = 9342;
+
+async function run(port) {
+  console.log('Starting config test on port', port);
+  const dataDir = makeDataDir('config');
+  const configPath = path.join(dataDir, 'dubswitch.json');
+  const emu = await startEmulator(EMULATOR_PORT, { name: 'Config' });
+  const base = `http://127.0.0.1:${port}`;
+  const http = async (method, route, body) => {
+    const r = await fetch(base + route, { method, headers: { 'Content-Type': 'application/json' }, body: body ? JSON.stringify(body) : undefined });
+    return { status: r.status, json: await r.json() };
+  };
+  const pings = async () => (await (await fetch(base + '/status?console=config')).json()).health.pings;
+
+  let child = null;
+  let ws = null;
+  try {
+    // 1. An invalid file stops the server and names every problem
+    fs.writeFileSync(configPath, JSON.stringify({ httpPort: 'x', pingIntervalMs: 20000, colour: 'red' }));
+    child = startServer(port, dataDir, {}, { echo: false });
+    const code = await new Promise(resolve => child.once('exit', resolve));
+    const problems = ['httpPort must be a port number', 'pingIntervalMs must be a whole number from 100 to 9000', 'unknown setting "colour"'];
+    if (code === 0 || problems.some(p => !child.output.includes(p))) throw new Error('invalid config not reported (exit ' + code + '): ' + child.output);
+    console.log('Invalid dubswitch.json refused:', problems.length, 'problems listed');
+
+    // 2. The file's port beats PORT; environment variables fill the gaps
+    fs.writeFileSync(configPath, JSON.stringify({ httpPort: port, pingIntervalMs: 1000 }));
+    child = startServer(port + 1, dataDir, { DUBSWITCH_OSC_CONTROL_PORT: String(CONTROL_PORT) }, { echo: false });
+    await waitForServer(port);
+    let res = await http('GET', '/config');
+    const setting = key => res.json.settings.find(s => s.key === key);
+    if (setting('httpPort').value !== port || setting('httpPort').source !== 'file') throw new Error('httpPort: ' + JSON.stringify(setting('httpPort')));
+    if (setting('oscControlPort').value !== CONTROL_PORT || setting('oscControlPort').source !== 'DUBSWITCH_OSC_CONTROL_PORT') throw new Error('oscControlPort: ' + JSON.stringify(setting('oscControlPort')));
+    if (setting('routingTimeoutMs').value !== 2000 || setting('routingTimeoutMs').source !== 'default' || setting('routingTimeoutMs').apply !== 'live') throw new Error('routingTimeoutMs: ' + JSON.stringify(setting('routingTimeoutMs')));
+    if (res.json.restartRequired.length) throw new Error('restart required at startup: ' + res.json.restartRequired);
+    console.log('Listening on', port, 'from the file; OSC control port', CONTROL_PORT, 'from the environment');
+
+    // 3. Bad changes are refused and the file stays as it was
+    const before = fs.readFileSync(configPath, 'utf8');
+    res = await http('PUT', '/config', { routingTimeoutMs: 50, localOscPort: CONTROL_PORT, bogus: 1 });
+    if (res.status !== 400 || !/routingTimeoutMs/.test(res.json.error) || !/bogus/.test(res.json.error)) throw new Error('bad change accepted: ' + JSON.stringify(res.json));
+    res = await http('PUT', '/config', { localOscPort: CONTROL_PORT });
+    if (res.status !== 400 || !/differ/.test(res.json.error)) throw new Error('port clash accepted: ' + JSON.stringify(res.json));
+    if (fs.readFileSync(configPath, 'utf8') !== before) throw new Error('file changed by a refused update');
+    console.log('Refused:', res.json.error);
+
+    // 4. Port changes are saved and flagged as needing a restart
+    ws = await connect(`ws://127.0.0.1:${port}/`);
+    const pushed = waitForMessage(ws, d => d.type === 'config');
+    res = await http('PUT', '/config', { localOscPort: 9301, discoveryAddresses: ['10.0.5.20', '10.0.6.20:10024'] });
+    if (!res.json.ok || res.json.restartRequired.join() !== 'localOscPort' || !res.json.changed.includes('discoveryAddresses')) throw new Error('restart not flagged: ' + JSON.stringify(res.json));
+    if ((await pushed).restartRequired.join() !== 'localOscPort') throw new Error('config not pushed to the admin client');
+    const stored = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    if (stored.localOscPort !== 9301 || stored.discoveryAddresses.length !== 2 || stored.httpPort !== port) throw new Error('not saved: ' + JSON.stringify(stored));
+    res = await http('PUT', '/config', { localOscPort: 9001 });
+    if (res.json.restartRequired.length) throw new Error('restart still flagged after undoing the change');
+    console.log('localOscPort saved, restart flagged, then cleared');
+
+    // 5. The keep-alive interval applies live
+    const r = await fetch(base + '/consoles', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ label: 'Config', ip: '127.0.0.1', port: EMULATOR_PORT }) });
+    if (!r.ok) throw new Error('could not register console: ' + r.status);
+    await new Promise(resolve => setTimeout(resolve, 300));
+    let start = await pings();
+    await new Promise(resolve => setTimeout(resolve, 1500));
+    const slow = (await pings()) - start;
+    res = await http('PUT', '/config', { pingIntervalMs: 150 });
+    if (!res.json.ok || !res.json.changed.includes('pingIntervalMs')) throw new Error('interval not changed: ' + JSON.stringify(res.json));
+    start = await pings();
+    await new Promise(resolve => setTimeout(resolve, 1500));
+    const fast = (await pings()) - start;
+    if (!Number.isInteger(slow) || !Number.isInteger(fast) || slow > 2 || fast < 7) throw new Error(`pings in 1.5 s: ${slow} at 1000 ms, ${fast} at 150 ms`);
+    console.log(`Keep-alive applied live: ${slow} pings in 1.5 s at 1000 ms, ${fast} at 150 ms`);
+
+    console.log('Test passed');
+    process.exitCode = 0;
+  } catch (e) {
+    console.error('Test failed:', e && e.message);
+    process.exitCode = 2;
+  } finally {
+    try { if (ws) ws.close(); } catch (e) {}
+    if (child && child.exitCode === null) child.kill();
+    emu.stop();
+    removeDataDir(dataDir);
+  }
+}
+
+if (require.main === module) {
+  run(Number(process.argv[2]) || 4340);
+}
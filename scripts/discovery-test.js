@@ -0,0 +1,111 @@
+/*
+  scripts/discovery-test.js
+  -------------------------
+  Headless test: console discovery. Two emulated desks are reached through
+  DUBSWITCH_DISCOVERY_ADDRESSES (loopback has no broadcast). Checks that
+  the main console adopts one of them at startup, that /autodiscover-x32
+  lists both with name, model and firmware and marks the one in use, that
+  listing does not move the main console, that picking the other desk
+  (set_x32_ip with its port) switches to it, and that once that desk goes
+  offline the first one is only offered (discovery_candidate) while the
+  picked desk is taken back when it answers from a new port.
+
+  Usage:
+    node scripts/discovery-test.js [port]
+
+  Example:
+    node scripts/discovery-test.js 4320
+*/
+const fs = require('fs');
+const path = require('path');
+const { waitForMessage, connect, waitForServer, makeDataDir, removeDataDir, startServer, startEmulator } = require('./test-helpers');
+
+const LEFT_PORT = 10171;
+const RIGHT_PORT = 10172;
+const MOVED_PORT = 10173;
+const PING_MS = 300;
+
+async function run(port) {
+  console.log('Starting discovery test on port', port);
+  const dataDir = makeDataDir('discovery');
+  const left = await startEmulator(LEFT_PORT, { name: 'Stage Left', model: 'X32', firmware: '4.06' });
+  const right = await startEmulator(RIGHT_PORT, { name: 'Stage Right', model: 'X32 Rack', firmware: '4.13' });
+  const child = startServer(port, dataDir, {
+    DUBSWITCH_DISCOVERY_ADDRESSES: `127.0.0.1:${LEFT_PORT}, 127.0.0.1:${RIGHT_PORT}, 127.0.0.1:${MOVED_PORT}`,
+    DUBSWITCH_PING_MS: String(PING_MS)
+  });
+  const base = `http://127.0.0.1:${port}`;
+  const main = async () => (await (await fetch(base + '/consoles')).json()).consoles.find(c => c.id === 'main');
+
+  let ws = null;
+  let moved = null;
+  try {
+    await waitForServer(port);
+
+    // 1. Startup discovery gives the main console one of the desks
+    let adopted = null;
+    for (let i = 0; i < 20 && !adopted; i++) {
+      const m = await main();
+      if (m.ip) adopted = m;
+      else await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    if (!adopted || adopted.ip !== '127.0.0.1' || adopted.ipSource !== 'discovery') throw new Error('main console not discovered: ' + JSON.stringify(adopted));
+    console.log('Main console discovered on port', adopted.port);
+
+    // 2. The list holds both desks with their details; main is not moved
+    const json = await (await fetch(base + '/autodiscover-x32')).json();
+    const list = json.consoles || [];
+    const byPort = p => list.find(c => c.port === p);
+    if (list.length !== 2 || !byPort(LEFT_PORT) || !byPort(RIGHT_PORT)) throw new Error('unexpected list: ' + JSON.stringify(list));
+    if (byPort(RIGHT_PORT).name !== 'Stage Right' || byPort(RIGHT_PORT).model !== 'X32 Rack' || byPort(RIGHT_PORT).firmware !== '4.13') throw new Error('details not parsed: ' + JSON.stringify(byPort(RIGHT_PORT)));
+    const inUse = list.filter(c => c.console === 'main');
+    if (inUse.length !== 1 || inUse[0].port !== adopted.port) throw new Error('console in use not marked: ' + JSON.stringify(list));
+    if ((await main()).port !== adopted.port) throw new Error('listing moved the main console');
+    console.log('Listed:', list.map(c => `${c.name} (${c.model} ${c.firmware}) ${c.ip}:${c.port}`).join(', '));
+
+    // 3. Pick the other desk
+    const other = list.find(c => c.console === null);
+    ws = await connect(`ws://127.0.0.1:${port}/`);
+    const switched = waitForMessage(ws, d => d.type === 'consoles' && d.consoles.some(c => c.id === 'main' && c.port === other.port && c.ip === other.ip));
+    ws.send(JSON.stringify({ type: 'set_x32_ip', ip: other.ip, port: other.port, source: 'discovery' }));
+    const picked = (await switched).consoles.find(c => c.id === 'main');
+    const online = waitForMessage(ws, d => d.type === 'console_health' && d.state === 'online');
+    if (picked.ipSource !== 'discovery') throw new Error('picked console reported as ' + picked.ipSource);
+    const saved = JSON.parse(fs.readFileSync(path.join(dataDir, 'consoles.json'), 'utf8')).find(c => c.id === 'main');
+    if (saved.port !== other.port) throw new Error('picked port not saved: ' + JSON.stringify(saved));
+    await online;
+    console.log('Picked', other.name, 'on port', other.port);
+
+    // 4. The picked desk goes offline: the first desk is only offered
+    const first = list.find(c => c.console === 'main');
+    const candidate = waitForMessage(ws, d => d.type === 'discovery_candidate' && d.found.port === first.port, 6000);
+    (other.port === LEFT_PORT ? left : right).stop();
+    const offered = await candidate;
+    if (offered.found.name !== first.name || offered.console !== 'main') throw new Error('unexpected candidate: ' + JSON.stringify(offered));
+    if ((await main()).port !== other.port) throw new Error('main console moved to a desk that is not its own');
+    console.log('Offline;', first.name, 'offered, not adopted');
+
+    // 5. The picked desk answers from a new port and is taken back
+    const back = waitForMessage(ws, d => d.type === 'consoles' && d.consoles.some(c => c.id === 'main' && c.port === MOVED_PORT), 6000);
+    moved = await startEmulator(MOVED_PORT, { name: other.name, model: other.model, firmware: other.firmware });
+    await back;
+    console.log(other.name, 'taken back on port', MOVED_PORT);
+
+    console.log('Test passed');
+    process.exitCode = 0;
+  } catch (e) {
+    console.error('Test failed:', e && e.message);
+    process.exitCode = 2;
+  } finally {
+    try { if (ws) ws.close(); } catch (e) {}
+    child.kill();
+    left.stop();
+    right.stop();
+    if (moved) moved.stop();
+    removeDataDir(dataDir);
+  }
+}
+
+if (require.main === module) {
+  run(Number(process.argv[2]) || 4320);
+}
@@ -0,0 +1,96 @@
+/*
+  scripts/drift-test.js
+  ---------------------
+  Headless test: drift between the console and the A/B matrix. Repatches
+  channels behind dubswitch's back (as someone at the desk would) and checks
+  that the drift report lists exactly those channels, that a drifted channel
+  can be snapped back to A over the REST API, and that its current source can
+  be adopted as B over the WebSocket (matrix stored, broadcast and
+  journaled). Bad actions are refused.
+
+  Usage:
+    node scripts/drift-test.js [port]
+
+  Example:
+    node scripts/drift-test.js 4290
+*/
+const fs = require('fs');
+const path = require('path');
+const WebSocket = require('ws');
+const { waitForMessage, connect, waitForServer, makeDataDir, removeDataDir, startServer, startEmulator } = require('./test-helpers');
+
+const EMULATOR_PORT = 10141;
+
+async function run(port) {
+  console.log('Starting drift test on port', port);
+  const dataDir = makeDataDir('drift');
+  const emu = await startEmulator(EMULATOR_PORT, { name: 'Drift' });
+  const child = startServer(port, dataDir);
+  const base = `http://127.0.0.1:${port}`;
+  const http = async (method, route, body) => {
+    const r = await fetch(base + route + (route.includes('?') ? '&' : '?') + 'console=drift', { method, headers: { 'Content-Type': 'application/json' }, body: body ? JSON.stringify(body) : undefined });
+    return { status: r.status, json: await r.json() };
+  };
+  const drifted = async () => (await http('GET', '/api/v1/drift')).json.channels.map(c => c.channel).join();
+
+  let ws = null;
+  try {
+    await waitForServer(port);
+    const r = await fetch(base + '/consoles', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ label: 'Drift', ip: '127.0.0.1', port: EMULATOR_PORT }) });
+    if (!r.ok) throw new Error('could not register console: ' + r.status);
+    ws = await connect(`ws://127.0.0.1:${port}/?console=drift`);
+    await waitForMessage(ws, d => d.type === 'clp' && d.address === '/config/userrout/in/04');
+
+    // 1. Every channel on A (Local NN): no drift
+    if (await drifted() !== '') throw new Error('drift reported on a fresh console: ' + await drifted());
+
+    // 2. Repatch ch05 and ch06 at the "desk" (Card 12 / Card 13: neither A nor B)
+    emu.set('/config/userrout/in/05', 140);
+    emu.set('/config/userrout/in/06', 141);
+    let res = await http('GET', '/api/v1/drift');
+    const report = res.json.channels;
+    if (report.map(c => c.channel).join() !== '05,06' || report[0].value !== 140 || report[0].side !== null) throw new Error('unexpected drift report: ' + JSON.stringify(report));
+    console.log('Drift report: ch05 on', report[0].source.label, '/ ch06 on', report[1].source.label);
+
+    // 3. Snap ch06 back to A over REST
+    res = await http('POST', '/api/v1/channels/6/drift', { action: 'A' });
+    if (!res.json.ok || res.json.channel.side !== 'A' || emu.get('/config/userrout/in/06') !== 6) throw new Error('snap to A failed: ' + JSON.stringify(res.json));
+    console.log('ch06 snapped back to A');
+
+    // 4. Adopt ch05's source as its B over the WebSocket
+    const update = waitForMessage(ws, d => d.type === 'matrix_update');
+    const result = waitForMessage(ws, d => d.type === 'drift_result');
+    ws.send(JSON.stringify({ type: 'resolve_drift', channel: 5, action: 'adopt-b' }));
+    const adopted = await result;
+    if (!adopted.ok || adopted.state.side !== 'B' || adopted.state.b !== 140) throw new Error('adopt failed: ' + JSON.stringify(adopted));
+    const row = (await update).matrix['05'];
+    if (!row || row.a !== '5' || row.b !== '140') throw new Error('matrix row not broadcast: ' + JSON.stringify(row));
+    const stored = JSON.parse(fs.readFileSync(path.join(dataDir, 'matrix-drift.json'), 'utf8'));
+    if (stored['05'].b !== '140') throw new Error('matrix row not stored: ' + JSON.stringify(stored));
+    if (emu.get('/config/userrout/in/05') !== 140) throw new Error('adopting changed the console');
+    if (await drifted() !== '') throw new Error('drift left after resolving: ' + await drifted());
+    const journal = await (await fetch(base + '/journal?console=drift')).json();
+    if (!journal.entries.some(e => e.source === 'drift' && e.address === 'matrix/05')) throw new Error('adopt not journaled');
+    console.log('ch05 source adopted as B, matrix stored and journaled');
+
+    // 5. Bad requests
+    if ((await http('POST', '/api/v1/channels/5/drift', { action: 'C' })).status !== 400) throw new Error('bad action accepted');
+    if ((await http('POST', '/api/v1/channels/33/drift', { action: 'A' })).status !== 400) throw new Error('channel 33 accepted');
+    console.log('Bad actions refused');
+
+    console.log('Test passed');
+    process.exitCode = 0;
+  } catch (e) {
+    console.error('Test failed:', e && e.message);
+    process.exitCode = 2;
+  } finally {
+    try { if (ws) ws.close(); } catch (e) {}
+    child.kill();
+    emu.stop();
+    removeDataDir(dataDir);
+  }
+}
+
+if (require.main === module) {
+  run(Number(process.argv[2]) || 4290);
+}
@@ -0,0 +1,79 @@
+/*
+  scripts/emulator-test.js
+  ------------------------
+  Headless test: start server.js with the built-in X32 emulator enabled,
+  connect a WebSocket client, write a user patch and a channel name through
+  'clp' messages and confirm the emulator remembers both when read back.
+  Then act as a second OSC client (like X32-Edit) writing straight to the
+  emulator and confirm the /xremote push reaches the browser client.
+
+  Usage:
+    node scripts/emulator-test.js [port]
+
+  Example:
+    node scripts/emulator-test.js 4100
+*/
+const osc = require('osc');
+const WebSocket = require('ws');
+const { waitForMessage, argValue, connectWhenReady, makeDataDir, removeDataDir, startServer } = require('./test-helpers');
+
+async function run(port) {
+  console.log('Starting emulator test on port', port);
+  // An empty data folder, so PORT wins over a server.port file
+  const dataDir = makeDataDir('emulator');
+  const child = startServer(port, dataDir, { DUBSWITCH_EMULATOR: '1' });
+
+  let ws = null;
+  try {
+    ws = await connectWhenReady(port);
+    // Initial read: factory default patch for channel 05 is Local 5
+    const initial = await waitForMessage(ws, d => d.type === 'clp' && d.address === '/config/userrout/in/05');
+    if (Number(argValue(initial)) !== 5) throw new Error('unexpected initial userrout/in/05: ' + JSON.stringify(initial.args));
+    console.log('Initial /config/userrout/in/05 =', argValue(initial));
+
+    // Write DAW 5 (133) and a name, then read both back
+    ws.send(JSON.stringify({ type: 'clp', address: '/config/userrout/in/05', args: [133] }));
+    ws.send(JSON.stringify({ type: 'clp', address: '/ch/05/config/name', args: ['Snare'] }));
+    await new Promise(r => setTimeout(r, 200));
+    const patchReply = waitForMessage(ws, d => d.type === 'clp' && d.address === '/config/userrout/in/05');
+    ws.send(JSON.stringify({ type: 'clp', address: '/config/userrout/in/05', args: [] }));
+    const patch = await patchReply;
+    if (Number(argValue(patch)) !== 133) throw new Error('emulator did not remember userrout write: ' + JSON.stringify(patch.args));
+    console.log('Read back /config/userrout/in/05 =', argValue(patch));
+
+    const nameReply = waitForMessage(ws, d => d.type === 'channel_names' && d.names && d.names['05'] === 'Snare');
+    ws.send(JSON.stringify({ type: 'clp', address: '/ch/05/config/name', args: [] }));
+    await nameReply;
+    console.log('Read back /ch/05/config/name = Snare');
+
+    // Another OSC client changes the desk; the server hears it via /xremote
+    const editor = new osc.UDPPort({ localAddress: '127.0.0.1', localPort: 0, metadata: true });
+    await new Promise(r => { editor.once('ready', r); editor.open(); });
+    try {
+      const pushedPatch = waitForMessage(ws, d => d.type === 'clp' && d.address === '/config/userrout/in/07' && Number(argValue(d)) === 135);
+      const pushedRouting = waitForMessage(ws, d => d.type === 'routing' && Array.isArray(d.values) && Number(d.values[1]) === 21);
+      const pushedColor = waitForMessage(ws, d => d.type === 'channel_colors' && d.colors && Number(d.colors['07']) === 3);
+      editor.send({ address: '/config/userrout/in/07', args: [{ type: 'i', value: 135 }] }, '127.0.0.1', 10023);
+      editor.send({ address: '/config/routing/IN/9-16', args: [{ type: 'i', value: 21 }] }, '127.0.0.1', 10023);
+      editor.send({ address: '/ch/07/config/color', args: [{ type: 'i', value: 3 }] }, '127.0.0.1', 10023);
+      await Promise.all([pushedPatch, pushedRouting, pushedColor]);
+      console.log('External changes pushed to client: userrout/in/07=135, IN 9-16=21, ch07 color=3');
+    } finally {
+      try { editor.close(); } catch (e) {}
+    }
+
+    console.log('Test passed');
+    process.exitCode = 0;
+  } catch (e) {
+    console.error('Test failed:', e && e.message);
+    process.exitCode = 2;
+  } finally {
+    try { if (ws) ws.close(); } catch (e) {}
+    child.kill();
+    removeDataDir(dataDir);
+  }
+}
+
+if (require.main === module) {
+  run(Number(process.argv[2]) || 4100);
+}
@@ -0,0 +1,102 @@
+/*
+  scripts/groups-test.js
+  ----------------------
+  Headless test: channel groups. Creates a group over HTTP, checks it is
+  broadcast and stored, switches it over the WebSocket (all A -> B, mixed
+  -> A) and over HTTP and the REST API, and checks the channels on an
+  emulated console. Bad channel lists and duplicate names are refused.
+
+  Usage:
+    node scripts/groups-test.js [port]
+
+  Example:
+    node scripts/groups-test.js 4250
+*/
+const fs = require('fs');
+const path = require('path');
+const WebSocket = require('ws');
+const { waitForMessage, connect, waitForServer, makeDataDir, removeDataDir, startServer, startEmulator } = require('./test-helpers');
+
+async function run(port) {
+  console.log('Starting groups test on port', port);
+  const dataDir = makeDataDir('groups');
+  const emu = await startEmulator(10101, { name: 'Groups' });
+  const child = startServer(port, dataDir);
+  const base = `http://127.0.0.1:${port}`;
+  const http = async (method, route, body) => {
+    const r = await fetch(base + route + (route.includes('?') ? '&' : '?') + 'console=groups', { method, headers: { 'Content-Type': 'application/json' }, body: body ? JSON.stringify(body) : undefined });
+    return { status: r.status, json: await r.json() };
+  };
+  const patch = ch => emu.get(`/config/userrout/in/${String(ch).padStart(2, '0')}`);
+
+  let ws = null;
+  try {
+    await waitForServer(port);
+    const r = await fetch(base + '/consoles', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ label: 'Groups', ip: '127.0.0.1', port: 10101 }) });
+    if (!r.ok) throw new Error('could not register console: ' + r.status);
+    ws = await connect(`ws://127.0.0.1:${port}/?console=groups`);
+    await waitForMessage(ws, d => d.type === 'clp' && d.address === '/config/userrout/in/04');
+
+    // 1. Create, broadcast, store
+    const broadcastGroups = waitForMessage(ws, d => d.type === 'groups' && d.groups.length === 1);
+    let res = await http('POST', '/groups', { name: 'Drums', channels: '1-4' });
+    if (!res.json.ok || res.json.group.id !== 'drums' || res.json.group.channels.join() !== '01,02,03,04') throw new Error('create failed: ' + JSON.stringify(res.json));
+    await broadcastGroups;
+    const stored = JSON.parse(fs.readFileSync(path.join(dataDir, 'groups-groups.json'), 'utf8'));
+    if (stored.groups[0].name !== 'Drums') throw new Error('group not stored: ' + JSON.stringify(stored));
+    if ((await http('POST', '/groups', { name: 'drums', channels: [5] })).status !== 409) throw new Error('duplicate name accepted');
+    if ((await http('POST', '/groups', { name: 'Bad', channels: '30-40' })).status !== 400) throw new Error('channel 40 accepted');
+    console.log('Created group Drums (ch 01-04); duplicate and bad channels refused');
+
+    // 2. All on A -> toggle goes to B as one bulk transaction
+    let result = waitForMessage(ws, d => d.type === 'bulk_result');
+    ws.send(JSON.stringify({ type: 'group_ab', id: 'drums', side: 'toggle' }));
+    let bulk = await result;
+    if (!bulk.ok || bulk.side !== 'B' || [1, 2, 3, 4].some(ch => patch(ch) !== 128 + ch) || patch(5) !== 5) throw new Error('group toggle to B failed: ' + JSON.stringify(bulk));
+    if (!bulk.historyId) throw new Error('group switch not in history');
+    console.log('Toggled', bulk.label);
+
+    // 3. Mixed -> toggle goes to A
+    res = await http('POST', '/api/v1/channels/2/ab', { side: 'A' });
+    if (!res.json.ok) throw new Error('could not set ch02 to A');
+    result = waitForMessage(ws, d => d.type === 'bulk_result');
+    ws.send(JSON.stringify({ type: 'group_ab', id: 'Drums', side: 'toggle' }));
+    bulk = await result;
+    if (!bulk.ok || bulk.side !== 'A' || [1, 2, 3, 4].some(ch => patch(ch) !== ch)) throw new Error('mixed group did not go to A: ' + JSON.stringify(bulk));
+    console.log('Mixed group toggled to A');
+
+    // 4. HTTP and REST API
+    res = await http('POST', '/groups/drums/ab', { side: 'B' });
+    if (!res.json.ok || patch(3) !== 131) throw new Error('HTTP group switch failed: ' + JSON.stringify(res.json));
+    res = await http('POST', '/api/v1/groups/ab', { group: 'Drums', side: 'A' });
+    if (!res.json.ok || res.json.state.some(c => c.side !== 'A') || patch(3) !== 3) throw new Error('REST group switch failed: ' + JSON.stringify(res.json));
+    const listed = await http('GET', '/api/v1/groups');
+    if (listed.json.groups[0].name !== 'Drums') throw new Error('bad REST group list');
+    console.log('Switched through /groups/:id/ab and /api/v1/groups/ab');
+
+    // 5. Edit and delete over the WebSocket
+    result = waitForMessage(ws, d => d.type === 'group_result');
+    ws.send(JSON.stringify({ type: 'update_group', id: 'drums', name: 'Kit', channels: [1, 2, 3, 4, 5, 6] }));
+    const updated = await result;
+    if (!updated.ok || updated.group.name !== 'Kit' || updated.group.channels.length !== 6) throw new Error('update failed: ' + JSON.stringify(updated));
+    result = waitForMessage(ws, d => d.type === 'group_result');
+    ws.send(JSON.stringify({ type: 'delete_group', id: 'drums' }));
+    if (!(await result).ok || (await http('GET', '/groups')).json.groups.length !== 0) throw new Error('delete failed');
+    console.log('Renamed to Kit, extended to 6 channels and deleted');
+
+    console.log('Test passed');
+    process.exitCode = 0;
+  } catch (e) {
+    console.error('Test failed:', e && e.message);
+    process.exitCode = 2;
+  } finally {
+    try { if (ws) ws.close(); } catch (e) {}
+    child.kill();
+    emu.stop();
+    removeDataDir(dataDir);
+  }
+}
+
+if (require.main === module) {
+  run(Number(process.argv[2]) || 4250);
+}
@@ -0,0 +1,86 @@
+/*
+  scripts/health-test.js
+  ----------------------
+  Headless test: console connection health. Runs the server with a short
+  keep-alive ping, then stops and restarts an emulated console and checks
+  that clients see online -> degraded -> offline -> online with round-trip
+  times and missed-ping counts, that /consoles and /status report the state,
+  and that a console coming back is read again (a patch changed while it was
+  away reaches the clients).
+
+  Usage:
+    node scripts/health-test.js [port]
+
+  Example:
+    node scripts/health-test.js 4300
+*/
+const { waitForMessage, connect, waitForServer, makeDataDir, removeDataDir, startServer, startEmulator } = require('./test-helpers');
+
+const EMULATOR_PORT = 10151;
+const PING_MS = 300;
+
+async function run(port) {
+  console.log('Starting health test on port', port);
+  const dataDir = makeDataDir('health');
+  const emu = await startEmulator(EMULATOR_PORT, { name: 'Health' });
+  const child = startServer(port, dataDir, { DUBSWITCH_PING_MS: String(PING_MS) });
+  const base = `http://127.0.0.1:${port}`;
+  const consoleHealth = async () => (await (await fetch(base + '/consoles')).json()).consoles.find(c => c.id === 'health').health;
+
+  let ws = null;
+  try {
+    await waitForServer(port);
+    const r = await fetch(base + '/consoles', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ label: 'Health', ip: '127.0.0.1', port: EMULATOR_PORT }) });
+    if (!r.ok) throw new Error('could not register console: ' + r.status);
+    ws = await connect(`ws://127.0.0.1:${port}/?console=health`);
+
+    // 1. Online with a round-trip time (the snapshot sent on connect may
+    // arrive before a listener is attached, so ask /status)
+    let online = null;
+    for (let i = 0; i < 20 && !online; i++) {
+      const health = (await (await fetch(base + '/status?console=health')).json()).health;
+      if (health.state === 'online' && health.rttMs != null) online = health;
+      else await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    if (!online || online.missed !== 0) throw new Error('console not reported online: ' + JSON.stringify(online));
+    if (await consoleHealth() !== 'online') throw new Error('/consoles does not report online');
+    console.log('Online, ping', online.rttMs, 'ms');
+
+    // 2. Console stops answering: degraded after one missed ping, offline after three
+    const degraded = waitForMessage(ws, d => d.type === 'console_health' && d.state === 'degraded');
+    const offline = waitForMessage(ws, d => d.type === 'console_health' && d.state === 'offline', 6000);
+    emu.stop();
+    if ((await degraded).missed !== 1) throw new Error('degraded without exactly one missed ping');
+    const down = await offline;
+    if (down.missed !== 3) throw new Error('offline after ' + down.missed + ' missed pings');
+    const status = await (await fetch(base + '/status?console=health')).json();
+    if (status.health.state !== 'offline' || status.health.missedTotal < 3) throw new Error('/status health: ' + JSON.stringify(status.health));
+    if (await consoleHealth() !== 'offline') throw new Error('/consoles does not report offline');
+    console.log('Degraded, then offline after', down.missed, 'missed pings');
+
+    // 3. The desk comes back with a patch changed while it was away
+    emu.set('/config/userrout/in/07', 135);
+    const back = waitForMessage(ws, d => d.type === 'console_health' && d.state === 'online', 6000);
+    const reread = waitForMessage(ws, d => d.type === 'clp' && d.address === '/config/userrout/in/07' && d.args[0].value === 135, 6000);
+    await emu.start();
+    const up = await back;
+    if (up.missed !== 0 || up.rttMs == null) throw new Error('unexpected report after coming back: ' + JSON.stringify(up));
+    await reread;
+    console.log('Back online; ch07 re-read as Card 7');
+
+    console.log('Test passed');
+    process.exitCode = 0;
+  } catch (e) {
+    console.error('Test failed:', e && e.message);
+    process.exitCode = 2;
+  } finally {
+    try { if (ws) ws.close(); } catch (e) {}
+    child.kill();
+    emu.stop();
+    removeDataDir(dataDir);
+  }
+}
+
+if (require.main === module) {
+  run(Number(process.argv[2]) || 4300);
+}
@@ -0,0 +1,75 @@
+/*
+  scripts/history-test.js
+  -----------------------
+  Headless test: shared undo/redo history. Switches a channel, checks the
+  change is broadcast as a history entry, undoes and redoes it on the
+  emulator, and confirms a stale entry id is refused.
+
+  Usage:
+    node scripts/history-test.js [port]
+
+  Example:
+    node scripts/history-test.js 4200
+*/
+const { waitForMessage, connect, waitForServer, makeDataDir, removeDataDir, startServer, startEmulator } = require('./test-helpers');
+
+async function run(port) {
+  console.log('Starting history test on port', port);
+  const dataDir = makeDataDir('history');
+  const emu = await startEmulator(10061, { name: 'History' });
+  const child = startServer(port, dataDir);
+
+  let ws = null;
+  try {
+    await waitForServer(port);
+    const base = `http://127.0.0.1:${port}`;
+    const r = await fetch(base + '/consoles', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ label: 'History', ip: '127.0.0.1', port: 10061 }) });
+    if (!r.ok) throw new Error('could not register console: ' + r.status);
+    ws = await connect(`ws://127.0.0.1:${port}/?console=history`);
+    await waitForMessage(ws, d => d.type === 'clp' && d.address === '/config/userrout/in/05');
+
+    // 1. A confirmed toggle becomes a history entry
+    const recorded = waitForMessage(ws, d => d.type === 'history' && d.entries.length === 1);
+    ws.send(JSON.stringify({ type: 'clp', address: '/config/userrout/in/05', args: [133] }));
+    const hist = await recorded;
+    const entry = hist.entries[0];
+    if (!hist.canUndo || hist.canRedo || entry.kind !== 'channel' || entry.changes[0].from !== 5 || entry.changes[0].to !== 133) throw new Error('bad history entry: ' + JSON.stringify(hist));
+    console.log('Recorded:', entry.label, 'by', entry.client);
+
+    // 2. Undo restores the previous source on the console
+    const undone = waitForMessage(ws, d => d.type === 'history_result');
+    ws.send(JSON.stringify({ type: 'history_undo', id: entry.id }));
+    const res1 = await undone;
+    if (!res1.ok || emu.get('/config/userrout/in/05') !== 5) throw new Error('undo failed: ' + JSON.stringify(res1));
+    console.log('Undo restored ch05 to', emu.get('/config/userrout/in/05'));
+
+    // 3. A stale id is refused instead of undoing something else
+    const stale = waitForMessage(ws, d => d.type === 'history_result');
+    ws.send(JSON.stringify({ type: 'history_undo', id: entry.id }));
+    const res2 = await stale;
+    if (res2.ok) throw new Error('stale undo accepted: ' + JSON.stringify(res2));
+    console.log('Stale undo refused:', res2.error);
+
+    // 4. Redo writes the change again
+    const redone = waitForMessage(ws, d => d.type === 'history_result');
+    ws.send(JSON.stringify({ type: 'history_redo', id: entry.id }));
+    const res3 = await redone;
+    if (!res3.ok || emu.get('/config/userrout/in/05') !== 133) throw new Error('redo failed: ' + JSON.stringify(res3));
+    console.log('Redo switched ch05 back to', emu.get('/config/userrout/in/05'));
+
+    console.log('Test passed');
+    process.exitCode = 0;
+  } catch (e) {
+    console.error('Test failed:', e && e.message);
+    process.exitCode = 2;
+  } finally {
+    try { if (ws) ws.close(); } catch (e) {}
+    child.kill();
+    emu.stop();
+    removeDataDir(dataDir);
+  }
+}
+
+if (require.main === module) {
+  run(Number(process.argv[2]) || 4200);
+}
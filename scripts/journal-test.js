@@ -0,0 +1,98 @@
+/*
+  scripts/journal-test.js
+  -----------------------
+  Headless test: audit journal. Changes a channel (clp), an input block
+  (toggle_inputs_block), all input blocks (toggle_inputs) and the A/B matrix
+  (/set-channel-matrix), then queries /journal by channel and time range and
+  exports /journal.csv.
+
+  Usage:
+    node scripts/journal-test.js [port]
+
+  Example:
+    node scripts/journal-test.js 4210
+*/
+const fs = require('fs');
+const path = require('path');
+const { waitForMessage, connect, waitForServer, makeDataDir, removeDataDir, startServer, startEmulator } = require('./test-helpers');
+
+async function run(port) {
+  console.log('Starting journal test on port', port);
+  const dataDir = makeDataDir('journal');
+  const emu = await startEmulator(10071, { name: 'Journal' });
+  const child = startServer(port, dataDir);
+
+  let ws = null;
+  try {
+    await waitForServer(port);
+    const base = `http://127.0.0.1:${port}`;
+    const r = await fetch(base + '/consoles', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ label: 'Journal', ip: '127.0.0.1', port: 10071 }) });
+    if (!r.ok) throw new Error('could not register console: ' + r.status);
+    ws = await connect(`ws://127.0.0.1:${port}/?console=journal`);
+    await waitForMessage(ws, d => d.type === 'clp' && d.address === '/config/userrout/in/05');
+    const started = new Date().toISOString();
+
+    // 1. One change through each journaled handler
+    let done = waitForMessage(ws, d => d.type === 'write_result' && d.address === '/config/userrout/in/05');
+    ws.send(JSON.stringify({ type: 'clp', address: '/config/userrout/in/05', args: [133] }));
+    await done;
+    done = waitForMessage(ws, d => d.type === 'write_result' && d.address === '/config/routing/IN/9-16');
+    ws.send(JSON.stringify({ type: 'toggle_inputs_block', block: 1, target: 21 }));
+    await done;
+    done = waitForMessage(ws, d => d.type === 'write_result' && d.address === '/config/routing/IN/25-32');
+    ws.send(JSON.stringify({ type: 'toggle_inputs', targets: [20, 21, 22, 23] }));
+    await done;
+    const m = await fetch(base + '/set-channel-matrix?console=journal', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ '05': { a: 5, b: 133 } }) });
+    if (!m.ok) throw new Error('set-channel-matrix failed: ' + m.status);
+    await new Promise(res => setTimeout(res, 200));
+
+    const all = await (await fetch(base + '/journal?console=journal')).json();
+    const sources = new Set(all.entries.map(e => e.source));
+    ['clp', 'toggle_inputs_block', 'toggle_inputs', 'set-channel-matrix'].forEach(s => { if (!sources.has(s)) throw new Error('no journal entry from ' + s + ': ' + JSON.stringify(all.entries).slice(0, 400)); });
+    const clp = all.entries.find(e => e.source === 'clp');
+    if (clp.from !== 5 || clp.to !== 133 || clp.status !== 'confirmed' || clp.client !== '127.0.0.1' || !clp.time) throw new Error('bad clp entry: ' + JSON.stringify(clp));
+    const matrix = all.entries.find(e => e.source === 'set-channel-matrix');
+    if (matrix.client !== 'http 127.0.0.1' || matrix.to.b !== 133) throw new Error('bad matrix entry: ' + JSON.stringify(matrix));
+    console.log('Journaled', all.entries.length, 'entries from', Array.from(sources).join(', '));
+
+    // 2. Query by channel: ch 12 is only touched by the 9-16 block toggles
+    const ch12 = await (await fetch(base + '/journal?console=journal&channel=12')).json();
+    if (!ch12.entries.length || ch12.entries.some(e => !e.channels.includes('12') || !/IN\/9-16$/.test(e.address))) throw new Error('channel query wrong: ' + JSON.stringify(ch12.entries));
+    console.log('Channel 12 has', ch12.entries.length, 'entries');
+
+    // 3. Time range
+    const later = await (await fetch(base + '/journal?console=journal&from=' + encodeURIComponent(new Date(Date.now() + 60000).toISOString()))).json();
+    const range = await (await fetch(base + '/journal?console=journal&from=' + encodeURIComponent(started))).json();
+    if (later.entries.length !== 0 || range.entries.length !== all.entries.length) throw new Error('time filter wrong: ' + later.entries.length + '/' + range.entries.length);
+    const bad = await fetch(base + '/journal?console=journal&from=yesterday');
+    if (bad.status !== 400) throw new Error('invalid time not rejected: ' + bad.status);
+    console.log('Time range filter works; invalid time rejected');
+
+    // 4. CSV export
+    const csvRes = await fetch(base + '/journal.csv?console=journal&channel=5');
+    const csv = await csvRes.text();
+    const lines = csv.trim().split('\r\n');
+    if (!/text\/csv/.test(csvRes.headers.get('content-type') || '') || lines[0] !== 'time,console,client,source,address,channels,from,to,status' || lines.length < 4) throw new Error('bad CSV: ' + csv.slice(0, 300));
+    if (!lines.some(l => l.includes('"{""a"":5,""b"":133}"'))) throw new Error('matrix value not quoted in CSV: ' + csv);
+    console.log('CSV export has', lines.length - 1, 'rows for channel 5');
+
+    // 5. Append-only file next to the port file
+    const file = fs.readFileSync(path.join(dataDir, 'journal-journal.jsonl'), 'utf8').trim().split('\n');
+    if (file.length !== all.entries.length) throw new Error('journal file has ' + file.length + ' lines');
+
+    console.log('Test passed');
+    process.exitCode = 0;
+  } catch (e) {
+    console.error('Test failed:', e && e.message);
+    process.exitCode = 2;
+  } finally {
+    try { if (ws) ws.close(); } catch (e) {}
+    child.kill();
+    emu.stop();
+    removeDataDir(dataDir);
+  }
+}
+
+if (require.main === module) {
+  run(Number(process.argv[2]) || 4210);
+}
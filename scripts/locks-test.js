@@ -0,0 +1,159 @@
+/*
+  scripts/locks-test.js
+  ---------------------
+  Headless test: per-channel locks. Locks a channel over the WebSocket and
+  the REST API and checks that single writes to it and to the input block
+  covering it are refused (WebSocket, REST, OSC control), that group
+  switches, preset recalls and snapshot imports leave the locked channel
+  and its block alone and report them as skipped, that undo refuses a step
+  touching it, and that the lock is stored and can be released.
+
+  Usage:
+    node scripts/locks-test.js [port]
+
+  Example:
+    node scripts/locks-test.js 4260
+*/
+const fs = require('fs');
+const path = require('path');
+const osc = require('osc');
+const WebSocket = require('ws');
+const { waitForMessage, connect, waitForServer, makeDataDir, removeDataDir, startServer, startEmulator } = require('./test-helpers');
+
+const CONTROL_PORT = 9112;
+const SURFACE_PORT = 9113;
+
+// One OSC command to the control port; resolves with the /dubswitch/reply
+function oscCommand(address, args) {
+  return new Promise((resolve, reject) => {
+    const port = new osc.UDPPort({ localAddress: '127.0.0.1', localPort: SURFACE_PORT, metadata: true });
+    const timer = setTimeout(() => { port.close(); reject(new Error('no OSC reply in time')); }, 4000);
+    port.on('message', msg => {
+      if (msg.address !== '/dubswitch/reply' || msg.args[0].value !== address) return;
+      clearTimeout(timer);
+      port.close();
+      resolve(msg);
+    });
+    port.once('ready', () => port.send({ address, args }, '127.0.0.1', CONTROL_PORT));
+    port.open();
+  });
+}
+
+async function run(port) {
+  console.log('Starting locks test on port', port);
+  const dataDir = makeDataDir('locks');
+  const emu = await startEmulator(10111, { name: 'Locks' });
+  const child = startServer(port, dataDir, { DUBSWITCH_OSC_CONTROL_PORT: String(CONTROL_PORT) });
+  const base = `http://127.0.0.1:${port}`;
+  const http = async (method, route, body) => {
+    const r = await fetch(base + route + (route.includes('?') ? '&' : '?') + 'console=locks', { method, headers: { 'Content-Type': 'application/json' }, body: body ? JSON.stringify(body) : undefined });
+    return { status: r.status, json: await r.json() };
+  };
+  const patch = ch => emu.get(`/config/userrout/in/${String(ch).padStart(2, '0')}`);
+  const block1 = () => emu.get('/config/routing/IN/1-8');
+
+  let ws = null;
+  try {
+    await waitForServer(port);
+    const r = await fetch(base + '/consoles', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ label: 'Locks', ip: '127.0.0.1', port: 10111 }) });
+    if (!r.ok) throw new Error('could not register console: ' + r.status);
+    ws = await connect(`ws://127.0.0.1:${port}/?console=locks`);
+    await waitForMessage(ws, d => d.type === 'clp' && d.address === '/config/userrout/in/04');
+
+    // 1. A group switch to B (before any lock) to have something to undo
+    let res = await http('POST', '/groups', { name: 'Drums', channels: '1-4' });
+    if (!res.json.ok) throw new Error('could not create group');
+    let result = waitForMessage(ws, d => d.type === 'bulk_result');
+    ws.send(JSON.stringify({ type: 'group_ab', id: 'drums', side: 'B' }));
+    if (!(await result).ok || patch(2) !== 130) throw new Error('group switch to B failed');
+
+    // 2. Lock ch02 over the WebSocket: broadcast and stored
+    const broadcastLocks = waitForMessage(ws, d => d.type === 'channel_locks' && d.locked['02']);
+    ws.send(JSON.stringify({ type: 'set_channel_lock', channel: 2, locked: true }));
+    await broadcastLocks;
+    const stored = JSON.parse(fs.readFileSync(path.join(dataDir, 'locks-locks.json'), 'utf8'));
+    if (!stored.locked['02']) throw new Error('lock not stored: ' + JSON.stringify(stored));
+    console.log('Locked ch02 over the WebSocket');
+
+    // 3. Single writes are refused everywhere
+    result = waitForMessage(ws, d => d.type === 'write_result' && d.address === '/config/userrout/in/02');
+    ws.send(JSON.stringify({ type: 'clp', address: '/config/userrout/in/02', args: [2] }));
+    const refused = await result;
+    if (refused.status !== 'locked' || refused.actual !== 130 || patch(2) !== 130) throw new Error('WebSocket write not refused: ' + JSON.stringify(refused));
+    result = waitForMessage(ws, d => d.type === 'write_result' && d.address === '/config/userrout/in/02');
+    ws.send(JSON.stringify({ type: 'clp', address: '/config/userrout/in/02', args: [133, 0] }));
+    if ((await result).status !== 'locked' || patch(2) !== 130) throw new Error('multi-argument WebSocket write not refused');
+    res = await http('POST', '/api/v1/channels/2/ab', { side: 'A' });
+    if (res.status !== 423 || patch(2) !== 130) throw new Error('REST write not refused: ' + res.status);
+    const reply = await oscCommand('/dubswitch/console/locks/ch/02/toggle', []);
+    if (reply.args[1].value !== 0 || !/locked/.test(reply.args[2].value) || patch(2) !== 130) throw new Error('OSC write not refused: ' + JSON.stringify(reply.args));
+    const blockBefore = block1();
+    res = await http('PUT', '/api/v1/blocks/IN/1-8', { mode: 'userin' });
+    if (res.status !== 423 || block1() !== blockBefore) throw new Error('REST block write not refused: ' + res.status);
+    res = await http('PUT', '/api/v1/blocks/IN/1-8', { value: 20 });
+    if (res.status !== 423 || block1() !== blockBefore) throw new Error('REST block value not refused: ' + res.status);
+    result = waitForMessage(ws, d => d.type === 'write_result' && d.address === '/config/routing/IN/1-8');
+    ws.send(JSON.stringify({ type: 'toggle_inputs_block', block: 0, target: 20 }));
+    if ((await result).status !== 'locked' || block1() !== blockBefore) throw new Error('WebSocket block toggle not refused');
+    result = waitForMessage(ws, d => d.type === 'write_result' && d.address === '/config/routing/IN/1-8');
+    ws.send(JSON.stringify({ type: 'toggle_inputs', targets: [20, 21, 22, 23] }));
+    if ((await result).status !== 'locked' || block1() !== blockBefore || emu.get('/config/routing/IN/9-16') !== 1) throw new Error('Switch all inputs not refused');
+    const blockReply = await oscCommand('/dubswitch/console/locks/block/1/userins', [{ type: 'i', value: 1 }]);
+    if (blockReply.args[1].value !== 0 || !/locked/.test(blockReply.args[2].value) || block1() !== blockBefore) throw new Error('OSC block write not refused: ' + JSON.stringify(blockReply.args));
+    console.log('WebSocket, REST and OSC writes to ch02 and block IN/1-8 refused');
+
+    // 4. Undo of the group switch touches ch02 -> refused
+    result = waitForMessage(ws, d => d.type === 'history_result');
+    ws.send(JSON.stringify({ type: 'history_undo' }));
+    const undo = await result;
+    if (undo.ok || !/locked/.test(undo.error) || patch(1) !== 129) throw new Error('undo not refused: ' + JSON.stringify(undo));
+    console.log('Undo over a locked channel refused');
+
+    // 5. Group switch and preset recall skip the locked channel
+    result = waitForMessage(ws, d => d.type === 'bulk_result');
+    ws.send(JSON.stringify({ type: 'group_ab', id: 'drums', side: 'A' }));
+    const bulk = await result;
+    if (!bulk.ok || (bulk.skipped || []).join() !== '02' || patch(1) !== 1 || patch(2) !== 130) throw new Error('group switch did not skip ch02: ' + JSON.stringify(bulk));
+    res = await http('POST', '/presets', { name: 'All A' });
+    if (!res.json.ok) throw new Error('could not create preset');
+    res = await http('PUT', '/api/v1/channels/2/lock', { locked: false });
+    if (!res.json.ok || res.json.channel.locked) throw new Error('REST unlock failed: ' + JSON.stringify(res.json));
+    res = await http('POST', '/api/v1/channels/3/ab', { side: 'B' });
+    if (!res.json.ok) throw new Error('could not set ch03 to B');
+    res = await http('PUT', '/api/v1/channels/3/lock', { locked: true });
+    if (!res.json.channel.locked) throw new Error('REST lock failed');
+    res = await http('POST', '/presets/all-a/recall');
+    if (!res.json.ok || (res.json.skipped || []).join() !== '03,IN/1-8' || patch(3) !== 131 || patch(2) !== 130) throw new Error('preset recall did not skip ch03: ' + JSON.stringify(res.json.skipped));
+    const snap = (await http('GET', '/snapshot')).json;
+    snap.userrout['03'] = 3;
+    snap.userrout['04'] = 132;
+    snap.routing[0] = 20;
+    res = await http('POST', '/snapshot', snap);
+    if (!res.json.ok || (res.json.skipped || []).join() !== '03,IN/1-8' || res.json.mismatches.length || patch(3) !== 131 || patch(4) !== 132 || block1() !== blockBefore) throw new Error('snapshot import did not skip ch03: ' + JSON.stringify({ skipped: res.json.skipped, mismatches: res.json.mismatches }));
+    console.log('Group switch skipped ch02, preset recall and snapshot import skipped ch03 and its block');
+
+    // 6. Unlock and switch
+    res = await http('PUT', '/api/v1/channels/3/lock', { locked: false });
+    res = await http('POST', '/api/v1/channels/3/ab', { side: 'A' });
+    if (!res.json.ok || patch(3) !== 3) throw new Error('unlocked channel not switched');
+    if ((await http('PUT', '/api/v1/channels/3/lock', { locked: 'yes' })).status !== 400) throw new Error('bad lock value accepted');
+    const journal = await (await fetch(base + '/journal?console=locks')).json();
+    if (!journal.entries.some(e => e.source === 'lock' && e.address === 'lock/02')) throw new Error('lock not journaled');
+    console.log('Unlocked ch03 and switched it; locks journaled');
+
+    console.log('Test passed');
+    process.exitCode = 0;
+  } catch (e) {
+    console.error('Test failed:', e && e.message);
+    process.exitCode = 2;
+  } finally {
+    try { if (ws) ws.close(); } catch (e) {}
+    child.kill();
+    emu.stop();
+    removeDataDir(dataDir);
+  }
+}
+
+if (require.main === module) {
+  run(Number(process.argv[2]) || 4260);
+}
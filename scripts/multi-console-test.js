@@ -0,0 +1,110 @@
+/*
+  scripts/multi-console-test.js
+  -----------------------------
+  Headless test: drive two consoles from one server. Two X32 emulators run
+  on loopback (different UDP ports) and are registered as 'FOH' and
+  'Monitors'. Each WebSocket client watches one console and must only see
+  that console's patches, writes and matrix updates.
+
+  Usage:
+    node scripts/multi-console-test.js [port]
+
+  Example:
+    node scripts/multi-console-test.js 4110
+*/
+const fs = require('fs');
+const path = require('path');
+const WebSocket = require('ws');
+const { waitForMessage, sawMessage, argValue, connect, waitForServer, makeDataDir, removeDataDir, startServer, startEmulator } = require('./test-helpers');
+
+async function postJson(url, body) {
+  const r = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  const j = await r.json();
+  if (!r.ok || !j.ok) throw new Error(url + ' failed: ' + JSON.stringify(j));
+  return j;
+}
+
+async function run(port) {
+  console.log('Starting multi-console test on port', port);
+  const dataDir = makeDataDir('multi');
+  const foh = await startEmulator(10031, { name: 'FOH' });
+  const mon = await startEmulator(10032, { name: 'Monitors' });
+  mon.set('/config/userrout/in/05', 140);
+
+  // consoles.json and matrix-<id>.json are written next to the port file
+  const child = startServer(port, dataDir);
+
+  const sockets = [];
+  try {
+    await waitForServer(port);
+    const base = `http://127.0.0.1:${port}`;
+    const a = await postJson(base + '/consoles', { label: 'FOH', ip: '127.0.0.1', port: 10031 });
+    const b = await postJson(base + '/consoles', { label: 'Monitors', ip: '127.0.0.1', port: 10032 });
+    if (a.console.id !== 'foh' || b.console.id !== 'monitors') throw new Error('unexpected console ids: ' + a.console.id + ', ' + b.console.id);
+    console.log('Registered consoles', a.console.id, 'and', b.console.id);
+
+    const wsFoh = await connect(`ws://127.0.0.1:${port}/?console=foh`); sockets.push(wsFoh);
+    const wsMon = await connect(`ws://127.0.0.1:${port}/?console=monitors`); sockets.push(wsMon);
+
+    // Each client gets its own console's patch for channel 05
+    const [pf, pm] = await Promise.all([
+      waitForMessage(wsFoh, d => d.type === 'clp' && d.address === '/config/userrout/in/05'),
+      waitForMessage(wsMon, d => d.type === 'clp' && d.address === '/config/userrout/in/05')
+    ]);
+    if (Number(argValue(pf)) !== 5 || Number(argValue(pm)) !== 140) throw new Error(`patches crossed: foh=${argValue(pf)} monitors=${argValue(pm)}`);
+    console.log('Per-console patches: foh ch05 =', argValue(pf), '| monitors ch05 =', argValue(pm));
+
+    // A write from the FOH client only reaches the FOH desk
+    wsFoh.send(JSON.stringify({ type: 'clp', address: '/config/userrout/in/05', args: [133] }));
+    await new Promise(r => setTimeout(r, 300));
+    if (foh.get('/config/userrout/in/05') !== 133 || mon.get('/config/userrout/in/05') !== 140) throw new Error('write reached the wrong console');
+    console.log('Write from FOH client changed only the FOH desk');
+
+    // A surface change on the monitor desk only reaches monitor clients
+    const monPush = waitForMessage(wsMon, d => d.type === 'channel_names' && d.names && d.names['03'] === 'IEM Vox');
+    const fohLeak = sawMessage(wsFoh, d => d.type === 'channel_names' && d.names && d.names['03'] === 'IEM Vox');
+    mon.set('/ch/03/config/name', 'IEM Vox');
+    await monPush;
+    if (await fohLeak) throw new Error('monitor desk change leaked to FOH client');
+    console.log('Monitor desk change pushed to monitor clients only');
+
+    // Matrix writes are stored per console
+    const matrixSeen = waitForMessage(wsMon, d => d.type === 'matrix_update' && d.matrix && d.matrix['05']);
+    const matrixLeak = sawMessage(wsFoh, d => d.type === 'matrix_update');
+    await postJson(base + '/set-channel-matrix?console=monitors', { '05': { a: 5, b: 140 } });
+    await matrixSeen;
+    if (await matrixLeak) throw new Error('monitor matrix update leaked to FOH client');
+    if (!fs.existsSync(path.join(dataDir, 'matrix-monitors.json'))) throw new Error('matrix-monitors.json not written');
+    const fohMatrix = await (await fetch(base + '/get-matrix?console=foh')).json();
+    if (fohMatrix.matrix && fohMatrix.matrix['05']) throw new Error('FOH matrix picked up the monitor entry');
+    console.log('Matrix saved to matrix-monitors.json and kept separate from FOH');
+
+    // A client can switch consoles on an open socket
+    const switched = waitForMessage(wsFoh, d => d.type === 'console_selected' && d.console === 'monitors');
+    const patchAfterSwitch = waitForMessage(wsFoh, d => d.type === 'clp' && d.address === '/config/userrout/in/05' && Number(argValue(d)) === 140);
+    wsFoh.send(JSON.stringify({ type: 'select_console', console: 'monitors' }));
+    await switched;
+    await patchAfterSwitch;
+    console.log('select_console switched the client to the monitor desk');
+
+    const saved = JSON.parse(fs.readFileSync(path.join(dataDir, 'consoles.json'), 'utf8'));
+    if (!saved.some(c => c.id === 'foh' && c.port === 10031) || !saved.some(c => c.id === 'monitors')) throw new Error('consoles.json incomplete: ' + JSON.stringify(saved));
+    console.log('consoles.json lists', saved.map(c => c.id).join(', '));
+
+    console.log('Test passed');
+    process.exitCode = 0;
+  } catch (e) {
+    console.error('Test failed:', e && e.message);
+    process.exitCode = 2;
+  } finally {
+    sockets.forEach(ws => { try { ws.close(); } catch (e) {} });
+    child.kill();
+    foh.stop();
+    mon.stop();
+    removeDataDir(dataDir);
+  }
+}
+
+if (require.main === module) {
+  run(Number(process.argv[2]) || 4110);
+}
@@ -0,0 +1,144 @@
+/*
+  scripts/osc-control-test.js
+  ---------------------------
+  Headless test: inbound OSC control. Sends /dubswitch/... commands to the
+  server's OSC control port for an emulated console and checks the replies,
+  the state feedback and the console's values: switching a channel to B and
+  toggling it back, switching an input block to UserIns, recalling a preset
+  by name, feedback for a change made on the desk, and errors for unknown
+  commands and consoles.
+
+  Usage:
+    node scripts/osc-control-test.js [port]
+
+  Example:
+    node scripts/osc-control-test.js 4240
+*/
+const osc = require('osc');
+const { waitForServer, makeDataDir, removeDataDir, startServer, startEmulator } = require('./test-helpers');
+
+const CONTROL_PORT = 9102;
+const SURFACE_PORT = 9103;
+
+// A stand-in OSC surface: sends commands and collects what comes back
+function createSurface() {
+  const port = new osc.UDPPort({ localAddress: '127.0.0.1', localPort: SURFACE_PORT, metadata: true });
+  const received = [];
+  let waiters = [];
+  port.on('message', msg => {
+    received.push(msg);
+    waiters = waiters.filter(w => {
+      if (!w.match(msg)) return true;
+      clearTimeout(w.timer);
+      w.resolve(msg);
+      return false;
+    });
+  });
+  const open = () => new Promise(resolve => { port.once('ready', resolve); port.open(); });
+  const send = (address, args = []) => port.send({ address, args }, '127.0.0.1', CONTROL_PORT);
+  // Next message matching (ignores earlier ones)
+  const next = (match, timeoutMs = 4000) => new Promise((resolve, reject) => {
+    const w = { match, resolve };
+    w.timer = setTimeout(() => { waiters = waiters.filter(x => x !== w); reject(new Error('no OSC message in time')); }, timeoutMs);
+    waiters.push(w);
+  });
+  const reply = address => next(m => m.address === '/dubswitch/reply' && m.args[0].value === address);
+  const feedback = (address, value) => next(m => m.address === address && (value === undefined || m.args[0].value === value));
+  return { open, send, reply, feedback, received, close: () => port.close() };
+}
+
+async function run(port) {
+  console.log('Starting OSC control test on port', port);
+  const dataDir = makeDataDir('osc-control');
+  const emu = await startEmulator(10091, { name: 'Osc' });
+  const child = startServer(port, dataDir, { DUBSWITCH_OSC_CONTROL_PORT: String(CONTROL_PORT) });
+  const base = `http://127.0.0.1:${port}`;
+  const surface = createSurface();
+  const P = '/dubswitch/console/osc';
+
+  try {
+    await waitForServer(port);
+    const r = await fetch(base + '/consoles', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ label: 'Osc', ip: '127.0.0.1', port: 10091 }) });
+    if (!r.ok) throw new Error('could not register console: ' + r.status);
+    await surface.open();
+
+    // 1. Channel to B, then toggle back to A
+    let reply = surface.reply(P + '/ch/05/ab');
+    let fb = surface.feedback(P + '/ch/05/ab', 1);
+    surface.send(P + '/ch/05/ab', [{ type: 'i', value: 1 }]);
+    let msg = await reply;
+    if (msg.args[1].value !== 1 || emu.get('/config/userrout/in/05') !== 133) throw new Error('ch05 to B failed: ' + JSON.stringify(msg.args));
+    await fb;
+    reply = surface.reply(P + '/ch/05/toggle');
+    fb = surface.feedback(P + '/ch/05/ab', 0);
+    surface.send(P + '/ch/05/toggle', [{ type: 'f', value: 1 }]);
+    msg = await reply;
+    if (msg.args[1].value !== 1 || emu.get('/config/userrout/in/05') !== 5) throw new Error('ch05 toggle failed: ' + JSON.stringify(msg.args));
+    await fb;
+    console.log('ch05 switched to B and toggled back, with feedback');
+
+    // 2. Input block 2 to UserIns
+    reply = surface.reply(P + '/block/2/userins');
+    fb = surface.feedback(P + '/block/2/userins', 1);
+    surface.send(P + '/block/2/userins', [{ type: 'i', value: 1 }]);
+    msg = await reply;
+    if (msg.args[1].value !== 1 || emu.get('/config/routing/IN/9-16') !== 21) throw new Error('block 2 failed: ' + JSON.stringify(msg.args));
+    await fb;
+    console.log('Block 2 switched to UserIns');
+
+    // 3. Preset recall by name
+    const created = await fetch(base + '/presets?console=osc', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name: 'Soundcheck' }) });
+    if (!created.ok) throw new Error('could not create preset: ' + created.status);
+    reply = surface.reply(P + '/ch/01/ab');
+    surface.send(P + '/ch/01/ab', [{ type: 's', value: 'B' }]);
+    await reply;
+    if (emu.get('/config/userrout/in/01') !== 129) throw new Error('ch01 not on B before recall');
+    reply = surface.reply(P + '/preset/recall');
+    fb = surface.feedback(P + '/ch/01/ab', 0);
+    surface.send(P + '/preset/recall', [{ type: 's', value: 'Soundcheck' }]);
+    msg = await reply;
+    if (msg.args[1].value !== 1 || emu.get('/config/userrout/in/01') !== 1) throw new Error('preset recall failed: ' + JSON.stringify(msg.args));
+    await fb;
+    console.log('Recalled preset Soundcheck:', msg.args[2].value);
+
+    // 4. Feedback for a change made on the desk
+    fb = surface.feedback(P + '/ch/07/ab', 1);
+    emu.set('/config/userrout/in/07', 135);
+    await fb;
+    console.log('Desk change on ch07 pushed to the surface');
+
+    // 5. Errors
+    reply = surface.reply('/dubswitch/console/nope/state');
+    surface.send('/dubswitch/console/nope/state');
+    msg = await reply;
+    if (msg.args[1].value !== 0 || !/unknown console/.test(msg.args[2].value)) throw new Error('unknown console not reported: ' + JSON.stringify(msg.args));
+    reply = surface.reply(P + '/ch/40/ab');
+    surface.send(P + '/ch/40/ab', [{ type: 'i', value: 1 }]);
+    msg = await reply;
+    if (msg.args[1].value !== 0) throw new Error('channel 40 accepted');
+    reply = surface.reply(P + '/preset/recall');
+    surface.send(P + '/preset/recall', [{ type: 's', value: 'Nope' }]);
+    msg = await reply;
+    if (msg.args[1].value !== 0) throw new Error('unknown preset accepted');
+    console.log('Unknown console, channel and preset answered with ok 0');
+
+    // 6. OSC writes are journaled
+    const journal = await (await fetch(base + '/journal?console=osc')).json();
+    if (!journal.entries.some(e => e.source === 'osc' && e.address === '/config/userrout/in/05' && /^osc 127\.0\.0\.1:/.test(e.client))) throw new Error('OSC write not journaled');
+
+    console.log('Test passed');
+    process.exitCode = 0;
+  } catch (e) {
+    console.error('Test failed:', e && e.message);
+    process.exitCode = 2;
+  } finally {
+    try { surface.close(); } catch (e) {}
+    child.kill();
+    emu.stop();
+    removeDataDir(dataDir);
+  }
+}
+
+if (require.main === module) {
+  run(Number(process.argv[2]) || 4240);
+}
@@ -0,0 +1,67 @@
+/*
+  scripts/outputs-test.js
+  -----------------------
+  Headless test: user output slots against the built-in X32 emulator.
+  Checks that a client receives the 48 /config/userrout/out/NN values,
+  stores an A/B output matrix and switches an output slot with it.
+
+  Usage:
+    node scripts/outputs-test.js [port]
+
+  Example:
+    node scripts/outputs-test.js 4140
+*/
+const fs = require('fs');
+const path = require('path');
+const { waitForMessage, argValue, connectWhenReady, makeDataDir, removeDataDir, startServer } = require('./test-helpers');
+
+async function run(port) {
+  console.log('Starting outputs test on port', port);
+  const dataDir = makeDataDir('outputs');
+  // output-matrix.json is written next to the port file
+  const child = startServer(port, dataDir, { DUBSWITCH_EMULATOR: '1' });
+
+  let ws = null;
+  try {
+    ws = await connectWhenReady(port);
+    const initial = await waitForMessage(ws, d => d.type === 'clp' && d.address === '/config/userrout/out/40');
+    if (Number(argValue(initial)) !== 40) throw new Error('unexpected initial out/40: ' + argValue(initial));
+    console.log('Initial /config/userrout/out/40 =', argValue(initial));
+    const base = `http://127.0.0.1:${port}`;
+
+    // Store A = Out 1 (169), B = P16 1 (185) for slot 03
+    const matrixSeen = waitForMessage(ws, d => d.type === 'output_matrix_update' && d.matrix && d.matrix['03']);
+    const r = await fetch(base + '/set-output-matrix', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ '03': { a: 169, b: 185 } }) });
+    if (!r.ok) throw new Error('set-output-matrix failed: ' + r.status);
+    await matrixSeen;
+    const stored = await (await fetch(base + '/get-output-matrix')).json();
+    if (!stored.matrix['03'] || stored.matrix['03'].b !== 185) throw new Error('output matrix not stored: ' + JSON.stringify(stored));
+    if (!fs.existsSync(path.join(dataDir, 'output-matrix.json'))) throw new Error('output-matrix.json not written');
+    const bad = await fetch(base + '/set-output-matrix', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ '03': { a: 209 } }) });
+    if (bad.status !== 400) throw new Error('out-of-range value not rejected: ' + bad.status);
+    console.log('Output matrix saved; out-of-range value rejected');
+
+    // Switch slot 03 to B the way the output card does and read it back
+    ws.send(JSON.stringify({ type: 'clp', address: '/config/userrout/out/03', args: [185] }));
+    await new Promise(r => setTimeout(r, 200));
+    const readBack = waitForMessage(ws, d => d.type === 'clp' && d.address === '/config/userrout/out/03');
+    ws.send(JSON.stringify({ type: 'clp', address: '/config/userrout/out/03', args: [] }));
+    const patch = await readBack;
+    if (Number(argValue(patch)) !== 185) throw new Error('output slot not switched: ' + argValue(patch));
+    console.log('Read back /config/userrout/out/03 =', argValue(patch));
+
+    console.log('Test passed');
+    process.exitCode = 0;
+  } catch (e) {
+    console.error('Test failed:', e && e.message);
+    process.exitCode = 2;
+  } finally {
+    try { if (ws) ws.close(); } catch (e) {}
+    child.kill();
+    removeDataDir(dataDir);
+  }
+}
+
+if (require.main === module) {
+  run(Number(process.argv[2]) || 4140);
+}
@@ -0,0 +1,94 @@
+/*
+  scripts/presets-test.js
+  -----------------------
+  Headless test: routing presets against the built-in X32 emulator.
+  Captures two presets (HTTP and WebSocket), recalls each of them and checks
+  the console read-back, then renames, rejects a duplicate name and deletes.
+
+  Usage:
+    node scripts/presets-test.js [port]
+
+  Example:
+    node scripts/presets-test.js 4120
+*/
+const fs = require('fs');
+const path = require('path');
+const WebSocket = require('ws');
+const { waitForMessage, argValue, connectWhenReady, makeDataDir, removeDataDir, startServer } = require('./test-helpers');
+
+async function request(method, url, body) {
+  const opts = { method, headers: { 'Content-Type': 'application/json' } };
+  if (body) opts.body = JSON.stringify(body);
+  const r = await fetch(url, opts);
+  return { status: r.status, json: await r.json() };
+}
+
+async function run(port) {
+  console.log('Starting presets test on port', port);
+  const dataDir = makeDataDir('presets');
+  // presets.json is written next to the port file
+  const child = startServer(port, dataDir, { DUBSWITCH_EMULATOR: '1' });
+
+  let ws = null;
+  try {
+    ws = await connectWhenReady(port);
+    await waitForMessage(ws, d => d.type === 'clp' && d.address === '/config/userrout/in/05');
+    const base = `http://127.0.0.1:${port}`;
+
+    // 1. Capture the factory patch over HTTP
+    const full = await request('POST', base + '/presets', { name: 'Full band recording' });
+    if (full.status !== 200 || full.json.preset.userrout['05'] !== 5 || full.json.preset.routing.join(',') !== '0,1,2,3') throw new Error('HTTP capture wrong: ' + JSON.stringify(full.json));
+    console.log('Captured', full.json.preset.id, 'over HTTP');
+
+    // 2. Change the desk and capture again over the WebSocket
+    ws.send(JSON.stringify({ type: 'clp', address: '/config/userrout/in/05', args: [133] }));
+    ws.send(JSON.stringify({ type: 'toggle_inputs_block', block: 0, target: 20 }));
+    await new Promise(r => setTimeout(r, 300));
+    const created = waitForMessage(ws, d => d.type === 'preset_result' && d.action === 'create_preset');
+    ws.send(JSON.stringify({ type: 'create_preset', name: 'Virtual soundcheck' }));
+    const vs = await created;
+    if (!vs.ok || vs.preset.userrout['05'] !== 133 || vs.preset.routing[0] !== 20) throw new Error('WS capture wrong: ' + JSON.stringify(vs));
+    console.log('Captured', vs.preset.id, 'over WebSocket');
+
+    // 3. Recall over HTTP: the read-back must match the preset
+    const patchBack = waitForMessage(ws, d => d.type === 'clp' && d.address === '/config/userrout/in/05' && Number(argValue(d)) === 5);
+    const recalled = await request('POST', base + '/presets/full-band-recording/recall');
+    if (recalled.status !== 200 || recalled.json.state.userrout['05'] !== 5 || recalled.json.state.routing[0] !== 0) throw new Error('HTTP recall wrong: ' + JSON.stringify(recalled.json));
+    await patchBack;
+    console.log('Recalled full-band-recording; clients saw ch05 = 5');
+
+    // 4. Recall by name over the WebSocket
+    const recallResult = waitForMessage(ws, d => d.type === 'preset_result' && d.action === 'recall_preset');
+    ws.send(JSON.stringify({ type: 'recall_preset', name: 'virtual soundcheck' }));
+    const rr = await recallResult;
+    if (!rr.ok || rr.state.userrout['05'] !== 133 || rr.state.routing[0] !== 20) throw new Error('WS recall wrong: ' + JSON.stringify(rr));
+    console.log('Recalled "Virtual soundcheck" by name over WebSocket');
+
+    // 5. Rename, duplicate name, delete
+    const renamed = await request('PUT', base + '/presets/virtual-soundcheck', { name: 'Festival changeover' });
+    if (renamed.status !== 200 || renamed.json.preset.name !== 'Festival changeover') throw new Error('rename failed: ' + JSON.stringify(renamed.json));
+    const dup = await request('POST', base + '/presets', { name: 'festival changeover' });
+    if (dup.status !== 409) throw new Error('duplicate name not rejected: ' + dup.status);
+    const del = await request('DELETE', base + '/presets/full-band-recording');
+    if (del.status !== 200) throw new Error('delete failed: ' + JSON.stringify(del.json));
+    const listed = await request('GET', base + '/presets');
+    if (listed.json.presets.length !== 1 || listed.json.presets[0].name !== 'Festival changeover') throw new Error('unexpected list: ' + JSON.stringify(listed.json));
+    const saved = JSON.parse(fs.readFileSync(path.join(dataDir, 'presets.json'), 'utf8'));
+    if (saved.presets.length !== 1) throw new Error('presets.json out of sync');
+    console.log('Rename, duplicate check and delete OK; presets.json holds', saved.presets.length, 'preset');
+
+    console.log('Test passed');
+    process.exitCode = 0;
+  } catch (e) {
+    console.error('Test failed:', e && e.message);
+    process.exitCode = 2;
+  } finally {
+    try { if (ws) ws.close(); } catch (e) {}
+    child.kill();
+    removeDataDir(dataDir);
+  }
+}
+
+if (require.main === module) {
+  run(Number(process.argv[2]) || 4120);
+}
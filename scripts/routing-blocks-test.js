@@ -0,0 +1,81 @@
+/*
+  scripts/routing-blocks-test.js
+  ------------------------------
+  Headless test: routing sections beyond the four input blocks against the
+  built-in X32 emulator. Switches an AES50 A block over the WebSocket and an
+  input block over HTTP, and checks that invalid values are rejected, also
+  when switching all input blocks at once.
+
+  Usage:
+    node scripts/routing-blocks-test.js [port]
+
+  Example:
+    node scripts/routing-blocks-test.js 4150
+*/
+const WebSocket = require('ws');
+const { waitForMessage, connectWhenReady, makeDataDir, removeDataDir, startServer } = require('./test-helpers');
+
+async function run(port) {
+  console.log('Starting routing blocks test on port', port);
+  const dataDir = makeDataDir('routing');
+  const child = startServer(port, dataDir, { DUBSWITCH_EMULATOR: '1' });
+
+  let ws = null;
+  try {
+    ws = await connectWhenReady(port);
+    const described = await waitForMessage(ws, d => d.type === 'routing_sections');
+    const ids = described.sections.map(s => s.id).join(',');
+    if (ids !== 'IN,AES50A,AES50B,CARD,OUT,P16,AUX') throw new Error('unexpected sections: ' + ids);
+    await waitForMessage(ws, d => d.type === 'section_routing' && d.values && d.values['AUX/5-6'] != null);
+    console.log('Received', ids, 'and their current values');
+    const base = `http://127.0.0.1:${port}`;
+
+    // AES50 A 1-8 <- Out 1-8 (20) over the WebSocket
+    const pushed = waitForMessage(ws, d => d.type === 'section_routing' && d.values && d.values['AES50A/1-8'] === 20);
+    ws.send(JSON.stringify({ type: 'set_routing_block', block: 'AES50A/1-8', value: 20 }));
+    await pushed;
+    const listed = await (await fetch(base + '/routing-blocks')).json();
+    if (listed.values['AES50A/1-8'] !== 20) throw new Error('value not cached: ' + JSON.stringify(listed.values));
+    console.log('AES50A/1-8 switched to', listed.optionSets.out8[20].label);
+
+    // Input block 9-16 <- UserIn 9-16 (21) over HTTP updates the input routing too
+    const routing = waitForMessage(ws, d => d.type === 'routing' && Array.isArray(d.values) && d.values[1] === 21);
+    const r = await fetch(base + '/routing-blocks', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ block: 'IN/9-16', value: 21 }) });
+    if (!r.ok) throw new Error('POST /routing-blocks failed: ' + r.status);
+    await routing;
+    console.log('IN/9-16 switched to UserIn 9-16; input routing updated');
+
+    const bad = await fetch(base + '/routing-blocks', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ block: 'OUT/1-4', value: 99 }) });
+    const unknown = await fetch(base + '/routing-blocks', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ block: 'MADI/1-8', value: 0 }) });
+    if (bad.status !== 400 || unknown.status !== 404) throw new Error(`bad requests not rejected: ${bad.status}, ${unknown.status}`);
+    console.log('Out-of-range value and unknown block rejected');
+
+    // A bad single-block toggle is answered, not just logged
+    const blockRefused = waitForMessage(ws, d => d.type === 'write_result' && d.status === 'failed' && d.block === 'IN/17-24');
+    ws.send(JSON.stringify({ type: 'toggle_inputs_block', block: 2, target: 99 }));
+    if (!/invalid value/.test((await blockRefused).error)) throw new Error('toggle_inputs_block error not sent');
+
+    // Switching all input blocks refuses a bad value and tells the client
+    const refused = waitForMessage(ws, d => d.type === 'write_result' && d.status === 'failed' && d.block === 'IN/1-8');
+    ws.send(JSON.stringify({ type: 'toggle_inputs', targets: [20, 21, 22, 99] }));
+    const failed = await refused;
+    if (!/invalid value/.test(failed.error)) throw new Error('toggle_inputs not refused: ' + JSON.stringify(failed));
+    const after = await (await fetch(base + '/routing-blocks')).json();
+    if (after.values['IN/9-16'] !== 21) throw new Error('refused toggle_inputs wrote a block: ' + JSON.stringify(after.values));
+    console.log('toggle_inputs with a bad value refused:', failed.error);
+
+    console.log('Test passed');
+    process.exitCode = 0;
+  } catch (e) {
+    console.error('Test failed:', e && e.message);
+    process.exitCode = 2;
+  } finally {
+    try { if (ws) ws.close(); } catch (e) {}
+    child.kill();
+    removeDataDir(dataDir);
+  }
+}
+
+if (require.main === module) {
+  run(Number(process.argv[2]) || 4150);
+}
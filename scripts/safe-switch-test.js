@@ -0,0 +1,131 @@
+/*
+  scripts/safe-switch-test.js
+  ---------------------------
+  Headless test: safe switch. Watches an emulated console through its
+  /xremote feed (as a second client would) and checks that with safe switch
+  on a source change is wrapped in mute / change / settle / unmute, that a
+  channel that was already muted stays muted, that block toggles, bulk
+  applies and snapshot imports mute every channel they switch except the
+  'never' ones, and that bad settings are refused. With safe switch off nothing is muted.
+
+  Usage:
+    node scripts/safe-switch-test.js [port]
+
+  Example:
+    node scripts/safe-switch-test.js 4270
+*/
+const fs = require('fs');
+const path = require('path');
+const osc = require('osc');
+const { waitForServer, makeDataDir, removeDataDir, startServer, startEmulator } = require('./test-helpers');
+
+const EMULATOR_PORT = 10121;
+const WATCH_PORT = 9123;
+
+// Records every change the emulator pushes to its /xremote subscribers
+function createWatcher() {
+  const port = new osc.UDPPort({ localAddress: '127.0.0.1', localPort: WATCH_PORT, metadata: true });
+  let log = [];
+  port.on('message', msg => { log.push({ address: msg.address, value: msg.args[0] && msg.args[0].value, time: Date.now() }); });
+  const open = () => new Promise(resolve => {
+    port.once('ready', () => { port.send({ address: '/xremote', args: [] }, '127.0.0.1', EMULATOR_PORT); resolve(); });
+    port.open();
+  });
+  return { open, take: () => { const l = log; log = []; return l; }, close: () => port.close() };
+}
+
+async function run(port) {
+  console.log('Starting safe switch test on port', port);
+  const dataDir = makeDataDir('safe-switch');
+  const emu = await startEmulator(EMULATOR_PORT, { name: 'Safe' });
+  const child = startServer(port, dataDir);
+  const base = `http://127.0.0.1:${port}`;
+  const http = async (method, route, body) => {
+    const r = await fetch(base + route + (route.includes('?') ? '&' : '?') + 'console=safe', { method, headers: { 'Content-Type': 'application/json' }, body: body ? JSON.stringify(body) : undefined });
+    return { status: r.status, json: await r.json() };
+  };
+  const watcher = createWatcher();
+  const mutes = log => log.filter(m => /\/mix\/on$/.test(m.address));
+
+  try {
+    await waitForServer(port);
+    const r = await fetch(base + '/consoles', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ label: 'Safe', ip: '127.0.0.1', port: EMULATOR_PORT }) });
+    if (!r.ok) throw new Error('could not register console: ' + r.status);
+    await watcher.open();
+    // Let the server fill its caches
+    await new Promise(resolve => setTimeout(resolve, 600));
+
+    // 1. Off by default: no mutes
+    let res = await http('POST', '/api/v1/channels/4/ab', { side: 'B' });
+    if (!res.json.ok || emu.get('/config/userrout/in/04') !== 132) throw new Error('ch04 to B failed');
+    if (mutes(watcher.take()).length) throw new Error('muted with safe switch off');
+    console.log('Safe switch off: ch04 switched without muting');
+
+    // 2. Settings: stored, validated
+    res = await http('PUT', '/safe-switch', { enabled: true, settleMs: 200, never: '32' });
+    if (!res.json.ok || res.json.never.join() !== '32') throw new Error('settings not saved: ' + JSON.stringify(res.json));
+    const stored = JSON.parse(fs.readFileSync(path.join(dataDir, 'safe-switch-safe.json'), 'utf8'));
+    if (!stored.enabled || stored.settleMs !== 200) throw new Error('settings not stored: ' + JSON.stringify(stored));
+    if ((await http('PUT', '/safe-switch', { settleMs: 5000 })).status !== 400) throw new Error('settleMs 5000 accepted');
+    if ((await http('PUT', '/safe-switch', { always: '1-4', never: '4' })).status !== 400) throw new Error('channel in always and never accepted');
+    console.log('Safe switch on for all channels except 32, settle 200 ms');
+
+    // 3. Mute, switch, settle, unmute
+    res = await http('POST', '/api/v1/channels/5/ab', { side: 'B' });
+    if (!res.json.ok || emu.get('/config/userrout/in/05') !== 133) throw new Error('ch05 to B failed');
+    let log = watcher.take().filter(m => m.address.includes('05'));
+    const order = log.map(m => `${m.address}=${m.value}`).join(' ');
+    if (order !== '/ch/05/mix/on=0 /config/userrout/in/05=133 /ch/05/mix/on=1') throw new Error('unexpected sequence: ' + order);
+    if (log[2].time - log[1].time < 150) throw new Error('unmuted before the settle time: ' + (log[2].time - log[1].time) + ' ms');
+    console.log('ch05:', order);
+
+    // 4. A channel that was muted stays muted
+    emu.set('/ch/06/mix/on', 0);
+    await new Promise(resolve => setTimeout(resolve, 200));
+    watcher.take();
+    res = await http('POST', '/api/v1/channels/6/ab', { side: 'B' });
+    if (!res.json.ok || mutes(watcher.take()).length || emu.get('/ch/06/mix/on') !== 0) throw new Error('muted channel touched');
+    console.log('ch06 was muted and stayed muted');
+
+    // 5. Block toggle mutes the whole block
+    res = await http('PUT', '/api/v1/blocks/IN/9-16', { mode: 'userin' });
+    if (!res.json.ok || emu.get('/config/routing/IN/9-16') !== 21) throw new Error('block 9-16 failed');
+    log = mutes(watcher.take());
+    const muted = log.filter(m => m.value === 0).map(m => m.address.slice(4, 6)).sort().join();
+    if (muted !== '09,10,11,12,13,14,15,16' || log.filter(m => m.value === 1).length !== 8) throw new Error('block toggle mutes: ' + muted);
+    for (let ch = 9; ch <= 16; ch++) if (emu.get(`/ch/${String(ch).padStart(2, '0')}/mix/on`) !== 1) throw new Error(`ch${ch} left muted`);
+    console.log('Block 9-16 muted while switching');
+
+    // 6. Bulk apply skips the 'never' channel and unchanged channels
+    res = await http('POST', '/api/v1/groups/ab', { channels: '30-32', side: 'B' });
+    if (!res.json.ok || emu.get('/config/userrout/in/32') !== 160) throw new Error('bulk apply failed: ' + JSON.stringify(res.json));
+    log = mutes(watcher.take());
+    if (log.map(m => m.address).some(a => a.includes('/32/')) || log.filter(m => m.value === 0).length !== 2) throw new Error('bulk mutes: ' + JSON.stringify(log));
+    console.log('Bulk apply muted ch30-31, not ch32');
+
+    // 7. Snapshot import mutes only the channels whose source changes
+    const snap = (await http('GET', '/snapshot')).json;
+    snap.userrout['07'] = 135;
+    watcher.take();
+    res = await http('POST', '/snapshot', snap);
+    if (!res.json.ok || emu.get('/config/userrout/in/07') !== 135) throw new Error('snapshot import failed: ' + JSON.stringify(res.json.mismatches));
+    log = mutes(watcher.take());
+    if (log.map(m => `${m.address}=${m.value}`).join(' ') !== '/ch/07/mix/on=0 /ch/07/mix/on=1') throw new Error('snapshot import mutes: ' + JSON.stringify(log));
+    console.log('Snapshot import muted ch07 only');
+
+    console.log('Test passed');
+    process.exitCode = 0;
+  } catch (e) {
+    console.error('Test failed:', e && e.message);
+    process.exitCode = 2;
+  } finally {
+    try { watcher.close(); } catch (e) {}
+    child.kill();
+    emu.stop();
+    removeDataDir(dataDir);
+  }
+}
+
+if (require.main === module) {
+  run(Number(process.argv[2]) || 4270);
+}
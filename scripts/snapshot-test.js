@@ -0,0 +1,79 @@
+/*
+  scripts/snapshot-test.js
+  ------------------------
+  Headless test: export a full console snapshot from the built-in X32
+  emulator, change the console, import the snapshot again and confirm the
+  console is back where it started. Also checks that an unsupported
+  snapshot version is rejected.
+
+  Usage:
+    node scripts/snapshot-test.js [port]
+
+  Example:
+    node scripts/snapshot-test.js 4130
+*/
+const { waitForMessage, connectWhenReady, makeDataDir, removeDataDir, startServer } = require('./test-helpers');
+
+function send(ws, address, args) {
+  ws.send(JSON.stringify({ type: 'clp', address, args }));
+}
+
+async function run(port) {
+  console.log('Starting snapshot test on port', port);
+  // An empty data folder, so PORT wins over a server.port file
+  const dataDir = makeDataDir('snapshot');
+  const child = startServer(port, dataDir, { DUBSWITCH_EMULATOR: '1' });
+
+  let ws = null;
+  try {
+    ws = await connectWhenReady(port);
+    await waitForMessage(ws, d => d.type === 'clp' && d.address === '/config/userrout/in/05');
+    const base = `http://127.0.0.1:${port}`;
+
+    // The state the console "arrived in"
+    send(ws, '/config/userrout/in/02', [130]);
+    send(ws, '/ch/02/config/name', ['Kick Sub']);
+    send(ws, '/ch/02/config/color', [9]);
+    await new Promise(r => setTimeout(r, 300));
+
+    const exp = await fetch(base + '/snapshot');
+    const snap = await exp.json();
+    if (!exp.ok || snap.format !== 'dubswitch-snapshot' || snap.version !== 1) throw new Error('bad export: ' + JSON.stringify(snap).slice(0, 200));
+    if (!/attachment/.test(exp.headers.get('content-disposition') || '')) throw new Error('export is not offered as a download');
+    if (snap.userrout['02'] !== 130 || snap.names['02'] !== 'Kick Sub' || snap.colors['02'] !== 9 || snap.routing.length !== 4) throw new Error('export missed values: ' + JSON.stringify({ u: snap.userrout['02'], n: snap.names['02'], c: snap.colors['02'] }));
+    if (!snap.console || snap.console.model !== 'X32') throw new Error('export lacks console info: ' + JSON.stringify(snap.console));
+    console.log('Exported snapshot of', snap.console.name, 'created', snap.created);
+
+    // Our changes during the gig
+    send(ws, '/config/userrout/in/02', [2]);
+    send(ws, '/ch/02/config/name', ['Guest']);
+    send(ws, '/ch/02/config/color', [3]);
+    ws.send(JSON.stringify({ type: 'toggle_inputs_block', block: 3, target: 23 }));
+    await new Promise(r => setTimeout(r, 800));
+
+    // Restore
+    const imp = await fetch(base + '/snapshot', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(snap) });
+    const result = await imp.json();
+    if (!imp.ok || !result.ok || result.mismatches.length) throw new Error('import failed: ' + JSON.stringify(result).slice(0, 300));
+    if (result.state.userrout['02'] !== 130 || result.state.names['02'] !== 'Kick Sub' || result.state.colors['02'] !== 9 || result.state.routing[3] !== snap.routing[3]) throw new Error('console not restored: ' + JSON.stringify(result.state).slice(0, 300));
+    console.log('Imported snapshot; read-back matches the file');
+
+    const bad = await fetch(base + '/snapshot', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(Object.assign({}, snap, { version: 99 })) });
+    if (bad.status !== 400) throw new Error('unsupported version not rejected: ' + bad.status);
+    console.log('Unsupported version rejected with 400');
+
+    console.log('Test passed');
+    process.exitCode = 0;
+  } catch (e) {
+    console.error('Test failed:', e && e.message);
+    process.exitCode = 2;
+  } finally {
+    try { if (ws) ws.close(); } catch (e) {}
+    child.kill();
+    removeDataDir(dataDir);
+  }
+}
+
+if (require.main === module) {
+  run(Number(process.argv[2]) || 4130);
+}
@@ -0,0 +1,57 @@
+/*
+  scripts/sources-test.js
+  -----------------------
+  Headless test: the X32 source code catalogue. Checks /api/sources against
+  known codes and that /enumerate-sources labels the built-in emulator's
+  patch with the same catalogue.
+
+  Usage:
+    node scripts/sources-test.js [port]
+
+  Example:
+    node scripts/sources-test.js 4160
+*/
+const { waitForMessage, connectWhenReady, makeDataDir, removeDataDir, startServer } = require('./test-helpers');
+
+async function run(port) {
+  console.log('Starting sources test on port', port);
+  const dataDir = makeDataDir('sources');
+  const child = startServer(port, dataDir, { DUBSWITCH_EMULATOR: '1' });
+
+  let ws = null;
+  try {
+    ws = await connectWhenReady(port);
+    await waitForMessage(ws, d => d.type === 'clp' && d.address === '/config/userrout/in/05');
+    const base = `http://127.0.0.1:${port}`;
+
+    const cat = await (await fetch(base + '/api/sources')).json();
+    const expect = { 0: 'Off', 1: 'Local 1', 32: 'Local 32', 33: 'AES50A 1', 80: 'AES50A 48', 81: 'AES50B 1', 129: 'Card 1', 160: 'Card 32', 161: 'Aux In 1', 167: 'Talkback Int', 168: 'Talkback Ext', 169: 'Out 1', 200: 'P16 16', 208: 'Monitor R' };
+    Object.keys(expect).forEach(code => {
+      const src = cat.sources[code];
+      if (!src || src.label !== expect[code]) throw new Error(`code ${code}: expected ${expect[code]}, got ${src && src.label}`);
+    });
+    if (cat.sources.length !== 209 || cat.sources[168].outputOnly || !cat.sources[169].outputOnly) throw new Error('catalogue range or output flags wrong');
+    console.log('Catalogue covers codes 0-208 with', cat.groups.length, 'groups');
+
+    ws.send(JSON.stringify({ type: 'clp', address: '/config/userrout/in/05', args: [133] }));
+    ws.send(JSON.stringify({ type: 'clp', address: '/config/userrout/in/06', args: [21] }));
+    await new Promise(r => setTimeout(r, 300));
+    const en = await (await fetch(base + '/enumerate-sources')).json();
+    if (en.userPatches['05'].label !== 'Card 5' || en.userPatches['06'].label !== 'Local 21' || en.userPatches['01'].label !== 'Local 1') throw new Error('enumerate labels wrong: ' + JSON.stringify(en.userPatches).slice(0, 200));
+    console.log('enumerate-sources: ch05 =', en.userPatches['05'].label, '| ch06 =', en.userPatches['06'].label);
+
+    console.log('Test passed');
+    process.exitCode = 0;
+  } catch (e) {
+    console.error('Test failed:', e && e.message);
+    process.exitCode = 2;
+  } finally {
+    try { if (ws) ws.close(); } catch (e) {}
+    child.kill();
+    removeDataDir(dataDir);
+  }
+}
+
+if (require.main === module) {
+  run(Number(process.argv[2]) || 4160);
+}
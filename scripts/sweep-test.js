@@ -0,0 +1,101 @@
+/*
+  scripts/sweep-test.js
+  ---------------------
+  Headless test: unicast sweep. An emulated desk listens on a loopback
+  address inside the swept range (loopback has no broadcast, just like a
+  network that drops them). Checks that bad ranges and rates are refused,
+  that the sweep reports progress over the WebSocket, keeps to its rate,
+  finds the desk without handing it to the main console, that only one
+  sweep runs at a time and that a cancelled sweep stops sending.
+
+  Usage:
+    node scripts/sweep-test.js [port]
+
+  Example:
+    node scripts/sweep-test.js 4330
+*/
+const WebSocket = require('ws');
+const { connect, waitForServer, makeDataDir, removeDataDir, startServer, startEmulator } = require('./test-helpers');
+
+const EMULATOR_PORT = 10181;
+
+async function run(port) {
+  console.log('Starting sweep test on port', port);
+  const dataDir = makeDataDir('sweep');
+  const emu = await startEmulator(EMULATOR_PORT, { name: 'Hidden', model: 'X32 Compact', firmware: '4.06' });
+  const child = startServer(port, dataDir);
+  const base = `http://127.0.0.1:${port}`;
+  const http = async (method, body) => {
+    const r = await fetch(base + '/autodiscover-x32/sweep', { method, headers: { 'Content-Type': 'application/json' }, body: body ? JSON.stringify(body) : undefined });
+    return { status: r.status, json: await r.json() };
+  };
+  const sweepFinished = async id => {
+    for (let i = 0; i < 50; i++) {
+      const { json } = await http('GET');
+      if (json.sweep && json.sweep.id === id && json.sweep.state !== 'running') return json.sweep;
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    throw new Error('sweep ' + id + ' did not finish');
+  };
+
+  let ws = null;
+  try {
+    await waitForServer(port);
+    ws = await connect(`ws://127.0.0.1:${port}/`);
+    const progress = [];
+    ws.on('message', raw => { try { const d = JSON.parse(raw); if (d.type === 'sweep_progress') progress.push(d.sweep); } catch (e) {} });
+
+    // 1. Bad requests
+    if ((await http('POST', { cidr: '127.0.0.0/16' })).status !== 400) throw new Error('/16 accepted');
+    if ((await http('POST', { cidr: '127.0.0' })).status !== 400) throw new Error('bad range accepted');
+    if ((await http('POST', { cidr: '127.0.0.0/28', rate: 1000 })).status !== 400) throw new Error('rate 1000 accepted');
+    if ((await http('DELETE')).status !== 409) throw new Error('cancel without a sweep accepted');
+    console.log('Bad ranges, rates and cancels refused');
+
+    // 2. Sweep 127.0.0.0/28 at 20 hosts/s: 14 hosts take about 0.7 s
+    let res = await http('POST', { cidr: '127.0.0.5/28', rate: 20, port: EMULATOR_PORT });
+    if (!res.json.ok || res.json.sweep.cidr !== '127.0.0.0/28' || res.json.sweep.total !== 14) throw new Error('sweep not started: ' + JSON.stringify(res.json));
+    const first = res.json.sweep;
+    if ((await http('POST', { cidr: '127.0.1.0/28' })).status !== 409) throw new Error('second sweep started');
+    await new Promise(resolve => setTimeout(resolve, 300));
+    const early = (await http('GET')).json.sweep;
+    if (early.sent < 3 || early.sent > 10) throw new Error('rate not kept: ' + early.sent + ' sent after 300 ms');
+    const done = await sweepFinished(first.id);
+    if (done.state !== 'done' || done.sent !== 14) throw new Error('sweep did not complete: ' + JSON.stringify(done));
+    const desk = done.consoles.find(c => c.ip === '127.0.0.1' && c.port === EMULATOR_PORT);
+    if (done.consoles.length !== 1 || !desk || desk.name !== 'Hidden' || desk.model !== 'X32 Compact' || desk.console !== null) throw new Error('desk not found: ' + JSON.stringify(done.consoles));
+    const seen = progress.filter(p => p.id === first.id);
+    if (seen.length < 3 || seen[seen.length - 1].state !== 'done' || !seen.some(p => p.sent > 0 && p.sent < 14)) throw new Error('progress not reported: ' + JSON.stringify(seen.map(p => p.sent)));
+    const main = (await (await fetch(base + '/consoles')).json()).consoles.find(c => c.id === 'main');
+    if (main.ip) throw new Error('sweep handed the desk to the main console');
+    console.log(`Swept ${done.cidr}: ${seen.length} progress updates, found ${desk.name} (${desk.model})`);
+
+    // 3. Cancel stops sending
+    res = await http('POST', { cidr: '127.0.1.0/24', rate: 10, port: EMULATOR_PORT });
+    if (!res.json.ok || res.json.sweep.total !== 254) throw new Error('second sweep not started: ' + JSON.stringify(res.json));
+    await new Promise(resolve => setTimeout(resolve, 400));
+    res = await http('DELETE');
+    if (!res.json.ok || res.json.sweep.state !== 'cancelled') throw new Error('not cancelled: ' + JSON.stringify(res.json));
+    const sent = res.json.sweep.sent;
+    await new Promise(resolve => setTimeout(resolve, 500));
+    const after = (await http('GET')).json.sweep;
+    if (sent >= 254 || after.sent !== sent || after.state !== 'cancelled') throw new Error('sweep went on after cancel: ' + sent + ' -> ' + after.sent);
+    if (!progress.some(p => p.id === res.json.sweep.id && p.state === 'cancelled')) throw new Error('cancel not reported');
+    console.log('Cancelled after', sent, 'of 254 hosts');
+
+    console.log('Test passed');
+    process.exitCode = 0;
+  } catch (e) {
+    console.error('Test failed:', e && e.message);
+    process.exitCode = 2;
+  } finally {
+    try { if (ws) ws.close(); } catch (e) {}
+    child.kill();
+    emu.stop();
+    removeDataDir(dataDir);
+  }
+}
+
+if (require.main === module) {
+  run(Number(process.argv[2]) || 4330);
+}
@@ -0,0 +1,130 @@
+/*
+  scripts/test-helpers.js
+  -----------------------
+  Shared by the headless scripts/*-test.js: a scratch data folder, the
+  server started on it, emulated desks, and WebSocket clients with a way to
+  wait for a message. Every test still owns its ports and cleans up in its
+  own finally block.
+*/
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const { createX32Emulator } = require('../x32-emulator');
+
+// Resolve the first parsed message that matches predicate; reject on timeout
+function waitForMessage(ws, predicate, timeoutMs = 5000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => { ws.removeListener('message', onMsg); reject(new Error('timeout')); }, timeoutMs);
+    function onMsg(raw) {
+      let data = null;
+      try { data = JSON.parse(raw); } catch (e) { return; }
+      if (predicate(data)) { clearTimeout(timer); ws.removeListener('message', onMsg); resolve(data); }
+    }
+    ws.on('message', onMsg);
+  });
+}
+
+// Resolve true if a matching message arrives within timeoutMs, false otherwise
+function sawMessage(ws, predicate, timeoutMs = 800) {
+  return waitForMessage(ws, predicate, timeoutMs).then(() => true, () => false);
+}
+
+// First argument of a forwarded 'clp' message, with or without OSC metadata
+function argValue(data) {
+  const a = data && data.args && data.args[0];
+  return (a && typeof a === 'object' && 'value' in a) ? a.value : a;
+}
+
+function connect(url) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(url);
+    ws.once('open', () => resolve(ws));
+    ws.once('error', reject);
+  });
+}
+
+// connect() to a server that may still be starting
+async function connectWhenReady(port, deadlineMs = 10000) {
+  const deadline = Date.now() + deadlineMs;
+  for (;;) {
+    try {
+      return await connect(`ws://127.0.0.1:${port}`);
+    } catch (e) {
+      if (Date.now() > deadline) throw e;
+      await new Promise(r => setTimeout(r, 200));
+    }
+  }
+}
+
+// Any HTTP answer counts: with auth.json even /version may want a login
+async function waitForServer(port, deadlineMs = 10000) {
+  const deadline = Date.now() + deadlineMs;
+  for (;;) {
+    try {
+      await fetch(`http://127.0.0.1:${port}/version`);
+      return;
+    } catch (e) {
+      if (Date.now() > deadline) throw e;
+    }
+    await new Promise(r => setTimeout(r, 200));
+  }
+}
+
+function makeDataDir(name) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), `dubswitch-${name}-`));
+}
+
+function removeDataDir(dataDir) {
+  try { fs.rmSync(dataDir, { recursive: true, force: true }); } catch (e) {}
+}
+
+// server.js on `port` with the port file (and so consoles.json, matrices,
+// presets, ...) in dataDir. env: extra environment variables. Its stderr
+// is collected in child.output and echoed unless options.echo is false or
+// a function that returns false for the chunk.
+function startServer(port, dataDir, env = {}, options = {}) {
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: Object.assign({}, process.env, { PORT: String(port), DUBSWITCH_PORT_FILE: path.join(dataDir, 'server.port') }, env),
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  const echo = options.echo === undefined ? true : options.echo;
+  child.output = '';
+  child.stderr.on('data', d => {
+    const text = d.toString();
+    child.output += text;
+    if (echo === true || (typeof echo === 'function' && echo(text))) process.stderr.write('[server stderr] ' + text);
+  });
+  return child;
+}
+
+// Resolves once the server process has exited
+function stopServer(child) {
+  return new Promise(resolve => {
+    if (!child || child.exitCode != null || child.signalCode != null) return resolve();
+    child.once('exit', () => resolve());
+    child.kill();
+  });
+}
+
+// A started X32 emulator on `port` answering /xinfo with `info`
+async function startEmulator(port, info) {
+  const emu = createX32Emulator({ port, info, quiet: true });
+  await emu.start();
+  return emu;
+}
+
+module.exports = {
+  waitForMessage,
+  sawMessage,
+  argValue,
+  connect,
+  connectWhenReady,
+  waitForServer,
+  makeDataDir,
+  removeDataDir,
+  startServer,
+  stopServer,
+  startEmulator
+};
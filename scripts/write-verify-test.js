@@ -0,0 +1,68 @@
+/*
+  scripts/write-verify-test.js
+  ----------------------------
+  Headless test: write-then-verify. A patch write to a running emulator is
+  confirmed to the sending client; after the emulator stops answering the
+  same write is retried and reported as failed.
+
+  Usage:
+    node scripts/write-verify-test.js [port]
+
+  Example:
+    node scripts/write-verify-test.js 4170
+*/
+const { waitForMessage, connect, waitForServer, makeDataDir, removeDataDir, startServer, startEmulator } = require('./test-helpers');
+
+async function run(port) {
+  console.log('Starting write verification test on port', port);
+  const dataDir = makeDataDir('verify');
+  const emu = await startEmulator(10041, { name: 'Verify' });
+  const child = startServer(port, dataDir);
+
+  let ws = null;
+  try {
+    await waitForServer(port);
+    const base = `http://127.0.0.1:${port}`;
+    const r = await fetch(base + '/consoles', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ label: 'Verify', ip: '127.0.0.1', port: 10041 }) });
+    if (!r.ok) throw new Error('could not register console: ' + r.status);
+    ws = await connect(`ws://127.0.0.1:${port}/?console=verify`);
+    await waitForMessage(ws, d => d.type === 'clp' && d.address === '/config/userrout/in/05');
+
+    // 1. Confirmed write
+    const ok = waitForMessage(ws, d => d.type === 'write_result' && d.address === '/config/userrout/in/05');
+    ws.send(JSON.stringify({ type: 'clp', address: '/config/userrout/in/05', args: [133] }));
+    const res1 = await ok;
+    if (res1.status !== 'confirmed' || res1.channel !== '05' || res1.attempts !== 1 || emu.get('/config/userrout/in/05') !== 133) throw new Error('write not confirmed: ' + JSON.stringify(res1));
+    console.log('ch05 = 133 confirmed after', res1.attempts, 'attempt');
+
+    // 2. Name writes are verified too
+    const named = waitForMessage(ws, d => d.type === 'write_result' && d.address === '/ch/07/config/name');
+    ws.send(JSON.stringify({ type: 'clp', address: '/ch/07/config/name', args: ['Lead Vox'] }));
+    const res2 = await named;
+    if (res2.status !== 'confirmed' || res2.channel !== '07') throw new Error('name write not confirmed: ' + JSON.stringify(res2));
+    console.log('ch07 name confirmed');
+
+    // 3. The console stops answering: retried, then reported as failed
+    emu.stop();
+    const failed = waitForMessage(ws, d => d.type === 'write_result' && d.address === '/config/userrout/in/06', 6000);
+    ws.send(JSON.stringify({ type: 'clp', address: '/config/userrout/in/06', args: [134] }));
+    const res3 = await failed;
+    if (res3.status !== 'failed' || res3.attempts !== 3 || res3.actual !== null) throw new Error('lost write not reported: ' + JSON.stringify(res3));
+    console.log('ch06 write reported failed after', res3.attempts, 'attempts');
+
+    console.log('Test passed');
+    process.exitCode = 0;
+  } catch (e) {
+    console.error('Test failed:', e && e.message);
+    process.exitCode = 2;
+  } finally {
+    try { if (ws) ws.close(); } catch (e) {}
+    child.kill();
+    emu.stop();
+    removeDataDir(dataDir);
+  }
+}
+
+if (require.main === module) {
+  run(Number(process.argv[2]) || 4170);
+}
@@ -5,26 +5,89 @@
 
   Responsibilities
   - Serve the static UI (./public) and static resources.
-  - Discover and maintain the X32 device IP via OSC /xinfo broadcasts.
+  - Keep a registry of consoles (e.g. FOH and monitor desks). Each console
+    has its own address, caches and matrix file; the 'main' console is
+    found via OSC /xinfo broadcasts, others are added by address.
+  - Optionally run the built-in X32 emulator (x32-emulator.js) on loopback
+    so the app can be used offline (DUBSWITCH_EMULATOR=1 or Settings -> IP).
   - Forward OSC replies to WebSocket-connected clients and accept
     control commands from clients (CLP writes, routing toggles, matrix ops).
 
   Key runtime data structures
-  - routingBlocks: descriptor list for the 4 routing blocks and their
-      corresponding CLP values (userin/localin) used to toggle device routing.
-  - currentRoutingState: cached snapshot of the most recently observed
-      routing values for the 4 blocks.
+  - routingConfig: descriptors for every X32 routing section (inputs,
+      AES50 A/B, card, outputs 1-16, P16, aux) from routing-blocks.js,
+      optionally replaced by routing-blocks.json next to the port file.
+  - routingBlocks: the 4 input blocks of routingConfig and their CLP values
+      (userin/localin) used to toggle device routing, presets and snapshots.
+  - consoles: registry (id -> console) persisted in consoles.json next to
+      the port file together with each console's last address, which is
+      tried first on the next start. Per console:
+      - currentRoutingState: cached snapshot of the most recently observed
+          routing values for the 4 blocks.
+      - sectionRouting: last known value of every routingConfig block
+          (keyed by block id, e.g. 'AES50A/1-8').
+      - userPatches / channelNames / channelColors: per-channel caches kept
+          current by read replies and by changes the X32 pushes through the
+          /xremote subscription (renewed with the 5-second /xinfo ping).
+      - health: online / degraded / offline from that ping's replies
+          (health.js), broadcast as 'console_health'. An offline console is
+          looked for by broadcast until it answers again.
+      - persistedMatrix: A/B matrix stored in matrix.json ('main') or
+          matrix-<id>.json.
+      - userOutPatches / persistedOutputMatrix: the 48 user output slots
+          (/config/userrout/out/NN) and their A/B matrix stored in
+          output-matrix.json ('main') or output-matrix-<id>.json.
+      - presets: named routing presets (presets.js) stored in presets.json
+          ('main') or presets-<id>.json.
+      - groups: named channel groups (groups.js) switched to A or B as one
+          bulk apply, stored in groups.json ('main') or groups-<id>.json.
+      - locks: locked channels (locks.js) whose user patch no client may
+          switch; bulk operations skip them. Stored in locks.json ('main')
+          or locks-<id>.json.
+      - safeSwitch: safe-switch settings (safe-switch.js): channels that are
+          muted while their source changes, stored in safe-switch.json
+          ('main') or safe-switch-<id>.json. safeMutes tracks the channels
+          muted by switches still in progress.
+      - history: undo/redo list of confirmed routing changes (history.js),
+          in memory and shared by every client of the console.
+      - journal: append-only audit journal (journal.js) of every change made
+          through clp, toggle_inputs_block, toggle_inputs, /set-channel-matrix,
+          the REST API and OSC control, stored in journal.jsonl ('main') or
+          journal-<id>.jsonl and served by /journal and /journal.csv.
 
   Message flows
-  - Clients connect via WebSocket. On connect the server triggers /xinfo
-    (to warm discovery) and queries the X32 for channel names, routing and
-    user patches. Replies are forwarded back to clients as 'clp' and 'routing'.
+  - Clients connect via WebSocket (optionally ws://host/?console=<id>) and
+    can switch with 'select_console'; every client watches one console and
+    only receives that console's replies. On connect the server triggers
+    /xinfo (to warm discovery) and queries the X32 for channel names, routing
+    and user patches. Replies are forwarded back to clients as 'clp' and
+    'routing'. HTTP endpoints take ?console=<id> (default 'main').
   - Clients can request get_matrix/set_matrix/preview_matrix/apply_matrix to
     manage the persisted toggle matrix. set_matrix writes matrix.json to disk.
+  - Patch, routing, name and colour writes are read back (writeAndVerify)
+    and the sender gets a 'write_result'. 'bulk_apply' changes many channels
+    as one transaction (bulkApply: snapshot, write, verify, roll back on
+    failure) and answers with a single 'bulk_result'.
+  - /api/v1/* is a REST API for external controllers (channel state, A/B
+    for channels and groups, blocks, names, colours, preset recall). It
+    shares the write paths of the WebSocket handlers and answers with
+    verified state.
+  - /dubswitch/... OSC messages on the OSC control port (osc-control.js,
+    oscControlPort, default 9002) do the same for show-control desks and OSC
+    surfaces; senders get a reply and state feedback.
+  - Ports, timeouts and discovery targets come from dubswitch.json next to
+    the port file (config.js), validated at startup. GET/PUT /config and
+    Settings -> Config edit it; some settings apply live, the ports after a
+    restart.
 
   Security / safety notes
-  - The server assumes a trusted local network and does not implement
-    authentication. Be cautious if exposing this server beyond your LAN.
+  - Authentication is optional (auth.js): without auth.json next to the
+    port file every client is an admin, as on a trusted local network.
+    With it, clients log in with a PIN or token and every HTTP route
+    (routeRole) and WebSocket message (wsMessageRole) is checked against
+    the caller's role: viewer, operator or admin.
+  - There is no TLS; PINs and tokens cross the network in clear text. Be
+    cautious if exposing this server beyond your LAN.
 */
 const os = require('os');
 const path = require('path');
@@ -32,6 +95,22 @@ const express = require('express');
 const http = require('http');
 const WebSocket = require('ws');
 const osc = require('osc');
+const { createX32Emulator } = require('./x32-emulator');
+const { createPresetStore } = require('./presets');
+const { createGroupStore, parseChannels } = require('./groups');
+const { createLockStore } = require('./locks');
+const { createSafeSwitchStore } = require('./safe-switch');
+const { MAX_NAME_LENGTH, buildSnapshot, parseSnapshot } = require('./snapshot');
+const { loadRoutingConfig, isValidBlockValue } = require('./routing-blocks');
+const { describeSource, sourceCode, isInputSource, isOutputSource, sourceCatalogue } = require('./sources');
+const { describeColor, colorValue, colorCatalogue } = require('./colors');
+const { createHistory } = require('./history');
+const { createJournal, toCsv } = require('./journal');
+const { roleAllows, loadAuthConfig, createAuth } = require('./auth');
+const { parseControlMessage, replyMessage, channelFeedback, blockFeedback, createSubscriptions } = require('./osc-control');
+const { createHealth } = require('./health');
+const { interfaceBroadcasts, parseDiscoveryAddresses, parseCidr, parseXinfo } = require('./discovery');
+const { createConfigStore } = require('./config');
 
 const app = express();
 const fs = require('fs');
@@ -47,37 +126,73 @@ app.use('/resources', express.static(path.join(__dirname, 'resources')));
 const pkg = require('./package.json');
 app.get('/version', (req, res) => res.send(pkg.version));
 
-// X32 discovery and OSC settings
-let X32_IP = null;
-const X32_OSC_PORT = 10023;
-const LOCAL_OSC_PORT = 9001;
-
-function getBroadcastAddress() {
-  const ifaces = os.networkInterfaces();
-  for (const name in ifaces) {
-    for (const iface of ifaces[name]) {
-      if (iface.family === 'IPv4' && !iface.internal) {
-        const ipOctets = iface.address.split('.').map(n => parseInt(n, 10));
-        const maskOctets = iface.netmask.split('.').map(n => parseInt(n, 10));
-        const bcOctets = ipOctets.map((oct, i) => (oct & maskOctets[i]) | (~maskOctets[i] & 0xff));
-        return bcOctets.join('.');
-      }
-    }
+// Persisted HTTP port file (simple text file containing port number)
+// In packaged app, Electron main passes DUBSWITCH_PORT_FILE pointing
+// to app.getPath('userData')/server.port so we can write to a writable
+// location. In dev, fall back to the repo directory.
+const PORT_PERSIST_PATH = process.env.DUBSWITCH_PORT_FILE || path.join(__dirname, 'server.port');
+let persistedPort = null;
+try {
+  if (fs.existsSync(PORT_PERSIST_PATH)) {
+    const txt = fs.readFileSync(PORT_PERSIST_PATH, 'utf8').trim();
+    const n = Number(txt || '');
+    if (n && n > 0 && n <= 65535) persistedPort = n;
   }
-  return '255.255.255.255';
+} catch (e) { /* ignore */ }
+
+// Server settings (config.js): dubswitch.json next to the port file, with
+// environment variables and server.port as fallbacks. Like auth.json, an
+// invalid file stops the server.
+let serverConfig;
+try {
+  serverConfig = createConfigStore(path.join(path.dirname(PORT_PERSIST_PATH), 'dubswitch.json'), process.env, { httpPort: { value: persistedPort, source: 'server.port' } });
+} catch (e) {
+  console.error('[CONFIG]', e.message);
+  process.exit(1);
 }
-const BROADCAST_ADDR = getBroadcastAddress();
+// Settings as the server started: ports are bound once, so 'restart'
+// settings saved since then are reported as pending (GET /config)
+const STARTUP_CONFIG = serverConfig.get();
 
-// Routing block descriptors (OSC address + representative values)
-const routingBlocks = [
-  { label: '1-8', osc: '/config/routing/IN/1-8', userin: 20, localin: 0 },
-  { label: '9-16', osc: '/config/routing/IN/9-16', userin: 21, localin: 1 },
-  { label: '17-24', osc: '/config/routing/IN/17-24', userin: 22, localin: 2 },
-  { label: '25-32', osc: '/config/routing/IN/25-32', userin: 23, localin: 3 }
-];
+// X32 discovery and OSC settings
+const X32_OSC_PORT = STARTUP_CONFIG.x32Port;
+const LOCAL_OSC_PORT = STARTUP_CONFIG.localOscPort;
+// How long a saved main console address gets to answer before discovery
+const SAVED_ADDRESS_GRACE_MS = 2000;
+
+// Broadcast address of the first interface: where reads go while a console
+// has no address yet. Discovery itself uses every interface (broadcastXinfo).
+const BROADCAST_ADDR = (interfaceBroadcasts()[0] || { broadcast: '255.255.255.255' }).broadcast;
+
+// Send /xinfo to the broadcast address of every interface (looked up each
+// time, as interfaces come and go) and to the configured discoveryAddresses
+// (validated by config.js)
+function broadcastXinfo(port = X32_OSC_PORT) {
+  const broadcasts = interfaceBroadcasts().map(i => i.broadcast);
+  const extra = parseDiscoveryAddresses(serverConfig.get().discoveryAddresses.join(','), X32_OSC_PORT);
+  const targets = (broadcasts.length ? broadcasts : ['255.255.255.255']).map(host => ({ host, port })).concat(extra);
+  targets.forEach(t => { try { sendOsc({ address: '/xinfo', args: [] }, t.host, t.port); } catch (e) { console.error('Broadcast /xinfo failed', t.host, e && e.message); } });
+}
+
+// Running /autodiscover-x32 listings and sweeps; while one runs, replies
+// from unknown desks are listed for the user to choose from, not adopted
+let discoveryListings = 0;
+
+// Desks that answered while the main console was looking for its own one
+// but are not it ('ip:port'); each is offered to the UI once
+const discoveryCandidates = new Set();
+
+// The same desk as a console's last known /xinfo identity
+function sameDesk(info, found) {
+  return !!(info && info.name && info.name === found.name && info.model === found.model);
+}
+
+// Unicast sweep: hosts per second (default / max) and how often the
+// progress goes out to the UI
+const SWEEP_DEFAULT_RATE = 50;
+const SWEEP_MAX_RATE = 500;
+const SWEEP_TICK_MS = 100;
 
-let currentRoutingState = [null, null, null, null];
-const routingRequests = {};
 let routingRequestId = 1;
 
 // OSC UDP port
@@ -85,43 +200,325 @@ const oscPort = new osc.UDPPort({ localAddress: '0.0.0.0', localPort: LOCAL_OSC_
 oscPort.setMaxListeners(0);
 
 oscPort.on('ready', () => {
-  console.log('OSC port ready — broadcasting /xinfo');
-  try { sendOsc({ address: '/xinfo', args: [] }, BROADCAST_ADDR); } catch (e) { /* ignore */ }
+  // Reconnect to the addresses saved in earlier sessions
+  consoles.forEach(cons => { if (cons.savedIp) updateX32Ip(cons, cons.savedIp, 'saved'); });
+  // The main console tries its saved address first and falls back to
+  // discovery when nothing answers there
+  const main = consoles.get(DEFAULT_CONSOLE_ID);
+  if (!main.ip) {
+    console.log('OSC port ready — broadcasting /xinfo');
+    broadcastXinfo(main.port);
+  } else {
+    console.log('OSC port ready — trying saved X32 address', main.ip);
+    setTimeout(() => {
+      if (main.ipSource !== 'saved' || main.health.state() !== 'unknown') return;
+      console.log('Saved X32 address', main.ip, 'is not answering — broadcasting /xinfo');
+      broadcastXinfo(main.port);
+    }, SAVED_ADDRESS_GRACE_MS);
+  }
+  if (process.env.DUBSWITCH_EMULATOR === '1') {
+    startEmulator(consoles.get(DEFAULT_CONSOLE_ID)).catch(err => console.error('Failed to start X32 emulator:', err && err.message));
+  }
 });
 
+// Built-in X32 emulator. While it runs, the console it was started for
+// points at its loopback address (emulator.consoleId) and discovery replies
+// from real consoles are not adopted for it.
+let emulator = null;
+
 // Diagnostics counters
 let pingCount = 0;
 
-// Channel name cache
-const channelNames = {};
-// Server-side cache of per-channel user patch values (updated when CLP replies arrive)
-const userPatches = {};
+// Track the currently-bound HTTP port (updated when server listens)
+let CURRENT_PORT = null;
+
+// Console registry
+// ----------------
+// The 'main' console always exists: it follows broadcast discovery and keeps
+// the historical matrix.json. Further consoles are added by address (Settings
+// -> IP or POST /consoles) and are persisted in consoles.json next to the
+// port file together with their own matrix-<id>.json. consoles.json also
+// keeps the last address of every console, main included, and the name and
+// model of the desk there, so a restart reconnects without waiting for
+// discovery and still knows its desk if that address has gone stale.
+const DEFAULT_CONSOLE_ID = 'main';
+const DATA_DIR = path.dirname(PORT_PERSIST_PATH);
+const CONSOLES_PATH = path.join(DATA_DIR, 'consoles.json');
 
-// Persisted matrix mapping (per-channel A/B) stored on disk
-const MATRIX_PATH = path.join(__dirname, 'matrix.json');
-let persistedMatrix = {};
-try {
-  if (fs.existsSync(MATRIX_PATH)) {
-    persistedMatrix = JSON.parse(fs.readFileSync(MATRIX_PATH, 'utf8') || '{}') || {};
+// Routing block descriptors for every routing section (routing-blocks.js)
+const routingConfig = loadRoutingConfig(path.join(DATA_DIR, 'routing-blocks.json'));
+const routingBlocksByOsc = new Map(routingConfig.blocks.map(block => [block.osc, block]));
+// The four /config/routing/IN blocks with their userin/localin codes
+const routingBlocks = routingConfig.inputBlocks;
+const consoles = new Map();
+
+function consoleMatrixPath(id) {
+  return id === DEFAULT_CONSOLE_ID ? path.join(__dirname, 'matrix.json') : path.join(DATA_DIR, `matrix-${id}.json`);
+}
+
+function consoleOutputMatrixPath(id) {
+  return path.join(DATA_DIR, id === DEFAULT_CONSOLE_ID ? 'output-matrix.json' : `output-matrix-${id}.json`);
+}
+
+function consolePresetsPath(id) {
+  return path.join(DATA_DIR, id === DEFAULT_CONSOLE_ID ? 'presets.json' : `presets-${id}.json`);
+}
+
+function consoleGroupsPath(id) {
+  return path.join(DATA_DIR, id === DEFAULT_CONSOLE_ID ? 'groups.json' : `groups-${id}.json`);
+}
+
+function consoleLocksPath(id) {
+  return path.join(DATA_DIR, id === DEFAULT_CONSOLE_ID ? 'locks.json' : `locks-${id}.json`);
+}
+
+function consoleSafeSwitchPath(id) {
+  return path.join(DATA_DIR, id === DEFAULT_CONSOLE_ID ? 'safe-switch.json' : `safe-switch-${id}.json`);
+}
+
+function consoleJournalPath(id) {
+  return path.join(DATA_DIR, id === DEFAULT_CONSOLE_ID ? 'journal.jsonl' : `journal-${id}.jsonl`);
+}
+
+function createConsole({ id, label, ip = null, port = X32_OSC_PORT, name = null, model = null }) {
+  const cons = {
+    id,
+    label: label || id,
+    ip: null,
+    savedIp: ip || null,
+    // Where cons.ip came from: 'saved', 'discovery', 'manual' or 'emulator'
+    ipSource: null,
+    port: Number(port) || X32_OSC_PORT,
+    // Caches: routing values for the 4 blocks, per-channel user patch values
+    // (keyed by channel number) and names/colors (keyed by two-digit 'NN')
+    currentRoutingState: [null, null, null, null],
+    routingRequests: {},
+    sectionRouting: {},
+    // Reads awaited by readConsoleValues()
+    pendingReads: new Set(),
+    userPatches: {},
+    // User output slots 1-48 (keyed by slot number)
+    userOutPatches: {},
+    channelNames: {},
+    channelColors: {},
+    matrixPath: consoleMatrixPath(id),
+    persistedMatrix: {},
+    outputMatrixPath: consoleOutputMatrixPath(id),
+    persistedOutputMatrix: {},
+    presets: createPresetStore(consolePresetsPath(id)),
+    groups: createGroupStore(consoleGroupsPath(id)),
+    locks: createLockStore(consoleLocksPath(id)),
+    safeSwitch: createSafeSwitchStore(consoleSafeSwitchPath(id)),
+    // 'NN' -> { count, ready } for channels muted by withSafeSwitch()
+    safeMutes: new Map(),
+    history: createHistory(),
+    journal: createJournal(consoleJournalPath(id)),
+    // Set while bulkApply() runs so transactions don't interleave
+    bulkBusy: false,
+    pingCount: 0,
+    pingInterval: null,
+    // online / degraded / offline from the keep-alive ping (health.js)
+    health: createHealth(),
+    // name / model / firmware from the last /xinfo reply
+    info: null,
+    // name / model of the desk at savedIp, kept in consoles.json so a
+    // restart can still recognise it when it answers from a new address
+    savedDesk: name ? { name, model } : null
+  };
+  try {
+    if (fs.existsSync(cons.matrixPath)) {
+      cons.persistedMatrix = JSON.parse(fs.readFileSync(cons.matrixPath, 'utf8') || '{}') || {};
+    }
+  } catch (e) { console.warn(`Failed to read existing ${path.basename(cons.matrixPath)}:`, e && e.message); }
+  try {
+    if (fs.existsSync(cons.outputMatrixPath)) {
+      cons.persistedOutputMatrix = JSON.parse(fs.readFileSync(cons.outputMatrixPath, 'utf8') || '{}') || {};
+    }
+  } catch (e) { console.warn(`Failed to read existing ${path.basename(cons.outputMatrixPath)}:`, e && e.message); }
+  return cons;
+}
+
+function loadConsoles() {
+  let saved = [];
+  try {
+    if (fs.existsSync(CONSOLES_PATH)) saved = JSON.parse(fs.readFileSync(CONSOLES_PATH, 'utf8') || '[]') || [];
+  } catch (e) { console.warn('Failed to read consoles.json:', e && e.message); saved = []; }
+  const main = (Array.isArray(saved) ? saved : []).find(c => c && c.id === DEFAULT_CONSOLE_ID) || {};
+  consoles.set(DEFAULT_CONSOLE_ID, createConsole({ id: DEFAULT_CONSOLE_ID, label: main.label || 'Main', ip: main.ip, port: main.port, name: main.name, model: main.model }));
+  (Array.isArray(saved) ? saved : []).forEach(c => {
+    if (!c || !c.id || c.id === DEFAULT_CONSOLE_ID || consoles.has(c.id) || !/^[a-z0-9-]+$/.test(c.id)) return;
+    consoles.set(c.id, createConsole(c));
+  });
+}
+
+function saveConsoles() {
+  // savedIp is the last real address; the emulator's loopback is never saved
+  const list = Array.from(consoles.values()).map(c => ({ id: c.id, label: c.label, ip: c.savedIp || null, port: c.port, name: c.savedDesk ? c.savedDesk.name : null, model: c.savedDesk ? c.savedDesk.model : null }));
+  const tmp = CONSOLES_PATH + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(list, null, 2), 'utf8');
+  fs.renameSync(tmp, CONSOLES_PATH);
+}
+
+function describeConsole(cons) {
+  return { id: cons.id, label: cons.label, ip: cons.ip || null, ipSource: cons.ip ? cons.ipSource : null, port: cons.port, emulator: !!(emulator && emulator.consoleId === cons.id), health: cons.health.state() };
+}
+
+function listConsoles() {
+  return Array.from(consoles.values()).map(describeConsole);
+}
+
+// Find the registered console an OSC reply came from
+function findConsoleByAddress(address, port) {
+  for (const cons of consoles.values()) {
+    if (cons.ip === address && cons.port === Number(port)) return cons;
   }
-} catch (e) { console.warn('Failed to read existing matrix.json:', e && e.message); persistedMatrix = {}; }
+  return null;
+}
 
-// Persisted HTTP port file (simple text file containing port number)
-// In packaged app, Electron main passes DUBSWITCH_PORT_FILE pointing
-// to app.getPath('userData')/server.port so we can write to a writable
-// location. In dev, fall back to the repo directory.
-const PORT_PERSIST_PATH = process.env.DUBSWITCH_PORT_FILE || path.join(__dirname, 'server.port');
-let persistedPort = null;
+// Resolve the console an HTTP request targets (?console=<id>, default main).
+// Replies 404 and returns null for unknown ids.
+function consoleFor(req, res) {
+  const id = String((req.query && req.query.console) || DEFAULT_CONSOLE_ID);
+  const cons = consoles.get(id) || null;
+  if (!cons && res) res.status(404).json({ ok: false, error: 'unknown console: ' + id });
+  return cons;
+}
+
+// Send a JSON payload to every WebSocket client watching the console
+function broadcast(cons, payload) {
+  if (!wss) return;
+  const text = JSON.stringify(payload);
+  wss.clients.forEach(ws => { if (ws.readyState === WebSocket.OPEN && ws.consoleId === cons.id) { try { ws.send(text); } catch (e) {} } });
+}
+
+// Remote address of a WebSocket upgrade or HTTP request, without the
+// IPv4-mapped IPv6 prefix
+function clientAddress(req) {
+  const addr = (req && req.socket && req.socket.remoteAddress) || 'unknown';
+  return addr.replace(/^::ffff:/, '');
+}
+
+// Address plus the logged-in name (if any) for history and journal entries
+function describeClient(address, who) {
+  return who && who.name ? `${address} (${who.name})` : address;
+}
+
+function requestClient(req) {
+  return 'http ' + describeClient(clientAddress(req), req.auth);
+}
+
+// Operator login (auth.js). An invalid auth.json stops the server rather
+// than leaving it open.
+let authConfig = null;
 try {
-  if (fs.existsSync(PORT_PERSIST_PATH)) {
-    const txt = fs.readFileSync(PORT_PERSIST_PATH, 'utf8').trim();
-    const n = Number(txt || '');
-    if (n && n > 0 && n <= 65535) persistedPort = n;
+  authConfig = loadAuthConfig(path.join(DATA_DIR, 'auth.json'));
+} catch (e) {
+  console.error('[AUTH]', e.message);
+  process.exit(1);
+}
+const auth = createAuth(authConfig);
+if (auth.enabled) console.log('[AUTH] Login enabled with', authConfig.credentials.length, 'credential(s)');
+
+// Session or API token: 'Authorization: Bearer <token>' or ?token=<token>
+// (downloads and the WebSocket URL cannot set headers)
+function requestToken(req) {
+  const header = (req.headers && req.headers.authorization) || '';
+  const m = header.match(/^Bearer\s+(\S+)$/i);
+  if (m) return m[1];
+  try { return new URL(req.url, 'http://localhost').searchParams.get('token') || null; } catch (e) { return null; }
+}
+
+// Minimum role per HTTP route. Anything not listed needs viewer to read
+// (GET) and admin to change anything; /version and /auth/* are open.
+const ROUTE_ROLES = [
+  { method: 'POST', path: /^\/routing-blocks$/, role: 'operator' },
+  { method: 'POST', path: /^\/presets(\/[^/]+\/recall)?$/, role: 'operator' },
+  { method: 'PUT', path: /^\/presets\/[^/]+$/, role: 'operator' },
+  { method: 'DELETE', path: /^\/presets\/[^/]+$/, role: 'operator' },
+  { method: 'POST', path: /^\/groups(\/[^/]+\/ab)?$/, role: 'operator' },
+  { method: 'PUT', path: /^\/groups\/[^/]+$/, role: 'operator' },
+  { method: 'DELETE', path: /^\/groups\/[^/]+$/, role: 'operator' },
+  { method: 'PUT', path: /^\/safe-switch$/, role: 'operator' },
+  { method: 'GET', path: /^\/journal(\.csv)?$/, role: 'operator' },
+  { method: 'POST', path: /^\/api\/v1\//, role: 'operator' },
+  { method: 'PUT', path: /^\/api\/v1\//, role: 'operator' },
+  { method: 'GET', path: /^\/(autodiscover-x32(\/sweep)?|config|supervisor-status|troubleshoot\/.*)$/, role: 'admin' }
+];
+
+function routeRole(method, urlPath) {
+  const m = method === 'HEAD' ? 'GET' : method;
+  const rule = ROUTE_ROLES.find(r => r.method === m && r.path.test(urlPath));
+  if (rule) return rule.role;
+  return m === 'GET' ? 'viewer' : 'admin';
+}
+
+// Minimum role per WebSocket message type; unknown types need admin
+const WS_ROLES = {
+  select_console: 'viewer', load_routing: 'viewer', get_blocks: 'viewer', get_history: 'viewer', list_presets: 'viewer', ping: 'viewer',
+  toggle_inputs_block: 'operator', toggle_inputs: 'operator', set_routing_block: 'operator', bulk_apply: 'operator',
+  history_undo: 'operator', history_redo: 'operator',
+  create_preset: 'operator', update_preset: 'operator', delete_preset: 'operator', recall_preset: 'operator',
+  set_channel_lock: 'operator', set_safe_switch: 'operator', set_channel_colors: 'operator',
+  list_groups: 'viewer', create_group: 'operator', update_group: 'operator', delete_group: 'operator', group_ab: 'operator',
+  set_x32_ip: 'admin'
+};
+
+// clp reads are open to viewers; writes to patches, routing and channel
+// names/colours are operator actions; any other OSC write is admin-only
+function wsMessageRole(data) {
+  // Adopting a drifted value edits the A/B matrix, which is admin-only like /set-channel-matrix
+  if (data.type === 'resolve_drift') return /^adopt-/.test(String(data.action)) ? 'admin' : 'operator';
+  if (data.type !== 'clp') return WS_ROLES[data.type] || 'admin';
+  if (!Array.isArray(data.args) || data.args.length === 0) return 'viewer';
+  const addr = String(data.address || '').trim();
+  return /^\/config\/userrout\/(in|out)\/\d+$|^\/config\/routing\/|^\/ch\/\d+\/config\/(name|color)$/.test(addr) ? 'operator' : 'admin';
+}
+
+app.get('/auth/status', (req, res) => {
+  const who = auth.identify(requestToken(req), clientAddress(req));
+  return res.json({ enabled: auth.enabled, role: who ? who.role : null, name: who ? who.name : null });
+});
+
+app.post('/auth/login', express.json(), (req, res) => {
+  try {
+    const session = auth.login((req.body || {}).pin, clientAddress(req));
+    console.log('[AUTH] Login:', session.name, '(' + session.role + ') from', clientAddress(req));
+    return res.json({ ok: true, token: session.token, role: session.role, name: session.name, expires: new Date(session.expires).toISOString() });
+  } catch (e) {
+    if (e.status === 401) console.warn('[AUTH] Failed login from', clientAddress(req));
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
   }
-} catch (e) { /* ignore */ }
+});
 
-// Track the currently-bound HTTP port (updated when server listens)
-let CURRENT_PORT = null;
+app.post('/auth/logout', (req, res) => {
+  const token = requestToken(req);
+  return res.json({ ok: true, loggedOut: !!(token && auth.logout(token)) });
+});
+
+// Every route registered after this point is checked against routeRole()
+app.use((req, res, next) => {
+  const who = auth.identify(requestToken(req), clientAddress(req));
+  if (!who) return res.status(401).json({ ok: false, error: 'login required' });
+  const required = routeRole(req.method, req.path);
+  if (!roleAllows(who.role, required)) return res.status(403).json({ ok: false, error: `${required} role required` });
+  req.auth = who;
+  next();
+});
+
+// Send to one client; sockets that have gone away are ignored
+function sendToClient(ws, payload) {
+  if (!ws || ws.readyState !== WebSocket.OPEN) return;
+  try { ws.send(JSON.stringify(payload)); } catch (e) {}
+}
+
+// Tell every client (whatever console it watches) that the registry changed
+function broadcastConsoles() {
+  if (!wss) return;
+  const text = JSON.stringify({ type: 'consoles', consoles: listConsoles() });
+  wss.clients.forEach(ws => { if (ws.readyState === WebSocket.OPEN) { try { ws.send(text); } catch (e) {} } });
+}
+
+loadConsoles();
 
 oscPort.on('message', (msg, timeTag, info) => {
   try {
@@ -133,15 +530,70 @@ oscPort.on('message', (msg, timeTag, info) => {
   // discovery replies
   if (msg.address === '/xinfo') {
     pingCount++;
-    if (!X32_IP) updateX32Ip(info.address, 'initial-discovery');
-    else if (X32_IP !== info.address) updateX32Ip(info.address, 'discovery-reply');
-    else console.log('Ping OK from', info.address);
-    // broadcast ping to connected clients
-    wss.clients.forEach(ws => { if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type: 'ping', from: info.address })); });
+    const known = findConsoleByAddress(info.address, info.port);
+    const main = consoles.get(DEFAULT_CONSOLE_ID);
+    const found = parseXinfo(msg, info);
+    const name = found.name;
+    // An offline console that answers rediscovery from a new address is
+    // recognised by its console name and model
+    const lost = !known && name ? Array.from(consoles.values()).find(c => c.health.state() === 'offline' && sameDesk(c.info, found) && !(emulator && emulator.consoleId === c.id)) : null;
+    const mainLooking = main.ip && (main.health.state() === 'offline' || (main.ipSource === 'saved' && main.health.state() === 'unknown'));
+    if (known) {
+      if (known === main) discoveryCandidates.clear();
+      known.pingCount++;
+      known.info = { name, model: found.model, firmware: found.firmware };
+      if (name && !(emulator && emulator.consoleId === known.id) && !sameDesk(known.savedDesk, found)) {
+        known.savedDesk = { name, model: found.model };
+        try { saveConsoles(); } catch (e) { console.warn('Failed to save consoles.json:', e && e.message); }
+      }
+      console.log('Ping OK from', info.address, '(' + known.id + ')');
+      noteHealth(known, known.health.replied());
+      broadcast(known, { type: 'ping', from: info.address });
+    } else if (lost) {
+      updateX32Address(lost, info.address, info.port, 'rediscovery');
+      noteHealth(lost, lost.health.replied());
+      broadcast(lost, { type: 'ping', from: info.address });
+    } else if (emulator && emulator.consoleId === DEFAULT_CONSOLE_ID) {
+      console.log('Ignoring /xinfo from', info.address, 'while the X32 emulator is active');
+    } else if (discoveryListings > 0) {
+      console.log('[DISCOVERY] listed', info.address + ':' + info.port, found.name ? '(' + found.name + ')' : '');
+    } else if (!main.ip || (mainLooking && (sameDesk(main.info, found) || (info.address === main.savedIp && info.port === main.port)))) {
+      // Discovery feeds the main console. With several desks on the network
+      // a reply from another one must not steal an address that answers,
+      // and a main console that lost its desk only takes that desk back.
+      discoveryCandidates.clear();
+      updateX32Address(main, info.address, info.port, main.ip ? 'discovery-reply' : 'initial-discovery');
+      noteHealth(main, main.health.replied());
+      broadcast(main, { type: 'ping', from: info.address });
+    } else if (mainLooking) {
+      const key = info.address + ':' + info.port;
+      if (!discoveryCandidates.has(key)) {
+        discoveryCandidates.add(key);
+        console.log('[DISCOVERY] candidate', key, found.name ? '(' + found.name + ')' : '', '- not the main console\'s desk, offered to pick');
+        broadcast(main, { type: 'discovery_candidate', console: main.id, found: Object.assign(found, { console: null }) });
+      }
+    } else {
+      console.log('Ignoring /xinfo from unregistered console', info.address);
+    }
+  }
+
+  // Everything else belongs to the console it came from (replies to
+  // broadcast reads before discovery completes land on the main console)
+  const cons = findConsoleByAddress(info.address, info.port) || consoles.get(DEFAULT_CONSOLE_ID);
+
+  // Replies awaited by readConsoleValues()
+  if (cons.pendingReads.size && Array.isArray(msg.args) && msg.args.length) {
+    cons.pendingReads.forEach(read => {
+      if (!read.pending.has(msg.address)) return;
+      const raw = msg.args[0];
+      read.values[msg.address] = (raw && typeof raw === 'object' && 'value' in raw) ? raw.value : raw;
+      read.pending.delete(msg.address);
+      if (read.pending.size === 0) read.finish();
+    });
   }
 
   // routing replies for pending requests
-  for (const [reqId, req] of Object.entries(routingRequests)) {
+  for (const [reqId, req] of Object.entries(cons.routingRequests)) {
     routingBlocks.forEach((block, i) => {
       if (!req.got[i] && msg.address === block.osc && Array.isArray(msg.args) && msg.args.length) {
         const raw = msg.args[0];
@@ -149,16 +601,48 @@ oscPort.on('message', (msg, timeTag, info) => {
         req.values[i] = Number(val); req.got[i] = true; req.replies++;
         if (req.replies === routingBlocks.length) {
           clearTimeout(req.timeout);
-          currentRoutingState = req.values.slice();
-          try { req.ws.send(JSON.stringify({ type: 'routing', values: req.values })); } catch (e) {}
-          // Broadcast to all connected clients to ensure everyone observes the new state
-          try { if (wss && wss.clients) wss.clients.forEach(c => { if (c.readyState === WebSocket.OPEN) c.send(JSON.stringify({ type: 'routing', values: req.values })); }); } catch (e) {}
-          delete routingRequests[reqId];
+          cons.currentRoutingState = req.values.slice();
+          try { if (req.ws) req.ws.send(JSON.stringify({ type: 'routing', values: req.values })); } catch (e) {}
+          // Broadcast to all clients of this console to ensure everyone observes the new state
+          broadcast(cons, { type: 'routing', values: req.values });
+          delete cons.routingRequests[reqId];
         }
       }
     });
   }
 
+  // Unsolicited routing changes pushed via /xremote (no read pending)
+  const pushedBlock = routingBlocks.findIndex(b => b.osc === msg.address);
+  if (pushedBlock !== -1 && Object.keys(cons.routingRequests).length === 0 && Array.isArray(msg.args) && msg.args.length) {
+    const raw = msg.args[0];
+    const val = Number((raw && typeof raw === 'object' && 'value' in raw) ? raw.value : raw);
+    if (cons.currentRoutingState[pushedBlock] !== val) {
+      cons.currentRoutingState = cons.currentRoutingState.slice();
+      cons.currentRoutingState[pushedBlock] = val;
+      broadcast(cons, { type: 'routing', values: cons.currentRoutingState });
+    }
+  }
+
+  // Any routing section block: cache and pass the change on
+  const sectionBlock = routingBlocksByOsc.get(msg.address);
+  if (sectionBlock && Array.isArray(msg.args) && msg.args.length) {
+    const raw = msg.args[0];
+    const val = Number((raw && typeof raw === 'object' && 'value' in raw) ? raw.value : raw);
+    if (cons.sectionRouting[sectionBlock.id] !== val) {
+      cons.sectionRouting[sectionBlock.id] = val;
+      broadcast(cons, { type: 'section_routing', values: { [sectionBlock.id]: val } });
+      const inputIdx = routingBlocks.indexOf(sectionBlock);
+      if (inputIdx !== -1) pushControlBlock(cons, inputIdx);
+    }
+  }
+
+  // User output slots: cache only (the generic forwarder below sends the 'clp')
+  if (/^\/config\/userrout\/out\/(\d{2})$/.test(msg.address) && msg.args && msg.args.length) {
+    const slot = Number(msg.address.match(/^\/config\/userrout\/out\/(\d{2})$/)[1]);
+    const raw = msg.args[0];
+    cons.userOutPatches[slot] = Number((raw && typeof raw === 'object' && 'value' in raw) ? raw.value : raw);
+  }
+
   // Forward CLP and channel name/color replies
   if (msg.address.startsWith('/config/userrout/in/') || /^\/ch\/\d{2}\/config\/name$/.test(msg.address) || /^\/ch\/\d{2}\/config\/color$/.test(msg.address)) {
     const payload = { type: 'clp', address: msg.address, args: msg.args || [] };
@@ -167,78 +651,60 @@ oscPort.on('message', (msg, timeTag, info) => {
       const ch = Number(msg.address.match(/^\/config\/userrout\/in\/(\d{2})$/)[1]);
       const raw = msg.args[0];
       const val = (raw && typeof raw === 'object' && 'value' in raw) ? raw.value : raw;
-      userPatches[ch] = Number(val);
+      const changed = cons.userPatches[ch] !== Number(val);
+      cons.userPatches[ch] = Number(val);
+      if (changed) pushControlChannel(cons, String(ch).padStart(2, '0'));
     }
     if (/^\/ch\/(\d{2})\/config\/name$/.test(msg.address) && msg.args && msg.args.length) {
       const chNum = msg.address.match(/^\/ch\/(\d{2})\/config\/name$/)[1];
       const name = (msg.args[0] && typeof msg.args[0] === 'object' && 'value' in msg.args[0]) ? msg.args[0].value : msg.args[0];
-      channelNames[chNum] = name;
-      wss.clients.forEach(ws => { if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type: 'channel_names', names: channelNames })); });
+      const renamed = cons.channelNames[chNum] !== name;
+      cons.channelNames[chNum] = name;
+      if (renamed) pushControlChannel(cons, chNum);
+      broadcast(cons, { type: 'channel_names', names: cons.channelNames });
+    } else if (/^\/ch\/(\d{2})\/config\/color$/.test(msg.address) && msg.args && msg.args.length) {
+      const chNum = msg.address.match(/^\/ch\/(\d{2})\/config\/color$/)[1];
+      const raw = msg.args[0];
+      cons.channelColors[chNum] = Number((raw && typeof raw === 'object' && 'value' in raw) ? raw.value : raw);
+      broadcast(cons, payload);
+      broadcast(cons, { type: 'channel_colors', colors: cons.channelColors });
     } else {
-      wss.clients.forEach(ws => { if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(payload)); });
+      broadcast(cons, payload);
     }
   }
   // Generic forwarder: send any OSC message as a 'clp' frame for the OSC console
   // This ensures the OSC tab sees replies to custom commands like /xinfo or others
   // even when they are not part of the specialized handlers above.
   try {
-    if (msg && msg.address) {
-      const payload = { type: 'clp', address: msg.address, args: msg.args || [] };
-      if (wss && wss.clients) wss.clients.forEach(ws => { if (ws.readyState === WebSocket.OPEN) { try { ws.send(JSON.stringify(payload)); } catch (e) {} } });
-    }
+    if (msg && msg.address) broadcast(cons, { type: 'clp', address: msg.address, args: msg.args || [] });
   } catch (e) { /* swallow */ }
 });
 
-// Enumerate possible source codes by probing a conservative set of likely values
-// This endpoint will query the X32 for a set of addresses/values and return what it sees.
+// Enumerate the sources currently patched to the 32 user inputs: reads every
+// /config/userrout/in/NN and labels the values with the source catalogue.
 app.get('/enumerate-sources', async (req, res) => {
-  if (!X32_IP) return res.status(400).json({ error: 'X32 not set' });
-  // Candidate numeric values to probe (conservative expanded set)
-  const probes = [];
-  // Local inputs
-  for (let i = 1; i <= 32; i++) probes.push(i);
-  // DAW/Card range commonly 129..160
-  for (let i = 129; i <= 160; i++) probes.push(i);
-  // block userin codes
-  [20,21,22,23].forEach(v => probes.push(v));
-  // AES50 ranges: include reasonable windows for AES50 A and B
-  for (let i = 33; i <= 96; i++) probes.push(i);
-  for (let i = 97; i <= 128; i++) probes.push(i);
-  // Ultranet / other external ranges sometimes use higher numbers — include a short sample
-  for (let i = 200; i <= 220; i++) probes.push(i);
-  // MADI / exotic ranges near 240..260 — small sample
-  for (let i = 240; i <= 250; i++) probes.push(i);
-
+  const cons = consoleFor(req, res); if (!cons) return;
+  if (!cons.ip) return res.status(400).json({ error: 'X32 not set' });
   // For each channel, try setting a read for its user rout and collect replies
   const results = {};
-  const timeout = Date.now() + 3000;
   try {
-    // Request current per-channel values (server will populate userPatches)
-    for (let ch = 1; ch <= 32; ch++) {
-      const nn = String(ch).padStart(2, '0');
-      sendOsc({ address: `/config/userrout/in/${nn}`, args: [] }, X32_IP);
-    }
-    // Wait briefly for replies (shorter wait if possible)
-    await new Promise(resolve => setTimeout(resolve, 1200));
-    // Build results from cached userPatches and classify values into ranges
+    // Request current per-channel values and wait for the replies (the
+    // message handler also updates userPatches, which we classify below)
+    const addresses = [];
+    for (let ch = 1; ch <= 32; ch++) addresses.push(`/config/userrout/in/${String(ch).padStart(2, '0')}`);
+    await readConsoleValues(cons, addresses, 1200);
+    // Build results from cached userPatches, classified by the source catalogue
     const unique = {};
     for (let ch = 1; ch <= 32; ch++) {
       const key = String(ch).padStart(2,'0');
-      const val = (userPatches[ch] != null) ? Number(userPatches[ch]) : null;
-      let label = 'Unknown';
-      if (val == null) label = 'Unknown';
-      else if (val >= 1 && val <= 32) label = 'Local';
-      else if (val >= 33 && val <= 80) label = 'AES50A';
-      else if (val >= 81 && val <= 128) label = 'AES50B';
-      else if (val >= 129 && val <= 160) label = 'DAW';
-      else if ([20,21,22,23].includes(val)) label = 'UserInsBlock';
-      else label = 'Other';
-      results[key] = { value: val, label };
+      const val = (cons.userPatches[ch] != null) ? Number(cons.userPatches[ch]) : null;
+      const src = describeSource(val);
+      results[key] = { value: val, label: src ? src.label : 'Unknown', group: src ? src.group : null };
       if (val != null) unique[val] = (unique[val] || 0) + 1;
     }
     // Also produce a small summary of unique values seen
     const uniques = Object.keys(unique).sort((a,b)=>Number(a)-Number(b)).map(k=>({ value: Number(k), count: unique[k] }));
-    return res.json({ ip: X32_IP, userPatches: results, uniques });
+    return res.json({ ip: cons.ip, console: cons.id, userPatches: results, uniques });
   } catch (e) {
     return res.status(500).json({ error: String(e && e.message) });
   }
@@ -247,61 +713,182 @@ app.get('/enumerate-sources', async (req, res) => {
 // Accept POST body payloads (JSON) for setting per-channel matrix entries.
 app.use(express.json({ limit: '100kb' }));
 
-// Save per-channel mapping: { channel: { aAction: 'LocalIns'|'DAW'|..., aValue: 12 }, ... }
+// Save A/B matrix rows ({ 'NN': { a, b } }) for a console: journal the rows
+// that change under `source`, write the matrix file and tell every client.
+// Used by /set-channel-matrix and by adopting a drifted channel's source.
+// Returns { matrix, warning? }; throws (status 500) when nothing was written.
+function saveChannelMatrix(cons, rows, client, source = 'set-channel-matrix') {
+  const entries = Object.keys(rows);
+  // Journalled once the file is written, like clientWrite() after the console confirms
+  const changed = entries.filter(ch => JSON.stringify(cons.persistedMatrix[ch]) !== JSON.stringify(rows[ch])).map(ch => ({ ch, from: cons.persistedMatrix[ch] }));
+  for (const ch of entries) cons.persistedMatrix[ch] = rows[ch];
+  let warning;
+  // Persist to disk atomically (write to temp then rename) and reload
+  try {
+    const tmp = cons.matrixPath + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(cons.persistedMatrix, null, 2), 'utf8');
+    fs.renameSync(tmp, cons.matrixPath);
+    try {
+      // Reload canonical matrix from disk to ensure we return what was actually written
+      const raw = fs.readFileSync(cons.matrixPath, 'utf8') || '{}';
+      cons.persistedMatrix = JSON.parse(raw) || cons.persistedMatrix;
+    } catch (e) {
+      console.warn(`Failed to reload ${path.basename(cons.matrixPath)} after write:`, e && e.message);
+    }
+  } catch (e) {
+    // Enhanced error logging to aid debugging when clients report save failures
+    console.error('Failed to write matrix.json atomically:', { message: (e && e.message) || String(e), stack: (e && e.stack) || null });
+    try { console.error('Incoming payload that failed to persist:', JSON.stringify(rows)); } catch (ee) { console.error('Failed to stringify incoming payload'); }
+    // Attempt a fallback write directly (non-atomic) and log outcome
+    try {
+      fs.writeFileSync(cons.matrixPath, JSON.stringify(cons.persistedMatrix, null, 2), 'utf8');
+      console.warn('Fallback: wrote matrix.json directly (non-atomic) after atomic write failed');
+      // Success with a warning so clients can surface a non-critical message
+      warning = 'atomic write failed, fallback write used. Check server logs for details.';
+    } catch (e2) {
+      console.error('Fallback write also failed:', e2 && e2.message);
+      throw Object.assign(new Error('atomic write failed and fallback write also failed: ' + (e2 && e2.message)), { status: 500 });
+    }
+  }
+  changed.forEach(({ ch, from }) => {
+    cons.journal.append({ console: cons.id, client, source, address: 'matrix/' + ch, channels: [ch], from: from === undefined ? null : from, to: rows[ch], status: 'saved' });
+  });
+  // Broadcast to connected WebSocket clients to refresh their UIs
+  broadcast(cons, { type: 'matrix_update', matrix: cons.persistedMatrix });
+  // A new A/B pair can change which side a channel counts as being on
+  entries.forEach(ch => pushControlChannel(cons, ch));
+  return { matrix: cons.persistedMatrix, warning };
+}
+
+// Save per-channel mapping: { channel: { a, b }, ... }
 app.post('/set-channel-matrix', (req, res) => {
   try {
+    const cons = consoleFor(req, res); if (!cons) return;
     const body = req.body || {};
     // Validate input is an object keyed by channel (01..32)
     const entries = Object.keys(body).filter(k => /^\d{2}$/.test(k));
     if (entries.length === 0) return res.status(400).json({ error: 'no channel entries' });
-    for (const ch of entries) {
-      persistedMatrix[ch] = body[ch];
+    const rows = {};
+    entries.forEach(ch => { rows[ch] = body[ch]; });
+    // Always return the canonical persisted matrix so clients re-render server truth
+    return res.json(Object.assign({ ok: true }, saveChannelMatrix(cons, rows, requestClient(req))));
+  } catch (e) { return res.status(500).json({ ok: false, error: String(e && e.message) }); }
+});
+
+// Audit journal query: ?from=&to= (ISO time or ms), ?channel=1..32, ?limit=
+function journalQuery(req) {
+  const q = req.query || {};
+  const parseTime = (value, name) => {
+    if (value == null || value === '') return null;
+    const d = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+    if (isNaN(d.getTime())) throw Object.assign(new Error(`invalid ${name} time: ${value}`), { status: 400 });
+    return d;
+  };
+  const query = { from: parseTime(q.from, 'from'), to: parseTime(q.to, 'to') };
+  if (q.channel != null && q.channel !== '') {
+    const ch = Number(q.channel);
+    if (!Number.isInteger(ch) || ch < 1 || ch > 32) throw Object.assign(new Error('channel must be 1-32'), { status: 400 });
+    query.channel = String(ch).padStart(2, '0');
+  }
+  if (q.limit != null && q.limit !== '') {
+    query.limit = Number(q.limit);
+    if (!Number.isInteger(query.limit) || query.limit < 1) throw Object.assign(new Error('limit must be a positive integer'), { status: 400 });
+  }
+  return query;
+}
+
+app.get('/journal', (req, res) => {
+  const cons = consoleFor(req, res); if (!cons) return;
+  try {
+    return res.json({ ok: true, console: cons.id, entries: cons.journal.query(journalQuery(req)) });
+  } catch (e) {
+    return res.status(e.status || 500).json({ ok: false, error: e && e.message });
+  }
+});
+
+app.get('/journal.csv', (req, res) => {
+  const cons = consoleFor(req, res); if (!cons) return;
+  try {
+    const csv = toCsv(cons.journal.query(journalQuery(req)));
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="dubswitch-journal-${cons.id}.csv"`);
+    return res.send(csv);
+  } catch (e) {
+    return res.status(e.status || 500).json({ ok: false, error: e && e.message });
+  }
+});
+
+// Source code catalogue (sources.js) shared with the UI
+app.get('/api/sources', (req, res) => {
+  return res.json(sourceCatalogue());
+});
+
+// X32 channel colour palette (colors.js) shared with the UI
+app.get('/api/colors', (req, res) => {
+  return res.json(colorCatalogue());
+});
+
+// Output A/B matrix: { '01'..'48': { a, b } } with userrout/out codes
+app.get('/get-output-matrix', (req, res) => {
+  const cons = consoleFor(req, res); if (!cons) return;
+  return res.json({ console: cons.id, matrix: cons.persistedOutputMatrix || {} });
+});
+
+app.post('/set-output-matrix', (req, res) => {
+  try {
+    const cons = consoleFor(req, res); if (!cons) return;
+    const body = req.body || {};
+    const entries = Object.keys(body).filter(k => /^\d{2}$/.test(k) && Number(k) >= 1 && Number(k) <= 48);
+    if (entries.length === 0) return res.status(400).json({ error: 'no output entries' });
+    for (const slot of entries) {
+      const row = body[slot] || {};
+      for (const side of ['a', 'b']) {
+        const v = row[side];
+        if (v != null && v !== '' && !isOutputSource(v)) {
+          return res.status(400).json({ error: `invalid ${side.toUpperCase()} value for output ${slot}: ${v}` });
+        }
+      }
+      cons.persistedOutputMatrix[slot] = { a: row.a != null && row.a !== '' ? Number(row.a) : null, b: row.b != null && row.b !== '' ? Number(row.b) : null };
     }
-    // Persist to disk atomically (write to temp then rename) and reload
     try {
-        const tmp = MATRIX_PATH + '.tmp';
-        fs.writeFileSync(tmp, JSON.stringify(persistedMatrix, null, 2), 'utf8');
-        fs.renameSync(tmp, MATRIX_PATH);
-        try {
-          // Reload canonical matrix from disk to ensure we return what was actually written
-          const raw = fs.readFileSync(MATRIX_PATH, 'utf8') || '{}';
-          persistedMatrix = JSON.parse(raw) || persistedMatrix;
-        } catch (e) {
-          console.warn('Failed to reload matrix.json after write:', e && e.message);
-        }
-      } catch (e) {
-        // Enhanced error logging to aid debugging when clients report save failures
-        try {
-          const errDetails = { message: (e && e.message) || String(e), stack: (e && e.stack) || null };
-          console.error('Failed to write matrix.json atomically:', errDetails);
-          // Log the incoming payload for diagnosis
-          try { console.error('Incoming payload that failed to persist:', JSON.stringify(body)); } catch (ee) { console.error('Failed to stringify incoming payload'); }
-          // Attempt a fallback write directly (non-atomic) and log outcome
-          try {
-            fs.writeFileSync(MATRIX_PATH, JSON.stringify(persistedMatrix, null, 2), 'utf8');
-            console.warn('Fallback: wrote matrix.json directly (non-atomic) after atomic write failed');
-            // Return success but include a warning so clients can surface a non-critical message
-            return res.json({ ok: true, matrix: persistedMatrix, warning: 'atomic write failed, fallback write used. Check server logs for details.' });
-          } catch (e2) {
-            console.error('Fallback write also failed:', e2 && e2.message);
-            // Return 500 to the client with a helpful message
-            return res.status(500).json({ ok: false, error: 'atomic write failed and fallback write also failed: ' + (e2 && e2.message) });
-          }
-        } catch (inner) { console.error('Error while logging matrix.json write failure', inner && inner.message); }
+      const tmp = cons.outputMatrixPath + '.tmp';
+      fs.writeFileSync(tmp, JSON.stringify(cons.persistedOutputMatrix, null, 2), 'utf8');
+      fs.renameSync(tmp, cons.outputMatrixPath);
+    } catch (e) {
+      console.error(`Failed to write ${path.basename(cons.outputMatrixPath)}:`, e && e.message);
+      return res.status(500).json({ ok: false, error: 'write failed: ' + (e && e.message) });
     }
-    // Broadcast to connected WebSocket clients to refresh their UIs
-    wss.clients.forEach(ws => { if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type: 'matrix_update', matrix: persistedMatrix })); });
-    // Always return the canonical persisted matrix so clients re-render server truth
-    return res.json({ ok: true, matrix: persistedMatrix });
+    broadcast(cons, { type: 'output_matrix_update', matrix: cons.persistedOutputMatrix });
+    return res.json({ ok: true, matrix: cons.persistedOutputMatrix });
   } catch (e) { return res.status(500).json({ error: String(e && e.message) }); }
 });
 
+// Routing sections: descriptors, option lists and the last known values
+app.get('/routing-blocks', (req, res) => {
+  const cons = consoleFor(req, res); if (!cons) return;
+  return res.json({ console: cons.id, sections: routingConfig.sections, optionSets: routingConfig.optionSets, values: cons.sectionRouting });
+});
+
+// Body: { block: 'AES50A/1-8', value: 20 }
+app.post('/routing-blocks', async (req, res) => {
+  const cons = consoleFor(req, res); if (!cons) return;
+  try {
+    const blockId = String((req.body || {}).block);
+    const result = await setRoutingBlock(cons, blockId, (req.body || {}).value, requestClient(req));
+    if (!result.confirmed) return res.status(504).json({ ok: false, error: 'console did not confirm the change', block: blockId, actual: result.actual });
+    return res.json({ ok: true, block: blockId, value: result.value });
+  } catch (e) {
+    return res.status(e.status || 500).json({ ok: false, error: e && e.message });
+  }
+});
+
 // Troubleshooting helper: report matrix.json file status, ownership and a small sample
 app.get('/troubleshoot/matrix-file', (req, res) => {
   try {
-    const info = { path: MATRIX_PATH, exists: false };
+    const cons = consoleFor(req, res); if (!cons) return;
+    const info = { console: cons.id, path: cons.matrixPath, exists: false };
     try {
-      const stat = fs.statSync(MATRIX_PATH);
+      const stat = fs.statSync(cons.matrixPath);
       info.exists = true;
       info.size = stat.size;
       info.mtime = stat.mtime;
@@ -316,7 +903,7 @@ app.get('/troubleshoot/matrix-file', (req, res) => {
     // Try a small read if possible
     if (info.exists) {
       try {
-        const raw = fs.readFileSync(MATRIX_PATH, 'utf8');
+        const raw = fs.readFileSync(cons.matrixPath, 'utf8');
         info.sample = raw.length > 2000 ? raw.slice(0, 2000) + '\n...[truncated]' : raw;
       } catch (e) {
         info.readError = (e && e.message) || String(e);
@@ -332,10 +919,9 @@ oscPort.on('error', err => console.error('UDP OSC Error:', err && err.message));
 oscPort.open();
 
 // Wrapper for oscPort.send that logs outgoing packets for debugging
-function sendOsc(msg, host) {
+function sendOsc(msg, host, port = X32_OSC_PORT) {
   try {
-    const dest = host || X32_IP || BROADCAST_ADDR;
-    const port = X32_OSC_PORT;
+    const dest = host || BROADCAST_ADDR;
     const argRepr = (msg.args || []).map(a => {
       if (a == null) return null;
       if (typeof a === 'object' && 'type' in a && 'value' in a) return { type: a.type, value: a.value };
@@ -349,116 +935,1074 @@ function sendOsc(msg, host) {
   }
 }
 
-function readAllRouting(ws) {
-  const reqId = routingRequestId++;
-  console.log('[ROUTING] start req', reqId);
-  routingRequests[reqId] = { ws, values: Array(routingBlocks.length).fill(null), got: Array(routingBlocks.length).fill(false), replies: 0, timeout: setTimeout(() => {
-    const req = routingRequests[reqId];
-      if (req) {
-      currentRoutingState = req.values.slice();
-      try { req.ws.send(JSON.stringify({ type: 'routing', values: req.values })); console.log('[ROUTING] timeout send req', reqId, 'values', req.values); } catch (e) { console.error('[ROUTING] timeout send failed', e && e.message); }
-      try { if (wss && wss.clients) wss.clients.forEach(c => { if (c.readyState === WebSocket.OPEN) c.send(JSON.stringify({ type: 'routing', values: req.values })); }); } catch (e) {}
-      delete routingRequests[reqId];
-    }
-  }, 2000) };
-  routingBlocks.forEach(block => { try { sendOsc({ address: block.osc, args: [] }, X32_IP); } catch (e) {} });
+// Send to a console's address (broadcast while its address is still unknown)
+function sendToConsole(cons, msg) {
+  sendOsc(msg, cons.ip, cons.port);
 }
 
-function setupWebsocketHandlers(currentWss) {
-  currentWss.on('connection', ws => {
-    console.log('WebSocket client connected');
-    try { sendOsc({ address: '/xinfo', args: [] }, X32_IP); } catch (e) {}
-  // Send routing block descriptors to client so UI knows userin/localin codes
-  try { ws.send(JSON.stringify({ type: 'blocks', blocks: routingBlocks })); } catch (e) {}
-  readAllRouting(ws);
-    for (let ch = 1; ch <= 32; ch++) {
-      const nn = String(ch).padStart(2, '0');
-      try { sendOsc({ address: `/config/userrout/in/${nn}`, args: [] }, X32_IP); } catch (e) {}
-      try { sendOsc({ address: `/ch/${nn}/config/name`, args: [] }, X32_IP); } catch (e) {}
-      try { sendOsc({ address: `/ch/${nn}/config/color`, args: [] }, X32_IP); } catch (e) {}
-    }
-    ws.send(JSON.stringify({ type: 'channel_names', names: channelNames }));
-    if (currentRoutingState && currentRoutingState.some(v => v !== null)) ws.send(JSON.stringify({ type: 'routing', values: currentRoutingState }));
+// Query per-channel user patch, name and color (the 96 reads sent on connect)
+function requestChannelState(cons) {
+  for (let ch = 1; ch <= 32; ch++) {
+    const nn = String(ch).padStart(2, '0');
+    try { sendToConsole(cons, { address: `/config/userrout/in/${nn}`, args: [] }); } catch (e) {}
+    try { sendToConsole(cons, { address: `/ch/${nn}/config/name`, args: [] }); } catch (e) {}
+    try { sendToConsole(cons, { address: `/ch/${nn}/config/color`, args: [] }); } catch (e) {}
+  }
+}
 
-    ws.on('message', raw => {
-      let data;
-      try { data = JSON.parse(raw); } catch (e) { return; }
+// Read OSC addresses from a console and resolve with { address: value } once
+// every address replied or the timeout passed (missing ones are left out).
+// Replies still flow through the normal handlers and update the caches.
+function readConsoleValues(cons, addresses, timeoutMs = 1500) {
+  return new Promise(resolve => {
+    const read = { pending: new Set(addresses), values: {} };
+    read.finish = () => { clearTimeout(read.timer); cons.pendingReads.delete(read); resolve(read.values); };
+    read.timer = setTimeout(read.finish, timeoutMs);
+    cons.pendingReads.add(read);
+    addresses.forEach(address => { try { sendToConsole(cons, { address, args: [] }); } catch (e) {} });
+  });
+}
 
-      if (data && data.type === 'set_x32_ip') {
-        X32_IP = data.ip; console.log('Manual X32 IP set to', X32_IP);
-        try { sendOsc({ address: '/xinfo', args: [] }, X32_IP); } catch (e) {}
-        for (let ch = 1; ch <= 32; ch++) { const nn = String(ch).padStart(2, '0'); try { sendOsc({ address: `/ch/${nn}/config/name`, args: [] }, X32_IP); } catch (e) {} }
-        setTimeout(() => readAllRouting(ws), 300);
-        return;
-      }
+// Writes that are read back and confirmed: user patches (in/out), routing
+// blocks and channel names and colours
+const VERIFIED_WRITE = /^\/config\/userrout\/(in|out)\/\d{2}$|^\/config\/routing\/|^\/ch\/\d{2}\/config\/(name|color)$/;
+const VERIFY_RETRIES = 2;
+const VERIFY_TIMEOUT_MS = 400;
 
-      // Note: Even if X32_IP is not yet known, we allow certain operations
-      // to proceed. sendOsc() falls back to BROADCAST_ADDR when X32_IP is null,
-      // which lets devices that listen to broadcast handle writes/reads.
-      // We keep more complex flows (like full routing refresh) robust by
-      // scheduling them as usual; their replies will be processed once the
-      // device responds.
+function sameOscValue(actual, expected, type) {
+  if (actual === undefined || actual === null) return false;
+  if (type === 's') return String(actual) === String(expected);
+  if (type === 'f') return Math.abs(Number(actual) - Number(expected)) < 1e-4;
+  return Number(actual) === Number(expected);
+}
 
-      switch (data.type) {
-        case 'load_routing':
-          readAllRouting(ws);
-          break;
+// Write one value and read it back until the console reports it; UDP can
+// drop either packet, so the write is repeated up to VERIFY_RETRIES times.
+// Resolves { address, value, actual, attempts, confirmed }.
+async function writeAndVerify(cons, address, arg) {
+  let actual = null;
+  for (let attempt = 1; attempt <= VERIFY_RETRIES + 1; attempt++) {
+    try { sendToConsole(cons, { address, args: [arg] }); } catch (e) { console.error('[VERIFY] send failed', address, e && e.message); }
+    const values = await readConsoleValues(cons, [address], VERIFY_TIMEOUT_MS);
+    actual = values[address] !== undefined ? values[address] : null;
+    if (sameOscValue(actual, arg.value, arg.type)) return { address, value: arg.value, actual, attempts: attempt, confirmed: true };
+    console.warn('[VERIFY]', address, 'expected', arg.value, 'read', actual, `(attempt ${attempt}, ${cons.id})`);
+  }
+  return { address, value: arg.value, actual, attempts: VERIFY_RETRIES + 1, confirmed: false };
+}
 
-        case 'get_blocks':
-          // Client explicitly requested block descriptors and current routing
-          try { ws.send(JSON.stringify({ type: 'blocks', blocks: routingBlocks })); } catch (e) {}
-          try { if (currentRoutingState && currentRoutingState.some(v => v !== null)) ws.send(JSON.stringify({ type: 'routing', values: currentRoutingState })); } catch (e) {}
-          break;
+// 'write_result' message for the client that asked for a write
+function writeResultMessage(result) {
+  const msg = { type: 'write_result', address: result.address, status: result.confirmed ? 'confirmed' : 'failed', value: result.value, actual: result.actual, attempts: result.attempts };
+  let m = result.address.match(/^\/config\/userrout\/in\/(\d{2})$/) || result.address.match(/^\/ch\/(\d{2})\/config\/(name|color)$/);
+  if (m) msg.channel = m[1];
+  m = result.address.match(/^\/config\/userrout\/out\/(\d{2})$/);
+  if (m) msg.output = m[1];
+  const block = routingBlocksByOsc.get(result.address);
+  if (block) msg.block = block.id;
+  return msg;
+}
 
-        case 'toggle_inputs_block':
-          if (typeof data.block === 'number' && data.block >= 0 && data.block < routingBlocks.length) {
-            const idx = data.block; const val = Number(data.target);
-            console.log('[X32 ROUTE] Sending OSC for block', idx, val);
-            try { sendOsc({ address: routingBlocks[idx].osc, args: [{ type: 'i', value: val }] }, X32_IP); } catch (e) { console.error('Error sending block toggle OSC', e && e.message); }
-            setTimeout(() => { if (wss && wss.clients) wss.clients.forEach(c => { if (c.readyState === WebSocket.OPEN) readAllRouting(c); }); }, 500);
-          } else console.warn('toggle_inputs_block: invalid block index', data.block);
-          break;
+// Last known value of a patch or routing address (before we change it)
+function cachedValue(cons, address) {
+  let m = address.match(/^\/config\/userrout\/in\/(\d{2})$/);
+  if (m) return cons.userPatches[Number(m[1])];
+  m = address.match(/^\/config\/userrout\/out\/(\d{2})$/);
+  if (m) return cons.userOutPatches[Number(m[1])];
+  m = address.match(/^\/ch\/(\d{2})\/config\/(name|color)$/);
+  if (m) return m[2] === 'name' ? cons.channelNames[m[1]] : cons.channelColors[m[1]];
+  const block = routingBlocksByOsc.get(address);
+  if (block) {
+    const idx = routingBlocks.indexOf(block);
+    if (idx !== -1 && cons.currentRoutingState[idx] != null) return cons.currentRoutingState[idx];
+    return cons.sectionRouting[block.id];
+  }
+  return undefined;
+}
 
-        case 'toggle_inputs':
-          if (Array.isArray(data.targets) && data.targets.length === routingBlocks.length) {
-            data.targets.forEach((val, i) => { try { sendOsc({ address: routingBlocks[i].osc, args: [{ type: 'i', value: val }] }, X32_IP); } catch (e) { console.error('Error sending toggle', e && e.message); } });
-            setTimeout(() => { readAllRouting(ws); }, 500);
-          }
-          break;
+function routingOptionLabel(block, value) {
+  const opt = (routingConfig.optionSets[block.options] || []).find(o => o.value === Number(value));
+  return opt ? opt.label : String(value);
+}
 
-        case 'ping':
-          try { oscPort.send({ address: '/xinfo', args: [] }, X32_IP || BROADCAST_ADDR, X32_OSC_PORT); } catch (e) {}
-          break;
+// 'Ch 05: Local 5 → Card 5' style description of one change
+function describeChange(address, from, to) {
+  let m = address.match(/^\/config\/userrout\/(in|out)\/(\d{2})$/);
+  if (m) {
+    const label = v => { const src = describeSource(v); return src ? src.label : String(v); };
+    return `${m[1] === 'in' ? 'Ch' : 'Out'} ${m[2]}: ${label(from)} → ${label(to)}`;
+  }
+  const block = routingBlocksByOsc.get(address);
+  if (block) return `${block.section} ${block.label}: ${routingOptionLabel(block, from)} → ${routingOptionLabel(block, to)}`;
+  return `${address}: ${from} → ${to}`;
+}
 
-        case 'clp':
-          try {
-            const rawAddr = (data.address || '').toString();
-            const addr = rawAddr.trim();
-            if (!addr || addr[0] !== '/') { console.warn('Received invalid CLP address from client:', JSON.stringify(rawAddr)); break; }
-            const oscArgs = (data.args || []).map(v => Number.isInteger(v) ? { type: 'i', value: v } : (typeof v === 'number' ? { type: 'f', value: v } : { type: 's', value: String(v) }));
-            // Only pad a trailing numeric segment when it's directly after a slash
-            // so we don't accidentally change addresses like '/config/routing/IN/1-8'
-            // (which would otherwise become '/config/routing/IN/1-08').
-            const padAddr = addr.replace(/\/(\d+)$/, (m, p1) => '/' + p1.padStart(2, '0'));
-            console.log('CLP sending:', padAddr, oscArgs);
-            try { sendOsc({ address: padAddr, args: oscArgs }, X32_IP); } catch (e) { console.error('Error sending CLP', e && e.message, 'payload:', JSON.stringify({ address: padAddr, args: oscArgs })); }
-          } catch (e) { console.error('CLP handler failed', e && e.message); }
-          break;
+function historyKind(address) {
+  if (/^\/config\/userrout\/in\//.test(address)) return 'channel';
+  if (/^\/config\/userrout\/out\//.test(address)) return 'output';
+  return 'block';
+}
 
-        default:
-          console.log('Unhandled WS message type:', data.type);
-      }
-    });
-  });
+function broadcastHistory(cons) {
+  broadcast(cons, Object.assign({ type: 'history' }, cons.history.list()));
 }
 
-// Helper to (re)start the HTTP + WebSocket server on a given port
-function startServer(port) {
-  return new Promise((resolve, reject) => {
-    try {
-      if (server) {
-        try { server.close(); } catch (e) {}
-        server = null; wss = null;
+// Add an entry to the console's history (skipped when nothing changed)
+function recordHistory(cons, entry) {
+  const recorded = cons.history.record(entry);
+  if (recorded) broadcastHistory(cons);
+  return recorded;
+}
+
+// writeAndVerify() for a single patch/routing change that goes into history.
+// The result carries the previous value as `from` for the journal.
+async function applyChange(cons, address, arg, client) {
+  const from = cachedValue(cons, address);
+  const result = await writeAndVerify(cons, address, arg);
+  if (result.confirmed) recordHistory(cons, { kind: historyKind(address), label: describeChange(address, from, arg.value), client, changes: [{ address, from, to: arg.value }] });
+  return Object.assign(result, { from: from === undefined ? null : from });
+}
+
+// Input channels ('NN') an address affects, so the journal can be queried
+// by channel and safe switch knows what to mute; an input routing block
+// covers its whole range of channels.
+function inputChannelsOf(address) {
+  const m = address.match(/^\/config\/userrout\/in\/(\d{2})$/) || address.match(/^\/ch\/(\d{2})\//);
+  if (m) return [m[1]];
+  const block = routingBlocksByOsc.get(address);
+  const range = block && routingBlocks.includes(block) && block.osc.match(/(\d+)-(\d+)$/);
+  if (!range) return [];
+  const channels = [];
+  for (let ch = Number(range[1]); ch <= Number(range[2]); ch++) channels.push(String(ch).padStart(2, '0'));
+  return channels;
+}
+
+// Journal a write; result is a writeAndVerify()/applyChange() result
+function journalWrite(cons, source, client, result) {
+  cons.journal.append({ console: cons.id, client, source, address: result.address, channels: inputChannelsOf(result.address), from: result.from === undefined ? null : result.from, to: result.value, status: result.confirmed ? 'confirmed' : 'failed' });
+}
+
+// Channel locks: a locked channel's user patch (/config/userrout/in/NN) and
+// the input routing block that covers it are refused with status 423 for
+// single writes and skipped by bulk operations.
+function lockedChannels(cons, address) {
+  if (!/^\/config\/userrout\/in\/\d{2}$/.test(address) && !routingBlocks.some(b => b.osc === address)) return [];
+  return inputChannelsOf(address).filter(nn => cons.locks.isLocked(nn));
+}
+
+function checkUnlocked(cons, address) {
+  const locked = lockedChannels(cons, address);
+  if (!locked.length) return;
+  const block = routingBlocksByOsc.get(address);
+  const what = block ? `routing block ${block.id} covers locked channel${locked.length === 1 ? '' : 's'} ${locked.join(', ')}` : `channel ${locked[0]} is locked`;
+  throw Object.assign(new Error(what), { status: 423, channel: locked[0] });
+}
+
+function broadcastLocks(cons) {
+  broadcast(cons, { type: 'channel_locks', locked: cons.locks.list() });
+}
+
+// Lock or unlock one channel ('NN'); journaled like a matrix edit
+function setChannelLock(cons, nn, locked, client) {
+  if (!cons.locks.set(nn, locked, client)) return false;
+  console.log('[LOCK]', locked ? 'locked' : 'unlocked', 'ch', nn, 'by', client, '(' + cons.id + ')');
+  cons.journal.append({ console: cons.id, client, source: 'lock', address: 'lock/' + nn, channels: [nn], from: !locked, to: !!locked, status: 'saved' });
+  broadcastLocks(cons);
+  pushControlChannel(cons, nn);
+  return true;
+}
+
+// Safe switch: channels whose source changes are muted (/ch/NN/mix/on 0)
+// before the change and get their previous mute state back settleMs after
+// it. A channel already muted by a switch still in progress is shared
+// (cons.safeMutes counts the users) so the first switch to finish does not
+// unmute a channel the other one is still changing.
+function mixOnAddress(nn) {
+  return `/ch/${nn}/mix/on`;
+}
+
+// Input channels a write of `value` to `address` switches to another source
+// (by the cached value); names and other /ch/ addresses switch nothing
+function switchedChannels(cons, address, value) {
+  if (/^\/ch\//.test(address)) return [];
+  const from = cachedValue(cons, address);
+  return from != null && Number(from) === Number(value) ? [] : inputChannelsOf(address);
+}
+
+// Mute the channels that are on; resolves { NN: true } for those to unmute
+async function muteChannels(cons, channels) {
+  const restore = {};
+  if (!channels.length) return restore;
+  const values = await readConsoleValues(cons, channels.map(mixOnAddress), VERIFY_TIMEOUT_MS);
+  const missing = channels.filter(nn => values[mixOnAddress(nn)] === undefined);
+  if (missing.length) console.warn('[SAFE SWITCH] no mute state for ch', missing.join(','), '- switching unmuted (' + cons.id + ')');
+  const on = channels.filter(nn => Number(values[mixOnAddress(nn)]) === 1);
+  const results = await Promise.all(on.map(nn => writeAndVerify(cons, mixOnAddress(nn), { type: 'i', value: 0 })));
+  results.forEach((r, i) => {
+    if (!r.confirmed) console.warn('[SAFE SWITCH] console did not confirm the mute of ch', on[i], '(' + cons.id + ')');
+    restore[on[i]] = true;
+  });
+  return restore;
+}
+
+// Run `change` (an async function) with safe switch around it for the
+// input channels it switches; resolves with what `change` resolves
+async function withSafeSwitch(cons, channels, change) {
+  const wanted = Array.from(new Set(channels)).filter(nn => cons.safeSwitch.appliesTo(nn));
+  if (!wanted.length || !cons.ip) return change();
+  // Claim the channels before the first await so concurrent switches share them
+  const fresh = wanted.filter(nn => !cons.safeMutes.has(nn));
+  const muting = muteChannels(cons, fresh);
+  fresh.forEach(nn => cons.safeMutes.set(nn, { count: 0, ready: muting.then(r => !!r[nn], () => false) }));
+  wanted.forEach(nn => { cons.safeMutes.get(nn).count++; });
+  console.log('[SAFE SWITCH] muting ch', wanted.join(','), '(' + cons.id + ')');
+  try {
+    await Promise.all(wanted.map(nn => cons.safeMutes.get(nn).ready));
+    return await change();
+  } finally {
+    await new Promise(resolve => setTimeout(resolve, cons.safeSwitch.get().settleMs));
+    const unmute = [];
+    for (const nn of wanted) {
+      const entry = cons.safeMutes.get(nn);
+      if (--entry.count > 0) continue;
+      cons.safeMutes.delete(nn);
+      if (await entry.ready) unmute.push(nn);
+    }
+    const results = await Promise.all(unmute.map(nn => writeAndVerify(cons, mixOnAddress(nn), { type: 'i', value: 1 })));
+    results.forEach((r, i) => { if (!r.confirmed) console.error('[SAFE SWITCH] console did not confirm the unmute of ch', unmute[i], '(' + cons.id + ')'); });
+  }
+}
+
+function broadcastSafeSwitch(cons) {
+  broadcast(cons, Object.assign({ type: 'safe_switch' }, cons.safeSwitch.get()));
+}
+
+// A single verified write from a client (WebSocket 'clp', REST API, OSC).
+// Patch and routing changes go into the history, names and colours do not;
+// every write is journaled under `source`. Writes to a locked channel and
+// colours outside the palette are refused.
+async function clientWrite(cons, address, arg, client, source) {
+  checkUnlocked(cons, address);
+  if (/\/config\/color$/.test(address) && !describeColor(arg.value)) throw Object.assign(new Error('color must be 0-15: ' + arg.value), { status: 400 });
+  let result;
+  if (/\/config\/(name|color)$/.test(address)) {
+    const from = cachedValue(cons, address);
+    result = Object.assign(await writeAndVerify(cons, address, arg), { from: from === undefined ? null : from });
+  } else {
+    result = await withSafeSwitch(cons, switchedChannels(cons, address, arg.value), () => applyChange(cons, address, arg, client));
+  }
+  journalWrite(cons, source, client, result);
+  return result;
+}
+
+// Switch one of the four input blocks (WebSocket 'toggle_inputs_block',
+// REST API) and re-read the routing for every client of the console.
+async function toggleInputsBlock(cons, idx, target, client, source) {
+  const block = routingBlocks[idx];
+  if (!Number.isInteger(idx) || !block) throw Object.assign(new Error('invalid block index: ' + idx), { status: 400 });
+  const val = Number(target);
+  if (!isValidBlockValue(routingConfig, block, val)) throw Object.assign(new Error(`invalid value for routing block ${block.id}: ${target}`), { status: 400 });
+  checkUnlocked(cons, block.osc);
+  console.log('[X32 ROUTE] Sending OSC for block', idx, val, '(' + cons.id + ')');
+  const result = await withSafeSwitch(cons, switchedChannels(cons, block.osc, val), () => applyChange(cons, block.osc, { type: 'i', value: val }, client));
+  journalWrite(cons, source, client, result);
+  // The read result is broadcast to every client of this console
+  readAllRouting(cons, null);
+  return result;
+}
+
+// Switch all four input blocks at once (WebSocket 'toggle_inputs') as one
+// history entry. Like the bulk changes it waits for no other transaction.
+// Resolves the writeAndVerify() result of every block.
+async function toggleAllInputs(cons, targets, client, source) {
+  if (!Array.isArray(targets) || targets.length !== routingBlocks.length) throw Object.assign(new Error(`targets must list ${routingBlocks.length} block values`), { status: 400 });
+  const values = targets.map(Number);
+  values.forEach((val, i) => {
+    if (!isValidBlockValue(routingConfig, routingBlocks[i], val)) throw Object.assign(new Error(`invalid value for routing block ${routingBlocks[i].id}: ${targets[i]}`), { status: 400 });
+  });
+  routingBlocks.forEach(block => checkUnlocked(cons, block.osc));
+  if (!cons.ip) throw Object.assign(new Error('X32 not set'), { status: 400 });
+  if (cons.bulkBusy) throw Object.assign(new Error('another bulk change is still running'), { status: 409 });
+  cons.bulkBusy = true;
+  try {
+    const before = routingBlocks.map(block => cachedValue(cons, block.osc));
+    const switched = [].concat(...values.map((val, i) => switchedChannels(cons, routingBlocks[i].osc, val)));
+    const results = await withSafeSwitch(cons, switched, () => Promise.all(values.map((val, i) => writeAndVerify(cons, routingBlocks[i].osc, { type: 'i', value: val }))));
+    results.forEach((result, i) => journalWrite(cons, source, client, Object.assign({ from: before[i] }, result)));
+    const changes = results.map((r, i) => r.confirmed ? { address: r.address, from: before[i], to: r.value } : null).filter(Boolean);
+    recordHistory(cons, { kind: 'block', label: 'Switch all inputs', client, changes });
+    return results;
+  } finally {
+    cons.bulkBusy = false;
+  }
+}
+
+// Undo or redo the next history entry by writing its from/to values.
+// expectedId guards against stepping over a change another client just made.
+async function stepHistory(cons, direction, expectedId) {
+  const entry = direction === 'undo' ? cons.history.nextUndo() : cons.history.nextRedo();
+  if (!entry) throw Object.assign(new Error('nothing to ' + direction), { status: 409 });
+  if (expectedId != null && Number(expectedId) !== entry.id) throw Object.assign(new Error('history has changed; refresh and try again'), { status: 409 });
+  if (!cons.ip) throw Object.assign(new Error('X32 not set'), { status: 400 });
+  if (cons.bulkBusy) throw Object.assign(new Error('another bulk change is still running'), { status: 409 });
+  const locked = Array.from(new Set([].concat(...entry.changes.map(c => lockedChannels(cons, c.address)))));
+  if (locked.length) throw Object.assign(new Error(`channel ${locked.join(', ')} ${locked.length === 1 ? 'is' : 'are'} locked`), { status: 423 });
+  cons.bulkBusy = true;
+  try {
+    console.log('[HISTORY]', direction, entry.id, entry.label, '(' + cons.id + ')');
+    const value = c => (direction === 'undo' ? c.from : c.to);
+    const switched = [].concat(...entry.changes.map(c => switchedChannels(cons, c.address, value(c))));
+    const results = await withSafeSwitch(cons, switched, () => Promise.all(entry.changes.map(c => writeAndVerify(cons, c.address, { type: 'i', value: value(c) }))));
+    const failed = results.filter(r => !r.confirmed).map(r => r.address);
+    if (failed.length) throw Object.assign(new Error('console did not confirm ' + failed.join(', ')), { status: 504 });
+    if (direction === 'undo') cons.history.undone(); else cons.history.redone();
+    broadcastHistory(cons);
+    if (entry.changes.some(c => routingBlocks.some(b => b.osc === c.address))) readAllRouting(cons, null);
+    return entry;
+  } finally {
+    cons.bulkBusy = false;
+  }
+}
+
+// Apply user patch values for many channels as one transaction: snapshot
+// the current values, write and verify every change, and if any channel
+// fails write the snapshot back. values: { 'NN': code }. Locked channels
+// are left out.
+// Resolves { ok, rolledBack, skipped: ['NN'], channels: { NN: { from, to, status } } }
+// where status is 'confirmed', 'unchanged', 'failed', 'rolled_back' or 'locked'.
+async function bulkApply(cons, values, meta = {}) {
+  if (!cons.ip) throw Object.assign(new Error('X32 not set'), { status: 400 });
+  if (cons.bulkBusy) throw Object.assign(new Error('another bulk apply is still running'), { status: 409 });
+  const channels = Object.keys(values || {}).filter(nn => /^\d{2}$/.test(nn) && Number(nn) >= 1 && Number(nn) <= 32);
+  if (channels.length === 0) throw Object.assign(new Error('no channel values'), { status: 400 });
+  channels.forEach(nn => {
+    if (!isInputSource(values[nn])) throw Object.assign(new Error(`invalid userrout value for channel ${nn}: ${values[nn]}`), { status: 400 });
+  });
+  cons.bulkBusy = true;
+  try {
+    const address = nn => `/config/userrout/in/${nn}`;
+    const skipped = channels.filter(nn => cons.locks.isLocked(nn));
+    const open = channels.filter(nn => !skipped.includes(nn));
+    const snapshot = open.length ? await readConsoleValues(cons, open.map(address)) : {};
+    const missing = open.filter(nn => snapshot[address(nn)] === undefined);
+    if (missing.length) throw Object.assign(new Error('no reply from console for channel ' + missing.join(', ')), { status: 504 });
+
+    const result = { ok: true, rolledBack: false, skipped, channels: {} };
+    const changed = open.filter(nn => Number(snapshot[address(nn)]) !== Number(values[nn]));
+    open.forEach(nn => { result.channels[nn] = { from: Number(snapshot[address(nn)]), to: Number(values[nn]), status: 'unchanged' }; });
+    skipped.forEach(nn => {
+      const current = cons.userPatches[Number(nn)];
+      result.channels[nn] = { from: current == null ? null : Number(current), to: Number(values[nn]), status: 'locked' };
+    });
+    console.log('[BULK] applying', changed.length, 'of', channels.length, 'channels' + (skipped.length ? ', skipping locked ' + skipped.join(',') : ''), '(' + cons.id + ')');
+    return await withSafeSwitch(cons, changed, async () => {
+      const writes = await Promise.all(changed.map(nn => writeAndVerify(cons, address(nn), { type: 'i', value: Number(values[nn]) })));
+      writes.forEach((w, i) => { result.channels[changed[i]].status = w.confirmed ? 'confirmed' : 'failed'; });
+      if (writes.every(w => w.confirmed)) {
+        const entry = recordHistory(cons, {
+          kind: 'bulk', label: `${meta.label || 'Bulk apply'} (${changed.length} channel${changed.length === 1 ? '' : 's'})`, client: meta.client,
+          changes: changed.map(nn => ({ address: address(nn), from: result.channels[nn].from, to: result.channels[nn].to }))
+        });
+        // Lets the client offer Undo through the shared history
+        if (entry) result.historyId = entry.id;
+        return result;
+      }
+
+      // Roll every changed channel back to the snapshot
+      result.ok = false;
+      result.rolledBack = true;
+      console.warn('[BULK] rolling back', changed.length, 'channels (' + cons.id + ')');
+      const restores = await Promise.all(changed.map(nn => writeAndVerify(cons, address(nn), { type: 'i', value: result.channels[nn].from })));
+      restores.forEach((r, i) => {
+        const entry = result.channels[changed[i]];
+        if (entry.status === 'confirmed') entry.status = 'rolled_back';
+        if (!r.confirmed) { entry.rollbackFailed = true; result.rolledBack = false; }
+      });
+      return result;
+    });
+  } finally {
+    cons.bulkBusy = false;
+  }
+}
+
+// Channel A/B and routing block state, shared by the group switches, the
+// REST API and OSC control
+
+// A and B source codes of a channel: the persisted matrix, else Local/Card NN
+function channelAB(cons, nn) {
+  const row = cons.persistedMatrix[nn] || {};
+  const code = v => (v == null || v === '' || !Number.isFinite(Number(v))) ? null : Number(v);
+  const a = code(row.a);
+  const b = code(row.b);
+  return { a: a != null ? a : sourceCode('local', Number(nn)), b: b != null ? b : sourceCode('card', Number(nn)) };
+}
+
+// { channel, name, value, source, side, a, b, locked } from the caches
+function channelState(cons, nn) {
+  const value = cons.userPatches[Number(nn)];
+  const ab = channelAB(cons, nn);
+  const src = describeSource(value);
+  const side = value == null ? null : (Number(value) === ab.a ? 'A' : (Number(value) === ab.b ? 'B' : null));
+  const color = describeColor(cons.channelColors[nn]);
+  return { channel: nn, name: cons.channelNames[nn] != null ? cons.channelNames[nn] : null, value: value == null ? null : Number(value), source: src ? { label: src.label, group: src.group } : null, side, a: ab.a, b: ab.b, locked: cons.locks.isLocked(nn), color: color ? { value: color.value, id: color.id, label: color.label } : null };
+}
+
+// Drift: channels whose user patch is neither their A nor their B source.
+// The card click would otherwise guess a side, so the UI asks instead.
+// Channels whose patch has not been read yet are left out.
+function channelDrift(cons) {
+  const drifted = [];
+  for (let ch = 1; ch <= 32; ch++) {
+    const state = channelState(cons, String(ch).padStart(2, '0'));
+    if (state.value != null && state.side == null) drifted.push(state);
+  }
+  return drifted;
+}
+
+const DRIFT_ACTIONS = ['A', 'B', 'adopt-a', 'adopt-b'];
+
+// Resolve a drifted channel: 'A' / 'B' switch it to that side (a verified,
+// journaled write like a card click), 'adopt-a' / 'adopt-b' store its
+// current source as the channel's A or B value in the matrix (journal
+// source 'drift'). Resolves with the channel's state afterwards.
+async function resolveDrift(cons, nn, action, client, source) {
+  if (!DRIFT_ACTIONS.includes(action)) throw Object.assign(new Error('action must be one of ' + DRIFT_ACTIONS.join(', ')), { status: 400 });
+  const current = cons.userPatches[Number(nn)];
+  if (action === 'A' || action === 'B') {
+    const result = await clientWrite(cons, `/config/userrout/in/${nn}`, { type: 'i', value: targetForSide(cons, nn, action) }, client, source);
+    if (!result.confirmed) throw Object.assign(new Error('console did not confirm the change'), { status: 504 });
+  } else {
+    if (current == null) throw Object.assign(new Error(`channel ${nn} has not been read yet`), { status: 409 });
+    const ab = channelAB(cons, nn);
+    const row = { a: String(action === 'adopt-a' ? current : ab.a), b: String(action === 'adopt-b' ? current : ab.b) };
+    console.log('[DRIFT] adopting', describeSource(current) ? describeSource(current).label : current, 'as', action.slice(-1).toUpperCase(), 'for ch', nn, '(' + cons.id + ')');
+    saveChannelMatrix(cons, { [nn]: row }, client, 'drift');
+  }
+  return channelState(cons, nn);
+}
+
+// Read the given channels' patches and names from the console, then report
+// them from the freshly updated caches
+async function readChannelStates(cons, channels) {
+  if (!cons.ip) throw Object.assign(new Error('X32 not set'), { status: 400 });
+  const addresses = [];
+  channels.forEach(nn => { addresses.push(`/config/userrout/in/${nn}`); addresses.push(`/ch/${nn}/config/name`); });
+  const values = await readConsoleValues(cons, addresses);
+  const missing = channels.filter(nn => values[`/config/userrout/in/${nn}`] === undefined && cons.userPatches[Number(nn)] == null);
+  if (missing.length) throw Object.assign(new Error('no reply from console for channel ' + missing.join(', ')), { status: 504 });
+  return channels.map(nn => channelState(cons, nn));
+}
+
+// Value a channel should switch to for side A / B / toggle
+function targetForSide(cons, nn, side) {
+  const ab = channelAB(cons, nn);
+  if (side === 'A') return ab.a;
+  if (side === 'B') return ab.b;
+  return channelState(cons, nn).side === 'A' ? ab.b : ab.a;
+}
+
+function blockState(cons, block) {
+  const value = cachedValue(cons, block.osc);
+  const opt = value == null ? null : (routingConfig.optionSets[block.options] || []).find(o => o.value === Number(value));
+  const state = { id: block.id, section: block.section, osc: block.osc, value: value == null ? null : Number(value), label: opt ? opt.label : null };
+  if (routingBlocks.includes(block)) {
+    state.userin = block.userin;
+    state.localin = block.localin;
+    state.mode = state.value === block.userin ? 'userin' : (state.value === block.localin ? 'localin' : null);
+  }
+  return state;
+}
+
+// Switch channels to side A, B or 'toggle' as one bulkApply() transaction.
+// A toggle of several channels goes to B when every channel is on A,
+// otherwise to A. Resolves the bulkApply() result plus the side used.
+async function switchChannels(cons, channels, side, meta = {}) {
+  if (side === 'toggle') {
+    // Locked channels stay where they are, so they do not decide the direction
+    const states = (await readChannelStates(cons, channels)).filter(s => !s.locked);
+    side = states.length && states.every(s => s.side === 'A') ? 'B' : 'A';
+  }
+  const values = {};
+  channels.forEach(nn => { values[nn] = targetForSide(cons, nn, side); });
+  const result = await bulkApply(cons, values, { label: meta.label ? `${meta.label} → ${side}` : `Set ${channels.length === 1 ? 'ch ' + channels[0] : 'group'} to ${side}`, client: meta.client });
+  return Object.assign({ side }, result);
+}
+
+// Write one palette colour (0-15, id or label, see colors.js) to several
+// channels (WebSocket 'set_channel_colors', REST API). Every write is
+// verified and journaled; colours are not part of the undo history.
+// Resolves { ok, color, channels: { NN: { from, to, status } } }.
+async function colorChannels(cons, channels, color, client, source) {
+  const value = colorValue(color);
+  if (!cons.ip) throw Object.assign(new Error('X32 not set'), { status: 400 });
+  console.log('[COLOR]', describeColor(value).label, 'for ch', channels.join(','), '(' + cons.id + ')');
+  const results = await Promise.all(channels.map(nn => clientWrite(cons, `/ch/${nn}/config/color`, { type: 'i', value }, client, source)));
+  const result = { ok: results.every(r => r.confirmed), color: value, channels: {} };
+  results.forEach((r, i) => { result.channels[channels[i]] = { from: r.from, to: value, status: r.confirmed ? 'confirmed' : 'failed' }; });
+  return result;
+}
+
+// Addresses dubswitch tracks per console: 32 user patches + 4 IN blocks
+// (a routing preset) and optionally the 32 channel names and colors.
+function stateAddresses(opts = {}) {
+  const addresses = [];
+  for (let ch = 1; ch <= 32; ch++) {
+    const nn = String(ch).padStart(2, '0');
+    addresses.push(`/config/userrout/in/${nn}`);
+    if (opts.names) addresses.push(`/ch/${nn}/config/name`);
+    if (opts.colors) addresses.push(`/ch/${nn}/config/color`);
+  }
+  routingBlocks.forEach(block => addresses.push(block.osc));
+  return addresses;
+}
+
+// Read the current state from the desk. Values that did not arrive in time
+// fall back to the cache; if any are still unknown the read fails rather
+// than returning a partial state. Resolves { userrout, routing[, names, colors] }.
+async function readConsoleState(cons, opts = {}) {
+  if (!cons.ip) throw Object.assign(new Error('X32 not set'), { status: 400 });
+  const values = await readConsoleValues(cons, stateAddresses(opts));
+  const missing = [];
+  const pick = (address, cached) => {
+    const val = values[address] != null ? values[address] : cached;
+    if (val == null) missing.push(address);
+    return val;
+  };
+  const state = { userrout: {}, routing: [] };
+  if (opts.names) state.names = {};
+  if (opts.colors) state.colors = {};
+  for (let ch = 1; ch <= 32; ch++) {
+    const nn = String(ch).padStart(2, '0');
+    const patch = pick(`/config/userrout/in/${nn}`, cons.userPatches[ch]);
+    if (patch != null) state.userrout[nn] = Number(patch);
+    if (opts.names) { const name = pick(`/ch/${nn}/config/name`, cons.channelNames[nn]); if (name != null) state.names[nn] = String(name); }
+    if (opts.colors) { const color = pick(`/ch/${nn}/config/color`, cons.channelColors[nn]); if (color != null) state.colors[nn] = Number(color); }
+  }
+  state.routing = routingBlocks.map((block, i) => {
+    const val = pick(block.osc, cons.currentRoutingState[i]);
+    return val == null ? null : Number(val);
+  });
+  if (missing.length) throw Object.assign(new Error(`no reply from console for ${missing.length} value(s), e.g. ${missing[0]}`), { status: 504 });
+  return state;
+}
+
+// The routing part of the state: what a preset captures
+function captureRouting(cons) {
+  return readConsoleState(cons);
+}
+
+// The patch and input block writes that put `values` ({ userrout: { NN:
+// code }, routing: [4 block values] }) on the desk. Locked channels and the
+// input blocks that cover one are left out and listed in skipped ('NN' or
+// a block id like 'IN/1-8').
+function routingWrites(cons, values) {
+  const writes = [];
+  const skipped = [];
+  Object.keys(values.userrout).forEach(nn => {
+    if (cons.locks.isLocked(nn)) skipped.push(nn);
+    else writes.push({ address: `/config/userrout/in/${nn}`, value: values.userrout[nn] });
+  });
+  routingBlocks.forEach((block, i) => {
+    if (lockedChannels(cons, block.osc).length) skipped.push(block.id);
+    else writes.push({ address: block.osc, value: values.routing[i] });
+  });
+  return { writes, skipped };
+}
+
+// Write a preset to the desk, each value verified like a bulk apply, then
+// read it back so every client (and the response) reflects what the console
+// actually holds. Locked channels keep their patch, and so do the blocks
+// covering them (see routingWrites()); addresses the console never
+// confirmed are listed in failed.
+async function recallPreset(cons, ref, client) {
+  const preset = cons.presets.get(ref);
+  if (!cons.ip) throw Object.assign(new Error('X32 not set'), { status: 400 });
+  if (cons.bulkBusy) throw Object.assign(new Error('another bulk change is still running'), { status: 409 });
+  cons.bulkBusy = true;
+  try {
+    console.log('[PRESET] recall', preset.name, '(' + cons.id + ')');
+    // What the desk had before, so the recall can be undone
+    let before = null;
+    try { before = await captureRouting(cons); } catch (e) { console.warn('[PRESET] could not read the state before recall:', e && e.message); }
+    const { writes, skipped } = routingWrites(cons, preset);
+    if (skipped.length) console.log('[PRESET] skipping locked', skipped.join(','));
+    const switched = [].concat(...writes.map(w => switchedChannels(cons, w.address, w.value)));
+    let failed = [];
+    const state = await withSafeSwitch(cons, switched, async () => {
+      const results = await Promise.all(writes.map(w => writeAndVerify(cons, w.address, { type: 'i', value: Number(w.value) })));
+      failed = results.filter(r => !r.confirmed).map(r => r.address);
+      if (failed.length) console.warn('[PRESET] not confirmed by the console:', failed.join(', '), '(' + cons.id + ')');
+      return captureRouting(cons);
+    });
+    broadcast(cons, { type: 'routing', values: cons.currentRoutingState });
+    if (before) {
+      const changes = Object.keys(state.userrout).map(nn => ({ address: `/config/userrout/in/${nn}`, from: before.userrout[nn], to: state.userrout[nn] }))
+        .concat(routingBlocks.map((block, i) => ({ address: block.osc, from: before.routing[i], to: state.routing[i] })));
+      recordHistory(cons, { kind: 'preset', label: `Recall preset "${preset.name}"`, client, changes });
+    }
+    return { preset, state, skipped, failed };
+  } finally {
+    cons.bulkBusy = false;
+  }
+}
+
+// Full snapshot of a console (routing, names, colors) in the snapshot.js format
+async function exportSnapshot(cons) {
+  const state = await readConsoleState(cons, { names: true, colors: true });
+  const info = cons.info || {};
+  return buildSnapshot({ id: cons.id, label: cons.label, ip: cons.ip, name: info.name || null, model: info.model || null, firmware: info.firmware || null }, state);
+}
+
+// Write a snapshot back to the console (each value verified and resent like
+// a bulk apply), read everything back and report the addresses whose
+// read-back still differs from the file. Locked channels and their blocks
+// are left alone (returned as `skipped`); names and colors are still written.
+async function importSnapshot(cons, data) {
+  const snap = parseSnapshot(data);
+  if (!cons.ip) throw Object.assign(new Error('X32 not set'), { status: 400 });
+  if (cons.bulkBusy) throw Object.assign(new Error('another bulk change is still running'), { status: 409 });
+  cons.bulkBusy = true;
+  try {
+    console.log('[SNAPSHOT] import from', snap.created || 'unknown date', '(' + cons.id + ')');
+    const { writes, skipped } = routingWrites(cons, snap);
+    if (skipped.length) console.log('[SNAPSHOT] skipping locked', skipped.join(','));
+    const switched = [].concat(...writes.map(w => switchedChannels(cons, w.address, w.value)));
+    const labels = [];
+    for (let ch = 1; ch <= 32; ch++) {
+      const nn = String(ch).padStart(2, '0');
+      labels.push({ address: `/ch/${nn}/config/name`, arg: { type: 's', value: snap.names[nn] } });
+      labels.push({ address: `/ch/${nn}/config/color`, arg: { type: 'i', value: snap.colors[nn] } });
+    }
+    await Promise.all(labels.map(w => writeAndVerify(cons, w.address, w.arg)));
+    const state = await withSafeSwitch(cons, switched, async () => {
+      await Promise.all(writes.map(w => writeAndVerify(cons, w.address, { type: 'i', value: Number(w.value) })));
+      return readConsoleState(cons, { names: true, colors: true });
+    });
+    const mismatches = [];
+    Object.keys(snap.userrout).forEach(nn => {
+      if (!skipped.includes(nn) && state.userrout[nn] !== snap.userrout[nn]) mismatches.push(`/config/userrout/in/${nn}`);
+      if (state.names[nn] !== snap.names[nn]) mismatches.push(`/ch/${nn}/config/name`);
+      if (state.colors[nn] !== snap.colors[nn]) mismatches.push(`/ch/${nn}/config/color`);
+    });
+    routingBlocks.forEach((block, i) => { if (!skipped.includes(block.id) && state.routing[i] !== snap.routing[i]) mismatches.push(block.osc); });
+    broadcast(cons, { type: 'routing', values: cons.currentRoutingState });
+    return { state, mismatches, skipped };
+  } finally {
+    cons.bulkBusy = false;
+  }
+}
+
+function broadcastPresets(cons) {
+  broadcast(cons, { type: 'presets', presets: cons.presets.list() });
+}
+
+function broadcastGroups(cons) {
+  broadcast(cons, { type: 'groups', groups: cons.groups.list() });
+}
+
+// Query the 48 user output slots
+function requestOutputState(cons) {
+  for (let slot = 1; slot <= 48; slot++) {
+    try { sendToConsole(cons, { address: `/config/userrout/out/${String(slot).padStart(2, '0')}`, args: [] }); } catch (e) {}
+  }
+}
+
+// Query every block of every routing section
+function requestSectionRouting(cons) {
+  routingConfig.blocks.forEach(block => { try { sendToConsole(cons, { address: block.osc, args: [] }); } catch (e) {} });
+}
+
+// Write one routing section block (id like 'AES50A/1-8') and verify it.
+// Resolves with the writeAndVerify() result.
+async function setRoutingBlock(cons, blockId, value, client) {
+  const block = routingConfig.blocks.find(b => b.id === blockId);
+  if (!block) throw Object.assign(new Error('unknown routing block: ' + blockId), { status: 404 });
+  const val = Number(value);
+  if (!isValidBlockValue(routingConfig, block, val)) throw Object.assign(new Error(`invalid value for routing block ${blockId}: ${value}`), { status: 400 });
+  checkUnlocked(cons, block.osc);
+  if (!cons.ip) throw Object.assign(new Error('no console address for ' + cons.id), { status: 400 });
+  console.log('[X32 ROUTE] Setting', block.osc, '=', val, '(' + cons.id + ')');
+  const result = await withSafeSwitch(cons, switchedChannels(cons, block.osc, val), () => applyChange(cons, block.osc, { type: 'i', value: val }, client));
+  if (routingBlocks.includes(block)) readAllRouting(cons, null);
+  return result;
+}
+
+function readAllRouting(cons, ws) {
+  const reqId = routingRequestId++;
+  console.log('[ROUTING] start req', reqId, '(' + cons.id + ')');
+  cons.routingRequests[reqId] = { ws, values: Array(routingBlocks.length).fill(null), got: Array(routingBlocks.length).fill(false), replies: 0, timeout: setTimeout(() => {
+    const req = cons.routingRequests[reqId];
+      if (req) {
+      cons.currentRoutingState = req.values.slice();
+      try { if (req.ws) req.ws.send(JSON.stringify({ type: 'routing', values: req.values })); console.log('[ROUTING] timeout send req', reqId, 'values', req.values); } catch (e) { console.error('[ROUTING] timeout send failed', e && e.message); }
+      broadcast(cons, { type: 'routing', values: req.values });
+      delete cons.routingRequests[reqId];
+    }
+  }, serverConfig.get().routingTimeoutMs) };
+  routingBlocks.forEach(block => { try { sendToConsole(cons, { address: block.osc, args: [] }); } catch (e) {} });
+}
+
+// Send everything a client needs after connecting to / switching to a console
+function sendConsoleState(ws, cons) {
+  try { ws.send(JSON.stringify({ type: 'consoles', consoles: listConsoles() })); } catch (e) {}
+  try { ws.send(JSON.stringify({ type: 'console_selected', console: cons.id, ip: cons.ip || null })); } catch (e) {}
+  try { ws.send(JSON.stringify(Object.assign({ type: 'console_health', console: cons.id }, cons.health.snapshot()))); } catch (e) {}
+  try { sendToConsole(cons, { address: '/xinfo', args: [] }); } catch (e) {}
+  // Send routing block descriptors to client so UI knows userin/localin codes
+  try { ws.send(JSON.stringify({ type: 'blocks', blocks: routingBlocks })); } catch (e) {}
+  try { ws.send(JSON.stringify({ type: 'routing_sections', sections: routingConfig.sections, optionSets: routingConfig.optionSets })); } catch (e) {}
+  readAllRouting(cons, ws);
+  requestChannelState(cons);
+  requestOutputState(cons);
+  requestSectionRouting(cons);
+  try {
+    ws.send(JSON.stringify({ type: 'section_routing', values: cons.sectionRouting }));
+    ws.send(JSON.stringify(Object.assign({ type: 'history' }, cons.history.list())));
+    ws.send(JSON.stringify({ type: 'user_outputs', values: cons.userOutPatches }));
+    ws.send(JSON.stringify({ type: 'presets', presets: cons.presets.list() }));
+    ws.send(JSON.stringify({ type: 'groups', groups: cons.groups.list() }));
+    ws.send(JSON.stringify({ type: 'channel_locks', locked: cons.locks.list() }));
+    ws.send(JSON.stringify(Object.assign({ type: 'safe_switch' }, cons.safeSwitch.get())));
+    ws.send(JSON.stringify({ type: 'channel_names', names: cons.channelNames }));
+    ws.send(JSON.stringify({ type: 'channel_colors', colors: cons.channelColors }));
+    if (cons.currentRoutingState && cons.currentRoutingState.some(v => v !== null)) ws.send(JSON.stringify({ type: 'routing', values: cons.currentRoutingState }));
+  } catch (e) {}
+}
+
+function setupWebsocketHandlers(currentWss) {
+  currentWss.on('connection', (ws, req) => {
+    // Clients pick a console with ws://host/?console=<id> (default main)
+    let requested = null;
+    try { requested = new URL(req.url, 'http://localhost').searchParams.get('console'); } catch (e) {}
+    ws.consoleId = consoles.has(requested) ? requested : DEFAULT_CONSOLE_ID;
+    // Login: the token comes with the URL (ws://host/?token=...)
+    ws.address = clientAddress(req);
+    ws.token = requestToken(req);
+    const who = auth.identify(ws.token, ws.address);
+    if (!who) {
+      console.log('[AUTH] Refused WebSocket client without login from', ws.address);
+      sendToClient(ws, { type: 'auth_required' });
+      ws.close(4401, 'login required');
+      return;
+    }
+    // Who made a change (history and journal entries)
+    ws.client = describeClient(ws.address, who);
+    console.log('WebSocket client connected (console ' + ws.consoleId + ', ' + ws.client + ', ' + who.role + ')');
+    sendToClient(ws, { type: 'auth', enabled: auth.enabled, role: who.role, name: who.name });
+    sendConsoleState(ws, consoles.get(ws.consoleId));
+    if (sweep && sweep.state === 'running' && roleAllows(who.role, 'admin')) sendToClient(ws, { type: 'sweep_progress', sweep: sweepSnapshot() });
+
+    ws.on('message', raw => {
+      let data;
+      try { data = JSON.parse(raw); } catch (e) { return; }
+      if (!data || typeof data !== 'object') return;
+      // Sessions can expire or be logged out while the socket stays open
+      const caller = auth.identify(ws.token, ws.address);
+      if (!caller) {
+        sendToClient(ws, { type: 'auth_required' });
+        ws.close(4401, 'login required');
+        return;
+      }
+      const required = wsMessageRole(data);
+      if (!roleAllows(caller.role, required)) {
+        console.warn('[AUTH]', ws.client, '(' + caller.role + ') may not send', data.type);
+        sendToClient(ws, { type: 'forbidden', action: data.type, role: caller.role, required });
+        return;
+      }
+      // The console may have been removed while this client watched it
+      const cons = consoles.get(ws.consoleId) || consoles.get(DEFAULT_CONSOLE_ID);
+
+      if (data && data.type === 'select_console') {
+        const next = consoles.get(String(data.console || ''));
+        if (!next) {
+          try { ws.send(JSON.stringify({ type: 'console_selected', console: cons.id, ip: cons.ip || null, error: 'unknown console: ' + data.console })); } catch (e) {}
+          return;
+        }
+        ws.consoleId = next.id;
+        console.log('WebSocket client switched to console', next.id);
+        sendConsoleState(ws, next);
+        return;
+      }
+
+      if (data && data.type === 'set_x32_ip') {
+        // { ip, port?, source? }: source 'discovery' for an address picked
+        // from autodiscovery, otherwise the address counts as entered manually
+        const ip = String(data.ip || '').trim();
+        if (!ip) return;
+        const port = Number(data.port);
+        // Entering a real console address leaves emulator mode
+        if (emulator && emulator.consoleId === cons.id && ip !== emulator.host) stopEmulator();
+        const reason = data.source === 'discovery' ? 'discovery' : 'manual';
+        console.log((reason === 'manual' ? 'Manual' : 'Discovered'), 'X32 IP set to', ip, '(' + cons.id + ')');
+        updateX32Address(cons, ip, data.port != null && Number.isInteger(port) && port >= 1 && port <= 65535 ? port : null, reason);
+        // Re-read for the sender even when the address did not change
+        setTimeout(() => readAllRouting(cons, ws), 300);
+        return;
+      }
+
+      // Note: Even if the console address is not yet known, we allow certain
+      // operations to proceed. sendToConsole() falls back to BROADCAST_ADDR
+      // when the address is null, which lets devices that listen to broadcast
+      // handle writes/reads. We keep more complex flows (like full routing
+      // refresh) robust by scheduling them as usual; their replies will be
+      // processed once the device responds.
+
+      switch (data.type) {
+        case 'load_routing':
+          readAllRouting(cons, ws);
+          break;
+
+        case 'get_blocks':
+          // Client explicitly requested block descriptors and current routing
+          try { ws.send(JSON.stringify({ type: 'blocks', blocks: routingBlocks })); } catch (e) {}
+          try { if (cons.currentRoutingState && cons.currentRoutingState.some(v => v !== null)) ws.send(JSON.stringify({ type: 'routing', values: cons.currentRoutingState })); } catch (e) {}
+          break;
+
+        case 'toggle_inputs_block':
+          toggleInputsBlock(cons, data.block, data.target, ws.client, 'toggle_inputs_block').then(result => {
+            sendToClient(ws, writeResultMessage(result));
+          }, e => {
+            console.warn('toggle_inputs_block:', e && e.message);
+            const block = routingBlocks[data.block];
+            sendToClient(ws, { type: 'write_result', status: e && e.status === 423 ? 'locked' : 'failed', address: block ? block.osc : null, block: block ? block.id : data.block, error: e && e.message });
+          });
+          break;
+
+        case 'set_routing_block':
+          setRoutingBlock(cons, String(data.block), data.value, ws.client).then(result => {
+            sendToClient(ws, writeResultMessage(result));
+            sendToClient(ws, { type: 'routing_block_result', block: data.block, ok: result.confirmed, error: result.confirmed ? undefined : 'console did not confirm the change' });
+          }, e => {
+            sendToClient(ws, { type: 'routing_block_result', block: data.block, ok: false, error: e && e.message });
+          });
+          break;
+
+        case 'bulk_apply':
+          // { values: { 'NN': code }, label? } -> one 'bulk_result' for the sender
+          bulkApply(cons, data.values, { label: data.label, client: ws.client }).then(result => {
+            sendToClient(ws, Object.assign({ type: 'bulk_result', label: data.label || null }, result));
+          }, e => {
+            sendToClient(ws, { type: 'bulk_result', label: data.label || null, ok: false, error: e && e.message, channels: {} });
+          });
+          break;
+
+        case 'toggle_inputs':
+          toggleAllInputs(cons, data.targets, ws.client, 'toggle_inputs').then(results => {
+            results.forEach(result => sendToClient(ws, writeResultMessage(result)));
+            readAllRouting(cons, ws);
+          }, e => {
+            console.warn('toggle_inputs:', e && e.message);
+            routingBlocks.forEach(block => sendToClient(ws, { type: 'write_result', status: e && e.status === 423 ? 'locked' : 'failed', address: block.osc, block: block.id, error: e && e.message }));
+          });
+          break;
+
+        case 'get_history':
+          sendToClient(ws, Object.assign({ type: 'history' }, cons.history.list()));
+          break;
+
+        case 'history_undo':
+        case 'history_redo': {
+          const action = data.type === 'history_undo' ? 'undo' : 'redo';
+          stepHistory(cons, action, data.id).then(entry => {
+            sendToClient(ws, { type: 'history_result', action, ok: true, entry });
+          }, e => {
+            sendToClient(ws, { type: 'history_result', action, ok: false, error: e && e.message });
+          });
+          break;
+        }
+
+        case 'ping':
+          if (!cons.ip) { broadcastXinfo(cons.port); break; }
+          try { oscPort.send({ address: '/xinfo', args: [] }, cons.ip, cons.port); } catch (e) {}
+          break;
+
+        case 'list_presets':
+          try { ws.send(JSON.stringify({ type: 'presets', presets: cons.presets.list() })); } catch (e) {}
+          break;
+
+        case 'create_preset':
+        case 'update_preset':
+        case 'delete_preset':
+        case 'recall_preset':
+          handlePresetMessage(cons, data, ws.client).then(result => {
+            try { ws.send(JSON.stringify(Object.assign({ type: 'preset_result', action: data.type, ok: true }, result))); } catch (e) {}
+          }).catch(err => {
+            console.warn('[PRESET]', data.type, 'failed:', err && err.message);
+            try { ws.send(JSON.stringify({ type: 'preset_result', action: data.type, ok: false, error: (err && err.message) || String(err) })); } catch (e) {}
+          });
+          break;
+
+        case 'set_channel_lock': {
+          // { channel: 1-32, locked: true|false }
+          const ch = Number(data.channel);
+          if (!Number.isInteger(ch) || ch < 1 || ch > 32) break;
+          setChannelLock(cons, String(ch).padStart(2, '0'), !!data.locked, ws.client);
+          break;
+        }
+
+        case 'set_safe_switch':
+          // { enabled?, settleMs?, always?, never? } -> 'safe_switch' for every client
+          try {
+            cons.safeSwitch.update(data);
+            console.log('[SAFE SWITCH] settings changed by', ws.client, '(' + cons.id + ')');
+            broadcastSafeSwitch(cons);
+          } catch (e) {
+            sendToClient(ws, { type: 'safe_switch_error', error: e.message });
+          }
+          break;
+
+        case 'list_groups':
+          sendToClient(ws, { type: 'groups', groups: cons.groups.list() });
+          break;
+
+        case 'create_group':
+        case 'update_group':
+        case 'delete_group':
+          handleGroupMessage(cons, data).then(result => {
+            sendToClient(ws, Object.assign({ type: 'group_result', action: data.type, ok: true }, result));
+          }, err => {
+            sendToClient(ws, { type: 'group_result', action: data.type, ok: false, error: (err && err.message) || String(err) });
+          });
+          break;
+
+        case 'group_ab': {
+          // { id, side: 'A' | 'B' | 'toggle' } -> one 'bulk_result' for the sender
+          let group = null;
+          try { group = cons.groups.get(data.id); } catch (e) {
+            sendToClient(ws, { type: 'bulk_result', label: 'Group', ok: false, error: e.message, channels: {} });
+            break;
+          }
+          const side = ['A', 'B'].includes(data.side) ? data.side : 'toggle';
+          switchChannels(cons, group.channels, side, { label: `Group ${group.name}`, client: ws.client }).then(result => {
+            sendToClient(ws, Object.assign({ type: 'bulk_result', label: `${group.name} → ${result.side}`, group: group.id }, result));
+          }, e => {
+            sendToClient(ws, { type: 'bulk_result', label: group.name, group: group.id, ok: false, error: e && e.message, channels: {} });
+          });
+          break;
+        }
+
+        case 'resolve_drift': {
+          // { channel: 1-32, action: 'A' | 'B' | 'adopt-a' | 'adopt-b' } -> 'drift_result' for the sender
+          const ch = Number(data.channel);
+          if (!Number.isInteger(ch) || ch < 1 || ch > 32) break;
+          const nn = String(ch).padStart(2, '0');
+          resolveDrift(cons, nn, data.action, ws.client, 'clp').then(state => {
+            sendToClient(ws, { type: 'drift_result', ok: true, channel: nn, action: data.action, state });
+          }, e => {
+            sendToClient(ws, { type: 'drift_result', ok: false, channel: nn, action: data.action, error: e && e.message });
+          });
+          break;
+        }
+
+        case 'set_channel_colors': {
+          // { channels: [1, 2] | '1-8,12' or group: id | name, color } -> one 'color_result' for the sender
+          let channels = null;
+          try {
+            channels = data.group != null ? cons.groups.get(data.group).channels : parseChannels(data.channels);
+          } catch (e) {
+            sendToClient(ws, { type: 'color_result', ok: false, error: e.message, channels: {} });
+            break;
+          }
+          colorChannels(cons, channels, data.color, ws.client, 'clp').then(result => {
+            sendToClient(ws, Object.assign({ type: 'color_result', group: data.group != null ? String(data.group) : null }, result));
+          }, e => {
+            sendToClient(ws, { type: 'color_result', ok: false, error: e && e.message, channels: {} });
+          });
+          break;
+        }
+
+        case 'clp':
+          try {
+            const rawAddr = (data.address || '').toString();
+            const addr = rawAddr.trim();
+            if (!addr || addr[0] !== '/') { console.warn('Received invalid CLP address from client:', JSON.stringify(rawAddr)); break; }
+            const oscArgs = (data.args || []).map(v => Number.isInteger(v) ? { type: 'i', value: v } : (typeof v === 'number' ? { type: 'f', value: v } : { type: 's', value: String(v) }));
+            // Only pad a trailing numeric segment when it's directly after a slash
+            // so we don't accidentally change addresses like '/config/routing/IN/1-8'
+            // (which would otherwise become '/config/routing/IN/1-08').
+            const padAddr = addr.replace(/\/(\d+)$/, (m, p1) => '/' + p1.padStart(2, '0'));
+            console.log('CLP sending:', padAddr, oscArgs, '(' + cons.id + ')');
+            // Refused (locked channel): tell the sender what the channel still holds
+            const refuse = e => {
+              const current = cachedValue(cons, padAddr);
+              sendToClient(ws, Object.assign(writeResultMessage({ address: padAddr, value: oscArgs[0].value, actual: current === undefined ? null : current, attempts: 0, confirmed: false }), { status: e.status === 423 ? 'locked' : 'failed', error: e && e.message }));
+            };
+            // Locks hold whatever the argument count
+            if (oscArgs.length) {
+              try { checkUnlocked(cons, padAddr); } catch (e) { refuse(e); break; }
+            }
+            // Single-value writes to patches, routing and names are read back
+            // and the sender is told whether the console confirmed them
+            if (oscArgs.length === 1 && VERIFIED_WRITE.test(padAddr)) {
+              clientWrite(cons, padAddr, oscArgs[0], ws.client, 'clp').then(result => sendToClient(ws, writeResultMessage(result)), refuse);
+              break;
+            }
+            // Other writes are not read back; reads (no args) are not journaled
+            if (oscArgs.length) {
+              const from = cachedValue(cons, padAddr);
+              cons.journal.append({ console: cons.id, client: ws.client, source: 'clp', address: padAddr, channels: inputChannelsOf(padAddr), from: from === undefined ? null : from, to: oscArgs.length === 1 ? oscArgs[0].value : oscArgs.map(a => a.value), status: 'sent' });
+            }
+            try { sendToConsole(cons, { address: padAddr, args: oscArgs }); } catch (e) { console.error('Error sending CLP', e && e.message, 'payload:', JSON.stringify({ address: padAddr, args: oscArgs })); }
+          } catch (e) { console.error('CLP handler failed', e && e.message); }
+          break;
+
+        default:
+          console.log('Unhandled WS message type:', data.type);
+      }
+    });
+  });
+}
+
+// Shared by the WebSocket preset messages: { type, id|name, name?, capture? }
+async function handlePresetMessage(cons, data, client) {
+  const ref = data.id != null ? data.id : data.name;
+  switch (data.type) {
+    case 'create_preset': {
+      const values = (data.userrout && data.routing) ? { userrout: data.userrout, routing: data.routing } : await captureRouting(cons);
+      const preset = cons.presets.create(data.name, values);
+      broadcastPresets(cons);
+      return { preset };
+    }
+    case 'update_preset': {
+      const changes = { name: data.name };
+      if (data.capture) Object.assign(changes, await captureRouting(cons));
+      else if (data.userrout || data.routing) Object.assign(changes, { userrout: data.userrout, routing: data.routing });
+      const preset = cons.presets.update(ref, changes);
+      broadcastPresets(cons);
+      return { preset };
+    }
+    case 'delete_preset': {
+      const preset = cons.presets.remove(ref);
+      broadcastPresets(cons);
+      return { preset };
+    }
+    case 'recall_preset':
+      return recallPreset(cons, ref, client);
+  }
+  return {};
+}
+
+// Shared by the WebSocket group messages and /groups: { type, id, name?, channels? }
+async function handleGroupMessage(cons, data) {
+  let group;
+  switch (data.type) {
+    case 'create_group': group = cons.groups.create(data.name, data.channels); break;
+    case 'update_group': group = cons.groups.update(data.id, { name: data.name, channels: data.channels }); break;
+    case 'delete_group': group = cons.groups.remove(data.id); break;
+    default: return {};
+  }
+  console.log('[GROUP]', data.type, group.name, group.channels.join(','), '(' + cons.id + ')');
+  broadcastGroups(cons);
+  return { group };
+}
+
+// Helper to (re)start the HTTP + WebSocket server on a given port
+function startServer(port) {
+  return new Promise((resolve, reject) => {
+    try {
+      if (server) {
+        try { server.close(); } catch (e) {}
+        server = null; wss = null;
       }
       server = http.createServer(app);
       wss = new WebSocket.Server({ server });
@@ -473,40 +2017,855 @@ function startServer(port) {
   });
 }
 
-function updateX32Ip(newIp, reason = 'discovery') {
+// updateX32Ip() for an address that may come with its own port (a desk found
+// by discovery, or picked from the list): the same host on another port is
+// another console, so a port change reconnects
+function updateX32Address(cons, ip, port, reason) {
+  if (port && port !== cons.port) {
+    cons.port = port;
+    cons.savedDesk = null;
+    if (cons.ip === ip) cons.ip = null;
+    try { saveConsoles(); } catch (e) { console.warn('Failed to save consoles.json:', e && e.message); }
+  }
+  updateX32Ip(cons, ip, reason);
+}
+
+// reason -> ipSource reported to clients; other reasons (initial-discovery,
+// discovery-reply, rediscovery) count as discovery
+const IP_SOURCES = { saved: 'saved', manual: 'manual', registry: 'manual', emulator: 'emulator' };
+
+// Point a console at an address and remember it in consoles.json (except
+// the emulator's loopback address)
+function updateX32Ip(cons, newIp, reason = 'discovery') {
   if (!newIp) return;
-  if (X32_IP === newIp) return console.log('updateX32Ip: IP unchanged', newIp);
-  const prior = X32_IP; X32_IP = newIp; console.log('X32 IP updated', prior, '->', X32_IP, '(', reason, ')');
-  for (let ch = 1; ch <= 32; ch++) { const nn = String(ch).padStart(2, '0'); try { oscPort.send({ address: `/ch/${nn}/config/name`, args: [] }, X32_IP, X32_OSC_PORT); } catch (e) {} }
-  setTimeout(() => { wss.clients.forEach(ws => readAllRouting(ws)); }, 300);
-  try { if (global.pingInterval) clearInterval(global.pingInterval); } catch (e) {}
-  global.pingInterval = setInterval(() => { try { oscPort.send({ address: '/xinfo', args: [] }, X32_IP, X32_OSC_PORT); } catch (e) {} }, 5000);
+  const source = IP_SOURCES[reason] || 'discovery';
+  const sourceChanged = cons.ipSource !== source;
+  cons.ipSource = source;
+  // Another address may be another desk: forget the one stored with the old
+  if (source !== 'saved' && source !== 'emulator' && cons.ip !== newIp) cons.savedDesk = null;
+  if (source !== 'emulator' && cons.savedIp !== newIp) {
+    cons.savedIp = newIp;
+    try { saveConsoles(); } catch (e) { console.warn('Failed to save consoles.json:', e && e.message); }
+  }
+  if (cons.ip === newIp) {
+    if (sourceChanged) broadcastConsoles();
+    return console.log('updateX32Ip: IP unchanged', newIp, '(' + cons.id + ')');
+  }
+  const prior = cons.ip; cons.ip = newIp; console.log('X32 IP updated', prior, '->', cons.ip, '(', reason, ')', '(' + cons.id + ')');
+  // The identity rediscovery looks for is the desk's own; the next ping
+  // fills it in. The saved address comes with the desk stored for it.
+  cons.info = source === 'saved' ? cons.savedDesk : null;
+  noteHealth(cons, cons.health.reset());
+  for (let ch = 1; ch <= 32; ch++) { const nn = String(ch).padStart(2, '0'); try { oscPort.send({ address: `/ch/${nn}/config/name`, args: [] }, cons.ip, cons.port); } catch (e) {} }
+  setTimeout(() => readAllRouting(cons, null), 300);
+  startKeepAlive(cons);
+  broadcastConsoles();
+}
+
+// Renew the /xremote subscription together with the /xinfo ping (every
+// pingIntervalMs, 5 seconds by default). The X32 pushes changes made on the
+// surface or in X32-Edit for 10 seconds after each /xremote, so renewing
+// below that never lets it lapse.
+// Every ping feeds the console's health; while it is offline each ping also
+// goes out as a broadcast to find the desk at a new address.
+// pingNow: false reschedules without an extra ping (interval changed), which
+// would count the outstanding one as missed
+function startKeepAlive(cons, pingNow = true) {
+  stopKeepAlive(cons);
+  const ping = () => {
+    if (!cons.ip) return;
+    try { oscPort.send({ address: '/xinfo', args: [] }, cons.ip, cons.port); } catch (e) {}
+    try { oscPort.send({ address: '/xremote', args: [] }, cons.ip, cons.port); } catch (e) {}
+    noteHealth(cons, cons.health.pingSent());
+    if (cons.health.state() === 'offline') broadcastXinfo(cons.port);
+  };
+  if (pingNow) ping();
+  cons.pingInterval = setInterval(ping, serverConfig.get().pingIntervalMs);
 }
 
-// Autodiscover endpoint: broadcast /xinfo and wait briefly for responses
+// Tell clients about a health transition (health.js). Going offline starts
+// rediscovery (startKeepAlive); coming back re-reads the console, which may
+// have been changed or reloaded while it was away.
+function noteHealth(cons, transition) {
+  if (!transition) return;
+  const health = cons.health.snapshot();
+  const detail = health.rttMs != null ? ` (rtt ${health.rttMs} ms, ${health.missed} missed)` : ` (${health.missed} missed)`;
+  const log = transition.to === 'offline' || transition.to === 'degraded' ? console.warn : console.log;
+  log('[HEALTH]', cons.id, transition.from, '->', transition.to + detail);
+  if (transition.to === 'offline') console.warn('[HEALTH]', cons.id, 'offline — rediscovering by broadcast');
+  broadcast(cons, Object.assign({ type: 'console_health', console: cons.id }, health));
+  broadcastConsoles();
+  if (transition.from === 'offline' && cons.ip) {
+    try { oscPort.send({ address: '/xremote', args: [] }, cons.ip, cons.port); } catch (e) {}
+    requestChannelState(cons);
+    setTimeout(() => readAllRouting(cons, null), 300);
+  }
+}
+
+function stopKeepAlive(cons) {
+  try { if (cons.pingInterval) clearInterval(cons.pingInterval); } catch (e) {}
+  cons.pingInterval = null;
+}
+
+// Start the built-in emulator on loopback and point a console at it.
+async function startEmulator(cons) {
+  if (emulator) {
+    if (emulator.consoleId === cons.id) return emulator;
+    throw new Error('emulator already in use by console ' + emulator.consoleId);
+  }
+  const emu = createX32Emulator({ port: cons.port });
+  await emu.start();
+  emu.consoleId = cons.id;
+  emulator = emu;
+  updateX32Ip(cons, emu.host, 'emulator');
+  try { sendToConsole(cons, { address: '/xinfo', args: [] }); } catch (e) {}
+  requestChannelState(cons);
+  return emu;
+}
+
+// Stop the emulator and fall back to broadcast discovery of a real console.
+function stopEmulator() {
+  if (!emulator) return;
+  const host = emulator.host;
+  const cons = consoles.get(emulator.consoleId);
+  emulator.stop();
+  emulator = null;
+  if (cons && cons.ip === host) {
+    cons.ip = null;
+    stopKeepAlive(cons);
+    noteHealth(cons, cons.health.reset());
+    if (cons.savedIp) {
+      console.log('X32 emulator stopped — back to saved address', cons.savedIp);
+      updateX32Ip(cons, cons.savedIp, 'saved');
+    } else {
+      console.log('X32 emulator stopped — rediscovering console');
+      broadcastXinfo(cons.port);
+    }
+  }
+  broadcastConsoles();
+}
+
+// Autodiscover endpoint: /xinfo on every interface (broadcastXinfo), then
+// every console that answered within discoveryWaitMs as
+// { ip, port, name, model, firmware, interface, console }, where console is
+// the id of the registered console at that address (or null). The IP tab
+// lists them to choose from; `ip` is the first one free for this console.
 app.get('/autodiscover-x32', (req, res) => {
-  const priorIp = X32_IP;
-  console.log('Autodiscover requested (prior X32_IP =', priorIp, ')');
-  try { oscPort.send({ address: '/xinfo', args: [] }, BROADCAST_ADDR, X32_OSC_PORT); } catch (e) { console.error('Broadcast /xinfo failed', e && e.message); }
-  let responded = false;
-  const deadline = Date.now() + 2000;
-  const interval = setInterval(() => {
-    if (!responded && X32_IP && X32_IP !== priorIp) {
-      responded = true; clearInterval(interval); return res.json({ ip: X32_IP });
+  const cons = consoleFor(req, res); if (!cons) return;
+  console.log('[DISCOVERY] listing consoles for', cons.id, '(current IP =', cons.ip, ')');
+  const found = new Map();
+  const onReply = (msg, timeTag, info) => {
+    if (!msg || msg.address !== '/xinfo' || !info) return;
+    const owner = findConsoleByAddress(info.address, info.port);
+    found.set(info.address + ':' + info.port, Object.assign(parseXinfo(msg, info), { console: owner ? owner.id : null }));
+  };
+  discoveryListings++;
+  oscPort.on('message', onReply);
+  broadcastXinfo();
+  setTimeout(() => {
+    oscPort.removeListener('message', onReply);
+    discoveryListings--;
+    const list = Array.from(found.values()).sort((a, b) => (a.ip + ':' + a.port).localeCompare(b.ip + ':' + b.port, undefined, { numeric: true }));
+    console.log('[DISCOVERY] found', list.length, 'console(s):', list.map(c => c.ip + ':' + c.port).join(', ') || 'none');
+    const free = list.find(c => !c.console || c.console === cons.id);
+    return res.json({ ok: true, console: cons.id, ip: free ? free.ip : (cons.ip || null), consoles: list, interfaces: interfaceBroadcasts() });
+  }, serverConfig.get().discoveryWaitMs);
+});
+
+// Unicast sweep (one at a time, for every console): /xinfo to each host of
+// a CIDR range at `rate` hosts per second, for networks that drop
+// broadcasts. Progress goes to admin clients as 'sweep_progress'.
+let sweep = null;
+let sweepId = 0;
+
+function sweepSnapshot() {
+  if (!sweep) return null;
+  return {
+    id: sweep.id, state: sweep.state, cidr: sweep.cidr, port: sweep.port, rate: sweep.rate,
+    total: sweep.hosts.length, sent: sweep.sent,
+    consoles: Array.from(sweep.found.values()).sort((a, b) => (a.ip + ':' + a.port).localeCompare(b.ip + ':' + b.port, undefined, { numeric: true })),
+    startedAt: sweep.startedAt, finishedAt: sweep.finishedAt
+  };
+}
+
+// Sweeps reveal the desks on the network: admin clients only, like the routes
+function broadcastSweep() {
+  broadcastAdmins({ type: 'sweep_progress', sweep: sweepSnapshot() });
+}
+
+// Send a JSON payload to every WebSocket client logged in as admin
+function broadcastAdmins(payload) {
+  if (!wss) return;
+  const text = JSON.stringify(payload);
+  wss.clients.forEach(ws => {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    const who = auth.identify(ws.token, ws.address);
+    if (who && roleAllows(who.role, 'admin')) { try { ws.send(text); } catch (e) {} }
+  });
+}
+
+function sweepError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// options: { cidr, rate?, port? }; throws (status 400 / 409)
+function startSweep(options, client) {
+  if (sweep && sweep.state === 'running') throw sweepError(`sweep of ${sweep.cidr} already running`, 409);
+  const range = parseCidr(options.cidr);
+  const rate = options.rate == null || options.rate === '' ? SWEEP_DEFAULT_RATE : Number(options.rate);
+  if (!Number.isInteger(rate) || rate < 1 || rate > SWEEP_MAX_RATE) throw sweepError(`rate must be 1-${SWEEP_MAX_RATE} hosts per second`, 400);
+  const port = options.port == null || options.port === '' ? X32_OSC_PORT : Number(options.port);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) throw sweepError('invalid port', 400);
+  const hostSet = new Set(range.hosts);
+  const run = {
+    id: ++sweepId, state: 'running', cidr: range.cidr, port, rate, hosts: range.hosts, sent: 0, found: new Map(),
+    startedAt: new Date().toISOString(), finishedAt: null, started: Date.now(), timer: null, finishTimer: null
+  };
+  run.onReply = (msg, timeTag, info) => {
+    if (!msg || msg.address !== '/xinfo' || !info || !hostSet.has(info.address)) return;
+    const key = info.address + ':' + info.port;
+    const isNew = !run.found.has(key);
+    const owner = findConsoleByAddress(info.address, info.port);
+    run.found.set(key, Object.assign(parseXinfo(msg, info), { console: owner ? owner.id : null }));
+    if (isNew) broadcastSweep();
+  };
+  sweep = run;
+  discoveryListings++;
+  oscPort.on('message', run.onReply);
+  console.log('[DISCOVERY] sweep', run.id, 'of', run.cidr, '(' + run.hosts.length + ' hosts, ' + rate + '/s, port ' + port + ') started by', client);
+  // Send what the rate allows since the start, so timer jitter does not
+  // slow the sweep down or burst it
+  const tick = () => {
+    const due = Math.min(run.hosts.length, Math.floor((Date.now() - run.started) * rate / 1000) + 1);
+    for (; run.sent < due; run.sent++) {
+      try { sendOsc({ address: '/xinfo', args: [] }, run.hosts[run.sent], port); } catch (e) { console.error('Sweep /xinfo failed', run.hosts[run.sent], e && e.message); }
     }
-    if (Date.now() > deadline) { clearInterval(interval); return res.json({ ip: X32_IP || null }); }
-  }, 200);
+    if (run.sent >= run.hosts.length) {
+      clearInterval(run.timer);
+      run.timer = null;
+      // Give the last hosts time to answer
+      run.finishTimer = setTimeout(() => finishSweep(run, 'done'), serverConfig.get().discoveryWaitMs);
+    }
+    broadcastSweep();
+  };
+  run.timer = setInterval(tick, SWEEP_TICK_MS);
+  tick();
+  return sweepSnapshot();
+}
+
+function finishSweep(run, state) {
+  if (run.state !== 'running') return;
+  if (run.timer) clearInterval(run.timer);
+  if (run.finishTimer) clearTimeout(run.finishTimer);
+  oscPort.removeListener('message', run.onReply);
+  discoveryListings--;
+  run.state = state;
+  run.finishedAt = new Date().toISOString();
+  console.log('[DISCOVERY] sweep', run.id, state + ':', run.sent + '/' + run.hosts.length, 'hosts,', run.found.size, 'console(s)');
+  broadcastSweep();
+}
+
+app.get('/autodiscover-x32/sweep', (req, res) => {
+  return res.json({ ok: true, sweep: sweepSnapshot(), interfaces: interfaceBroadcasts() });
+});
+
+app.post('/autodiscover-x32/sweep', (req, res) => {
+  try {
+    const body = req.body || {};
+    return res.json({ ok: true, sweep: startSweep({ cidr: body.cidr, rate: body.rate, port: body.port }, requestClient(req)) });
+  } catch (e) {
+    return res.status(e.status || 500).json({ ok: false, error: e && e.message });
+  }
+});
+
+app.delete('/autodiscover-x32/sweep', (req, res) => {
+  if (!sweep || sweep.state !== 'running') return res.status(409).json({ ok: false, error: 'no sweep running' });
+  console.log('[DISCOVERY] sweep', sweep.id, 'cancelled by', requestClient(req));
+  finishSweep(sweep, 'cancelled');
+  return res.json({ ok: true, sweep: sweepSnapshot() });
 });
 
 // Quick status endpoint for diagnostics (X32 IP, WS clients, ping counters)
 app.get('/status', (req, res) => {
   try {
+    const cons = consoleFor(req, res); if (!cons) return;
     const clients = Array.from(wss.clients || []).filter(c => c && c.readyState === WebSocket.OPEN).length;
     const ifaces = os.networkInterfaces();
-    return res.json({ ok: true, x32Ip: X32_IP || null, wsClients: clients, pingCount, ifaces, port: CURRENT_PORT || Number(process.env.PORT) || 3000 });
+    return res.json({ ok: true, console: cons.id, x32Ip: cons.ip || null, emulator: !!(emulator && emulator.consoleId === cons.id), health: cons.health.snapshot(), consoles: listConsoles(), wsClients: clients, pingCount, ifaces, oscControlPort: OSC_CONTROL_PORT, port: CURRENT_PORT || STARTUP_CONFIG.httpPort });
+  } catch (e) { return res.status(500).json({ ok: false, error: e && e.message }); }
+});
+
+// Console registry: list, add, edit and remove consoles
+app.get('/consoles', (req, res) => {
+  return res.json({ ok: true, consoles: listConsoles() });
+});
+
+app.post('/consoles', (req, res) => {
+  try {
+    const body = req.body || {};
+    const label = String(body.label || '').trim();
+    const ip = String(body.ip || '').trim();
+    const port = Number(body.port || X32_OSC_PORT);
+    if (!label) return res.status(400).json({ ok: false, error: 'label required' });
+    if (!ip) return res.status(400).json({ ok: false, error: 'ip required' });
+    if (!port || port < 1 || port > 65535) return res.status(400).json({ ok: false, error: 'invalid port' });
+    // Derive a stable id from the label (foh, monitors, monitors-2, ...)
+    const base = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'console';
+    let id = base; let n = 2;
+    while (consoles.has(id)) id = `${base}-${n++}`;
+    const cons = createConsole({ id, label, port });
+    consoles.set(id, cons);
+    updateX32Ip(cons, ip, 'registry');
+    saveConsoles();
+    console.log('Console added:', id, ip + ':' + port);
+    return res.json({ ok: true, console: describeConsole(cons) });
+  } catch (e) { return res.status(500).json({ ok: false, error: e && e.message }); }
+});
+
+app.put('/consoles/:id', (req, res) => {
+  try {
+    const cons = consoles.get(req.params.id);
+    if (!cons) return res.status(404).json({ ok: false, error: 'unknown console: ' + req.params.id });
+    const body = req.body || {};
+    if (body.label != null) {
+      const label = String(body.label).trim();
+      if (!label) return res.status(400).json({ ok: false, error: 'label required' });
+      cons.label = label;
+    }
+    if (body.port != null) {
+      const port = Number(body.port);
+      if (!port || port < 1 || port > 65535) return res.status(400).json({ ok: false, error: 'invalid port' });
+      cons.port = port;
+    }
+    if (body.ip) updateX32Ip(cons, String(body.ip).trim(), 'registry');
+    saveConsoles();
+    broadcastConsoles();
+    return res.json({ ok: true, console: describeConsole(cons) });
+  } catch (e) { return res.status(500).json({ ok: false, error: e && e.message }); }
+});
+
+app.delete('/consoles/:id', (req, res) => {
+  try {
+    const cons = consoles.get(req.params.id);
+    if (!cons) return res.status(404).json({ ok: false, error: 'unknown console: ' + req.params.id });
+    if (cons.id === DEFAULT_CONSOLE_ID) return res.status(400).json({ ok: false, error: 'the main console cannot be removed' });
+    if (emulator && emulator.consoleId === cons.id) stopEmulator();
+    stopKeepAlive(cons);
+    consoles.delete(cons.id);
+    saveConsoles();
+    // The matrix file stays on disk; clients watching the console move to main
+    if (wss) wss.clients.forEach(ws => { if (ws.readyState === WebSocket.OPEN && ws.consoleId === cons.id) { ws.consoleId = DEFAULT_CONSOLE_ID; sendConsoleState(ws, consoles.get(DEFAULT_CONSOLE_ID)); } });
+    broadcastConsoles();
+    console.log('Console removed:', cons.id);
+    return res.json({ ok: true, consoles: listConsoles() });
   } catch (e) { return res.status(500).json({ ok: false, error: e && e.message }); }
 });
 
+// Full console snapshot: GET downloads the versioned JSON (snapshot.js),
+// POST writes a snapshot file back to the console and reports mismatches.
+app.get('/snapshot', async (req, res) => {
+  const cons = consoleFor(req, res); if (!cons) return;
+  try {
+    const snap = await exportSnapshot(cons);
+    const stamp = snap.created.replace(/[:.]/g, '-');
+    res.setHeader('Content-Disposition', `attachment; filename="dubswitch-snapshot-${cons.id}-${stamp}.json"`);
+    return res.json(snap);
+  } catch (e) { return res.status((e && e.status) || 500).json({ ok: false, error: (e && e.message) || String(e) }); }
+});
+
+app.post('/snapshot', async (req, res) => {
+  const cons = consoleFor(req, res); if (!cons) return;
+  try {
+    const result = await importSnapshot(cons, req.body);
+    return res.json(Object.assign({ ok: result.mismatches.length === 0 }, result));
+  } catch (e) { return res.status((e && e.status) || 500).json({ ok: false, error: (e && e.message) || String(e) }); }
+});
+
+// Routing presets (per console): list, create, update, delete and recall.
+// Creating without userrout/routing in the body (or updating with
+// { capture: true }) captures the console's current patch.
+function sendPresetError(res, err) {
+  return res.status((err && err.status) || 500).json({ ok: false, error: (err && err.message) || String(err) });
+}
+
+app.get('/presets', (req, res) => {
+  const cons = consoleFor(req, res); if (!cons) return;
+  return res.json({ ok: true, console: cons.id, presets: cons.presets.list() });
+});
+
+app.post('/presets', async (req, res) => {
+  const cons = consoleFor(req, res); if (!cons) return;
+  try {
+    return res.json(Object.assign({ ok: true }, await handlePresetMessage(cons, Object.assign({}, req.body, { type: 'create_preset' }))));
+  } catch (e) { return sendPresetError(res, e); }
+});
+
+app.put('/presets/:id', async (req, res) => {
+  const cons = consoleFor(req, res); if (!cons) return;
+  try {
+    return res.json(Object.assign({ ok: true }, await handlePresetMessage(cons, Object.assign({}, req.body, { type: 'update_preset', id: req.params.id }))));
+  } catch (e) { return sendPresetError(res, e); }
+});
+
+app.delete('/presets/:id', async (req, res) => {
+  const cons = consoleFor(req, res); if (!cons) return;
+  try {
+    return res.json(Object.assign({ ok: true }, await handlePresetMessage(cons, { type: 'delete_preset', id: req.params.id })));
+  } catch (e) { return sendPresetError(res, e); }
+});
+
+app.post('/presets/:id/recall', async (req, res) => {
+  const cons = consoleFor(req, res); if (!cons) return;
+  try {
+    return res.json(Object.assign({ ok: true }, await handlePresetMessage(cons, { type: 'recall_preset', id: req.params.id }, requestClient(req))));
+  } catch (e) { return sendPresetError(res, e); }
+});
+
+// Channel groups (per console): list, create, update, delete and switch.
+// Switching answers like a bulk apply: { ok, side, channels: { NN: {...} } }.
+app.get('/groups', (req, res) => {
+  const cons = consoleFor(req, res); if (!cons) return;
+  return res.json({ ok: true, console: cons.id, groups: cons.groups.list() });
+});
+
+app.post('/groups', async (req, res) => {
+  const cons = consoleFor(req, res); if (!cons) return;
+  try {
+    return res.json(Object.assign({ ok: true }, await handleGroupMessage(cons, Object.assign({}, req.body, { type: 'create_group' }))));
+  } catch (e) { return sendPresetError(res, e); }
+});
+
+app.put('/groups/:id', async (req, res) => {
+  const cons = consoleFor(req, res); if (!cons) return;
+  try {
+    return res.json(Object.assign({ ok: true }, await handleGroupMessage(cons, Object.assign({}, req.body, { type: 'update_group', id: req.params.id }))));
+  } catch (e) { return sendPresetError(res, e); }
+});
+
+app.delete('/groups/:id', async (req, res) => {
+  const cons = consoleFor(req, res); if (!cons) return;
+  try {
+    return res.json(Object.assign({ ok: true }, await handleGroupMessage(cons, { type: 'delete_group', id: req.params.id })));
+  } catch (e) { return sendPresetError(res, e); }
+});
+
+// { side: 'A' | 'B' | 'toggle' (default) }
+app.post('/groups/:id/ab', async (req, res) => {
+  const cons = consoleFor(req, res); if (!cons) return;
+  try {
+    const group = cons.groups.get(req.params.id);
+    const result = await switchChannels(cons, group.channels, apiSide((req.body || {}).side), { label: `Group ${group.name}`, client: requestClient(req) });
+    return res.status(result.ok ? 200 : 504).json(Object.assign({ group: group.id }, result));
+  } catch (e) { return sendPresetError(res, e); }
+});
+
+// Safe-switch settings (per console): { enabled, settleMs, always, never }
+app.get('/safe-switch', (req, res) => {
+  const cons = consoleFor(req, res); if (!cons) return;
+  return res.json(Object.assign({ ok: true, console: cons.id }, cons.safeSwitch.get()));
+});
+
+app.put('/safe-switch', (req, res) => {
+  const cons = consoleFor(req, res); if (!cons) return;
+  try {
+    const settings = cons.safeSwitch.update(req.body || {});
+    console.log('[SAFE SWITCH] settings changed by', requestClient(req), '(' + cons.id + ')');
+    broadcastSafeSwitch(cons);
+    return res.json(Object.assign({ ok: true, console: cons.id }, settings));
+  } catch (e) { return sendPresetError(res, e); }
+});
+
+// ---------------------------------------------------------------------------
+// REST API v1 for external controllers (Stream Deck / Companion, show
+// control, scripts). Every call takes ?console=<id> like the other routes,
+// runs through the same functions as the WebSocket handlers (clientWrite,
+// toggleInputsBlock, setRoutingBlock, bulkApply, recallPreset) and answers
+// with the state read back from the console. Writes are journaled with
+// source 'api'. Unconfirmed writes answer 504 together with the state.
+// ---------------------------------------------------------------------------
+const API_SIDES = ['A', 'B', 'toggle'];
+
+function apiError(res, err) {
+  return res.status((err && err.status) || 500).json({ ok: false, error: (err && err.message) || String(err) });
+}
+
+// '1'..'32' or '01'..'32' -> 'NN'
+function apiChannel(value) {
+  const ch = Number(value);
+  if (!Number.isInteger(ch) || ch < 1 || ch > 32) throw Object.assign(new Error('channel must be 1-32: ' + value), { status: 400 });
+  return String(ch).padStart(2, '0');
+}
+
+function apiSide(value) {
+  const side = value == null ? 'toggle' : String(value);
+  const match = API_SIDES.find(s => s.toLowerCase() === side.toLowerCase());
+  if (!match) throw Object.assign(new Error('side must be A, B or toggle'), { status: 400 });
+  return match;
+}
+
+app.get('/api/v1', (req, res) => {
+  return res.json({ ok: true, version: 1, consoles: listConsoles().map(c => c.id) });
+});
+
+app.get('/api/v1/channels', async (req, res) => {
+  const cons = consoleFor(req, res); if (!cons) return;
+  try {
+    const all = [];
+    for (let ch = 1; ch <= 32; ch++) all.push(String(ch).padStart(2, '0'));
+    return res.json({ ok: true, console: cons.id, channels: await readChannelStates(cons, all) });
+  } catch (e) { return apiError(res, e); }
+});
+
+app.get('/api/v1/channels/:ch', async (req, res) => {
+  const cons = consoleFor(req, res); if (!cons) return;
+  try {
+    const [channel] = await readChannelStates(cons, [apiChannel(req.params.ch)]);
+    return res.json({ ok: true, console: cons.id, channel });
+  } catch (e) { return apiError(res, e); }
+});
+
+// { side: 'A' | 'B' | 'toggle' (default) }
+app.post('/api/v1/channels/:ch/ab', async (req, res) => {
+  const cons = consoleFor(req, res); if (!cons) return;
+  try {
+    const nn = apiChannel(req.params.ch);
+    const side = apiSide((req.body || {}).side);
+    // Decide a toggle on what the console holds now, not on a stale cache
+    if (side === 'toggle') await readChannelStates(cons, [nn]);
+    const target = targetForSide(cons, nn, side);
+    const result = await clientWrite(cons, `/config/userrout/in/${nn}`, { type: 'i', value: target }, requestClient(req), 'api');
+    return res.status(result.confirmed ? 200 : 504).json({ ok: result.confirmed, console: cons.id, channel: channelState(cons, nn), error: result.confirmed ? undefined : 'console did not confirm the change' });
+  } catch (e) { return apiError(res, e); }
+});
+
+// { locked: true | false }
+app.put('/api/v1/channels/:ch/lock', (req, res) => {
+  const cons = consoleFor(req, res); if (!cons) return;
+  try {
+    const nn = apiChannel(req.params.ch);
+    const locked = (req.body || {}).locked;
+    if (typeof locked !== 'boolean') throw Object.assign(new Error('locked must be true or false'), { status: 400 });
+    setChannelLock(cons, nn, locked, requestClient(req));
+    return res.json({ ok: true, console: cons.id, channel: channelState(cons, nn) });
+  } catch (e) { return apiError(res, e); }
+});
+
+// Channels on neither their A nor their B source, read fresh from the console
+app.get('/api/v1/drift', async (req, res) => {
+  const cons = consoleFor(req, res); if (!cons) return;
+  try {
+    const all = [];
+    for (let ch = 1; ch <= 32; ch++) all.push(String(ch).padStart(2, '0'));
+    await readChannelStates(cons, all);
+    return res.json({ ok: true, console: cons.id, channels: channelDrift(cons) });
+  } catch (e) { return apiError(res, e); }
+});
+
+// { action: 'A' | 'B' | 'adopt-a' | 'adopt-b' } (resolveDrift); adopting
+// edits the A/B matrix and needs the admin role
+app.post('/api/v1/channels/:ch/drift', async (req, res) => {
+  const cons = consoleFor(req, res); if (!cons) return;
+  try {
+    const nn = apiChannel(req.params.ch);
+    const action = (req.body || {}).action;
+    if (/^adopt-/.test(String(action)) && !roleAllows(req.auth.role, 'admin')) return res.status(403).json({ ok: false, error: 'admin role required' });
+    return res.json({ ok: true, console: cons.id, channel: await resolveDrift(cons, nn, action, requestClient(req), 'api') });
+  } catch (e) { return apiError(res, e); }
+});
+
+// { color: 0-15 | 'RD' | 'Red inverted' ... } (colors.js)
+app.put('/api/v1/channels/:ch/color', async (req, res) => {
+  const cons = consoleFor(req, res); if (!cons) return;
+  try {
+    const nn = apiChannel(req.params.ch);
+    const result = await colorChannels(cons, [nn], (req.body || {}).color, requestClient(req), 'api');
+    return res.status(result.ok ? 200 : 504).json({ ok: result.ok, console: cons.id, channel: channelState(cons, nn), error: result.ok ? undefined : 'console did not confirm the change' });
+  } catch (e) { return apiError(res, e); }
+});
+
+// { name } (at most MAX_NAME_LENGTH characters)
+app.put('/api/v1/channels/:ch/name', async (req, res) => {
+  const cons = consoleFor(req, res); if (!cons) return;
+  try {
+    const nn = apiChannel(req.params.ch);
+    const name = (req.body || {}).name;
+    if (typeof name !== 'string' || name.length > MAX_NAME_LENGTH) throw Object.assign(new Error(`name must be a string of at most ${MAX_NAME_LENGTH} characters`), { status: 400 });
+    if (!cons.ip) throw Object.assign(new Error('X32 not set'), { status: 400 });
+    const result = await clientWrite(cons, `/ch/${nn}/config/name`, { type: 's', value: name }, requestClient(req), 'api');
+    return res.status(result.confirmed ? 200 : 504).json({ ok: result.confirmed, console: cons.id, channel: channelState(cons, nn), error: result.confirmed ? undefined : 'console did not confirm the change' });
+  } catch (e) { return apiError(res, e); }
+});
+
+// { channels: [1, 2] | '1-8,12' or group: id | name, side: 'A' | 'B' |
+// 'toggle' } as one bulk transaction (switchChannels).
+app.post('/api/v1/groups/ab', async (req, res) => {
+  const cons = consoleFor(req, res); if (!cons) return;
+  try {
+    const body = req.body || {};
+    const group = body.group != null ? cons.groups.get(body.group) : null;
+    const channels = group ? group.channels : parseChannels(body.channels);
+    const result = await switchChannels(cons, channels, apiSide(body.side), { label: group ? `Group ${group.name}` : null, client: requestClient(req) });
+    return res.status(result.ok ? 200 : 504).json(Object.assign({ console: cons.id }, result, { state: channels.map(nn => channelState(cons, nn)) }));
+  } catch (e) { return apiError(res, e); }
+});
+
+// { channels: [1, 2] | '1-8,12' or group: id | name, color } (colorChannels)
+app.post('/api/v1/groups/color', async (req, res) => {
+  const cons = consoleFor(req, res); if (!cons) return;
+  try {
+    const body = req.body || {};
+    const channels = body.group != null ? cons.groups.get(body.group).channels : parseChannels(body.channels);
+    const result = await colorChannels(cons, channels, body.color, requestClient(req), 'api');
+    return res.status(result.ok ? 200 : 504).json(Object.assign({ console: cons.id }, result, { state: channels.map(nn => channelState(cons, nn)) }));
+  } catch (e) { return apiError(res, e); }
+});
+
+app.get('/api/v1/groups', (req, res) => {
+  const cons = consoleFor(req, res); if (!cons) return;
+  return res.json({ ok: true, console: cons.id, groups: cons.groups.list().map(g => ({ id: g.id, name: g.name, channels: g.channels })) });
+});
+
+app.get('/api/v1/blocks', async (req, res) => {
+  const cons = consoleFor(req, res); if (!cons) return;
+  try {
+    if (!cons.ip) throw Object.assign(new Error('X32 not set'), { status: 400 });
+    await readConsoleValues(cons, routingConfig.blocks.map(b => b.osc));
+    return res.json({ ok: true, console: cons.id, blocks: routingConfig.blocks.map(b => blockState(cons, b)) });
+  } catch (e) { return apiError(res, e); }
+});
+
+// Block ids contain a slash ('IN/1-8', 'AES50A/9-16'). Body { value } sets
+// any block; { mode: 'userin' | 'localin' | 'toggle' } switches an input block.
+app.put('/api/v1/blocks/:section/:range', async (req, res) => {
+  const cons = consoleFor(req, res); if (!cons) return;
+  try {
+    const blockId = `${req.params.section}/${req.params.range}`;
+    const block = routingConfig.blocks.find(b => b.id === blockId);
+    if (!block) throw Object.assign(new Error('unknown routing block: ' + blockId), { status: 404 });
+    const body = req.body || {};
+    let result;
+    if (body.mode != null) {
+      const idx = routingBlocks.indexOf(block);
+      if (idx === -1) throw Object.assign(new Error('mode only applies to input blocks'), { status: 400 });
+      if (!['userin', 'localin', 'toggle'].includes(body.mode)) throw Object.assign(new Error('mode must be userin, localin or toggle'), { status: 400 });
+      if (!cons.ip) throw Object.assign(new Error('X32 not set'), { status: 400 });
+      let mode = body.mode;
+      if (mode === 'toggle') {
+        await readConsoleValues(cons, [block.osc]);
+        mode = blockState(cons, block).mode === 'userin' ? 'localin' : 'userin';
+      }
+      result = await toggleInputsBlock(cons, idx, block[mode], requestClient(req), 'api');
+    } else {
+      result = await setRoutingBlock(cons, blockId, body.value, requestClient(req));
+    }
+    return res.status(result.confirmed ? 200 : 504).json({ ok: result.confirmed, console: cons.id, block: blockState(cons, block), error: result.confirmed ? undefined : 'console did not confirm the change' });
+  } catch (e) { return apiError(res, e); }
+});
+
+app.get('/api/v1/presets', (req, res) => {
+  const cons = consoleFor(req, res); if (!cons) return;
+  return res.json({ ok: true, console: cons.id, presets: cons.presets.list().map(p => ({ id: p.id, name: p.name, updated: p.updated })) });
+});
+
+// :ref is a preset id or name
+app.post('/api/v1/presets/:ref/recall', async (req, res) => {
+  const cons = consoleFor(req, res); if (!cons) return;
+  try {
+    const result = await handlePresetMessage(cons, { type: 'recall_preset', id: req.params.ref }, requestClient(req));
+    return res.json({ ok: true, console: cons.id, preset: { id: result.preset.id, name: result.preset.name }, state: result.state, skipped: result.skipped, failed: result.failed });
+  } catch (e) { return apiError(res, e); }
+});
+
+// ---------------------------------------------------------------------------
+// Inbound OSC control (osc-control.js): the /dubswitch/... namespace for show
+// control desks and OSC surfaces, received on its own UDP port
+// (oscControlPort in dubswitch.json, default 9002; null disables it). Like
+// the REST API it runs through clientWrite, toggleInputsBlock and
+// recallPreset, journals writes with source 'osc', and answers every command
+// with /dubswitch/reply plus feedback for the state it touched. Senders are
+// subscribed to feedback for later changes of the same console.
+// ---------------------------------------------------------------------------
+const oscSubscriptions = createSubscriptions();
+let oscControlPort = null;
+const OSC_CONTROL_PORT = STARTUP_CONFIG.oscControlPort;
+
+// Role of OSC senders: OSC carries no credentials, so with login enabled
+// auth.json's oscRole decides (null = OSC control refused)
+function oscControlRole() {
+  return auth.enabled ? authConfig.oscRole : 'admin';
+}
+
+function sendControl(target, msgs) {
+  if (!oscControlPort) return;
+  (Array.isArray(msgs) ? msgs : [msgs]).forEach(msg => {
+    try { oscControlPort.send(msg, target.host, target.port); } catch (e) { console.warn('[OSC CONTROL] send to', target.host + ':' + target.port, 'failed:', e && e.message); }
+  });
+}
+
+function inputBlockMode(cons, idx) {
+  return blockState(cons, routingBlocks[idx]).mode;
+}
+
+function controlStateFeedback(cons, prefix) {
+  const msgs = [];
+  for (let ch = 1; ch <= 32; ch++) msgs.push(...channelFeedback(prefix, channelState(cons, String(ch).padStart(2, '0'))));
+  routingBlocks.forEach((block, i) => msgs.push(blockFeedback(prefix, i + 1, inputBlockMode(cons, i))));
+  return msgs;
+}
+
+// Push changed state to every sender subscribed to the console. Called by
+// the console reply handler when a cached patch, name or input block changes.
+function pushControlChannel(cons, nn) {
+  oscSubscriptions.forConsole(cons.id).forEach(sub => sendControl(sub, channelFeedback(sub.prefix, channelState(cons, nn))));
+}
+
+function pushControlBlock(cons, idx) {
+  oscSubscriptions.forConsole(cons.id).forEach(sub => sendControl(sub, blockFeedback(sub.prefix, idx + 1, inputBlockMode(cons, idx))));
+}
+
+// Run one parsed command; resolves { ok, message, feedback: [msgs] }
+async function runControlCommand(cons, cmd, client) {
+  switch (cmd.command) {
+    case 'channel_state':
+      // Answer from the cache when the console cannot be read
+      try { await readChannelStates(cons, [cmd.channel]); } catch (e) {}
+      return { ok: true, message: '', feedback: channelFeedback(cmd.prefix, channelState(cons, cmd.channel)) };
+    case 'channel': {
+      if (!cons.ip) throw Object.assign(new Error('X32 not set'), { status: 400 });
+      // Decide a toggle on what the console holds now, not on a stale cache
+      if (cmd.side === 'toggle') await readChannelStates(cons, [cmd.channel]);
+      const target = targetForSide(cons, cmd.channel, cmd.side);
+      const result = await clientWrite(cons, `/config/userrout/in/${cmd.channel}`, { type: 'i', value: target }, client, 'osc');
+      const state = channelState(cons, cmd.channel);
+      return { ok: result.confirmed, message: result.confirmed ? `ch ${cmd.channel} on ${state.side || state.value}` : 'console did not confirm the change', feedback: channelFeedback(cmd.prefix, state) };
+    }
+    case 'block_state': {
+      const block = routingBlocks[cmd.block - 1];
+      try { await readConsoleValues(cons, [block.osc]); } catch (e) {}
+      return { ok: true, message: '', feedback: [blockFeedback(cmd.prefix, cmd.block, inputBlockMode(cons, cmd.block - 1))] };
+    }
+    case 'block': {
+      if (!cons.ip) throw Object.assign(new Error('X32 not set'), { status: 400 });
+      const idx = cmd.block - 1;
+      const result = await toggleInputsBlock(cons, idx, routingBlocks[idx][cmd.mode], client, 'osc');
+      return { ok: result.confirmed, message: result.confirmed ? `block ${cmd.block} on ${cmd.mode === 'userin' ? 'UserIns' : 'LocalIns'}` : 'console did not confirm the change', feedback: [blockFeedback(cmd.prefix, cmd.block, inputBlockMode(cons, idx))] };
+    }
+    case 'preset': {
+      const result = await handlePresetMessage(cons, { type: 'recall_preset', id: cmd.preset }, client);
+      const skipped = result.skipped.length ? ` (locked: ${result.skipped.join(', ')})` : '';
+      if (result.failed.length) return { ok: false, message: `recalled ${result.preset.name}${skipped}, not confirmed: ${result.failed.join(', ')}`, feedback: controlStateFeedback(cons, cmd.prefix) };
+      return { ok: true, message: `recalled ${result.preset.name}${skipped}`, feedback: controlStateFeedback(cons, cmd.prefix) };
+    }
+    case 'lock':
+      setChannelLock(cons, cmd.channel, cmd.locked, client);
+      return { ok: true, message: `ch ${cmd.channel} ${cmd.locked ? 'locked' : 'unlocked'}`, feedback: channelFeedback(cmd.prefix, channelState(cons, cmd.channel)) };
+    case 'state':
+      if (cons.ip) { try { await readConsoleValues(cons, stateAddresses({ names: true })); } catch (e) {} }
+      return { ok: true, message: '', feedback: controlStateFeedback(cons, cmd.prefix) };
+    case 'subscribe':
+      return { ok: true, message: cmd.subscribe ? 'subscribed' : 'unsubscribed', feedback: [] };
+  }
+  throw Object.assign(new Error('unknown command'), { status: 400 });
+}
+
+function handleControlMessage(msg, info) {
+  const sender = { host: info.address, port: info.port };
+  const client = `osc ${info.address}:${info.port}`;
+  let cmd;
+  try {
+    cmd = parseControlMessage(msg.address, msg.args);
+  } catch (e) {
+    console.warn('[OSC CONTROL]', client, msg.address, '-', e.message);
+    return sendControl(sender, replyMessage(msg.address, false, e.message));
+  }
+  if (!cmd) return;
+  const cons = consoles.get(cmd.consoleId || DEFAULT_CONSOLE_ID);
+  if (!cons) return sendControl(sender, replyMessage(msg.address, false, 'unknown console: ' + cmd.consoleId));
+  const role = oscControlRole();
+  const required = cmd.write ? 'operator' : 'viewer';
+  if (!roleAllows(role, required)) {
+    console.warn('[OSC CONTROL]', client, 'refused', msg.address, '(' + (role || 'no role') + ')');
+    return sendControl(sender, replyMessage(msg.address, false, `${required} role required`));
+  }
+  if (cmd.command === 'subscribe' && !cmd.subscribe) oscSubscriptions.remove(cons.id, sender.host, sender.port);
+  else oscSubscriptions.touch(cons.id, sender.host, sender.port, cmd.prefix);
+  if (cmd.write) console.log('[OSC CONTROL]', client, msg.address, JSON.stringify((msg.args || []).map(a => a && a.value)), '(' + cons.id + ')');
+  runControlCommand(cons, cmd, client).then(result => {
+    sendControl(sender, replyMessage(msg.address, result.ok, result.message));
+    sendControl(sender, result.feedback);
+  }, e => {
+    console.warn('[OSC CONTROL]', msg.address, 'failed:', e && e.message);
+    sendControl(sender, replyMessage(msg.address, false, (e && e.message) || String(e)));
+    // Let the surface fall back to what the console really holds
+    if (cmd.channel) sendControl(sender, channelFeedback(cmd.prefix, channelState(cons, cmd.channel)));
+    if (cmd.block) sendControl(sender, blockFeedback(cmd.prefix, cmd.block, inputBlockMode(cons, cmd.block - 1)));
+  });
+}
+
+if (OSC_CONTROL_PORT) {
+  oscControlPort = new osc.UDPPort({ localAddress: '0.0.0.0', localPort: OSC_CONTROL_PORT, metadata: true });
+  oscControlPort.on('ready', () => console.log('[OSC CONTROL] Listening for /dubswitch commands on UDP port', OSC_CONTROL_PORT));
+  oscControlPort.on('message', (msg, timeTag, info) => {
+    try { handleControlMessage(msg, info); } catch (e) { console.error('[OSC CONTROL] handler failed', e && e.message); }
+  });
+  // A taken port disables OSC control but leaves the rest of the server running
+  oscControlPort.on('error', err => console.error('[OSC CONTROL] UDP error:', err && err.message));
+  oscControlPort.open();
+}
+
+// Built-in X32 emulator: report and switch emulator mode (Settings -> IP)
+app.get('/emulator', (req, res) => {
+  const cons = consoleFor(req, res); if (!cons) return;
+  const active = !!(emulator && emulator.consoleId === cons.id);
+  return res.json({ ok: true, enabled: active, host: active ? emulator.host : null, port: cons.port, console: cons.id });
+});
+
+app.post('/emulator', async (req, res) => {
+  try {
+    const cons = consoleFor(req, res); if (!cons) return;
+    const enabled = !!(req.body && req.body.enabled);
+    if (enabled) await startEmulator(cons);
+    else if (emulator && emulator.consoleId === cons.id) stopEmulator();
+    return res.json({ ok: true, enabled: !!(emulator && emulator.consoleId === cons.id), x32Ip: cons.ip || null });
+  } catch (e) {
+    console.error('Emulator switch failed', e && e.message);
+    return res.status(500).json({ ok: false, error: e && e.message });
+  }
+});
+
+// Server settings (config.js). 'restart' settings saved since startup are
+// flagged as pending; the others are read where they are used, and a new
+// keep-alive interval reschedules the running pings.
+function describeConfig() {
+  const settings = serverConfig.describe().map(s => Object.assign(s, {
+    pending: s.apply === 'restart' && JSON.stringify(s.value) !== JSON.stringify(STARTUP_CONFIG[s.key])
+  }));
+  return { file: serverConfig.filePath, settings, restartRequired: settings.filter(s => s.pending).map(s => s.key) };
+}
+
+function applyConfigChanges(changed) {
+  if (changed.includes('pingIntervalMs')) consoles.forEach(cons => { if (cons.pingInterval) startKeepAlive(cons, false); });
+}
+
+app.get('/config', (req, res) => {
+  return res.json(Object.assign({ ok: true }, describeConfig()));
+});
+
+app.put('/config', (req, res) => {
+  try {
+    const changed = serverConfig.update(req.body || {});
+    applyConfigChanges(changed);
+    const config = describeConfig();
+    console.log('[CONFIG]', requestClient(req), 'changed', changed.join(', ') || 'nothing', config.restartRequired.length ? '(restart needed for ' + config.restartRequired.join(', ') + ')' : '');
+    broadcastAdmins(Object.assign({ type: 'config' }, config));
+    return res.json(Object.assign({ ok: true, changed }, config));
+  } catch (e) {
+    return res.status(e.status || 500).json({ ok: false, error: e && e.message });
+  }
+});
+
 // Allow changing the HTTP server port at runtime. This will attempt to
 // rebind the server to the requested port and return success or failure.
 app.post('/set-port', express.json(), (req, res) => {
@@ -514,8 +2873,11 @@ app.post('/set-port', express.json(), (req, res) => {
     const body = req.body || {};
     const port = Number(body.port || 0);
     if (!port || port < 1 || port > 65535) return res.status(400).json({ ok: false, reason: 'invalid port' });
-    // Persist the chosen port to disk and exit so the app can be restarted
+    // Persist the chosen port to disk and exit so the app can be restarted.
+    // dubswitch.json comes first at startup; server.port is still what the
+    // Electron app and the dev supervisor read.
     try {
+      serverConfig.update({ httpPort: port });
       // Atomic write: write to a temp file then rename into place
       const tmp = PORT_PERSIST_PATH + '.tmp';
       try {
@@ -558,7 +2920,7 @@ app.post('/supervisor-restart', (req, res) => {
     }
 
     try {
-      const data = String(CURRENT_PORT || Number(process.env.PORT) || 3000);
+      const data = String(CURRENT_PORT || STARTUP_CONFIG.httpPort);
       // Prefer an atomic write to update mtime/content and avoid partial-writes
       const tmp = PORT_PERSIST_PATH + '.tmp';
       try {
@@ -643,11 +3005,13 @@ app.get('/supervisor-status', (req, res) => {
 
 // Return persisted matrix if any
 app.get('/get-matrix', (req, res) => {
-  return res.json({ matrix: persistedMatrix || {} });
+  const cons = consoleFor(req, res); if (!cons) return;
+  return res.json({ console: cons.id, matrix: cons.persistedMatrix || {} });
 });
 
-// Start HTTP server on the configured port (persistedPort overrides env)
-const PORT = persistedPort || Number(process.env.PORT) || 3000;
+// Start HTTP server on the configured port (config.js: dubswitch.json,
+// then server.port, then PORT)
+const PORT = STARTUP_CONFIG.httpPort;
 
 (async () => {
   try {
@@ -0,0 +1,69 @@
+/*
+  snapshot.js
+  -----------
+  Versioned file format for a full console routing snapshot: everything
+  dubswitch knows about a desk, saved before a gig and restored after it.
+
+  Format (version 1)
+  {
+    "format": "dubswitch-snapshot",
+    "version": 1,
+    "created": "2026-05-01T18:00:00.000Z",
+    "console": { "id": "main", "label": "Main", "ip": "192.168.1.20",
+                 "name": "FOH", "model": "X32", "firmware": "4.06" },
+    "userrout": { "01": 1, ..., "32": 32 },   // /config/userrout/in/NN
+    "routing": [0, 1, 2, 3],                  // /config/routing/IN blocks
+    "names": { "01": "Kick", ..., "32": "" }, // /ch/NN/config/name
+    "colors": { "01": 1, ..., "32": 0 }       // /ch/NN/config/color (0-15)
+  }
+
+  parseSnapshot() validates a file read back from disk and throws errors
+  with an HTTP-style `status` like presets.js.
+*/
+const { normalizeValues } = require('./presets');
+
+const SNAPSHOT_FORMAT = 'dubswitch-snapshot';
+const SNAPSHOT_VERSION = 1;
+// The X32 stores at most 12 characters per channel name
+const MAX_NAME_LENGTH = 12;
+
+function snapshotError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function buildSnapshot(consoleInfo, state) {
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    created: new Date().toISOString(),
+    console: consoleInfo,
+    userrout: state.userrout,
+    routing: state.routing,
+    names: state.names,
+    colors: state.colors
+  };
+}
+
+function parseSnapshot(data) {
+  if (!data || typeof data !== 'object') throw snapshotError('snapshot must be a JSON object');
+  if (data.format !== SNAPSHOT_FORMAT) throw snapshotError('not a dubswitch snapshot (format: ' + data.format + ')');
+  if (data.version !== SNAPSHOT_VERSION) throw snapshotError('unsupported snapshot version ' + data.version + ' (expected ' + SNAPSHOT_VERSION + ')');
+  let routingValues;
+  try { routingValues = normalizeValues(data.userrout, data.routing); } catch (e) { throw snapshotError(e.message); }
+  const names = {};
+  const colors = {};
+  for (let ch = 1; ch <= 32; ch++) {
+    const nn = String(ch).padStart(2, '0');
+    const name = data.names && data.names[nn];
+    if (typeof name !== 'string' || name.length > MAX_NAME_LENGTH) throw snapshotError(`invalid name for channel ${nn}`);
+    names[nn] = name;
+    const color = Number(data.colors && data.colors[nn]);
+    if (!Number.isInteger(color) || color < 0 || color > 15) throw snapshotError(`invalid color for channel ${nn}`);
+    colors[nn] = color;
+  }
+  return { console: data.console || null, created: data.created || null, userrout: routingValues.userrout, routing: routingValues.routing, names, colors };
+}
+
+module.exports = { SNAPSHOT_FORMAT, SNAPSHOT_VERSION, MAX_NAME_LENGTH, buildSnapshot, parseSnapshot };
@@ -0,0 +1,85 @@
+/*
+  sources.js
+  ----------
+  Catalogue of X32 user routing source codes: the value written to
+  /config/userrout/in/NN (0-168) and /config/userrout/out/NN (0-208).
+  server.js serves it as /api/sources and uses it to validate and classify
+  values; the UI takes every source label, select list and colour from it.
+
+  Code ranges
+    0        Off
+    1-32     Local 1-32
+    33-80    AES50A 1-48
+    81-128   AES50B 1-48
+    129-160  Card 1-32
+    161-166  Aux In 1-6
+    167-168  Talkback Int / Ext
+    169-184  Out 1-16        (user outputs only)
+    185-200  P16 1-16        (user outputs only)
+    201-206  Aux 1-6         (user outputs only)
+    207-208  Monitor L / R   (user outputs only)
+*/
+
+// names: optional per-index labels used instead of '<label> <n>'
+const SOURCE_GROUPS = [
+  { id: 'off', label: 'Off', first: 0, count: 1, color: '#6b7280', names: ['Off'] },
+  { id: 'local', label: 'Local', first: 1, count: 32, color: '#39e639' },
+  { id: 'aes50a', label: 'AES50A', first: 33, count: 48, color: '#f6ad55' },
+  { id: 'aes50b', label: 'AES50B', first: 81, count: 48, color: '#ed64a6' },
+  { id: 'card', label: 'Card', first: 129, count: 32, color: '#4299e1' },
+  { id: 'auxin', label: 'Aux In', first: 161, count: 6, color: '#b794f4' },
+  { id: 'talkback', label: 'Talkback', first: 167, count: 2, color: '#f56565', names: ['Talkback Int', 'Talkback Ext'] },
+  { id: 'out', label: 'Out', first: 169, count: 16, color: '#4fd1c5', outputOnly: true },
+  { id: 'p16', label: 'P16', first: 185, count: 16, color: '#81e6d9', outputOnly: true },
+  { id: 'aux', label: 'Aux', first: 201, count: 6, color: '#d6bcfa', outputOnly: true },
+  { id: 'monitor', label: 'Monitor', first: 207, count: 2, color: '#fbd38d', outputOnly: true, names: ['Monitor L', 'Monitor R'] }
+];
+
+const MAX_INPUT_SOURCE = 168;
+const MAX_OUTPUT_SOURCE = 208;
+
+// { value, group, index, label, color, outputOnly } for a code, or null
+function describeSource(code) {
+  const value = Number(code);
+  if (code == null || code === '' || !Number.isInteger(value)) return null;
+  const group = SOURCE_GROUPS.find(g => value >= g.first && value < g.first + g.count);
+  if (!group) return null;
+  const index = value - group.first + 1;
+  return {
+    value,
+    group: group.id,
+    index,
+    label: group.names ? group.names[index - 1] : `${group.label} ${index}`,
+    color: group.color,
+    outputOnly: !!group.outputOnly
+  };
+}
+
+// Code for the n-th source of a group (sourceCode('card', 5) === 133)
+function sourceCode(groupId, index) {
+  const group = SOURCE_GROUPS.find(g => g.id === groupId);
+  const n = Number(index);
+  if (!group || !Number.isInteger(n) || n < 1 || n > group.count) return null;
+  return group.first + n - 1;
+}
+
+function isInputSource(code) {
+  const src = describeSource(code);
+  return !!src && !src.outputOnly;
+}
+
+function isOutputSource(code) {
+  return describeSource(code) != null;
+}
+
+// Full catalogue as served by /api/sources
+function sourceCatalogue() {
+  const sources = [];
+  for (let v = 0; v <= MAX_OUTPUT_SOURCE; v++) sources.push(describeSource(v));
+  return {
+    groups: SOURCE_GROUPS.map(g => ({ id: g.id, label: g.label, first: g.first, count: g.count, color: g.color, outputOnly: !!g.outputOnly })),
+    sources
+  };
+}
+
+module.exports = { SOURCE_GROUPS, MAX_INPUT_SOURCE, MAX_OUTPUT_SOURCE, describeSource, sourceCode, isInputSource, isOutputSource, sourceCatalogue };
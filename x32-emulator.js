@@ -0,0 +1,179 @@
+/*
+  x32-emulator.js
+  ---------------
+  Simulated X32 OSC endpoint for offline planning, rehearsal and tests.
+
+  Responsibilities
+  - Listen on a UDP port (default 127.0.0.1:10023) and answer the same OSC
+    messages server.js sends to a real console: /xinfo, /status,
+    /config/userrout/in/NN, /config/userrout/out/NN, /config/routing/*
+    /ch/NN/config/name|color and /ch/NN/mix/on.
+  - Remember every value written to it for the lifetime of the process so
+    patches can be planned and rehearsed away from the desk.
+
+  Behaviour mirrors the console closely enough for dubswitch:
+  - A message without arguments is a read; the emulator replies with the
+    stored value on the same address.
+  - A message with arguments is a write; the value is stored and, like the
+    real desk, no reply is sent.
+  - Unknown addresses are ignored (the X32 does not reply to them either).
+  - /xremote subscribes the sender to change notifications for 10 seconds;
+    writes from other clients (and set() calls, which stand in for moves on
+    the surface) are pushed to every live subscriber.
+  - freeze(address) makes the emulator ignore writes to an address, to
+    rehearse a desk that does not take a change (write verification).
+
+  Usage
+  - From server.js via createX32Emulator() (see DUBSWITCH_EMULATOR / Settings).
+  - Standalone: node x32-emulator.js [port] [host]
+*/
+const osc = require('osc');
+const { DEFAULT_SECTIONS } = require('./routing-blocks');
+
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_PORT = 10023;
+// Same lifetime as the console: /xremote must be renewed within 10 seconds
+const XREMOTE_TTL_MS = 10000;
+
+// Factory-default console state: user inputs patched to Local 1-32, routing
+// blocks on the analog local inputs, blank names, colors off and every
+// channel unmuted.
+function defaultState() {
+  const state = new Map();
+  for (let ch = 1; ch <= 32; ch++) {
+    const nn = String(ch).padStart(2, '0');
+    state.set(`/config/userrout/in/${nn}`, { type: 'i', value: ch });
+    state.set(`/ch/${nn}/config/name`, { type: 's', value: '' });
+    state.set(`/ch/${nn}/config/color`, { type: 'i', value: 0 });
+    state.set(`/ch/${nn}/mix/on`, { type: 'i', value: 1 });
+  }
+  // User output slots start out as a straight 1:1 patch
+  for (let slot = 1; slot <= 48; slot++) {
+    state.set(`/config/userrout/out/${String(slot).padStart(2, '0')}`, { type: 'i', value: slot });
+  }
+  ['1-8', '9-16', '17-24', '25-32'].forEach((label, i) => {
+    state.set(`/config/routing/IN/${label}`, { type: 'i', value: i });
+  });
+  // The other routing sections (AES50, card, outputs, P16, aux) start at 0
+  DEFAULT_SECTIONS.forEach(section => section.blocks.forEach(block => {
+    if (!state.has(block.osc)) state.set(block.osc, { type: 'i', value: 0 });
+  }));
+  return state;
+}
+
+// Coerce an incoming argument to the type already stored for the address so
+// that e.g. a float write to an int parameter is remembered as an int.
+function coerceArg(arg, type) {
+  const raw = (arg && typeof arg === 'object' && 'value' in arg) ? arg.value : arg;
+  if (type === 's') return { type: 's', value: String(raw) };
+  if (type === 'f') return { type: 'f', value: Number(raw) };
+  return { type: 'i', value: Math.round(Number(raw)) };
+}
+
+function createX32Emulator(opts = {}) {
+  const host = opts.host || DEFAULT_HOST;
+  const port = Number(opts.port) || DEFAULT_PORT;
+  const info = Object.assign({ name: 'X32 Emulator', model: 'X32', firmware: '4.06' }, opts.info || {});
+  const log = opts.quiet ? () => {} : (...a) => console.log('[EMU]', ...a);
+  const state = defaultState();
+  let udp = null;
+  // 'address:port' -> { address, port, expires }
+  const subscribers = new Map();
+  // Addresses whose writes are ignored (see freeze())
+  const frozen = new Set();
+
+  function reply(address, args, to) {
+    try { udp.send({ address, args }, to.address, to.port); } catch (e) { log('reply failed', e && e.message); }
+  }
+
+  // Push a change to every live /xremote subscriber except the writer
+  function notify(address, value, except) {
+    if (!udp) return;
+    const now = Date.now();
+    subscribers.forEach((sub, key) => {
+      if (sub.expires < now) { subscribers.delete(key); return; }
+      if (except && sub.address === except.address && sub.port === except.port) return;
+      reply(address, [value], sub);
+    });
+  }
+
+  function handleMessage(msg, timeTag, from) {
+    if (!msg || !msg.address) return;
+    const args = Array.isArray(msg.args) ? msg.args : [];
+    if (msg.address === '/xinfo') {
+      return reply('/xinfo', [
+        { type: 's', value: host }, { type: 's', value: info.name },
+        { type: 's', value: info.model }, { type: 's', value: info.firmware }
+      ], from);
+    }
+    if (msg.address === '/xremote') {
+      subscribers.set(`${from.address}:${from.port}`, { address: from.address, port: from.port, expires: Date.now() + XREMOTE_TTL_MS });
+      return;
+    }
+    if (msg.address === '/status') {
+      return reply('/status', [{ type: 's', value: 'active' }, { type: 's', value: host }, { type: 's', value: info.name }], from);
+    }
+    const current = state.get(msg.address);
+    if (!current) return;
+    if (args.length === 0) return reply(msg.address, [current], from);
+    if (frozen.has(msg.address)) { log('ignored write to frozen', msg.address); return; }
+    const next = coerceArg(args[0], current.type);
+    state.set(msg.address, next);
+    log('set', msg.address, '=', next.value);
+    notify(msg.address, next, from);
+  }
+
+  function start() {
+    return new Promise((resolve, reject) => {
+      if (udp) return resolve();
+      udp = new osc.UDPPort({ localAddress: host, localPort: port, metadata: true });
+      const onError = err => { udp = null; reject(err); };
+      udp.once('error', onError);
+      udp.on('ready', () => {
+        udp.removeListener('error', onError);
+        udp.on('error', err => log('UDP error', err && err.message));
+        log(`listening on ${host}:${port}`);
+        resolve();
+      });
+      udp.on('message', handleMessage);
+      udp.open();
+    });
+  }
+
+  function stop() {
+    if (!udp) return;
+    try { udp.close(); } catch (e) {}
+    udp = null;
+    subscribers.clear();
+    log('stopped');
+  }
+
+  // Direct accessors (tests / diagnostics); values are the plain stored values
+  function get(address) { const v = state.get(address); return v ? v.value : undefined; }
+  // set() behaves like a change made on the console surface: subscribers hear it
+  function set(address, value) {
+    const current = state.get(address);
+    const next = coerceArg(value, current ? current.type : (typeof value === 'string' ? 's' : 'i'));
+    state.set(address, next);
+    notify(address, next, null);
+  }
+  function reset() {
+    state.clear();
+    frozen.clear();
+    defaultState().forEach((v, k) => state.set(k, v));
+  }
+  function freeze(address) { frozen.add(address); }
+  function unfreeze(address) { frozen.delete(address); }
+
+  return { host, port, start, stop, get, set, reset, freeze, unfreeze, isRunning: () => !!udp };
+}
+
+module.exports = { createX32Emulator, DEFAULT_HOST, DEFAULT_PORT };
+
+if (require.main === module) {
+  const port = Number(process.argv[2]) || DEFAULT_PORT;
+  const host = process.argv[3] || DEFAULT_HOST;
+  const emu = createX32Emulator({ host, port });
+  emu.start().catch(err => { console.error('Emulator failed to start:', err && err.message); process.exit(1); });
+  process.on('SIGINT', () => { emu.stop(); process.exit(0); });
+}